@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "companies" ADD COLUMN     "currencySymbol" TEXT,
+ADD COLUMN     "invoiceFooter" TEXT,
+ADD COLUMN     "invoiceTemplate" TEXT NOT NULL DEFAULT 'classic',
+ADD COLUMN     "invoiceTerms" TEXT;
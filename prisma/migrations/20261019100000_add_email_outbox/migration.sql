@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "EmailStatus" AS ENUM ('PENDING', 'SENDING', 'SENT', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "email_messages" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT,
+    "template" TEXT NOT NULL,
+    "toAddress" TEXT NOT NULL,
+    "ccAddress" TEXT,
+    "subject" TEXT NOT NULL,
+    "htmlBody" TEXT NOT NULL,
+    "textBody" TEXT,
+    "attachments" JSONB,
+    "status" "EmailStatus" NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 5,
+    "lastError" TEXT,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "sentAt" TIMESTAMP(3),
+    "providerMessageId" TEXT,
+    "referenceType" TEXT,
+    "referenceId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "email_messages_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "email_messages_status_nextAttemptAt_idx" ON "email_messages"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "email_messages_companyId_referenceType_referenceId_idx" ON "email_messages"("companyId", "referenceType", "referenceId");
+
+-- AddForeignKey
+ALTER TABLE "email_messages" ADD CONSTRAINT "email_messages_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "account_mappings" (
+    "id" TEXT NOT NULL,
+    "mappingKey" TEXT NOT NULL,
+    "accountId" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "account_mappings_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "account_mappings_companyId_mappingKey_key" ON "account_mappings"("companyId", "mappingKey");
+
+-- AddForeignKey
+ALTER TABLE "account_mappings" ADD CONSTRAINT "account_mappings_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "accounts"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "account_mappings" ADD CONSTRAINT "account_mappings_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Backfill mappings for existing companies from the default chart of accounts
+INSERT INTO "account_mappings" ("id", "mappingKey", "accountId", "companyId", "updatedAt")
+SELECT gen_random_uuid()::text, d."mappingKey", a."id", a."companyId", CURRENT_TIMESTAMP
+FROM (VALUES
+    ('ACCOUNTS_RECEIVABLE', '1200'),
+    ('ACCOUNTS_PAYABLE', '2000'),
+    ('SALES_REVENUE', '4000'),
+    ('OUTPUT_TAX', '2200'),
+    ('INPUT_TAX', '2200'),
+    ('COGS', '5000'),
+    ('INVENTORY', '1300'),
+    ('BANK', '1100'),
+    ('CASH', '1000')
+) AS d("mappingKey", "accountCode")
+JOIN "accounts" a ON a."accountCode" = d."accountCode"
+ON CONFLICT ("companyId", "mappingKey") DO NOTHING;
@@ -0,0 +1,16 @@
+-- AlterTable
+ALTER TABLE "journal_entries" ADD COLUMN     "referenceId" TEXT,
+ADD COLUMN     "referenceType" TEXT;
+
+-- CreateIndex
+CREATE INDEX "journal_entries_companyId_referenceType_referenceId_idx" ON "journal_entries"("companyId", "referenceType", "referenceId");
+
+-- Backfill posting rules added for bills and expenses
+INSERT INTO "account_mappings" ("id", "mappingKey", "accountId", "companyId", "updatedAt")
+SELECT gen_random_uuid()::text, d."mappingKey", a."id", a."companyId", CURRENT_TIMESTAMP
+FROM (VALUES
+    ('PURCHASES', '5000'),
+    ('OTHER_EXPENSES', '5900')
+) AS d("mappingKey", "accountCode")
+JOIN "accounts" a ON a."accountCode" = d."accountCode"
+ON CONFLICT ("companyId", "mappingKey") DO NOTHING;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "ledger_entries" ADD COLUMN     "journalEntryId" TEXT,
+ADD COLUMN     "sequence" SERIAL NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "ledger_entries_accountId_transactionDate_sequence_idx" ON "ledger_entries"("accountId", "transactionDate", "sequence");
+
+-- AddForeignKey
+ALTER TABLE "ledger_entries" ADD CONSTRAINT "ledger_entries_journalEntryId_fkey" FOREIGN KEY ("journalEntryId") REFERENCES "journal_entries"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "PeriodStatus" AS ENUM ('OPEN', 'SOFT_CLOSED', 'HARD_CLOSED');
+
+-- CreateTable
+CREATE TABLE "accounting_periods" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3) NOT NULL,
+    "status" "PeriodStatus" NOT NULL DEFAULT 'OPEN',
+    "closedAt" TIMESTAMP(3),
+    "closedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "accounting_periods_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "accounting_periods_companyId_startDate_key" ON "accounting_periods"("companyId", "startDate");
+
+-- CreateIndex
+CREATE INDEX "accounting_periods_companyId_startDate_endDate_idx" ON "accounting_periods"("companyId", "startDate", "endDate");
+
+-- AddForeignKey
+ALTER TABLE "accounting_periods" ADD CONSTRAINT "accounting_periods_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "accounting_periods" ADD CONSTRAINT "accounting_periods_closedById_fkey" FOREIGN KEY ("closedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill the retained earnings posting rule
+INSERT INTO "account_mappings" ("id", "mappingKey", "accountId", "companyId", "updatedAt")
+SELECT gen_random_uuid()::text, 'RETAINED_EARNINGS', a."id", a."companyId", CURRENT_TIMESTAMP
+FROM "accounts" a
+WHERE a."accountCode" = '3100'
+ON CONFLICT ("companyId", "mappingKey") DO NOTHING;
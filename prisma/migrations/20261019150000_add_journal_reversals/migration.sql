@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "journal_entries" ADD COLUMN     "autoReverseDate" TIMESTAMP(3),
+ADD COLUMN     "reversalOfId" TEXT,
+ADD COLUMN     "reversedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "journal_entries_reversalOfId_key" ON "journal_entries"("reversalOfId");
+
+-- CreateIndex
+CREATE INDEX "journal_entries_status_autoReverseDate_idx" ON "journal_entries"("status", "autoReverseDate");
+
+-- AddForeignKey
+ALTER TABLE "journal_entries" ADD CONSTRAINT "journal_entries_reversalOfId_fkey" FOREIGN KEY ("reversalOfId") REFERENCES "journal_entries"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,65 @@
+-- CreateEnum
+CREATE TYPE "RecurringDocumentType" AS ENUM ('JOURNAL_ENTRY', 'INVOICE');
+
+-- CreateEnum
+CREATE TYPE "RecurrenceFrequency" AS ENUM ('DAILY', 'WEEKLY', 'MONTHLY', 'QUARTERLY', 'YEARLY');
+
+-- CreateEnum
+CREATE TYPE "RecurringRunStatus" AS ENUM ('SUCCESS', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "recurring_templates" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "documentType" "RecurringDocumentType" NOT NULL,
+    "frequency" "RecurrenceFrequency" NOT NULL,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3),
+    "nextRunDate" TIMESTAMP(3),
+    "lastRunDate" TIMESTAMP(3),
+    "runCount" INTEGER NOT NULL DEFAULT 0,
+    "autoPost" BOOLEAN NOT NULL DEFAULT false,
+    "autoSend" BOOLEAN NOT NULL DEFAULT false,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "template" JSONB NOT NULL,
+    "createdById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "recurring_templates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "recurring_runs" (
+    "id" TEXT NOT NULL,
+    "templateId" TEXT NOT NULL,
+    "scheduledDate" TIMESTAMP(3) NOT NULL,
+    "status" "RecurringRunStatus" NOT NULL,
+    "documentType" "RecurringDocumentType" NOT NULL,
+    "documentId" TEXT,
+    "documentNumber" TEXT,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "recurring_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "recurring_templates_companyId_idx" ON "recurring_templates"("companyId");
+
+-- CreateIndex
+CREATE INDEX "recurring_templates_isActive_nextRunDate_idx" ON "recurring_templates"("isActive", "nextRunDate");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "recurring_runs_templateId_scheduledDate_key" ON "recurring_runs"("templateId", "scheduledDate");
+
+-- AddForeignKey
+ALTER TABLE "recurring_templates" ADD CONSTRAINT "recurring_templates_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recurring_templates" ADD CONSTRAINT "recurring_templates_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "recurring_runs" ADD CONSTRAINT "recurring_runs_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "recurring_templates"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,102 @@
+-- AlterTable
+ALTER TABLE "customers" ADD COLUMN     "currency" TEXT;
+
+-- AlterTable
+ALTER TABLE "suppliers" ADD COLUMN     "currency" TEXT;
+
+-- AlterTable
+ALTER TABLE "invoices" ADD COLUMN     "currency" TEXT,
+ADD COLUMN     "exchangeRate" DOUBLE PRECISION NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "bills" ADD COLUMN     "currency" TEXT,
+ADD COLUMN     "exchangeRate" DOUBLE PRECISION NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "currency" TEXT,
+ADD COLUMN     "exchangeRate" DOUBLE PRECISION NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "sales_quotations" ADD COLUMN     "currency" TEXT,
+ADD COLUMN     "exchangeRate" DOUBLE PRECISION NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "sales_orders" ADD COLUMN     "currency" TEXT,
+ADD COLUMN     "exchangeRate" DOUBLE PRECISION NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "sales_returns" ADD COLUMN     "currency" TEXT,
+ADD COLUMN     "exchangeRate" DOUBLE PRECISION NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "purchase_quotations" ADD COLUMN     "currency" TEXT,
+ADD COLUMN     "exchangeRate" DOUBLE PRECISION NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "purchase_orders" ADD COLUMN     "currency" TEXT,
+ADD COLUMN     "exchangeRate" DOUBLE PRECISION NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "purchase_returns" ADD COLUMN     "currency" TEXT,
+ADD COLUMN     "exchangeRate" DOUBLE PRECISION NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "currencies" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "symbol" TEXT,
+    "decimalPlaces" INTEGER NOT NULL DEFAULT 2,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "currencies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "exchange_rates" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "rate" DOUBLE PRECISION NOT NULL,
+    "rateDate" TIMESTAMP(3) NOT NULL,
+    "source" TEXT NOT NULL DEFAULT 'MANUAL',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "exchange_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "currencies_companyId_code_key" ON "currencies"("companyId", "code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "exchange_rates_companyId_currency_rateDate_key" ON "exchange_rates"("companyId", "currency", "rateDate");
+
+-- AddForeignKey
+ALTER TABLE "currencies" ADD CONSTRAINT "currencies_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "exchange_rates" ADD CONSTRAINT "exchange_rates_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Realized/unrealized FX accounts for existing charts of accounts
+INSERT INTO "accounts" ("id", "accountCode", "accountName", "accountType", "companyId", "updatedAt")
+SELECT gen_random_uuid()::text, d."accountCode", d."accountName", d."accountType"::"AccountType", c."id", CURRENT_TIMESTAMP
+FROM (VALUES
+    ('4300', 'Foreign Exchange Gain', 'REVENUE'),
+    ('5950', 'Foreign Exchange Loss', 'EXPENSE')
+) AS d("accountCode", "accountName", "accountType")
+CROSS JOIN "companies" c
+WHERE EXISTS (SELECT 1 FROM "accounts" a WHERE a."companyId" = c."id")
+ON CONFLICT ("companyId", "accountCode") DO NOTHING;
+
+INSERT INTO "account_mappings" ("id", "mappingKey", "accountId", "companyId", "updatedAt")
+SELECT gen_random_uuid()::text, d."mappingKey", a."id", a."companyId", CURRENT_TIMESTAMP
+FROM (VALUES
+    ('FX_GAIN', '4300'),
+    ('FX_LOSS', '5950')
+) AS d("mappingKey", "accountCode")
+JOIN "accounts" a ON a."accountCode" = d."accountCode"
+ON CONFLICT ("companyId", "mappingKey") DO NOTHING;
@@ -0,0 +1,27 @@
+-- AlterTable
+ALTER TABLE "accounts" ADD COLUMN     "currency" TEXT;
+
+-- AlterTable
+ALTER TABLE "journal_line_items" ADD COLUMN     "foreignAmount" DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "fx_revaluations" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "asOfDate" TIMESTAMP(3) NOT NULL,
+    "rates" JSONB NOT NULL,
+    "details" JSONB NOT NULL,
+    "totalGain" DOUBLE PRECISION NOT NULL,
+    "journalEntryId" TEXT,
+    "reversalDate" TIMESTAMP(3) NOT NULL,
+    "createdById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "fx_revaluations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "fx_revaluations_companyId_asOfDate_idx" ON "fx_revaluations"("companyId", "asOfDate");
+
+-- AddForeignKey
+ALTER TABLE "fx_revaluations" ADD CONSTRAINT "fx_revaluations_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,115 @@
+-- CreateEnum
+CREATE TYPE "DebitNoteStatus" AS ENUM ('DRAFT', 'OPEN', 'PARTIALLY_APPLIED', 'CLOSED');
+
+-- CreateTable
+CREATE TABLE "debit_notes" (
+    "id" TEXT NOT NULL,
+    "debitNoteNumber" TEXT NOT NULL,
+    "supplierId" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "billId" TEXT,
+    "purchaseReturnId" TEXT,
+    "debitNoteDate" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "status" "DebitNoteStatus" NOT NULL DEFAULT 'DRAFT',
+    "subtotal" DOUBLE PRECISION NOT NULL,
+    "taxAmount" DOUBLE PRECISION NOT NULL,
+    "discountAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "totalAmount" DOUBLE PRECISION NOT NULL,
+    "appliedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "refundedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "balanceAmount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT,
+    "exchangeRate" DOUBLE PRECISION NOT NULL DEFAULT 1,
+    "reason" TEXT,
+    "notes" TEXT,
+    "createdById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "debit_notes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "debit_note_items" (
+    "id" TEXT NOT NULL,
+    "debitNoteId" TEXT NOT NULL,
+    "productId" TEXT,
+    "description" TEXT NOT NULL,
+    "quantity" DOUBLE PRECISION NOT NULL,
+    "unitPrice" DOUBLE PRECISION NOT NULL,
+    "taxRate" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "taxAmount" DOUBLE PRECISION NOT NULL,
+    "discountAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "totalAmount" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "debit_note_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "debit_note_allocations" (
+    "id" TEXT NOT NULL,
+    "debitNoteId" TEXT NOT NULL,
+    "billId" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "allocationDate" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "debit_note_allocations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "debit_note_refunds" (
+    "id" TEXT NOT NULL,
+    "debitNoteId" TEXT NOT NULL,
+    "refundDate" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "exchangeRate" DOUBLE PRECISION NOT NULL DEFAULT 1,
+    "paymentMethod" "PaymentMethod" NOT NULL,
+    "referenceNumber" TEXT,
+    "notes" TEXT,
+    "createdById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "debit_note_refunds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "debit_notes_purchaseReturnId_key" ON "debit_notes"("purchaseReturnId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "debit_notes_companyId_debitNoteNumber_key" ON "debit_notes"("companyId", "debitNoteNumber");
+
+-- CreateIndex
+CREATE INDEX "debit_note_allocations_billId_idx" ON "debit_note_allocations"("billId");
+
+-- AddForeignKey
+ALTER TABLE "debit_notes" ADD CONSTRAINT "debit_notes_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "suppliers"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "debit_notes" ADD CONSTRAINT "debit_notes_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "debit_notes" ADD CONSTRAINT "debit_notes_billId_fkey" FOREIGN KEY ("billId") REFERENCES "bills"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "debit_notes" ADD CONSTRAINT "debit_notes_purchaseReturnId_fkey" FOREIGN KEY ("purchaseReturnId") REFERENCES "purchase_returns"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "debit_notes" ADD CONSTRAINT "debit_notes_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "debit_note_items" ADD CONSTRAINT "debit_note_items_debitNoteId_fkey" FOREIGN KEY ("debitNoteId") REFERENCES "debit_notes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "debit_note_items" ADD CONSTRAINT "debit_note_items_productId_fkey" FOREIGN KEY ("productId") REFERENCES "products"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "debit_note_allocations" ADD CONSTRAINT "debit_note_allocations_debitNoteId_fkey" FOREIGN KEY ("debitNoteId") REFERENCES "debit_notes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "debit_note_allocations" ADD CONSTRAINT "debit_note_allocations_billId_fkey" FOREIGN KEY ("billId") REFERENCES "bills"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "debit_note_refunds" ADD CONSTRAINT "debit_note_refunds_debitNoteId_fkey" FOREIGN KEY ("debitNoteId") REFERENCES "debit_notes"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,64 @@
+-- CreateEnum
+CREATE TYPE "PaymentType" AS ENUM ('INCOMING', 'OUTGOING');
+
+-- CreateEnum
+CREATE TYPE "PaymentStatus" AS ENUM ('COMPLETED', 'VOIDED');
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "type" "PaymentType" NOT NULL DEFAULT 'INCOMING',
+ADD COLUMN     "status" "PaymentStatus" NOT NULL DEFAULT 'COMPLETED',
+ADD COLUMN     "unappliedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "customerId" TEXT,
+ADD COLUMN     "supplierId" TEXT;
+
+-- Backfill type and party from the settled document
+UPDATE "payments" SET "type" = 'OUTGOING' WHERE "billId" IS NOT NULL;
+
+UPDATE "payments" p SET "customerId" = i."customerId"
+FROM "invoices" i WHERE p."invoiceId" = i."id";
+
+UPDATE "payments" p SET "supplierId" = b."supplierId"
+FROM "bills" b WHERE p."billId" = b."id";
+
+-- CreateTable
+CREATE TABLE "payment_allocations" (
+    "id" TEXT NOT NULL,
+    "paymentId" TEXT NOT NULL,
+    "invoiceId" TEXT,
+    "billId" TEXT,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "allocationDate" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "unappliedAt" TIMESTAMP(3),
+    "unappliedById" TEXT,
+
+    CONSTRAINT "payment_allocations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "payments_customerId_idx" ON "payments"("customerId");
+
+-- CreateIndex
+CREATE INDEX "payments_supplierId_idx" ON "payments"("supplierId");
+
+-- CreateIndex
+CREATE INDEX "payment_allocations_invoiceId_idx" ON "payment_allocations"("invoiceId");
+
+-- CreateIndex
+CREATE INDEX "payment_allocations_billId_idx" ON "payment_allocations"("billId");
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "customers"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "suppliers"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_allocations" ADD CONSTRAINT "payment_allocations_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "payments"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_allocations" ADD CONSTRAINT "payment_allocations_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "invoices"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_allocations" ADD CONSTRAINT "payment_allocations_billId_fkey" FOREIGN KEY ("billId") REFERENCES "bills"("id") ON DELETE SET NULL ON UPDATE CASCADE;
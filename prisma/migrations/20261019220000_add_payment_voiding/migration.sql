@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "voidedAt" TIMESTAMP(3),
+ADD COLUMN     "voidedById" TEXT,
+ADD COLUMN     "voidReason" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_voidedById_fkey" FOREIGN KEY ("voidedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,103 @@
+-- CreateEnum
+CREATE TYPE "BankStatementFormat" AS ENUM ('CSV', 'OFX', 'CAMT053', 'MT940');
+
+-- CreateEnum
+CREATE TYPE "BankStatementLineStatus" AS ENUM ('UNMATCHED', 'MATCHED', 'IGNORED');
+
+-- CreateTable
+CREATE TABLE "bank_accounts" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "bankName" TEXT,
+    "accountNumber" TEXT,
+    "iban" TEXT,
+    "bic" TEXT,
+    "accountId" TEXT NOT NULL,
+    "csvMapping" JSONB,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "bank_accounts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "bank_statements" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "bankAccountId" TEXT NOT NULL,
+    "format" "BankStatementFormat" NOT NULL,
+    "fileName" TEXT,
+    "statementNumber" TEXT,
+    "periodStart" TIMESTAMP(3),
+    "periodEnd" TIMESTAMP(3),
+    "openingBalance" DOUBLE PRECISION,
+    "closingBalance" DOUBLE PRECISION,
+    "lineCount" INTEGER NOT NULL DEFAULT 0,
+    "duplicateCount" INTEGER NOT NULL DEFAULT 0,
+    "importedById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "bank_statements_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "bank_statement_lines" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "bankAccountId" TEXT NOT NULL,
+    "statementId" TEXT NOT NULL,
+    "transactionDate" TIMESTAMP(3) NOT NULL,
+    "valueDate" TIMESTAMP(3),
+    "amount" DOUBLE PRECISION NOT NULL,
+    "description" TEXT,
+    "reference" TEXT,
+    "bankReference" TEXT,
+    "counterparty" TEXT,
+    "counterpartyAccount" TEXT,
+    "fingerprint" TEXT NOT NULL,
+    "status" "BankStatementLineStatus" NOT NULL DEFAULT 'UNMATCHED',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "bank_statement_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bank_accounts_accountId_key" ON "bank_accounts"("accountId");
+
+-- CreateIndex
+CREATE INDEX "bank_accounts_companyId_idx" ON "bank_accounts"("companyId");
+
+-- CreateIndex
+CREATE INDEX "bank_statements_bankAccountId_idx" ON "bank_statements"("bankAccountId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "bank_statement_lines_bankAccountId_fingerprint_key" ON "bank_statement_lines"("bankAccountId", "fingerprint");
+
+-- CreateIndex
+CREATE INDEX "bank_statement_lines_bankAccountId_transactionDate_idx" ON "bank_statement_lines"("bankAccountId", "transactionDate");
+
+-- AddForeignKey
+ALTER TABLE "bank_accounts" ADD CONSTRAINT "bank_accounts_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_accounts" ADD CONSTRAINT "bank_accounts_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "accounts"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_statements" ADD CONSTRAINT "bank_statements_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_statements" ADD CONSTRAINT "bank_statements_bankAccountId_fkey" FOREIGN KEY ("bankAccountId") REFERENCES "bank_accounts"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_statements" ADD CONSTRAINT "bank_statements_importedById_fkey" FOREIGN KEY ("importedById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_statement_lines" ADD CONSTRAINT "bank_statement_lines_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_statement_lines" ADD CONSTRAINT "bank_statement_lines_bankAccountId_fkey" FOREIGN KEY ("bankAccountId") REFERENCES "bank_accounts"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_statement_lines" ADD CONSTRAINT "bank_statement_lines_statementId_fkey" FOREIGN KEY ("statementId") REFERENCES "bank_statements"("id") ON DELETE CASCADE ON UPDATE CASCADE;
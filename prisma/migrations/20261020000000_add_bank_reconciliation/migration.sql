@@ -0,0 +1,87 @@
+-- CreateEnum
+CREATE TYPE "BankMatchType" AS ENUM ('AUTO', 'MANUAL', 'RULE', 'CREATED');
+
+-- CreateEnum
+CREATE TYPE "BankRuleDirection" AS ENUM ('IN', 'OUT');
+
+-- AlterTable
+ALTER TABLE "payments" ADD COLUMN     "bankAccountId" TEXT;
+
+-- AlterTable
+ALTER TABLE "bank_statement_lines" ADD COLUMN     "matchedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "bank_matches" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "statementLineId" TEXT NOT NULL,
+    "journalLineItemId" TEXT NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "matchType" "BankMatchType" NOT NULL,
+    "ruleId" TEXT,
+    "matchedById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "unmatchedAt" TIMESTAMP(3),
+    "unmatchedById" TEXT,
+
+    CONSTRAINT "bank_matches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "bank_rules" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "bankAccountId" TEXT,
+    "name" TEXT NOT NULL,
+    "priority" INTEGER NOT NULL DEFAULT 100,
+    "descriptionContains" TEXT,
+    "referenceContains" TEXT,
+    "counterpartyContains" TEXT,
+    "direction" "BankRuleDirection",
+    "amountMin" DOUBLE PRECISION,
+    "amountMax" DOUBLE PRECISION,
+    "accountId" TEXT NOT NULL,
+    "entryDescription" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "bank_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "bank_matches_statementLineId_idx" ON "bank_matches"("statementLineId");
+
+-- CreateIndex
+CREATE INDEX "bank_matches_journalLineItemId_idx" ON "bank_matches"("journalLineItemId");
+
+-- CreateIndex
+CREATE INDEX "bank_rules_companyId_priority_idx" ON "bank_rules"("companyId", "priority");
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_bankAccountId_fkey" FOREIGN KEY ("bankAccountId") REFERENCES "bank_accounts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_matches" ADD CONSTRAINT "bank_matches_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_matches" ADD CONSTRAINT "bank_matches_statementLineId_fkey" FOREIGN KEY ("statementLineId") REFERENCES "bank_statement_lines"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_matches" ADD CONSTRAINT "bank_matches_journalLineItemId_fkey" FOREIGN KEY ("journalLineItemId") REFERENCES "journal_line_items"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_matches" ADD CONSTRAINT "bank_matches_matchedById_fkey" FOREIGN KEY ("matchedById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_rules" ADD CONSTRAINT "bank_rules_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_rules" ADD CONSTRAINT "bank_rules_bankAccountId_fkey" FOREIGN KEY ("bankAccountId") REFERENCES "bank_accounts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_rules" ADD CONSTRAINT "bank_rules_accountId_fkey" FOREIGN KEY ("accountId") REFERENCES "accounts"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bank_rules" ADD CONSTRAINT "bank_rules_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,79 @@
+-- CreateEnum
+CREATE TYPE "PaymentRunStatus" AS ENUM ('DRAFT', 'APPROVED', 'CANCELLED');
+
+-- AlterTable
+ALTER TABLE "suppliers" ADD COLUMN     "bankName" TEXT,
+ADD COLUMN     "bankAccount" TEXT,
+ADD COLUMN     "iban" TEXT,
+ADD COLUMN     "bic" TEXT,
+ADD COLUMN     "earlyPaymentDiscountPercent" DOUBLE PRECISION,
+ADD COLUMN     "earlyPaymentDiscountDays" INTEGER;
+
+-- CreateTable
+CREATE TABLE "payment_runs" (
+    "id" TEXT NOT NULL,
+    "runNumber" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "bankAccountId" TEXT NOT NULL,
+    "paymentDate" TIMESTAMP(3) NOT NULL,
+    "currency" TEXT NOT NULL,
+    "status" "PaymentRunStatus" NOT NULL DEFAULT 'DRAFT',
+    "totalAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "discountAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "notes" TEXT,
+    "createdById" TEXT NOT NULL,
+    "approvedById" TEXT,
+    "approvedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "payment_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "payment_run_items" (
+    "id" TEXT NOT NULL,
+    "paymentRunId" TEXT NOT NULL,
+    "billId" TEXT NOT NULL,
+    "supplierId" TEXT NOT NULL,
+    "payAmount" DOUBLE PRECISION NOT NULL,
+    "discountAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "paymentId" TEXT,
+    "debitNoteId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "payment_run_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payment_runs_companyId_runNumber_key" ON "payment_runs"("companyId", "runNumber");
+
+-- CreateIndex
+CREATE INDEX "payment_run_items_billId_idx" ON "payment_run_items"("billId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payment_run_items_paymentRunId_billId_key" ON "payment_run_items"("paymentRunId", "billId");
+
+-- AddForeignKey
+ALTER TABLE "payment_runs" ADD CONSTRAINT "payment_runs_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_runs" ADD CONSTRAINT "payment_runs_bankAccountId_fkey" FOREIGN KEY ("bankAccountId") REFERENCES "bank_accounts"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_runs" ADD CONSTRAINT "payment_runs_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_runs" ADD CONSTRAINT "payment_runs_approvedById_fkey" FOREIGN KEY ("approvedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_run_items" ADD CONSTRAINT "payment_run_items_paymentRunId_fkey" FOREIGN KEY ("paymentRunId") REFERENCES "payment_runs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_run_items" ADD CONSTRAINT "payment_run_items_billId_fkey" FOREIGN KEY ("billId") REFERENCES "bills"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_run_items" ADD CONSTRAINT "payment_run_items_supplierId_fkey" FOREIGN KEY ("supplierId") REFERENCES "suppliers"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "payment_run_items" ADD CONSTRAINT "payment_run_items_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "payments"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,84 @@
+-- CreateEnum
+CREATE TYPE "LateFeeType" AS ENUM ('NONE', 'FIXED', 'PERCENT');
+
+-- CreateEnum
+CREATE TYPE "LateFeeMode" AS ENUM ('INVOICE_LINE', 'SEPARATE_INVOICE');
+
+-- AlterTable
+ALTER TABLE "invoices" ADD COLUMN     "dunningLevel" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lastDunnedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "dunning_levels" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "level" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "daysOverdue" INTEGER NOT NULL,
+    "subject" TEXT,
+    "message" TEXT,
+    "lateFeeType" "LateFeeType" NOT NULL DEFAULT 'NONE',
+    "lateFeeValue" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "lateFeeMode" "LateFeeMode" NOT NULL DEFAULT 'INVOICE_LINE',
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdById" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "dunning_levels_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "dunning_notices" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "invoiceId" TEXT NOT NULL,
+    "dunningLevelId" TEXT NOT NULL,
+    "level" INTEGER NOT NULL,
+    "daysOverdue" INTEGER NOT NULL,
+    "balanceAmount" DOUBLE PRECISION NOT NULL,
+    "lateFeeAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "lateFeeInvoiceId" TEXT,
+    "emailMessageId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "dunning_notices_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "dunning_levels_companyId_level_key" ON "dunning_levels"("companyId", "level");
+
+-- CreateIndex
+CREATE INDEX "dunning_notices_customerId_idx" ON "dunning_notices"("customerId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "dunning_notices_invoiceId_level_key" ON "dunning_notices"("invoiceId", "level");
+
+-- AddForeignKey
+ALTER TABLE "dunning_levels" ADD CONSTRAINT "dunning_levels_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "dunning_levels" ADD CONSTRAINT "dunning_levels_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "dunning_notices" ADD CONSTRAINT "dunning_notices_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "dunning_notices" ADD CONSTRAINT "dunning_notices_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "customers"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "dunning_notices" ADD CONSTRAINT "dunning_notices_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "invoices"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "dunning_notices" ADD CONSTRAINT "dunning_notices_dunningLevelId_fkey" FOREIGN KEY ("dunningLevelId") REFERENCES "dunning_levels"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "dunning_notices" ADD CONSTRAINT "dunning_notices_lateFeeInvoiceId_fkey" FOREIGN KEY ("lateFeeInvoiceId") REFERENCES "invoices"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Map late fee income to Other Income for existing companies
+INSERT INTO "account_mappings" ("id", "mappingKey", "accountId", "companyId", "updatedAt")
+SELECT gen_random_uuid()::text, 'LATE_FEE_INCOME', a."id", a."companyId", CURRENT_TIMESTAMP
+FROM "accounts" a
+WHERE a."accountCode" = '4200'
+ON CONFLICT ("companyId", "mappingKey") DO NOTHING;
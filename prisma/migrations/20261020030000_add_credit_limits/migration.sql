@@ -0,0 +1,21 @@
+-- CreateEnum
+CREATE TYPE "CreditLimitAction" AS ENUM ('BLOCK', 'HOLD');
+
+-- AlterTable
+ALTER TABLE "companies" ADD COLUMN     "creditLimitAction" "CreditLimitAction" NOT NULL DEFAULT 'BLOCK';
+
+-- AlterTable
+ALTER TABLE "invoices" ADD COLUMN     "creditHold" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "creditApprovedById" TEXT,
+ADD COLUMN     "creditApprovedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "sales_orders" ADD COLUMN     "creditHold" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "creditApprovedById" TEXT,
+ADD COLUMN     "creditApprovedAt" TIMESTAMP(3);
+
+-- AddForeignKey
+ALTER TABLE "invoices" ADD CONSTRAINT "invoices_creditApprovedById_fkey" FOREIGN KEY ("creditApprovedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "sales_orders" ADD CONSTRAINT "sales_orders_creditApprovedById_fkey" FOREIGN KEY ("creditApprovedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,39 @@
+-- CreateEnum
+CREATE TYPE "NumberResetPeriod" AS ENUM ('NEVER', 'FISCAL_YEAR', 'MONTHLY');
+
+-- CreateTable
+CREATE TABLE "number_series" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "documentType" TEXT NOT NULL,
+    "pattern" TEXT NOT NULL,
+    "resetPeriod" "NumberResetPeriod" NOT NULL DEFAULT 'MONTHLY',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "number_series_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "number_sequences" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "documentType" TEXT NOT NULL,
+    "periodKey" TEXT NOT NULL,
+    "lastValue" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "number_sequences_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "number_series_companyId_documentType_key" ON "number_series"("companyId", "documentType");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "number_sequences_companyId_documentType_periodKey_key" ON "number_sequences"("companyId", "documentType", "periodKey");
+
+-- AddForeignKey
+ALTER TABLE "number_series" ADD CONSTRAINT "number_series_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "number_sequences" ADD CONSTRAINT "number_sequences_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
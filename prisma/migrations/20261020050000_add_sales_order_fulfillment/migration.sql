@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "sales_order_items" ADD COLUMN     "deliveredQuantity" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "invoicedQuantity" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "delivery_challan_items" ADD COLUMN     "salesOrderItemId" TEXT;
+
+-- AlterTable
+ALTER TABLE "invoice_items" ADD COLUMN     "salesOrderItemId" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "delivery_challan_items" ADD CONSTRAINT "delivery_challan_items_salesOrderItemId_fkey" FOREIGN KEY ("salesOrderItemId") REFERENCES "sales_order_items"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "invoice_items" ADD CONSTRAINT "invoice_items_salesOrderItemId_fkey" FOREIGN KEY ("salesOrderItemId") REFERENCES "sales_order_items"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: challans and invoices raised from an order before now always
+-- covered the whole order
+UPDATE "sales_order_items" SET "deliveredQuantity" = "quantity"
+WHERE "orderId" IN (SELECT "salesOrderId" FROM "delivery_challans" WHERE "salesOrderId" IS NOT NULL);
+
+UPDATE "sales_order_items" SET "invoicedQuantity" = "quantity"
+WHERE "orderId" IN (SELECT "salesOrderId" FROM "invoices" WHERE "salesOrderId" IS NOT NULL);
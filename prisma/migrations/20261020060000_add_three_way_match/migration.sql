@@ -0,0 +1,53 @@
+-- CreateEnum
+CREATE TYPE "BillMatchStatus" AS ENUM ('NOT_REQUIRED', 'MATCHED', 'EXCEPTION', 'OVERRIDDEN');
+
+-- AlterTable
+ALTER TABLE "companies" ADD COLUMN     "matchPriceTolerance" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "matchQuantityTolerance" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "bills" ADD COLUMN     "matchStatus" "BillMatchStatus" NOT NULL DEFAULT 'NOT_REQUIRED',
+ADD COLUMN     "matchDiscrepancies" JSONB,
+ADD COLUMN     "matchCheckedAt" TIMESTAMP(3),
+ADD COLUMN     "matchApprovedById" TEXT,
+ADD COLUMN     "matchApprovedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "bill_items" ADD COLUMN     "purchaseOrderItemId" TEXT,
+ADD COLUMN     "goodsReceiptItemId" TEXT;
+
+-- AlterTable
+ALTER TABLE "purchase_order_items" ADD COLUMN     "receivedQuantity" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "billedQuantity" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "goods_receipt_items" ADD COLUMN     "purchaseOrderItemId" TEXT,
+ADD COLUMN     "unitPrice" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "taxRate" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "taxAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "discountAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "totalAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "billedQuantity" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AddForeignKey
+ALTER TABLE "bills" ADD CONSTRAINT "bills_matchApprovedById_fkey" FOREIGN KEY ("matchApprovedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bill_items" ADD CONSTRAINT "bill_items_purchaseOrderItemId_fkey" FOREIGN KEY ("purchaseOrderItemId") REFERENCES "purchase_order_items"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "bill_items" ADD CONSTRAINT "bill_items_goodsReceiptItemId_fkey" FOREIGN KEY ("goodsReceiptItemId") REFERENCES "goods_receipt_items"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "goods_receipt_items" ADD CONSTRAINT "goods_receipt_items_purchaseOrderItemId_fkey" FOREIGN KEY ("purchaseOrderItemId") REFERENCES "purchase_order_items"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: receipts and bills raised from an order before now always
+-- covered the whole order; bills were tied to it only by their notes
+UPDATE "purchase_order_items" SET "receivedQuantity" = "quantity"
+WHERE "orderId" IN (SELECT "purchaseOrderId" FROM "goods_receipts" WHERE "purchaseOrderId" IS NOT NULL);
+
+UPDATE "purchase_order_items" SET "billedQuantity" = "quantity"
+WHERE "orderId" IN (
+  SELECT po."id" FROM "purchase_orders" po
+  JOIN "bills" b ON b."companyId" = po."companyId" AND b."notes" LIKE 'Purchase Order: ' || po."orderNumber" || E'\n%'
+);
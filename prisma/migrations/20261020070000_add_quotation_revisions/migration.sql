@@ -0,0 +1,49 @@
+-- AlterTable
+ALTER TABLE "sales_quotations" ADD COLUMN     "revision" INTEGER NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "purchase_quotations" ADD COLUMN     "revision" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "sales_quotation_revisions" (
+    "id" TEXT NOT NULL,
+    "quotationId" TEXT NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "snapshot" JSONB NOT NULL,
+    "reason" TEXT,
+    "revisedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "sales_quotation_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "purchase_quotation_revisions" (
+    "id" TEXT NOT NULL,
+    "quotationId" TEXT NOT NULL,
+    "revision" INTEGER NOT NULL,
+    "snapshot" JSONB NOT NULL,
+    "reason" TEXT,
+    "revisedById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "purchase_quotation_revisions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sales_quotation_revisions_quotationId_revision_key" ON "sales_quotation_revisions"("quotationId", "revision");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "purchase_quotation_revisions_quotationId_revision_key" ON "purchase_quotation_revisions"("quotationId", "revision");
+
+-- AddForeignKey
+ALTER TABLE "sales_quotation_revisions" ADD CONSTRAINT "sales_quotation_revisions_quotationId_fkey" FOREIGN KEY ("quotationId") REFERENCES "sales_quotations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "sales_quotation_revisions" ADD CONSTRAINT "sales_quotation_revisions_revisedById_fkey" FOREIGN KEY ("revisedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_quotation_revisions" ADD CONSTRAINT "purchase_quotation_revisions_quotationId_fkey" FOREIGN KEY ("quotationId") REFERENCES "purchase_quotations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "purchase_quotation_revisions" ADD CONSTRAINT "purchase_quotation_revisions_revisedById_fkey" FOREIGN KEY ("revisedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
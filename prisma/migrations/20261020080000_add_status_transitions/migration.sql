@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "status_transitions" (
+    "id" TEXT NOT NULL,
+    "companyId" TEXT NOT NULL,
+    "documentType" TEXT NOT NULL,
+    "documentId" TEXT NOT NULL,
+    "fromStatus" TEXT NOT NULL,
+    "toStatus" TEXT NOT NULL,
+    "reason" TEXT,
+    "userId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "status_transitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "status_transitions_documentType_documentId_idx" ON "status_transitions"("documentType", "documentId");
+
+-- AddForeignKey
+ALTER TABLE "status_transitions" ADD CONSTRAINT "status_transitions_companyId_fkey" FOREIGN KEY ("companyId") REFERENCES "companies"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "status_transitions" ADD CONSTRAINT "status_transitions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
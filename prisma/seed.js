@@ -8,8 +8,24 @@ async function main() {
 
   // Clean existing data (in correct order to avoid FK constraints)
   console.log('🧹 Cleaning existing data...');
+  await prisma.statusTransition.deleteMany();
+  await prisma.paymentRun.deleteMany();
+  await prisma.dunningNotice.deleteMany();
+  await prisma.dunningLevel.deleteMany();
+  await prisma.bankStatement.deleteMany();
+  await prisma.bankRule.deleteMany();
+  await prisma.bankAccount.deleteMany();
+  await prisma.fxRevaluation.deleteMany();
+  await prisma.exchangeRate.deleteMany();
+  await prisma.currency.deleteMany();
+  await prisma.recurringTemplate.deleteMany();
+  await prisma.accountingPeriod.deleteMany();
+  await prisma.emailMessage.deleteMany();
+  await prisma.ledgerEntry.deleteMany();
   await prisma.journalLineItem.deleteMany();
   await prisma.journalEntry.deleteMany();
+  await prisma.creditNote.deleteMany();
+  await prisma.debitNote.deleteMany();
   await prisma.payment.deleteMany();
   await prisma.expense.deleteMany();
   await prisma.invoiceItem.deleteMany();
@@ -19,6 +35,9 @@ async function main() {
   await prisma.product.deleteMany();
   await prisma.customer.deleteMany();
   await prisma.supplier.deleteMany();
+  await prisma.accountMapping.deleteMany();
+  await prisma.numberSequence.deleteMany();
+  await prisma.numberSeries.deleteMany();
   await prisma.account.deleteMany();
   await prisma.user.deleteMany();
   await prisma.company.deleteMany();
@@ -543,6 +562,24 @@ async function main() {
   }
   console.log(`✓ Created ${5} journal entries\n`);
 
+  // Create Dunning Levels
+  console.log('⏰ Creating dunning levels...');
+  const dunningLevels = [
+    { level: 1, name: 'Friendly reminder', daysOverdue: 7 },
+    { level: 2, name: 'Second notice', daysOverdue: 30, lateFeeType: 'FIXED', lateFeeValue: 25 },
+    { level: 3, name: 'Final notice', daysOverdue: 60, lateFeeType: 'PERCENT', lateFeeValue: 2 }
+  ];
+  for (const dunningLevel of dunningLevels) {
+    await prisma.dunningLevel.create({
+      data: {
+        ...dunningLevel,
+        companyId: company1.id,
+        createdById: companyAdmin1.id
+      }
+    });
+  }
+  console.log(`✓ Created ${dunningLevels.length} dunning levels\n`);
+
   console.log('✅ Database seeding completed successfully!\n');
   console.log('📊 Summary:');
   console.log(`   - Companies: 2`);
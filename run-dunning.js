@@ -0,0 +1,57 @@
+/**
+ * Mark overdue invoices and send the dunning reminders that are due
+ *
+ * Usage: node run-dunning.js [--date=YYYY-MM-DD] [--company=<companyId>] [--dry-run]
+ * Safe to run repeatedly (e.g. from cron); each level is sent once per
+ * invoice. Reminders are queued in the email outbox and delivered by the
+ * server's outbox worker.
+ */
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { processDunning } = require('./src/utils/dunning');
+
+const prisma = new PrismaClient();
+
+const args = Object.fromEntries(
+  process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => arg.slice(2).split('='))
+);
+
+async function main() {
+  const asOf = args.date ? new Date(args.date) : new Date();
+  const dryRun = 'dry-run' in args;
+
+  if (isNaN(asOf.getTime())) {
+    throw new Error(`Invalid --date: ${args.date}`);
+  }
+
+  console.log(`⏰ Running dunning as of ${asOf.toISOString()}${dryRun ? ' (dry run)' : ''}...`);
+
+  const summary = await processDunning(prisma, { asOf, companyId: args.company, dryRun });
+
+  if (!dryRun) {
+    console.log(`   ${summary.markedOverdue} invoice(s) marked overdue`);
+  }
+
+  summary.notices.forEach(notice => {
+    const outcome = notice.status === 'FAILED' ? `✗ ${notice.error}` : `✓ ${notice.status}`;
+    const fee = notice.lateFee > 0 ? `, late fee ${notice.lateFee}` : '';
+    console.log(`   ${notice.invoiceNumber} (${notice.customerName}, ${notice.daysOverdue} days): level ${notice.level}${fee} ${outcome}`);
+  });
+
+  console.log(dryRun
+    ? `\n${summary.notices.length} reminder(s) would be sent`
+    : `\n${summary.sent} reminder(s) sent, ${summary.failed} failed`);
+
+  if (summary.failed > 0) process.exitCode = 1;
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Error running dunning:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,42 @@
+/**
+ * Move open sales and purchase quotations past their valid until date to expired
+ *
+ * Usage: node run-quotation-expiry.js [--date=YYYY-MM-DD] [--company=<companyId>]
+ * Safe to run repeatedly (e.g. from cron); only draft and sent quotations
+ * are expired.
+ */
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { expireQuotations } = require('./src/utils/quotations');
+
+const prisma = new PrismaClient();
+
+const args = Object.fromEntries(
+  process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => arg.slice(2).split('='))
+);
+
+async function main() {
+  const asOf = args.date ? new Date(args.date) : new Date();
+
+  if (isNaN(asOf.getTime())) {
+    throw new Error(`Invalid --date: ${args.date}`);
+  }
+
+  console.log(`⏰ Expiring quotations as of ${asOf.toISOString()}...`);
+
+  const summary = await expireQuotations(prisma, { asOf, companyId: args.company });
+
+  console.log(`   ${summary.salesQuotations} sales quotation(s) expired`);
+  console.log(`   ${summary.purchaseQuotations} purchase quotation(s) expired`);
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Error expiring quotations:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
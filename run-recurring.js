@@ -0,0 +1,47 @@
+/**
+ * Generate due recurring journal entries and invoices
+ *
+ * Usage: node run-recurring.js [--date=YYYY-MM-DD] [--company=<companyId>]
+ * Safe to run repeatedly (e.g. from cron); each occurrence is generated once.
+ */
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { processRecurringTemplates } = require('./src/utils/recurring');
+
+const prisma = new PrismaClient();
+
+const args = Object.fromEntries(
+  process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => arg.slice(2).split('='))
+);
+
+async function main() {
+  const asOf = args.date ? new Date(args.date) : new Date();
+
+  if (isNaN(asOf.getTime())) {
+    throw new Error(`Invalid --date: ${args.date}`);
+  }
+
+  console.log(`🔁 Running recurring templates due by ${asOf.toISOString()}...`);
+
+  const summary = await processRecurringTemplates(prisma, { asOf, companyId: args.company });
+
+  summary.runs.forEach(run => {
+    const outcome = run.status === 'SUCCESS' ? `✓ ${run.documentNumber}` : `✗ ${run.error}`;
+    console.log(`   ${run.templateName} (${run.scheduledDate.toISOString().split('T')[0]}): ${outcome}`);
+  });
+
+  console.log(`\n${summary.generated} document(s) generated, ${summary.failed} failed`);
+
+  if (summary.failed > 0) process.exitCode = 1;
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Error running recurring templates:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,53 @@
+/**
+ * Email statements of account to all customers with a balance
+ *
+ * Usage: node run-statements.js [--from=YYYY-MM-DD] [--to=YYYY-MM-DD] [--company=<companyId>] [--dry-run]
+ * The period defaults to the current month. Statements are queued in the
+ * email outbox and delivered by the server's outbox worker.
+ */
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { processCustomerStatements } = require('./src/utils/statementRuns');
+
+const prisma = new PrismaClient();
+
+const args = Object.fromEntries(
+  process.argv.slice(2)
+    .filter(arg => arg.startsWith('--'))
+    .map(arg => arg.slice(2).split('='))
+);
+
+async function main() {
+  const dryRun = 'dry-run' in args;
+
+  console.log(`📄 Generating customer statements${dryRun ? ' (dry run)' : ''}...`);
+
+  const summary = await processCustomerStatements(prisma, {
+    companyId: args.company,
+    from: args.from,
+    to: args.to,
+    dryRun
+  });
+
+  console.log(`   Period: ${summary.from.toISOString().split('T')[0]} to ${summary.to.toISOString().split('T')[0]}`);
+
+  summary.statements.forEach(statement => {
+    const outcome = statement.status === 'FAILED'
+      ? `✗ ${statement.error}`
+      : `${statement.status === 'SKIPPED' ? '-' : '✓'} ${statement.currency} ${statement.closingBalance.toFixed(2)}${statement.reason ? ` (${statement.reason})` : ''}`;
+    console.log(`   ${statement.customerName}: ${outcome}`);
+  });
+
+  console.log(`\n${summary.queued} statement(s) queued, ${summary.skipped} skipped, ${summary.failed} failed`);
+
+  if (summary.failed > 0) process.exitCode = 1;
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Error generating statements:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -75,6 +75,18 @@ const salesRoutes = require('./src/routes/sales');
 const purchasesRoutes = require('./src/routes/purchases');
 const ledgerRoutes = require('./src/routes/ledger');
 const dashboardRoutes = require('./src/routes/dashboard');
+const emailsRoutes = require('./src/routes/emails');
+const accountingPeriodsRoutes = require('./src/routes/accountingPeriods');
+const recurringRoutes = require('./src/routes/recurring');
+const currenciesRoutes = require('./src/routes/currencies');
+const fxRevaluationsRoutes = require('./src/routes/fxRevaluations');
+const creditNotesRoutes = require('./src/routes/creditNotes');
+const debitNotesRoutes = require('./src/routes/debitNotes');
+const bankAccountsRoutes = require('./src/routes/bankAccounts');
+const paymentRunsRoutes = require('./src/routes/paymentRuns');
+const dunningRoutes = require('./src/routes/dunning');
+const numberSeriesRoutes = require('./src/routes/numberSeries');
+const documentLifecyclesRoutes = require('./src/routes/documentLifecycles');
 
 // Import middleware
 const { errorHandler, notFoundHandler } = require('./src/middleware/errorHandler');
@@ -124,6 +136,18 @@ app.use('/api/v1/sales', salesRoutes);
 app.use('/api/v1/purchases', purchasesRoutes);
 app.use('/api/v1/ledger', ledgerRoutes);
 app.use('/api/v1/dashboard', dashboardRoutes);
+app.use('/api/v1/emails', emailsRoutes);
+app.use('/api/v1/accounting-periods', accountingPeriodsRoutes);
+app.use('/api/v1/recurring-templates', recurringRoutes);
+app.use('/api/v1/currencies', currenciesRoutes);
+app.use('/api/v1/fx-revaluations', fxRevaluationsRoutes);
+app.use('/api/v1/credit-notes', creditNotesRoutes);
+app.use('/api/v1/debit-notes', debitNotesRoutes);
+app.use('/api/v1/bank-accounts', bankAccountsRoutes);
+app.use('/api/v1/payment-runs', paymentRunsRoutes);
+app.use('/api/v1/dunning', dunningRoutes);
+app.use('/api/v1/number-series', numberSeriesRoutes);
+app.use('/api/v1/document-lifecycles', documentLifecyclesRoutes);
 
 // User roles endpoint (protected)
 app.get('/api/v1/user-roles', authMiddleware, (req, res) => {
@@ -239,6 +263,32 @@ process.on('SIGINT', async () => {
   process.exit(0);
 });
 
+// Background email delivery (retries queued and failed messages)
+const { startOutboxWorker } = require('./src/utils/emailOutbox');
+startOutboxWorker(prisma, parseInt(process.env.EMAIL_OUTBOX_INTERVAL_MS || '60000'));
+
+// Reverse accruals flagged with an auto-reverse date
+const { startAutoReversalWorker } = require('./src/utils/posting');
+startAutoReversalWorker(prisma, parseInt(process.env.AUTO_REVERSAL_INTERVAL_MS || '3600000'));
+
+// Generate due recurring journal entries and invoices (also available as `npm run recurring`)
+if (process.env.RECURRING_SCHEDULER !== 'off') {
+  const { startRecurringScheduler } = require('./src/utils/recurring');
+  startRecurringScheduler(prisma, parseInt(process.env.RECURRING_INTERVAL_MS || '3600000'));
+}
+
+// Mark overdue invoices and send dunning reminders (also available as `npm run dunning`)
+if (process.env.DUNNING_SCHEDULER !== 'off') {
+  const { startDunningScheduler } = require('./src/utils/dunning');
+  startDunningScheduler(prisma, parseInt(process.env.DUNNING_INTERVAL_MS || '3600000'));
+}
+
+// Expire open quotations past their validity (also available as `npm run expire-quotations`)
+if (process.env.QUOTATION_EXPIRY_SCHEDULER !== 'off') {
+  const { startQuotationExpiryScheduler } = require('./src/utils/quotations');
+  startQuotationExpiryScheduler(prisma, parseInt(process.env.QUOTATION_EXPIRY_INTERVAL_MS || '3600000'));
+}
+
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`
@@ -0,0 +1,298 @@
+const { PrismaClient } = require('@prisma/client');
+const { v4: uuidv4 } = require('uuid');
+const {
+  successResponse,
+  errorResponse
+} = require('../utils/helpers');
+const { resolveAccounts } = require('../utils/accountMapping');
+const { postJournalEntry } = require('../utils/posting');
+const {
+  getFiscalYearRange,
+  generateFiscalYearPeriods
+} = require('../utils/periods');
+
+const prisma = new PrismaClient();
+
+const PERIOD_STATUSES = ['OPEN', 'SOFT_CLOSED', 'HARD_CLOSED'];
+
+/**
+ * List accounting periods
+ * GET /api/v1/accounting-periods
+ */
+const listPeriods = async (req, res) => {
+  try {
+    const { status, startDate, endDate } = req.query;
+
+    const where = { companyId: req.user.companyId };
+    if (status) where.status = status;
+    if (startDate && endDate) {
+      where.startDate = {
+        gte: new Date(startDate),
+        lte: new Date(endDate)
+      };
+    }
+
+    const periods = await prisma.accountingPeriod.findMany({
+      where,
+      orderBy: { startDate: 'asc' },
+      include: {
+        closedBy: {
+          select: { id: true, name: true, email: true }
+        }
+      }
+    });
+
+    res.json(successResponse(periods));
+  } catch (error) {
+    console.error('List accounting periods error:', error);
+    res.status(500).json(errorResponse('Failed to fetch accounting periods', error));
+  }
+};
+
+/**
+ * Create a custom accounting period
+ * POST /api/v1/accounting-periods
+ */
+const createPeriod = async (req, res) => {
+  try {
+    const { name, startDate, endDate } = req.body;
+
+    if (!name || !startDate || !endDate) {
+      return res.status(400).json(errorResponse('Name, start date and end date are required'));
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    if (end < start) {
+      return res.status(400).json(errorResponse('End date must be after start date'));
+    }
+
+    const overlapping = await prisma.accountingPeriod.findFirst({
+      where: {
+        companyId: req.user.companyId,
+        startDate: { lte: end },
+        endDate: { gte: start }
+      }
+    });
+
+    if (overlapping) {
+      return res.status(409).json(errorResponse(`Period overlaps existing period ${overlapping.name}`));
+    }
+
+    const period = await prisma.accountingPeriod.create({
+      data: {
+        id: uuidv4(),
+        companyId: req.user.companyId,
+        name,
+        startDate: start,
+        endDate: end
+      }
+    });
+
+    res.status(201).json(successResponse(period, 'Accounting period created successfully'));
+  } catch (error) {
+    console.error('Create accounting period error:', error);
+    res.status(500).json(errorResponse('Failed to create accounting period', error));
+  }
+};
+
+/**
+ * Generate monthly periods for the fiscal year containing a date
+ * POST /api/v1/accounting-periods/generate
+ */
+const generatePeriods = async (req, res) => {
+  try {
+    const { date = new Date() } = req.body;
+
+    const company = await prisma.company.findUnique({
+      where: { id: req.user.companyId }
+    });
+
+    const fiscalYear = getFiscalYearRange(date, company.fiscalYearStart);
+    const periods = await generateFiscalYearPeriods(prisma, company.id, fiscalYear);
+
+    res.status(201).json(successResponse({ fiscalYear, periods }, `Periods generated for fiscal year ${fiscalYear.name}`));
+  } catch (error) {
+    console.error('Generate accounting periods error:', error);
+    res.status(500).json(errorResponse('Failed to generate accounting periods', error));
+  }
+};
+
+/**
+ * Change period status (open, soft-close, hard-close)
+ * PATCH /api/v1/accounting-periods/:id/status
+ */
+const updatePeriodStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!PERIOD_STATUSES.includes(status)) {
+      return res.status(400).json(errorResponse(`Invalid status. Must be one of: ${PERIOD_STATUSES.join(', ')}`));
+    }
+
+    const period = await prisma.accountingPeriod.findFirst({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!period) {
+      return res.status(404).json(errorResponse('Accounting period not found'));
+    }
+
+    // Reopening a hard-closed period changes reported figures
+    if (period.status === 'HARD_CLOSED' && status !== 'HARD_CLOSED' && req.user.role !== 'SUPERADMIN') {
+      return res.status(403).json(errorResponse('Only a super admin can reopen a hard-closed period'));
+    }
+
+    const updated = await prisma.accountingPeriod.update({
+      where: { id: period.id },
+      data: {
+        status,
+        closedAt: status === 'OPEN' ? null : new Date(),
+        closedById: status === 'OPEN' ? null : req.user.id
+      }
+    });
+
+    res.json(successResponse(updated, `Accounting period ${updated.name} is now ${status}`));
+  } catch (error) {
+    console.error('Update accounting period error:', error);
+    res.status(500).json(errorResponse('Failed to update accounting period', error));
+  }
+};
+
+/**
+ * Year-end close: move the fiscal year's REVENUE and EXPENSE balances
+ * into retained earnings and optionally hard-close the year's periods
+ * POST /api/v1/accounting-periods/year-end-close
+ */
+const closeFiscalYear = async (req, res) => {
+  try {
+    const { date, lockPeriods = true } = req.body;
+
+    if (!date) {
+      return res.status(400).json(errorResponse('A date within the fiscal year to close is required'));
+    }
+
+    const company = await prisma.company.findUnique({
+      where: { id: req.user.companyId }
+    });
+
+    const fiscalYear = getFiscalYearRange(date, company.fiscalYearStart);
+
+    const result = await prisma.$transaction(async (tx) => {
+      const existingClose = await tx.journalEntry.findFirst({
+        where: {
+          companyId: company.id,
+          status: 'POSTED',
+          referenceType: 'year_end_close',
+          referenceId: fiscalYear.name
+        }
+      });
+
+      if (existingClose) {
+        throw new Error(`Fiscal year ${fiscalYear.name} is already closed (${existingClose.journalNumber})`);
+      }
+
+      const journalEntry = await createClosingEntries(tx, company.id, fiscalYear, req.user.id);
+
+      let periods = [];
+      if (lockPeriods) {
+        await generateFiscalYearPeriods(tx, company.id, fiscalYear);
+        await tx.accountingPeriod.updateMany({
+          where: {
+            companyId: company.id,
+            startDate: { gte: fiscalYear.startDate, lte: fiscalYear.endDate }
+          },
+          data: {
+            status: 'HARD_CLOSED',
+            closedAt: new Date(),
+            closedById: req.user.id
+          }
+        });
+        periods = await tx.accountingPeriod.findMany({
+          where: {
+            companyId: company.id,
+            startDate: { gte: fiscalYear.startDate, lte: fiscalYear.endDate }
+          },
+          orderBy: { startDate: 'asc' }
+        });
+      }
+
+      return { fiscalYear, journalEntry, periods };
+    });
+
+    res.json(successResponse(result, `Fiscal year ${fiscalYear.name} closed successfully`));
+  } catch (error) {
+    console.error('Year-end close error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to close fiscal year', error));
+  }
+};
+
+// Helper function to create the closing journal for a fiscal year
+async function createClosingEntries(tx, companyId, fiscalYear, userId) {
+  const { RETAINED_EARNINGS: retainedEarnings } = await resolveAccounts(tx, companyId, ['RETAINED_EARNINGS']);
+
+  const totals = await tx.journalLineItem.groupBy({
+    by: ['accountId'],
+    where: {
+      account: {
+        companyId,
+        accountType: { in: ['REVENUE', 'EXPENSE'] }
+      },
+      journalEntry: {
+        status: 'POSTED',
+        entryDate: { gte: fiscalYear.startDate, lte: fiscalYear.endDate }
+      }
+    },
+    _sum: { debitAmount: true, creditAmount: true }
+  });
+
+  const accounts = await tx.account.findMany({
+    where: { id: { in: totals.map(total => total.accountId) } }
+  });
+  const accountMap = new Map(accounts.map(account => [account.id, account]));
+
+  // Reverse each account's net (debit-positive) movement for the year
+  let netDebit = 0;
+  const lines = totals.map(total => {
+    const net = (total._sum.debitAmount || 0) - (total._sum.creditAmount || 0);
+    netDebit += net;
+
+    return {
+      account: accountMap.get(total.accountId),
+      debitAmount: net < 0 ? -net : 0,
+      creditAmount: net > 0 ? net : 0,
+      description: `Close ${fiscalYear.name}`
+    };
+  }).filter(line => line.debitAmount !== 0 || line.creditAmount !== 0);
+
+  if (lines.length === 0) {
+    throw new Error(`No revenue or expense activity to close for fiscal year ${fiscalYear.name}`);
+  }
+
+  // A loss (net debit) reduces retained earnings, a profit increases it
+  lines.push({
+    account: retainedEarnings,
+    debitAmount: netDebit > 0 ? netDebit : 0,
+    creditAmount: netDebit < 0 ? -netDebit : 0,
+    description: `Net ${netDebit > 0 ? 'loss' : 'income'} for ${fiscalYear.name}`
+  });
+
+  return postJournalEntry(tx, {
+    companyId,
+    entryDate: fiscalYear.endDate,
+    description: `Year-end close ${fiscalYear.name}`,
+    createdById: userId,
+    referenceType: 'year_end_close',
+    referenceId: fiscalYear.name,
+    lines
+  });
+}
+
+module.exports = {
+  listPeriods,
+  createPeriod,
+  generatePeriods,
+  updatePeriodStatus,
+  closeFiscalYear
+};
@@ -7,6 +7,11 @@ const {
   paginatedResponse,
   cleanObject
 } = require('../utils/helpers');
+const {
+  ACCOUNT_MAPPINGS,
+  validateMappingAccount,
+  seedDefaultMappings
+} = require('../utils/accountMapping');
 
 const prisma = new PrismaClient();
 
@@ -38,7 +43,7 @@ const listAccounts = async (req, res) => {
 // Create account
 const createAccount = async (req, res) => {
   try {
-    const { accountCode, accountName, accountType, parentId, description } = req.body;
+    const { accountCode, accountName, accountType, parentId, description, currency } = req.body;
 
     if (!accountCode || !accountName || !accountType) {
       return res.status(400).json(errorResponse('Required fields missing'));
@@ -64,6 +69,7 @@ const createAccount = async (req, res) => {
         accountType,
         parentId,
         description,
+        currency: currency ? currency.toUpperCase() : null,
         companyId: req.user.companyId,
         balance: 0,
         isActive: true
@@ -138,6 +144,14 @@ const deleteAccount = async (req, res) => {
       return res.status(400).json(errorResponse('Cannot delete account with transactions'));
     }
 
+    const mappingCount = await prisma.accountMapping.count({
+      where: { accountId: req.params.id }
+    });
+
+    if (mappingCount > 0) {
+      return res.status(400).json(errorResponse('Cannot delete account used by posting rules'));
+    }
+
     await prisma.account.update({
       where: { id: req.params.id },
       data: { isActive: false }
@@ -234,6 +248,83 @@ const getTrialBalance = async (req, res) => {
   }
 };
 
+// Get posting rule account mappings
+const getAccountMappings = async (req, res) => {
+  try {
+    const mappings = await prisma.accountMapping.findMany({
+      where: { companyId: req.user.companyId },
+      include: {
+        account: {
+          select: { id: true, accountCode: true, accountName: true, accountType: true }
+        }
+      }
+    });
+
+    const byKey = new Map(mappings.map(mapping => [mapping.mappingKey, mapping]));
+
+    const result = Object.entries(ACCOUNT_MAPPINGS).map(([mappingKey, definition]) => ({
+      mappingKey,
+      label: definition.label,
+      allowedAccountTypes: definition.accountTypes,
+      account: byKey.has(mappingKey) ? byKey.get(mappingKey).account : null
+    }));
+
+    res.json(successResponse(result));
+  } catch (error) {
+    console.error('Get account mappings error:', error);
+    res.status(500).json(errorResponse('Failed to fetch account mappings', error));
+  }
+};
+
+// Update posting rule account mappings
+// Body: { mappings: { ACCOUNTS_RECEIVABLE: accountId, ... } } or { reset: true }
+const updateAccountMappings = async (req, res) => {
+  try {
+    const companyId = req.user.companyId;
+    const { mappings = {}, reset = false } = req.body;
+
+    if (reset) {
+      await prisma.accountMapping.deleteMany({ where: { companyId } });
+      await seedDefaultMappings(prisma, companyId);
+      return getAccountMappings(req, res);
+    }
+
+    const entries = Object.entries(mappings);
+    if (entries.length === 0) {
+      return res.status(400).json(errorResponse('No mappings provided'));
+    }
+
+    const accounts = await prisma.account.findMany({
+      where: {
+        companyId,
+        isActive: true,
+        id: { in: entries.map(([, accountId]) => accountId) }
+      }
+    });
+    const accountMap = new Map(accounts.map(account => [account.id, account]));
+
+    for (const [mappingKey, accountId] of entries) {
+      const error = validateMappingAccount(mappingKey, accountMap.get(accountId));
+      if (error) {
+        return res.status(400).json(errorResponse(error));
+      }
+    }
+
+    await prisma.$transaction(entries.map(([mappingKey, accountId]) =>
+      prisma.accountMapping.upsert({
+        where: { companyId_mappingKey: { companyId, mappingKey } },
+        update: { accountId },
+        create: { id: uuidv4(), mappingKey, accountId, companyId }
+      })
+    ));
+
+    return getAccountMappings(req, res);
+  } catch (error) {
+    console.error('Update account mappings error:', error);
+    res.status(500).json(errorResponse('Failed to update account mappings', error));
+  }
+};
+
 // Helper function to build account tree
 function buildAccountTree(accounts) {
   const accountMap = {};
@@ -263,5 +354,7 @@ module.exports = {
   updateAccount,
   deleteAccount,
   getAccountLedger,
-  getTrialBalance
+  getTrialBalance,
+  getAccountMappings,
+  updateAccountMappings
 };
\ No newline at end of file
@@ -13,6 +13,7 @@ const {
   clearFailedLoginAttempts,
   isAccountLocked
 } = require('../middleware/rateLimiter');
+const { sendUnstoredEmail } = require('../utils/emailOutbox');
 
 const prisma = new PrismaClient();
 
@@ -509,7 +510,6 @@ const forgotPassword = async (req, res) => {
     }
 
     // Always return success to prevent email enumeration
-    // In production, send email with reset link
     res.json({
       success: true,
       message: 'If an account exists with this email, a password reset link has been sent'
@@ -528,13 +528,19 @@ const forgotPassword = async (req, res) => {
         { expiresIn: '1h' }
       );
 
-      // In production, send email with reset link
-      console.log(`Password reset token for ${email}: ${resetToken}`);
-      // await sendPasswordResetEmail(user.email, resetToken);
+      const resetUrl = `${process.env.APP_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`;
+
+      // The link is as good as the password, so it stays out of the outbox
+      await sendUnstoredEmail({
+        template: 'password_reset',
+        context: { user, resetUrl },
+        to: user.email
+      });
     }
   } catch (error) {
     console.error('Forgot password error:', error);
-    // Don't expose errors to prevent information leakage
+    // Don't expose errors to prevent information leakage. Mail errors come after the response went out.
+    if (res.headersSent) return;
     res.json({
       success: true,
       message: 'If an account exists with this email, a password reset link has been sent'
@@ -0,0 +1,562 @@
+const { PrismaClient } = require('@prisma/client');
+const { v4: uuidv4 } = require('uuid');
+const fs = require('fs');
+const {
+  successResponse,
+  errorResponse,
+  paginate,
+  paginatedResponse,
+  cleanObject
+} = require('../utils/helpers');
+const {
+  STATEMENT_FORMATS,
+  detectStatementFormat,
+  parseStatement,
+  fingerprintLines
+} = require('../utils/bankStatements');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const prisma = new PrismaClient();
+
+const ACCOUNT_SELECT = {
+  id: true,
+  accountCode: true,
+  accountName: true,
+  currency: true,
+  balance: true
+};
+
+/**
+ * List bank accounts
+ * GET /api/v1/bank-accounts
+ */
+const listBankAccounts = async (req, res) => {
+  try {
+    const { isActive } = req.query;
+
+    const where = { companyId: req.user.companyId };
+    if (isActive !== undefined) where.isActive = isActive === 'true';
+
+    const bankAccounts = await prisma.bankAccount.findMany({
+      where,
+      orderBy: { name: 'asc' },
+      include: {
+        account: { select: ACCOUNT_SELECT },
+        _count: {
+          select: { statements: true }
+        }
+      }
+    });
+
+    res.json(successResponse(bankAccounts));
+  } catch (error) {
+    console.error('List bank accounts error:', error);
+    res.status(500).json(errorResponse('Failed to fetch bank accounts', error));
+  }
+};
+
+/**
+ * Create a bank account linked to an asset account in the chart of accounts
+ * POST /api/v1/bank-accounts
+ */
+const createBankAccount = async (req, res) => {
+  try {
+    const { name, bankName, accountNumber, iban, bic, accountId, csvMapping } = req.body;
+
+    if (!name || !accountId) {
+      return res.status(400).json(errorResponse('Name and GL account are required'));
+    }
+
+    const account = await prisma.account.findFirst({
+      where: { id: accountId, companyId: req.user.companyId },
+      include: { bankAccount: true }
+    });
+
+    if (!account) {
+      return res.status(404).json(errorResponse('GL account not found'));
+    }
+
+    if (account.accountType !== 'ASSET' || !account.isActive) {
+      return res.status(400).json(errorResponse('A bank account must be linked to an active asset account'));
+    }
+
+    if (account.bankAccount) {
+      return res.status(409).json(errorResponse(`GL account ${account.accountCode} is already linked to bank account ${account.bankAccount.name}`));
+    }
+
+    const bankAccount = await prisma.bankAccount.create({
+      data: {
+        id: uuidv4(),
+        companyId: req.user.companyId,
+        name,
+        bankName,
+        accountNumber,
+        iban: iban ? iban.replace(/\s+/g, '').toUpperCase() : undefined,
+        bic,
+        accountId,
+        csvMapping
+      },
+      include: {
+        account: { select: ACCOUNT_SELECT }
+      }
+    });
+
+    res.status(201).json(successResponse(bankAccount, 'Bank account created successfully'));
+  } catch (error) {
+    console.error('Create bank account error:', error);
+    res.status(500).json(errorResponse('Failed to create bank account', error));
+  }
+};
+
+/**
+ * Get bank account with its latest statements
+ * GET /api/v1/bank-accounts/:id
+ */
+const getBankAccountById = async (req, res) => {
+  try {
+    const bankAccount = await prisma.bankAccount.findFirst({
+      where: { id: req.params.id, companyId: req.user.companyId },
+      include: {
+        account: { select: ACCOUNT_SELECT },
+        statements: {
+          orderBy: { createdAt: 'desc' },
+          take: 5
+        }
+      }
+    });
+
+    if (!bankAccount) {
+      return res.status(404).json(errorResponse('Bank account not found'));
+    }
+
+    const [lineCounts, lastStatement] = await Promise.all([
+      prisma.bankStatementLine.groupBy({
+        by: ['status'],
+        where: { bankAccountId: bankAccount.id },
+        _count: { _all: true }
+      }),
+      prisma.bankStatement.findFirst({
+        where: { bankAccountId: bankAccount.id, closingBalance: { not: null } },
+        orderBy: [{ periodEnd: 'desc' }, { createdAt: 'desc' }]
+      })
+    ]);
+
+    const lines = {};
+    lineCounts.forEach(count => { lines[count.status] = count._count._all; });
+
+    res.json(successResponse({
+      ...bankAccount,
+      lines,
+      statementBalance: lastStatement ? lastStatement.closingBalance : null,
+      statementBalanceDate: lastStatement ? lastStatement.periodEnd : null
+    }));
+  } catch (error) {
+    console.error('Get bank account error:', error);
+    res.status(500).json(errorResponse('Failed to fetch bank account', error));
+  }
+};
+
+/**
+ * Update bank account details (the GL account link cannot change)
+ * PUT /api/v1/bank-accounts/:id
+ */
+const updateBankAccount = async (req, res) => {
+  try {
+    const existing = await prisma.bankAccount.findFirst({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!existing) {
+      return res.status(404).json(errorResponse('Bank account not found'));
+    }
+
+    const { name, bankName, accountNumber, iban, bic, csvMapping, isActive } = req.body;
+
+    const bankAccount = await prisma.bankAccount.update({
+      where: { id: existing.id },
+      data: cleanObject({
+        name,
+        bankName,
+        accountNumber,
+        iban: iban ? iban.replace(/\s+/g, '').toUpperCase() : undefined,
+        bic,
+        csvMapping,
+        isActive
+      }),
+      include: {
+        account: { select: ACCOUNT_SELECT }
+      }
+    });
+
+    res.json(successResponse(bankAccount, 'Bank account updated successfully'));
+  } catch (error) {
+    console.error('Update bank account error:', error);
+    res.status(500).json(errorResponse('Failed to update bank account', error));
+  }
+};
+
+/**
+ * Deactivate bank account (statements are kept)
+ * DELETE /api/v1/bank-accounts/:id
+ */
+const deleteBankAccount = async (req, res) => {
+  try {
+    const existing = await prisma.bankAccount.findFirst({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!existing) {
+      return res.status(404).json(errorResponse('Bank account not found'));
+    }
+
+    await prisma.bankAccount.update({
+      where: { id: existing.id },
+      data: { isActive: false }
+    });
+
+    res.json(successResponse(null, 'Bank account deactivated successfully'));
+  } catch (error) {
+    console.error('Delete bank account error:', error);
+    res.status(500).json(errorResponse('Failed to deactivate bank account', error));
+  }
+};
+
+/**
+ * Import a bank statement file (CSV, OFX/QFX, CAMT.053 or MT940).
+ * The format is detected from the file unless given. CSV imports take
+ * mapping (JSON of line field -> column header), dateFormat,
+ * decimalSeparator and delimiter; the mapping is saved on the bank account
+ * for next time. Lines already imported for this account are skipped.
+ * POST /api/v1/bank-accounts/:id/statements/import
+ */
+const importStatement = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json(errorResponse('Statement file is required'));
+    }
+
+    const content = fs.readFileSync(req.file.path, 'utf8');
+    fs.unlinkSync(req.file.path);
+
+    const bankAccount = await prisma.bankAccount.findFirst({
+      where: { id: req.params.id, companyId: req.user.companyId },
+      include: {
+        account: true,
+        company: { select: { baseCurrency: true } }
+      }
+    });
+
+    if (!bankAccount) {
+      throw new NotFoundError('Bank account not found');
+    }
+
+    if (!bankAccount.isActive) {
+      throw new ValidationError('Bank account is inactive');
+    }
+
+    const format = normalizeFormat(req.body.format) || detectStatementFormat(content);
+
+    let mapping = req.body.mapping || bankAccount.csvMapping || undefined;
+    if (typeof mapping === 'string') {
+      try {
+        mapping = JSON.parse(mapping);
+      } catch (parseError) {
+        throw new ValidationError('mapping must be a JSON object of field to column header');
+      }
+    }
+
+    const parsed = await parseStatement(content, format, {
+      mapping,
+      dateFormat: req.body.dateFormat,
+      decimalSeparator: req.body.decimalSeparator,
+      delimiter: req.body.delimiter
+    });
+
+    const accountCurrency = bankAccount.account.currency || bankAccount.company.baseCurrency;
+    if (parsed.currency && parsed.currency.toUpperCase() !== accountCurrency) {
+      throw new ValidationError(`Statement is in ${parsed.currency} but ${bankAccount.name} is a ${accountCurrency} account`);
+    }
+
+    if (!isSameBankAccount(parsed.accountNumber, bankAccount)) {
+      throw new ValidationError(`Statement is for account ${parsed.accountNumber}, not ${bankAccount.name}`);
+    }
+
+    if (parsed.lines.length === 0) {
+      throw new ValidationError('No transactions found in the statement');
+    }
+
+    const lines = fingerprintLines(parsed.lines);
+
+    const existing = await prisma.bankStatementLine.findMany({
+      where: {
+        bankAccountId: bankAccount.id,
+        fingerprint: { in: lines.map(line => line.fingerprint) }
+      },
+      select: { fingerprint: true }
+    });
+    const imported = new Set(existing.map(line => line.fingerprint));
+    const newLines = lines.filter(line => !imported.has(line.fingerprint));
+    const duplicates = lines.filter(line => imported.has(line.fingerprint));
+
+    if (format === 'CSV' && req.body.mapping) {
+      await prisma.bankAccount.update({
+        where: { id: bankAccount.id },
+        data: { csvMapping: mapping }
+      });
+    }
+
+    if (newLines.length === 0) {
+      return res.json(successResponse({
+        statement: null,
+        imported: 0,
+        duplicates: duplicates.length,
+        failed: parsed.errors.length,
+        errors: parsed.errors.slice(0, 10)
+      }, `Nothing imported. All ${duplicates.length} lines were already imported.`));
+    }
+
+    const dates = newLines.map(line => line.transactionDate.getTime());
+
+    const statement = await prisma.$transaction(async (tx) => {
+      const created = await tx.bankStatement.create({
+        data: {
+          id: uuidv4(),
+          companyId: req.user.companyId,
+          bankAccountId: bankAccount.id,
+          format,
+          fileName: req.file.originalname,
+          statementNumber: parsed.statementNumber,
+          periodStart: parsed.periodStart || new Date(Math.min(...dates)),
+          periodEnd: parsed.periodEnd || new Date(Math.max(...dates)),
+          openingBalance: parsed.openingBalance,
+          closingBalance: parsed.closingBalance,
+          importedById: req.user.id
+        }
+      });
+
+      // skipDuplicates covers lines imported by a concurrent upload
+      const result = await tx.bankStatementLine.createMany({
+        data: newLines.map(line => ({
+          id: uuidv4(),
+          companyId: req.user.companyId,
+          bankAccountId: bankAccount.id,
+          statementId: created.id,
+          ...line
+        })),
+        skipDuplicates: true
+      });
+
+      return tx.bankStatement.update({
+        where: { id: created.id },
+        data: {
+          lineCount: result.count,
+          duplicateCount: lines.length - result.count
+        }
+      });
+    });
+
+    res.status(201).json(successResponse({
+      statement,
+      imported: statement.lineCount,
+      duplicates: statement.duplicateCount,
+      failed: parsed.errors.length,
+      errors: parsed.errors.slice(0, 10) // Return first 10 errors
+    }, `Statement imported. ${statement.lineCount} lines imported, ${statement.duplicateCount} duplicates skipped.`));
+  } catch (error) {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    console.error('Import bank statement error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to import bank statement', error));
+  }
+};
+
+/**
+ * List imported statements
+ * GET /api/v1/bank-accounts/:id/statements
+ */
+const listStatements = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const { skip, take } = paginate(page, limit);
+
+    const where = { bankAccountId: req.params.id, companyId: req.user.companyId };
+
+    const [statements, total] = await Promise.all([
+      prisma.bankStatement.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { createdAt: 'desc' },
+        include: {
+          importedBy: {
+            select: { id: true, name: true, email: true }
+          }
+        }
+      }),
+      prisma.bankStatement.count({ where })
+    ]);
+
+    res.json(paginatedResponse(statements, total, page, limit));
+  } catch (error) {
+    console.error('List bank statements error:', error);
+    res.status(500).json(errorResponse('Failed to fetch bank statements', error));
+  }
+};
+
+/**
+ * Get statement with its lines
+ * GET /api/v1/bank-accounts/:id/statements/:statementId
+ */
+const getStatementById = async (req, res) => {
+  try {
+    const statement = await prisma.bankStatement.findFirst({
+      where: {
+        id: req.params.statementId,
+        bankAccountId: req.params.id,
+        companyId: req.user.companyId
+      },
+      include: {
+        importedBy: {
+          select: { id: true, name: true, email: true }
+        },
+        lines: {
+          orderBy: [{ transactionDate: 'asc' }, { createdAt: 'asc' }]
+        }
+      }
+    });
+
+    if (!statement) {
+      return res.status(404).json(errorResponse('Bank statement not found'));
+    }
+
+    res.json(successResponse(statement));
+  } catch (error) {
+    console.error('Get bank statement error:', error);
+    res.status(500).json(errorResponse('Failed to fetch bank statement', error));
+  }
+};
+
+/**
+ * Delete an imported statement and its lines, e.g. to re-import with a
+ * different mapping. Not allowed once any line has been matched.
+ * DELETE /api/v1/bank-accounts/:id/statements/:statementId
+ */
+const deleteStatement = async (req, res) => {
+  try {
+    const statement = await prisma.bankStatement.findFirst({
+      where: {
+        id: req.params.statementId,
+        bankAccountId: req.params.id,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!statement) {
+      return res.status(404).json(errorResponse('Bank statement not found'));
+    }
+
+    const matched = await prisma.bankStatementLine.count({
+      where: {
+        statementId: statement.id,
+        OR: [{ status: { not: 'UNMATCHED' } }, { matchedAmount: { not: 0 } }]
+      }
+    });
+
+    if (matched > 0) {
+      return res.status(400).json(errorResponse(`Cannot delete statement: ${matched} of its lines are matched or ignored`));
+    }
+
+    await prisma.bankStatement.delete({
+      where: { id: statement.id }
+    });
+
+    res.json(successResponse(null, 'Bank statement deleted successfully'));
+  } catch (error) {
+    console.error('Delete bank statement error:', error);
+    res.status(500).json(errorResponse('Failed to delete bank statement', error));
+  }
+};
+
+/**
+ * List statement lines across statements
+ * GET /api/v1/bank-accounts/:id/lines
+ */
+const listStatementLines = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status, from, to, search } = req.query;
+    const { skip, take } = paginate(page, limit);
+
+    const where = { bankAccountId: req.params.id, companyId: req.user.companyId };
+    if (status) where.status = status;
+    if (from || to) {
+      where.transactionDate = {};
+      if (from) where.transactionDate.gte = new Date(from);
+      if (to) where.transactionDate.lte = new Date(to);
+    }
+    if (search) {
+      where.OR = [
+        { description: { contains: search, mode: 'insensitive' } },
+        { reference: { contains: search, mode: 'insensitive' } },
+        { counterparty: { contains: search, mode: 'insensitive' } }
+      ];
+    }
+
+    const [lines, total] = await Promise.all([
+      prisma.bankStatementLine.findMany({
+        where,
+        skip,
+        take,
+        orderBy: [{ transactionDate: 'desc' }, { createdAt: 'desc' }]
+      }),
+      prisma.bankStatementLine.count({ where })
+    ]);
+
+    res.json(paginatedResponse(lines, total, page, limit));
+  } catch (error) {
+    console.error('List bank statement lines error:', error);
+    res.status(500).json(errorResponse('Failed to fetch bank statement lines', error));
+  }
+};
+
+// Helper function to accept format names as users write them (qfx, camt.053, mt940)
+function normalizeFormat(format) {
+  if (!format) return null;
+
+  const code = String(format).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const normalized = code === 'QFX' ? 'OFX' : code === 'CAMT' ? 'CAMT053' : code;
+
+  if (!STATEMENT_FORMATS.includes(normalized)) {
+    throw new ValidationError(`Format must be one of: ${STATEMENT_FORMATS.join(', ')}`);
+  }
+
+  return normalized;
+}
+
+// Helper function to check the statement's account id against the bank account.
+// Banks often mask or shorten the number, so a suffix match is accepted.
+function isSameBankAccount(statementAccount, bankAccount) {
+  const known = [bankAccount.iban, bankAccount.accountNumber]
+    .filter(Boolean)
+    .map(number => number.replace(/[^A-Za-z0-9]/g, '').toUpperCase());
+
+  if (!statementAccount || known.length === 0) return true;
+
+  const number = statementAccount.split('/').pop().replace(/[^A-Za-z0-9]/g, '').toUpperCase();
+  if (!number) return true;
+
+  return known.some(value => value === number || value.endsWith(number) || number.endsWith(value));
+}
+
+module.exports = {
+  listBankAccounts,
+  createBankAccount,
+  getBankAccountById,
+  updateBankAccount,
+  deleteBankAccount,
+  importStatement,
+  listStatements,
+  getStatementById,
+  deleteStatement,
+  listStatementLines
+};
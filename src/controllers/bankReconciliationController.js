@@ -0,0 +1,717 @@
+const { PrismaClient } = require('@prisma/client');
+const { v4: uuidv4 } = require('uuid');
+const { successResponse, errorResponse } = require('../utils/helpers');
+const { assertPeriodsOpenForUser } = require('../utils/periods');
+const { AMOUNT_TOLERANCE, resolveDocumentCurrency, roundAmount } = require('../utils/currency');
+const { createOnAccountPayment } = require('../utils/payments');
+const {
+  loadBookLines,
+  proposeMatches,
+  rankCandidates,
+  findMatchingRule,
+  matchStatementLine,
+  unmatchStatementLine,
+  postStatementLineEntry,
+  buildReconciliationReport
+} = require('../utils/bankReconciliation');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const prisma = new PrismaClient();
+
+const RULE_DIRECTIONS = ['IN', 'OUT'];
+
+/**
+ * List bank rules
+ * GET /api/v1/bank-accounts/rules
+ */
+const listRules = async (req, res) => {
+  try {
+    const { bankAccountId, isActive } = req.query;
+
+    const where = { companyId: req.user.companyId };
+    if (bankAccountId) where.OR = [{ bankAccountId }, { bankAccountId: null }];
+    if (isActive !== undefined) where.isActive = isActive === 'true';
+
+    const rules = await prisma.bankRule.findMany({
+      where,
+      orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }],
+      include: {
+        account: { select: { id: true, accountCode: true, accountName: true } },
+        bankAccount: { select: { id: true, name: true } }
+      }
+    });
+
+    res.json(successResponse(rules));
+  } catch (error) {
+    console.error('List bank rules error:', error);
+    res.status(500).json(errorResponse('Failed to fetch bank rules', error));
+  }
+};
+
+/**
+ * Create a bank rule, e.g. description contains "STRIPE FEE" goes to Bank Charges
+ * POST /api/v1/bank-accounts/rules
+ */
+const createRule = async (req, res) => {
+  try {
+    const data = await validateRule(req.user.companyId, req.body);
+
+    if (!data.name || !data.accountId) {
+      throw new ValidationError('Name and account are required');
+    }
+
+    const rule = await prisma.bankRule.create({
+      data: {
+        id: uuidv4(),
+        companyId: req.user.companyId,
+        ...data,
+        createdById: req.user.id
+      }
+    });
+
+    res.status(201).json(successResponse(rule, 'Bank rule created successfully'));
+  } catch (error) {
+    console.error('Create bank rule error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to create bank rule', error));
+  }
+};
+
+/**
+ * Update bank rule
+ * PUT /api/v1/bank-accounts/rules/:ruleId
+ */
+const updateRule = async (req, res) => {
+  try {
+    const existing = await prisma.bankRule.findFirst({
+      where: { id: req.params.ruleId, companyId: req.user.companyId }
+    });
+
+    if (!existing) {
+      return res.status(404).json(errorResponse('Bank rule not found'));
+    }
+
+    const data = await validateRule(req.user.companyId, { ...existing, ...req.body });
+
+    const rule = await prisma.bankRule.update({
+      where: { id: existing.id },
+      data
+    });
+
+    res.json(successResponse(rule, 'Bank rule updated successfully'));
+  } catch (error) {
+    console.error('Update bank rule error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to update bank rule', error));
+  }
+};
+
+/**
+ * Delete bank rule (entries it posted stay)
+ * DELETE /api/v1/bank-accounts/rules/:ruleId
+ */
+const deleteRule = async (req, res) => {
+  try {
+    const existing = await prisma.bankRule.findFirst({
+      where: { id: req.params.ruleId, companyId: req.user.companyId }
+    });
+
+    if (!existing) {
+      return res.status(404).json(errorResponse('Bank rule not found'));
+    }
+
+    await prisma.bankRule.delete({ where: { id: existing.id } });
+
+    res.json(successResponse(null, 'Bank rule deleted successfully'));
+  } catch (error) {
+    console.error('Delete bank rule error:', error);
+    res.status(500).json(errorResponse('Failed to delete bank rule', error));
+  }
+};
+
+/**
+ * Auto-match unmatched statement lines to book entries by amount, date
+ * window and reference, then run bank rules on what is left.
+ * POST /api/v1/bank-accounts/:id/reconciliation/auto-match
+ */
+const autoMatch = async (req, res) => {
+  try {
+    const { dateWindow = 3, from, to, applyRules = true } = req.body;
+    const window = parseInt(dateWindow);
+
+    if (!(window >= 0)) {
+      return res.status(400).json(errorResponse('dateWindow must be zero or more days'));
+    }
+
+    const bankAccount = await findBankAccount(req.params.id, req.user.companyId);
+
+    const where = { bankAccountId: bankAccount.id, status: 'UNMATCHED' };
+    if (from || to) {
+      where.transactionDate = {};
+      if (from) where.transactionDate.gte = new Date(from);
+      if (to) where.transactionDate.lte = new Date(to);
+    }
+
+    const statementLines = await prisma.bankStatementLine.findMany({
+      where,
+      orderBy: { transactionDate: 'asc' }
+    });
+
+    const summary = { matched: 0, ruleMatched: 0, skipped: [], matches: [] };
+
+    if (statementLines.length === 0) {
+      return res.json(successResponse({ ...summary, unmatched: 0 }, 'No unmatched statement lines'));
+    }
+
+    const dates = statementLines.map(line => line.transactionDate.getTime());
+    const bookLines = await loadBookLines(prisma, bankAccount, {
+      from: new Date(Math.min(...dates) - window * 24 * 60 * 60 * 1000),
+      to: new Date(Math.max(...dates) + window * 24 * 60 * 60 * 1000)
+    });
+
+    const done = new Set();
+
+    for (const { statementLine, bookLine, reason } of proposeMatches(statementLines, bookLines, { dateWindow: window })) {
+      try {
+        await prisma.$transaction((tx) => matchStatementLine(tx, statementLine, [{ bookLine, amount: statementLine.amount }], {
+          matchType: 'AUTO',
+          matchedById: req.user.id
+        }));
+
+        done.add(statementLine.id);
+        summary.matched++;
+        summary.matches.push({ statementLineId: statementLine.id, journalNumber: bookLine.journalNumber, source: bookLine.source, reason });
+      } catch (error) {
+        summary.skipped.push({ statementLineId: statementLine.id, error: error.message });
+      }
+    }
+
+    if (applyRules !== false && applyRules !== 'false') {
+      const rules = await prisma.bankRule.findMany({
+        where: {
+          companyId: req.user.companyId,
+          isActive: true,
+          OR: [{ bankAccountId: bankAccount.id }, { bankAccountId: null }]
+        },
+        include: { account: true },
+        orderBy: [{ priority: 'asc' }, { createdAt: 'asc' }]
+      });
+
+      for (const statementLine of statementLines.filter(line => !done.has(line.id) && line.matchedAmount === 0)) {
+        const rule = findMatchingRule(rules, statementLine);
+        if (!rule) continue;
+
+        try {
+          await assertPeriodsOpenForUser(prisma, req.user, statementLine.transactionDate);
+
+          await prisma.$transaction(async (tx) => {
+            const bookLine = await postStatementLineEntry(tx, bankAccount, statementLine, [
+              { account: rule.account, amount: statementLine.amount }
+            ], {
+              entryDate: statementLine.transactionDate,
+              description: rule.entryDescription || statementLine.description || rule.name,
+              createdById: req.user.id
+            });
+
+            return matchStatementLine(tx, statementLine, [{ bookLine, amount: statementLine.amount }], {
+              matchType: 'RULE',
+              ruleId: rule.id,
+              matchedById: req.user.id
+            });
+          });
+
+          done.add(statementLine.id);
+          summary.ruleMatched++;
+          summary.matches.push({ statementLineId: statementLine.id, rule: rule.name, reason: 'rule' });
+        } catch (error) {
+          summary.skipped.push({ statementLineId: statementLine.id, rule: rule.name, error: error.message });
+        }
+      }
+    }
+
+    res.json(successResponse({
+      ...summary,
+      unmatched: statementLines.length - done.size,
+      skipped: summary.skipped.slice(0, 10) // Return first 10 errors
+    }, `Auto-match completed. ${summary.matched} lines matched, ${summary.ruleMatched} posted by rules.`));
+  } catch (error) {
+    console.error('Auto-match bank lines error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to auto-match statement lines', error));
+  }
+};
+
+/**
+ * Book entries a statement line could be matched to, best first
+ * GET /api/v1/bank-accounts/:id/lines/:lineId/candidates
+ */
+const getMatchCandidates = async (req, res) => {
+  try {
+    const dateWindow = parseInt(req.query.dateWindow) || 30;
+
+    const bankAccount = await findBankAccount(req.params.id, req.user.companyId);
+    const statementLine = await findStatementLine(bankAccount, req.params.lineId);
+
+    const windowMs = dateWindow * 24 * 60 * 60 * 1000;
+    const bookLines = await loadBookLines(prisma, bankAccount, {
+      from: new Date(statementLine.transactionDate.getTime() - windowMs),
+      to: new Date(statementLine.transactionDate.getTime() + windowMs)
+    });
+
+    const candidates = rankCandidates(statementLine, bookLines, { dateWindow })
+      .slice(0, 50)
+      .map(({ matches, ...candidate }) => candidate);
+
+    res.json(successResponse({ statementLine, candidates }));
+  } catch (error) {
+    console.error('Get match candidates error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to fetch match candidates', error));
+  }
+};
+
+/**
+ * Match a statement line to one or more book entries. Each match names a
+ * journalLineItemId, paymentId or expenseId; amount defaults to what is
+ * left on both sides.
+ * POST /api/v1/bank-accounts/:id/lines/:lineId/match
+ */
+const matchLine = async (req, res) => {
+  try {
+    const { matches = [] } = req.body;
+
+    if (!Array.isArray(matches) || matches.length === 0) {
+      return res.status(400).json(errorResponse('At least one match is required'));
+    }
+
+    const bankAccount = await findBankAccount(req.params.id, req.user.companyId);
+    const statementLine = await findStatementLine(bankAccount, req.params.lineId);
+
+    const targets = await resolveBookTargets(bankAccount, statementLine, matches);
+
+    const updated = await prisma.$transaction((tx) => matchStatementLine(tx, statementLine, targets, {
+      matchType: 'MANUAL',
+      matchedById: req.user.id
+    }));
+
+    res.json(successResponse(updated, 'Statement line matched successfully'));
+  } catch (error) {
+    console.error('Match bank line error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to match statement line', error));
+  }
+};
+
+/**
+ * Split a statement line over several book entries and/or new postings.
+ * parts: [{ journalLineItemId | paymentId | expenseId | accountId, amount, description }]
+ * must add up to what is left on the line. Parts with accountId are posted
+ * as one journal entry dated entryDate (default: the line's date).
+ * POST /api/v1/bank-accounts/:id/lines/:lineId/split
+ */
+const splitLine = async (req, res) => {
+  try {
+    const { parts = [], description, entryDate } = req.body;
+
+    if (!Array.isArray(parts) || parts.length < 2) {
+      return res.status(400).json(errorResponse('A split needs at least two parts'));
+    }
+
+    if (parts.some(part => !(parseFloat(part.amount) > 0))) {
+      return res.status(400).json(errorResponse('Every part needs a positive amount'));
+    }
+
+    const bankAccount = await findBankAccount(req.params.id, req.user.companyId);
+    const statementLine = await findStatementLine(bankAccount, req.params.lineId);
+
+    const sign = Math.sign(statementLine.amount);
+    const remaining = roundAmount(statementLine.amount - statementLine.matchedAmount);
+    const total = roundAmount(parts.reduce((sum, part) => sum + parseFloat(part.amount), 0));
+
+    if (Math.abs(total - Math.abs(remaining)) >= AMOUNT_TOLERANCE) {
+      return res.status(400).json(errorResponse(`Parts add up to ${total.toFixed(2)} but ${Math.abs(remaining).toFixed(2)} is left on the line`));
+    }
+
+    const postingParts = parts.filter(part => part.accountId);
+    const matchParts = parts.filter(part => !part.accountId);
+    const postingDate = entryDate || statementLine.transactionDate;
+
+    const targets = matchParts.length > 0 ? await resolveBookTargets(bankAccount, statementLine, matchParts) : [];
+    const accounts = await findPostingAccounts(bankAccount, postingParts);
+
+    if (postingParts.length > 0) {
+      await assertPeriodsOpenForUser(prisma, req.user, postingDate);
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      if (postingParts.length > 0) {
+        const entryDescription = description || statementLine.description || 'Bank statement line';
+        const bookLine = await postStatementLineEntry(tx, bankAccount, statementLine, postingParts.map(part => ({
+          account: accounts[part.accountId],
+          amount: sign * parseFloat(part.amount),
+          description: part.description
+        })), {
+          entryDate: postingDate,
+          description: entryDescription,
+          createdById: req.user.id
+        });
+
+        targets.push({ bookLine, amount: bookLine.amount });
+      }
+
+      return matchStatementLine(tx, statementLine, targets, {
+        matchType: 'MANUAL',
+        matchedById: req.user.id
+      });
+    });
+
+    res.json(successResponse(updated, 'Statement line split successfully'));
+  } catch (error) {
+    console.error('Split bank line error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to split statement line', error));
+  }
+};
+
+/**
+ * Create the book entry for a statement line and match it: either a
+ * posting to accountId (bank charges, interest, ...) or, with customerId /
+ * supplierId, a receipt or payment held on account for that party.
+ * POST /api/v1/bank-accounts/:id/lines/:lineId/create
+ */
+const createFromLine = async (req, res) => {
+  try {
+    const { accountId, customerId, supplierId, paymentMethod = 'BANK_TRANSFER', description, entryDate } = req.body;
+
+    if (!accountId && !customerId && !supplierId) {
+      return res.status(400).json(errorResponse('An account, customer or supplier is required'));
+    }
+
+    const bankAccount = await findBankAccount(req.params.id, req.user.companyId);
+    const statementLine = await findStatementLine(bankAccount, req.params.lineId);
+
+    const amount = roundAmount(statementLine.amount - statementLine.matchedAmount);
+    const postingDate = entryDate || statementLine.transactionDate;
+
+    if (Math.abs(amount) < AMOUNT_TOLERANCE) {
+      return res.status(400).json(errorResponse('Statement line is already fully matched'));
+    }
+
+    await assertPeriodsOpenForUser(prisma, req.user, postingDate);
+
+    let updated;
+
+    if (accountId) {
+      const accounts = await findPostingAccounts(bankAccount, [{ accountId }]);
+
+      updated = await prisma.$transaction(async (tx) => {
+        const bookLine = await postStatementLineEntry(tx, bankAccount, statementLine, [
+          { account: accounts[accountId], amount }
+        ], {
+          entryDate: postingDate,
+          description: description || statementLine.description || 'Bank statement line',
+          createdById: req.user.id
+        });
+
+        return matchStatementLine(tx, statementLine, [{ bookLine, amount }], {
+          matchType: 'CREATED',
+          matchedById: req.user.id
+        });
+      });
+    } else {
+      const type = amount > 0 ? 'INCOMING' : 'OUTGOING';
+
+      if (type === 'INCOMING' ? !customerId : !supplierId) {
+        throw new ValidationError(type === 'INCOMING' ? 'Money in is received from a customer' : 'Money out is paid to a supplier');
+      }
+
+      const party = type === 'INCOMING'
+        ? await prisma.customer.findFirst({ where: { id: customerId, companyId: req.user.companyId } })
+        : await prisma.supplier.findFirst({ where: { id: supplierId, companyId: req.user.companyId } });
+
+      if (!party) {
+        throw new NotFoundError(type === 'INCOMING' ? 'Customer not found' : 'Supplier not found');
+      }
+
+      const paymentCurrency = await resolveDocumentCurrency(prisma, req.user.companyId, {
+        currency: bankAccount.account.currency,
+        date: postingDate
+      });
+
+      updated = await prisma.$transaction(async (tx) => {
+        const payment = await createOnAccountPayment(tx, {
+          companyId: req.user.companyId,
+          type,
+          party,
+          amount: Math.abs(amount),
+          paymentDate: postingDate,
+          paymentMethod,
+          bankAccountId: bankAccount.id,
+          referenceNumber: statementLine.reference,
+          notes: description || statementLine.description,
+          ...paymentCurrency,
+          createdById: req.user.id
+        });
+
+        const [bookLine] = await loadBookLines(tx, bankAccount, {
+          where: { journalEntry: { referenceType: 'payment', referenceId: payment.id } }
+        });
+
+        return matchStatementLine(tx, statementLine, [{ bookLine, amount }], {
+          matchType: 'CREATED',
+          matchedById: req.user.id
+        });
+      });
+    }
+
+    res.status(201).json(successResponse(updated, 'Entry created and matched successfully'));
+  } catch (error) {
+    console.error('Create from bank line error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to create entry from statement line', error));
+  }
+};
+
+/**
+ * Ignore a statement line that has no book side (e.g. a bank-side correction)
+ * POST /api/v1/bank-accounts/:id/lines/:lineId/ignore
+ */
+const ignoreLine = async (req, res) => {
+  try {
+    const bankAccount = await findBankAccount(req.params.id, req.user.companyId);
+    const statementLine = await findStatementLine(bankAccount, req.params.lineId);
+
+    const claimed = await prisma.bankStatementLine.updateMany({
+      where: { id: statementLine.id, status: 'UNMATCHED', matchedAmount: 0 },
+      data: { status: 'IGNORED' }
+    });
+
+    if (claimed.count === 0) {
+      return res.status(400).json(errorResponse('Only unmatched statement lines can be ignored'));
+    }
+
+    res.json(successResponse(null, 'Statement line ignored'));
+  } catch (error) {
+    console.error('Ignore bank line error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to ignore statement line', error));
+  }
+};
+
+/**
+ * Remove all matches from a statement line, or stop ignoring it
+ * POST /api/v1/bank-accounts/:id/lines/:lineId/unmatch
+ */
+const unmatchLine = async (req, res) => {
+  try {
+    const bankAccount = await findBankAccount(req.params.id, req.user.companyId);
+    const statementLine = await findStatementLine(bankAccount, req.params.lineId);
+
+    if (statementLine.status === 'UNMATCHED' && statementLine.matchedAmount === 0) {
+      return res.status(400).json(errorResponse('Statement line is not matched'));
+    }
+
+    const updated = await prisma.$transaction((tx) => unmatchStatementLine(tx, statementLine, {
+      unmatchedById: req.user.id
+    }));
+
+    res.json(successResponse(updated, 'Statement line unmatched successfully'));
+  } catch (error) {
+    console.error('Unmatch bank line error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to unmatch statement line', error));
+  }
+};
+
+/**
+ * Reconciliation report: statement vs. book balance and unreconciled items
+ * GET /api/v1/bank-accounts/:id/reconciliation/report
+ */
+const getReconciliationReport = async (req, res) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+
+    if (isNaN(asOf.getTime())) {
+      return res.status(400).json(errorResponse('asOf must be a valid date'));
+    }
+
+    // Include the whole asOf day
+    asOf.setUTCHours(23, 59, 59, 999);
+
+    const bankAccount = await findBankAccount(req.params.id, req.user.companyId);
+    const report = await buildReconciliationReport(prisma, bankAccount, asOf);
+
+    res.json(successResponse({
+      bankAccount: {
+        id: bankAccount.id,
+        name: bankAccount.name,
+        accountCode: bankAccount.account.accountCode,
+        accountName: bankAccount.account.accountName
+      },
+      ...report
+    }));
+  } catch (error) {
+    console.error('Bank reconciliation report error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to generate reconciliation report', error));
+  }
+};
+
+// Helper function to load a company bank account with its GL account
+async function findBankAccount(id, companyId) {
+  const bankAccount = await prisma.bankAccount.findFirst({
+    where: { id, companyId },
+    include: { account: true }
+  });
+
+  if (!bankAccount) {
+    throw new NotFoundError('Bank account not found');
+  }
+
+  return bankAccount;
+}
+
+// Helper function to load a statement line of the bank account
+async function findStatementLine(bankAccount, lineId) {
+  const statementLine = await prisma.bankStatementLine.findFirst({
+    where: { id: lineId, bankAccountId: bankAccount.id }
+  });
+
+  if (!statementLine) {
+    throw new NotFoundError('Statement line not found');
+  }
+
+  return statementLine;
+}
+
+// Helper function to turn [{ journalLineItemId | paymentId | expenseId, amount }]
+// into book lines on this bank account with signed amounts
+async function resolveBookTargets(bankAccount, statementLine, matches) {
+  const sign = Math.sign(statementLine.amount);
+  const conditions = matches.map(match => {
+    if (match.journalLineItemId) return { id: match.journalLineItemId };
+    if (match.paymentId) return { journalEntry: { referenceType: 'payment', referenceId: match.paymentId } };
+    if (match.expenseId) return { journalEntry: { referenceType: 'expense', referenceId: match.expenseId } };
+    throw new ValidationError('Each match needs a journalLineItemId, paymentId or expenseId');
+  });
+
+  const bookLines = await loadBookLines(prisma, bankAccount, { where: { OR: conditions } });
+
+  let left = Math.abs(roundAmount(statementLine.amount - statementLine.matchedAmount));
+
+  return matches.map(match => {
+    const bookLine = bookLines.find(line =>
+      (match.journalLineItemId && line.id === match.journalLineItemId)
+      || (match.paymentId && line.referenceType === 'payment' && line.referenceId === match.paymentId)
+      || (match.expenseId && line.referenceType === 'expense' && line.referenceId === match.expenseId)
+    );
+
+    if (!bookLine) {
+      const label = match.journalLineItemId ? 'Journal line' : match.paymentId ? 'Payment' : 'Expense';
+      throw new NotFoundError(`${label} not found on ${bankAccount.name}`);
+    }
+
+    const amount = match.amount !== undefined
+      ? parseFloat(match.amount)
+      : Math.min(Math.abs(bookLine.remaining), left);
+
+    if (!(amount > 0)) {
+      throw new ValidationError(`Nothing left to match on ${bookLine.journalNumber}`);
+    }
+
+    left = roundAmount(left - amount);
+
+    return { bookLine, amount: sign * amount };
+  });
+}
+
+// Helper function to load the accounts posted to from a statement line
+async function findPostingAccounts(bankAccount, parts) {
+  const ids = [...new Set(parts.map(part => part.accountId))];
+  if (ids.length === 0) return {};
+
+  const accounts = await prisma.account.findMany({
+    where: { id: { in: ids }, companyId: bankAccount.companyId, isActive: true }
+  });
+
+  if (accounts.length !== ids.length) {
+    throw new NotFoundError('Account not found');
+  }
+
+  if (accounts.some(account => account.id === bankAccount.accountId)) {
+    throw new ValidationError('Cannot post a statement line back to the bank account itself');
+  }
+
+  return Object.fromEntries(accounts.map(account => [account.id, account]));
+}
+
+// Helper function to check and normalize rule fields
+async function validateRule(companyId, body) {
+  const {
+    name,
+    priority,
+    bankAccountId,
+    descriptionContains,
+    referenceContains,
+    counterpartyContains,
+    direction,
+    amountMin,
+    amountMax,
+    accountId,
+    entryDescription,
+    isActive
+  } = body;
+
+  if (!descriptionContains && !referenceContains && !counterpartyContains) {
+    throw new ValidationError('A rule needs at least one of descriptionContains, referenceContains or counterpartyContains');
+  }
+
+  if (direction && !RULE_DIRECTIONS.includes(direction)) {
+    throw new ValidationError(`direction must be one of: ${RULE_DIRECTIONS.join(', ')}`);
+  }
+
+  if (accountId) {
+    const account = await prisma.account.findFirst({
+      where: { id: accountId, companyId, isActive: true },
+      include: { bankAccount: true }
+    });
+
+    if (!account) {
+      throw new NotFoundError('Account not found');
+    }
+
+    if (account.bankAccount && (!bankAccountId || account.bankAccount.id === bankAccountId)) {
+      throw new ValidationError('A rule cannot post to the bank account it runs on');
+    }
+  }
+
+  if (bankAccountId) {
+    const bankAccount = await prisma.bankAccount.findFirst({ where: { id: bankAccountId, companyId } });
+    if (!bankAccount) {
+      throw new NotFoundError('Bank account not found');
+    }
+  }
+
+  const toNumber = (value) => (value === null || value === '' ? null : value !== undefined ? parseFloat(value) : undefined);
+
+  // undefined fields are left alone by Prisma; null clears them
+  return {
+    name,
+    priority: priority !== undefined ? parseInt(priority) : undefined,
+    bankAccountId: bankAccountId || null,
+    descriptionContains: descriptionContains || null,
+    referenceContains: referenceContains || null,
+    counterpartyContains: counterpartyContains || null,
+    direction: direction || null,
+    amountMin: toNumber(amountMin),
+    amountMax: toNumber(amountMax),
+    accountId,
+    entryDescription,
+    isActive
+  };
+}
+
+module.exports = {
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  autoMatch,
+  getMatchCandidates,
+  matchLine,
+  splitLine,
+  createFromLine,
+  ignoreLine,
+  unmatchLine,
+  getReconciliationReport
+};
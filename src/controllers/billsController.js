@@ -5,9 +5,30 @@ const {
   errorResponse,
   paginate,
   paginatedResponse,
-  generateInvoiceNumber,
   cleanObject
 } = require('../utils/helpers');
+const { resolveAccounts } = require('../utils/accountMapping');
+const { postJournalEntry } = require('../utils/posting');
+const { assertPeriodsOpenForUser } = require('../utils/periods');
+const { allocateNumber } = require('../utils/numbering');
+const { calculateInvoiceItems } = require('../utils/invoicing');
+const { applyDebitNotesToBill } = require('../utils/debitNotes');
+const {
+  releaseBilledQuantities,
+  refreshPurchaseOrderStatus,
+  ordersForBillItems,
+  matchBill,
+  rematchOrderBills
+} = require('../utils/purchaseOrders');
+const { ConflictError, NotFoundError } = require('../middleware/errorHandler');
+const {
+  AMOUNT_TOLERANCE,
+  roundAmount,
+  toBaseAmount,
+  resolveDocumentCurrency,
+  resolvePaymentCurrency,
+  fxDifferenceLines
+} = require('../utils/currency');
 
 const prisma = new PrismaClient();
 
@@ -39,43 +60,94 @@ const listBills = async (req, res) => {
 
 const createBill = async (req, res) => {
   try {
-    const { supplierId, billDate = new Date(), dueDate, items = [] } = req.body;
+    const {
+      supplierId,
+      billDate = new Date(),
+      dueDate,
+      items = [],
+      notes,
+      status = 'DRAFT',
+      currency,
+      exchangeRate
+    } = req.body;
 
     if (!supplierId || items.length === 0) {
       return res.status(400).json(errorResponse('Supplier and items are required'));
     }
 
+    if (!['DRAFT', 'APPROVED'].includes(status)) {
+      return res.status(400).json(errorResponse('Bills can only be created as DRAFT or APPROVED'));
+    }
+
+    const supplier = await prisma.supplier.findFirst({
+      where: { id: supplierId, companyId: req.user.companyId }
+    });
+
+    if (!supplier) {
+      return res.status(404).json(errorResponse('Supplier not found'));
+    }
+
+    await assertPeriodsOpenForUser(prisma, req.user, billDate);
+
+    const documentCurrency = await resolveDocumentCurrency(prisma, req.user.companyId, {
+      currency,
+      exchangeRate,
+      date: billDate,
+      defaultCurrency: supplier.currency
+    });
+
     let subtotal = 0;
+    let totalTaxAmount = 0;
+    let totalDiscountAmount = 0;
+
     const processedItems = items.map(item => {
-      const total = item.quantity * item.unitPrice;
-      subtotal += total;
-      return { ...item, totalPrice: total };
+      const itemSubtotal = item.quantity * item.unitPrice;
+      const itemDiscountAmount = item.discountAmount || 0;
+      const itemTaxRate = item.taxRate || 0;
+      const itemTaxAmount = ((itemSubtotal - itemDiscountAmount) * itemTaxRate) / 100;
+
+      subtotal += itemSubtotal;
+      totalDiscountAmount += itemDiscountAmount;
+      totalTaxAmount += itemTaxAmount;
+
+      return {
+        productId: item.productId,
+        description: item.description,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        taxRate: itemTaxRate,
+        taxAmount: itemTaxAmount,
+        discountAmount: itemDiscountAmount,
+        totalAmount: itemSubtotal - itemDiscountAmount + itemTaxAmount
+      };
     });
 
-    const totalAmount = subtotal + (req.body.taxAmount || 0) - (req.body.discountAmount || 0);
+    const totalAmount = subtotal - totalDiscountAmount + totalTaxAmount;
 
     const bill = await prisma.$transaction(async (tx) => {
       const newBill = await tx.bill.create({
         data: {
           id: uuidv4(),
-          billNumber: generateInvoiceNumber('BILL'),
+          billNumber: await allocateNumber(tx, req.user.companyId, 'BILL', { date: billDate }),
           supplierId,
           companyId: req.user.companyId,
           billDate: new Date(billDate),
-          dueDate: new Date(dueDate || billDate),
+          dueDate: dueDate
+            ? new Date(dueDate)
+            : new Date(new Date(billDate).getTime() + supplier.creditPeriodDays * 24 * 60 * 60 * 1000),
           subtotal,
+          discountAmount: totalDiscountAmount,
+          taxAmount: totalTaxAmount,
           totalAmount,
-          balanceDue: totalAmount,
+          balanceAmount: totalAmount,
           paidAmount: 0,
+          ...documentCurrency,
           status: 'DRAFT',
+          notes,
           items: {
             create: processedItems.map(item => ({
               id: uuidv4(),
-              productId: item.productId,
-              description: item.description,
-              quantity: item.quantity,
-              unitPrice: item.unitPrice,
-              totalPrice: item.totalPrice
+              ...item
             }))
           }
         },
@@ -92,12 +164,31 @@ const createBill = async (req, res) => {
         }
       }
 
-      return newBill;
+      // A bill created as APPROVED passes the same match as one approved later
+      const matched = await matchBill(tx, newBill.id);
+
+      if (status !== 'APPROVED') {
+        return { ...newBill, matchStatus: matched.matchStatus };
+      }
+
+      if (matched.matchStatus === 'EXCEPTION') {
+        throw new ConflictError('Bill failed the three-way match; create it as a draft and rematch or override it first');
+      }
+
+      const approvedBill = await tx.bill.update({
+        where: { id: newBill.id },
+        data: { status: 'APPROVED' },
+        include: { supplier: true, items: true }
+      });
+
+      await postApprovedBill(tx, approvedBill, req.user);
+
+      return approvedBill;
     });
 
     res.status(201).json(successResponse(bill, 'Bill created successfully'));
   } catch (error) {
-    res.status(500).json(errorResponse('Failed to create bill', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to create bill', error));
   }
 };
 
@@ -121,97 +212,255 @@ const getBillById = async (req, res) => {
 const updateBill = async (req, res) => {
   try {
     const bill = await prisma.bill.findFirst({
-      where: { id: req.params.id, companyId: req.user.companyId }
+      where: { id: req.params.id, companyId: req.user.companyId },
+      include: { items: true }
     });
 
     if (!bill || bill.status !== 'DRAFT') {
       return res.status(400).json(errorResponse('Can only update draft bills'));
     }
 
-    const updated = await prisma.bill.update({
-      where: { id: req.params.id },
-      data: cleanObject(req.body)
+    // Lines billed from purchase orders and receipts are counted and matched there
+    const { items } = req.body;
+    if (items && bill.items.some(item => item.purchaseOrderItemId || item.goodsReceiptItemId)) {
+      return res.status(409).json(errorResponse('Bill lines come from a purchase order; delete the draft and bill the order again to change them'));
+    }
+
+    if (items && items.length === 0) {
+      return res.status(400).json(errorResponse('Bill must have at least one item'));
+    }
+
+    await assertPeriodsOpenForUser(prisma, req.user, bill.billDate, req.body.billDate);
+
+    // Only these fields change here. Amounts follow from the items, the
+    // match result from matching or overriding, status and payments from
+    // their own endpoints.
+    const { billDate, dueDate, notes } = req.body;
+    let updateData = cleanObject({
+      billDate: billDate ? new Date(billDate) : undefined,
+      dueDate: dueDate ? new Date(dueDate) : undefined,
+      notes
+    });
+
+    // Re-resolve the rate when the currency, rate or date changes
+    if (req.body.currency || req.body.exchangeRate || req.body.billDate) {
+      const documentCurrency = await resolveDocumentCurrency(prisma, req.user.companyId, {
+        currency: req.body.currency || bill.currency,
+        exchangeRate: req.body.exchangeRate,
+        date: req.body.billDate || bill.billDate
+      });
+      updateData = { ...updateData, ...documentCurrency };
+    }
+
+    const totals = items ? calculateInvoiceItems(items) : null;
+
+    const updated = await prisma.$transaction(async (tx) => {
+      if (totals) {
+        // Stock was taken in for the old lines when the bill was created
+        for (const item of bill.items) {
+          if (item.productId) {
+            await tx.product.update({
+              where: { id: item.productId },
+              data: { currentStock: { decrement: item.quantity } }
+            });
+          }
+        }
+
+        await tx.billItem.deleteMany({ where: { billId: bill.id } });
+
+        for (const item of totals.items) {
+          if (item.productId) {
+            await tx.product.update({
+              where: { id: item.productId },
+              data: { currentStock: { increment: item.quantity } }
+            });
+          }
+        }
+      }
+
+      await tx.bill.update({
+        where: { id: bill.id },
+        data: {
+          ...updateData,
+          ...(totals && {
+            subtotal: totals.subtotal,
+            discountAmount: totals.discountAmount,
+            taxAmount: totals.taxAmount,
+            totalAmount: totals.totalAmount,
+            balanceAmount: totals.totalAmount,
+            items: {
+              create: totals.items.map(item => ({
+                id: uuidv4(),
+                ...item
+              }))
+            }
+          })
+        }
+      });
+
+      // New amounts have to pass the match again before approval
+      return totals ? matchBill(tx, bill.id) : tx.bill.findUnique({ where: { id: bill.id } });
     });
 
     res.json(successResponse(updated, 'Bill updated successfully'));
   } catch (error) {
-    res.status(500).json(errorResponse('Failed to update bill', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to update bill', error));
   }
 };
 
 const deleteBill = async (req, res) => {
   try {
     const bill = await prisma.bill.findFirst({
-      where: { id: req.params.id, companyId: req.user.companyId }
+      where: { id: req.params.id, companyId: req.user.companyId },
+      include: { items: true }
     });
 
     if (!bill || bill.status !== 'DRAFT') {
       return res.status(400).json(errorResponse('Can only delete draft bills'));
     }
 
-    await prisma.bill.delete({ where: { id: req.params.id } });
+    await assertPeriodsOpenForUser(prisma, req.user, bill.billDate);
+
+    // Quantities billed from purchase orders and receipts go back to being open
+    await prisma.$transaction(async (tx) => {
+      const orderIds = await ordersForBillItems(tx, bill.items);
+      await releaseBilledQuantities(tx, bill.items);
+
+      await tx.bill.delete({ where: { id: req.params.id } });
+
+      for (const orderId of orderIds) {
+        await refreshPurchaseOrderStatus(tx, orderId, { userId: req.user.id });
+      }
+      await rematchOrderBills(tx, orderIds);
+    });
     res.json(successResponse(null, 'Bill deleted successfully'));
   } catch (error) {
-    res.status(500).json(errorResponse('Failed to delete bill', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to delete bill', error));
   }
 };
 
 const approveBill = async (req, res) => {
   try {
-    const bill = await prisma.bill.update({
-      where: { id: req.params.id },
-      data: { status: 'APPROVED', approvedDate: new Date() }
+    const bill = await prisma.$transaction(async (tx) => {
+      const existingBill = await tx.bill.findFirst({
+        where: { id: req.params.id, companyId: req.user.companyId }
+      });
+
+      if (!existingBill) throw new Error('Bill not found');
+      if (existingBill.status !== 'DRAFT') throw new Error('Only draft bills can be approved');
+      if (existingBill.matchStatus === 'EXCEPTION') {
+        throw new ConflictError('Bill failed the three-way match and is held; rematch it or override the match first');
+      }
+
+      await assertPeriodsOpenForUser(tx, req.user, existingBill.billDate);
+
+      const approvedBill = await tx.bill.update({
+        where: { id: existingBill.id },
+        data: { status: 'APPROVED' }
+      });
+
+      await postApprovedBill(tx, approvedBill, req.user);
+
+      return approvedBill;
     });
 
     res.json(successResponse(bill, 'Bill approved successfully'));
   } catch (error) {
-    res.status(500).json(errorResponse('Failed to approve bill', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to approve bill', error));
   }
 };
 
 const recordBillPayment = async (req, res) => {
   try {
-    const { amount, paymentDate = new Date(), paymentMethod } = req.body;
+    const {
+      amount = 0,
+      paymentDate = new Date(),
+      paymentMethod,
+      reference,
+      currency,
+      exchangeRate,
+      debitNotes = []
+    } = req.body;
+
+    // Vendor credits can settle all or part of the bill alongside the payment
+    if (amount < 0 || (!(amount > 0) && debitNotes.length === 0)) {
+      return res.status(400).json(errorResponse('Valid payment amount or debit notes to apply are required'));
+    }
+
+    await assertPeriodsOpenForUser(prisma, req.user, paymentDate);
 
     const result = await prisma.$transaction(async (tx) => {
-      const bill = await tx.bill.findUnique({ where: { id: req.params.id } });
+      const bill = await tx.bill.findFirst({
+        where: { id: req.params.id, companyId: req.user.companyId }
+      });
 
       if (!bill) throw new Error('Bill not found');
-      if (amount > bill.balanceDue) throw new Error('Payment exceeds balance due');
+      if (!['APPROVED', 'PARTIALLY_PAID', 'OVERDUE'].includes(bill.status)) {
+        throw new Error('Only approved bills can be paid');
+      }
+
+      const appliedDebitNotes = await applyDebitNotesToBill(tx, bill, debitNotes, {
+        allocationDate: paymentDate,
+        createdById: req.user.id
+      });
+
+      if (!(amount > 0)) {
+        return { debitNotes: appliedDebitNotes };
+      }
+
+      // Balance after any credits just applied
+      const openBill = await tx.bill.findUnique({ where: { id: bill.id } });
+      if (amount > openBill.balanceAmount) throw new Error('Payment exceeds balance due');
+
+      const paymentCurrency = await resolvePaymentCurrency(tx, req.user.companyId, bill, {
+        currency,
+        exchangeRate,
+        date: paymentDate
+      });
 
       const payment = await tx.payment.create({
         data: {
           id: uuidv4(),
-          paymentNumber: generateInvoiceNumber('PAY'),
+          paymentNumber: await allocateNumber(tx, req.user.companyId, 'PAYMENT', { date: paymentDate }),
+          type: 'OUTGOING',
           amount,
+          ...paymentCurrency,
           paymentDate: new Date(paymentDate),
           paymentMethod,
-          type: 'OUTGOING',
-          billId: bill.id,
+          referenceNumber: reference,
           supplierId: bill.supplierId,
+          billId: bill.id,
           companyId: req.user.companyId,
           createdById: req.user.id
         }
       });
 
-      const newPaidAmount = bill.paidAmount + amount;
-      const newBalanceDue = bill.totalAmount - newPaidAmount;
+      // Balance rather than total - paid, so applied debit notes are kept
+      const newPaidAmount = roundAmount(openBill.paidAmount + amount);
+      const newBalanceDue = roundAmount(openBill.balanceAmount - amount);
 
       await tx.bill.update({
-        where: { id: req.params.id },
+        where: { id: bill.id },
         data: {
           paidAmount: newPaidAmount,
-          balanceDue: newBalanceDue,
-          status: newBalanceDue === 0 ? 'PAID' : 'PARTIALLY_PAID'
+          balanceAmount: Math.max(0, newBalanceDue),
+          status: newBalanceDue <= AMOUNT_TOLERANCE ? 'PAID' : 'PARTIALLY_PAID'
         }
       });
 
-      return payment;
+      await tx.supplier.update({
+        where: { id: bill.supplierId },
+        data: { balance: { decrement: toBaseAmount(amount, bill.exchangeRate) } }
+      });
+
+      await createBillPaymentAccountingEntries(tx, payment, bill, req.user.companyId);
+
+      return { ...payment, debitNotes: appliedDebitNotes };
     });
 
-    res.json(successResponse(result, 'Payment recorded successfully'));
+    res.json(successResponse(result, result.id ? 'Payment recorded successfully' : 'Debit notes applied successfully'));
   } catch (error) {
-    res.status(500).json(errorResponse('Failed to record payment', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to record payment', error));
   }
 };
 
@@ -232,6 +481,214 @@ const getOverdueBills = async (req, res) => {
   }
 };
 
+// Bills whose three-way match found discrepancies: held ones by default,
+// overridden ones with ?status=OVERRIDDEN or both with ?status=ALL
+const getMatchDiscrepancies = async (req, res) => {
+  try {
+    const { supplierId, type, status = 'EXCEPTION' } = req.query;
+
+    const statuses = status === 'ALL' ? ['EXCEPTION', 'OVERRIDDEN'] : [status];
+    if (!statuses.every(value => ['EXCEPTION', 'OVERRIDDEN'].includes(value))) {
+      return res.status(400).json(errorResponse('Status must be EXCEPTION, OVERRIDDEN or ALL'));
+    }
+
+    const where = {
+      companyId: req.user.companyId,
+      matchStatus: { in: statuses },
+      status: { not: 'CANCELLED' }
+    };
+    if (supplierId) where.supplierId = supplierId;
+
+    const bills = await prisma.bill.findMany({
+      where,
+      orderBy: { billDate: 'asc' },
+      include: {
+        supplier: { select: { id: true, name: true } },
+        matchApprovedBy: { select: { id: true, name: true } }
+      }
+    });
+
+    const rows = bills
+      .map(bill => ({
+        id: bill.id,
+        billNumber: bill.billNumber,
+        billDate: bill.billDate,
+        supplier: bill.supplier,
+        status: bill.status,
+        matchStatus: bill.matchStatus,
+        matchCheckedAt: bill.matchCheckedAt,
+        matchApprovedBy: bill.matchApprovedBy,
+        matchApprovedAt: bill.matchApprovedAt,
+        totalAmount: bill.totalAmount,
+        currency: bill.currency,
+        exchangeRate: bill.exchangeRate,
+        discrepancies: (bill.matchDiscrepancies || []).filter(discrepancy => !type || discrepancy.type === type)
+      }))
+      .filter(row => row.discrepancies.length > 0);
+
+    const byType = {};
+    for (const row of rows) {
+      for (const discrepancy of row.discrepancies) {
+        byType[discrepancy.type] = (byType[discrepancy.type] || 0) + 1;
+      }
+    }
+
+    res.json(successResponse({
+      bills: rows,
+      summary: {
+        bills: rows.length,
+        held: rows.filter(row => row.matchStatus === 'EXCEPTION').length,
+        heldBaseAmount: roundAmount(rows
+          .filter(row => row.matchStatus === 'EXCEPTION')
+          .reduce((total, row) => total + toBaseAmount(row.totalAmount, row.exchangeRate), 0)),
+        byType
+      }
+    }));
+  } catch (error) {
+    res.status(500).json(errorResponse('Failed to fetch match discrepancies', error));
+  }
+};
+
+// Match a draft bill again, e.g. after the goods arrived or the order was corrected
+const rematchBill = async (req, res) => {
+  try {
+    const bill = await prisma.bill.findFirst({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!bill) throw new NotFoundError('Bill not found');
+    if (bill.status !== 'DRAFT') throw new ConflictError('Only draft bills can be matched');
+    if (bill.matchStatus === 'OVERRIDDEN') throw new ConflictError('Bill match has been overridden');
+
+    const matched = await matchBill(prisma, bill.id);
+
+    res.json(successResponse(matched, matched.matchStatus === 'EXCEPTION'
+      ? 'Bill still has match discrepancies'
+      : 'Bill matched successfully'));
+  } catch (error) {
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to match bill', error));
+  }
+};
+
+// Release a bill held by the three-way match so it can be approved as is
+const overrideBillMatch = async (req, res) => {
+  try {
+    const bill = await prisma.bill.findFirst({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!bill) throw new NotFoundError('Bill not found');
+
+    const { count } = await prisma.bill.updateMany({
+      where: { id: bill.id, status: 'DRAFT', matchStatus: 'EXCEPTION' },
+      data: {
+        matchStatus: 'OVERRIDDEN',
+        matchApprovedById: req.user.id,
+        matchApprovedAt: new Date()
+      }
+    });
+
+    if (count === 0) {
+      throw new ConflictError('Bill is not held by the three-way match');
+    }
+
+    res.json(successResponse(await prisma.bill.findUnique({ where: { id: bill.id } }), 'Bill match overridden'));
+  } catch (error) {
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to override bill match', error));
+  }
+};
+
+// Post an approved bill to the GL and add it to the supplier balance
+async function postApprovedBill(tx, bill, user) {
+  await createBillAccountingEntries(tx, bill, user.companyId, user.id);
+
+  await tx.supplier.update({
+    where: { id: bill.supplierId },
+    data: { balance: { increment: toBaseAmount(bill.totalAmount, bill.exchangeRate) } }
+  });
+}
+
+// Helper function to create accounting entries for bill
+async function createBillAccountingEntries(tx, bill, companyId, userId) {
+  const {
+    ACCOUNTS_PAYABLE: payableAccount,
+    PURCHASES: purchasesAccount,
+    INPUT_TAX: inputTaxAccount
+  } = await resolveAccounts(tx, companyId, ['ACCOUNTS_PAYABLE', 'PURCHASES', 'INPUT_TAX']);
+
+  // Tax takes the rounding difference so the converted entry balances
+  const payableAmount = toBaseAmount(bill.totalAmount, bill.exchangeRate);
+  const purchasesAmount = toBaseAmount(bill.subtotal - bill.discountAmount, bill.exchangeRate);
+
+  return postJournalEntry(tx, {
+    companyId,
+    entryDate: bill.billDate,
+    description: `Bill ${bill.billNumber}`,
+    createdById: userId,
+    referenceType: 'bill',
+    referenceId: bill.id,
+    lines: [
+      {
+        account: purchasesAccount,
+        debitAmount: purchasesAmount,
+        description: `Purchases - ${bill.billNumber}`
+      },
+      {
+        account: inputTaxAccount,
+        debitAmount: payableAmount - purchasesAmount,
+        description: `Input Tax - ${bill.billNumber}`
+      },
+      {
+        account: payableAccount,
+        creditAmount: payableAmount,
+        description: `AP - ${bill.billNumber}`
+      }
+    ]
+  });
+}
+
+// Helper function to create accounting entries for bill payment
+async function createBillPaymentAccountingEntries(tx, payment, bill, companyId) {
+  const depositKey = payment.paymentMethod === 'CASH' ? 'CASH' : 'BANK';
+  const {
+    [depositKey]: cashAccount,
+    ACCOUNTS_PAYABLE: payableAccount
+  } = await resolveAccounts(tx, companyId, [depositKey, 'ACCOUNTS_PAYABLE']);
+
+  // AP is cleared at the bill rate, cash leaves at today's rate
+  const clearedAmount = toBaseAmount(payment.amount, bill.exchangeRate);
+  const paidAmount = toBaseAmount(payment.amount, payment.exchangeRate);
+  const fxLines = await fxDifferenceLines(
+    tx,
+    companyId,
+    clearedAmount - paidAmount,
+    `Realized FX - ${bill.billNumber}`
+  );
+
+  return postJournalEntry(tx, {
+    companyId,
+    entryDate: payment.paymentDate,
+    description: `Payment for Bill ${bill.billNumber}`,
+    createdById: payment.createdById,
+    referenceType: 'payment',
+    referenceId: payment.id,
+    lines: [
+      {
+        account: payableAccount,
+        debitAmount: clearedAmount,
+        description: `AP reduction - ${bill.billNumber}`
+      },
+      {
+        account: cashAccount,
+        creditAmount: paidAmount,
+        foreignAmount: cashAccount.currency === payment.currency ? payment.amount : null,
+        description: `Payment made - ${payment.paymentNumber}`
+      },
+      ...fxLines
+    ]
+  });
+}
+
 module.exports = {
   listBills,
   createBill,
@@ -240,5 +697,8 @@ module.exports = {
   deleteBill,
   approveBill,
   recordBillPayment,
-  getOverdueBills
+  getOverdueBills,
+  getMatchDiscrepancies,
+  rematchBill,
+  overrideBillMatch
 };
@@ -8,6 +8,10 @@ const {
   sanitizeSearchQuery,
   cleanObject
 } = require('../utils/helpers');
+const { TEMPLATES } = require('../utils/invoicePdf');
+const { seedDefaultMappings } = require('../utils/accountMapping');
+const { CREDIT_LIMIT_ACTIONS } = require('../utils/creditLimit');
+const { validateMatchTolerances } = require('../utils/purchaseOrders');
 
 const prisma = new PrismaClient();
 
@@ -229,9 +233,33 @@ const updateCompany = async (req, res) => {
       taxId: req.body.taxId,
       logo: req.body.logo,
       fiscalYearStart: req.body.fiscalYearStart,
-      baseCurrency: req.body.baseCurrency
+      baseCurrency: req.body.baseCurrency,
+      invoiceTemplate: req.body.invoiceTemplate,
+      currencySymbol: req.body.currencySymbol,
+      invoiceFooter: req.body.invoiceFooter,
+      invoiceTerms: req.body.invoiceTerms,
+      creditLimitAction: req.body.creditLimitAction,
+      matchPriceTolerance: req.body.matchPriceTolerance,
+      matchQuantityTolerance: req.body.matchQuantityTolerance
     });
 
+    if (updateData.invoiceTemplate && !TEMPLATES[updateData.invoiceTemplate]) {
+      return res.status(400).json(
+        errorResponse(`Invalid invoice template. Must be one of: ${Object.keys(TEMPLATES).join(', ')}`)
+      );
+    }
+
+    if (updateData.creditLimitAction && !CREDIT_LIMIT_ACTIONS.includes(updateData.creditLimitAction)) {
+      return res.status(400).json(
+        errorResponse(`Invalid credit limit action. Must be one of: ${CREDIT_LIMIT_ACTIONS.join(', ')}`)
+      );
+    }
+
+    const invalidTolerance = validateMatchTolerances(updateData);
+    if (invalidTolerance) {
+      return res.status(400).json(errorResponse(invalidTolerance));
+    }
+
     // Check for duplicate taxId if updating
     if (updateData.taxId && updateData.taxId !== existingCompany.taxId) {
       const duplicateTaxId = await prisma.company.findFirst({
@@ -337,13 +365,37 @@ const updateCompanySettings = async (req, res) => {
     const settings = cleanObject({
       fiscalYearStart: req.body.fiscalYearStart,
       baseCurrency: req.body.baseCurrency,
-      logo: req.body.logo
+      logo: req.body.logo,
+      invoiceTemplate: req.body.invoiceTemplate,
+      currencySymbol: req.body.currencySymbol,
+      invoiceFooter: req.body.invoiceFooter,
+      invoiceTerms: req.body.invoiceTerms,
+      creditLimitAction: req.body.creditLimitAction,
+      matchPriceTolerance: req.body.matchPriceTolerance,
+      matchQuantityTolerance: req.body.matchQuantityTolerance
     });
 
     if (Object.keys(settings).length === 0) {
       return res.status(400).json(errorResponse('No settings to update'));
     }
 
+    if (settings.invoiceTemplate && !TEMPLATES[settings.invoiceTemplate]) {
+      return res.status(400).json(
+        errorResponse(`Invalid invoice template. Must be one of: ${Object.keys(TEMPLATES).join(', ')}`)
+      );
+    }
+
+    if (settings.creditLimitAction && !CREDIT_LIMIT_ACTIONS.includes(settings.creditLimitAction)) {
+      return res.status(400).json(
+        errorResponse(`Invalid credit limit action. Must be one of: ${CREDIT_LIMIT_ACTIONS.join(', ')}`)
+      );
+    }
+
+    const invalidTolerance = validateMatchTolerances(settings);
+    if (invalidTolerance) {
+      return res.status(400).json(errorResponse(invalidTolerance));
+    }
+
     const updatedCompany = await prisma.company.update({
       where: { id },
       data: settings
@@ -477,6 +529,7 @@ async function createDefaultAccounts(companyId) {
       { accountCode: '4000', accountName: 'Sales Revenue', accountType: 'REVENUE' },
       { accountCode: '4100', accountName: 'Service Revenue', accountType: 'REVENUE' },
       { accountCode: '4200', accountName: 'Other Income', accountType: 'REVENUE' },
+      { accountCode: '4300', accountName: 'Foreign Exchange Gain', accountType: 'REVENUE' },
 
       // Expenses
       { accountCode: '5000', accountName: 'Cost of Goods Sold', accountType: 'EXPENSE' },
@@ -488,7 +541,8 @@ async function createDefaultAccounts(companyId) {
       { accountCode: '5600', accountName: 'Professional Fees', accountType: 'EXPENSE' },
       { accountCode: '5700', accountName: 'Insurance', accountType: 'EXPENSE' },
       { accountCode: '5800', accountName: 'Depreciation', accountType: 'EXPENSE' },
-      { accountCode: '5900', accountName: 'Other Expenses', accountType: 'EXPENSE' }
+      { accountCode: '5900', accountName: 'Other Expenses', accountType: 'EXPENSE' },
+      { accountCode: '5950', accountName: 'Foreign Exchange Loss', accountType: 'EXPENSE' }
     ];
 
     const accounts = defaultAccounts.map(account => ({
@@ -504,6 +558,8 @@ async function createDefaultAccounts(companyId) {
       skipDuplicates: true
     });
 
+    await seedDefaultMappings(prisma, companyId);
+
     console.log(`Created ${accounts.length} default accounts for company ${companyId}`);
   } catch (error) {
     console.error('Error creating default accounts:', error);
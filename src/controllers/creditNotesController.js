@@ -0,0 +1,536 @@
+const { PrismaClient } = require('@prisma/client');
+const { v4: uuidv4 } = require('uuid');
+const {
+  successResponse,
+  errorResponse,
+  paginate,
+  paginatedResponse
+} = require('../utils/helpers');
+const { createCreditNotePDF } = require('../utils/invoicePdf');
+const { assertPeriodsOpenForUser } = require('../utils/periods');
+const { resolveDocumentCurrency } = require('../utils/currency');
+const { calculateInvoiceItems } = require('../utils/invoicing');
+const {
+  createCreditNoteRecord,
+  issueCreditNote: postCreditNote,
+  applyCreditNote: allocateCreditNote,
+  refundCreditNote: payCreditNoteRefund,
+  applyToSourceInvoice,
+  emailCreditNote
+} = require('../utils/creditNotes');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const prisma = new PrismaClient();
+
+const CREDITABLE_INVOICE_STATUSES = ['SENT', 'PARTIALLY_PAID', 'PAID', 'OVERDUE'];
+
+/**
+ * List credit notes
+ * GET /api/v1/credit-notes
+ */
+const listCreditNotes = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, customerId, invoiceId } = req.query;
+    const { skip, take } = paginate(page, limit);
+
+    const where = { companyId: req.user.companyId };
+    if (status) where.status = status;
+    if (customerId) where.customerId = customerId;
+    if (invoiceId) where.invoiceId = invoiceId;
+
+    const [creditNotes, total] = await Promise.all([
+      prisma.creditNote.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { creditNoteDate: 'desc' },
+        include: {
+          customer: {
+            select: { id: true, name: true, email: true }
+          },
+          invoice: {
+            select: { id: true, invoiceNumber: true }
+          }
+        }
+      }),
+      prisma.creditNote.count({ where })
+    ]);
+
+    res.json(paginatedResponse(creditNotes, total, page, limit));
+  } catch (error) {
+    console.error('List credit notes error:', error);
+    res.status(500).json(errorResponse('Failed to fetch credit notes', error));
+  }
+};
+
+/**
+ * Create a DRAFT credit note against an invoice (all or some of its lines)
+ * or standalone for a customer
+ * POST /api/v1/credit-notes
+ */
+const createCreditNote = async (req, res) => {
+  try {
+    const {
+      customerId,
+      invoiceId,
+      creditNoteDate = new Date(),
+      items = [],
+      reason,
+      notes,
+      currency,
+      exchangeRate
+    } = req.body;
+    const companyId = req.user.companyId;
+
+    let creditItems = items;
+    let creditCustomerId = customerId;
+    let documentCurrency = null;
+
+    if (invoiceId) {
+      const invoice = await prisma.invoice.findFirst({
+        where: { id: invoiceId, companyId },
+        include: { items: true }
+      });
+
+      if (!invoice) {
+        return res.status(404).json(errorResponse('Invoice not found'));
+      }
+
+      if (!CREDITABLE_INVOICE_STATUSES.includes(invoice.status)) {
+        return res.status(400).json(errorResponse('Only issued invoices can be credited'));
+      }
+
+      creditCustomerId = invoice.customerId;
+
+      // Credit at the invoice's rate so AR clears at its carrying amount
+      documentCurrency = { currency: invoice.currency, exchangeRate: invoice.exchangeRate };
+
+      // Full credit unless specific lines are given
+      if (items.length === 0) {
+        creditItems = invoice.items.map(item => ({
+          productId: item.productId,
+          description: item.description,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          taxRate: item.taxRate,
+          discountAmount: item.discountAmount
+        }));
+      }
+
+      const validationError = await validateInvoiceCredit(invoice, creditItems);
+      if (validationError) {
+        return res.status(400).json(errorResponse(validationError));
+      }
+    }
+
+    if (!creditCustomerId || creditItems.length === 0) {
+      return res.status(400).json(errorResponse('Customer and items are required'));
+    }
+
+    const customer = await prisma.customer.findFirst({
+      where: { id: creditCustomerId, companyId }
+    });
+
+    if (!customer) {
+      return res.status(404).json(errorResponse('Customer not found'));
+    }
+
+    if (!documentCurrency) {
+      documentCurrency = await resolveDocumentCurrency(prisma, companyId, {
+        currency,
+        exchangeRate,
+        date: creditNoteDate,
+        defaultCurrency: customer.currency
+      });
+    }
+
+    await assertPeriodsOpenForUser(prisma, req.user, creditNoteDate);
+
+    const creditNote = await prisma.$transaction(async (tx) => {
+      return createCreditNoteRecord(tx, {
+        companyId,
+        customer,
+        invoiceId: invoiceId || null,
+        creditNoteDate,
+        items: creditItems,
+        reason,
+        notes,
+        ...documentCurrency,
+        createdById: req.user.id
+      });
+    });
+
+    res.status(201).json(successResponse(creditNote, 'Credit note created successfully'));
+  } catch (error) {
+    console.error('Create credit note error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to create credit note', error));
+  }
+};
+
+/**
+ * Get credit note with allocations and refunds
+ * GET /api/v1/credit-notes/:id
+ */
+const getCreditNoteById = async (req, res) => {
+  try {
+    const creditNote = await prisma.creditNote.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      },
+      include: {
+        customer: true,
+        items: {
+          include: {
+            product: {
+              select: { id: true, name: true, productCode: true }
+            }
+          }
+        },
+        invoice: {
+          select: { id: true, invoiceNumber: true, totalAmount: true, balanceAmount: true }
+        },
+        salesReturn: {
+          select: { id: true, returnNumber: true }
+        },
+        allocations: {
+          include: {
+            invoice: { select: { id: true, invoiceNumber: true } }
+          },
+          orderBy: { allocationDate: 'asc' }
+        },
+        refunds: {
+          orderBy: { refundDate: 'asc' }
+        },
+        createdBy: {
+          select: { id: true, name: true, email: true }
+        }
+      }
+    });
+
+    if (!creditNote) {
+      return res.status(404).json(errorResponse('Credit note not found'));
+    }
+
+    res.json(successResponse(creditNote));
+  } catch (error) {
+    console.error('Get credit note error:', error);
+    res.status(500).json(errorResponse('Failed to fetch credit note', error));
+  }
+};
+
+/**
+ * Update a DRAFT credit note
+ * PUT /api/v1/credit-notes/:id
+ */
+const updateCreditNote = async (req, res) => {
+  try {
+    const existing = await prisma.creditNote.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      },
+      include: { invoice: { include: { items: true } } }
+    });
+
+    if (!existing) {
+      return res.status(404).json(errorResponse('Credit note not found'));
+    }
+
+    if (existing.status !== 'DRAFT') {
+      return res.status(400).json(errorResponse('Only draft credit notes can be updated'));
+    }
+
+    if (existing.salesReturnId) {
+      return res.status(400).json(errorResponse('Credit notes for sales returns follow the return and cannot be edited'));
+    }
+
+    const {
+      creditNoteDate = existing.creditNoteDate,
+      items,
+      reason = existing.reason,
+      notes = existing.notes
+    } = req.body;
+
+    await assertPeriodsOpenForUser(prisma, req.user, existing.creditNoteDate, creditNoteDate);
+
+    if (items && existing.invoice) {
+      const validationError = await validateInvoiceCredit(existing.invoice, items, existing.id);
+      if (validationError) {
+        return res.status(400).json(errorResponse(validationError));
+      }
+    }
+
+    const updatedCreditNote = await prisma.$transaction(async (tx) => {
+      const data = {
+        creditNoteDate: new Date(creditNoteDate),
+        reason,
+        notes
+      };
+
+      if (items) {
+        if (items.length === 0) {
+          throw new ValidationError('At least one item is required');
+        }
+
+        const totals = calculateInvoiceItems(items);
+
+        await tx.creditNoteItem.deleteMany({
+          where: { creditNoteId: existing.id }
+        });
+
+        Object.assign(data, {
+          subtotal: totals.subtotal,
+          discountAmount: totals.discountAmount,
+          taxAmount: totals.taxAmount,
+          totalAmount: totals.totalAmount,
+          balanceAmount: totals.totalAmount,
+          items: {
+            create: totals.items.map(item => ({
+              id: uuidv4(),
+              ...item
+            }))
+          }
+        });
+      }
+
+      return tx.creditNote.update({
+        where: { id: existing.id },
+        data,
+        include: {
+          customer: true,
+          items: true
+        }
+      });
+    });
+
+    res.json(successResponse(updatedCreditNote, 'Credit note updated successfully'));
+  } catch (error) {
+    console.error('Update credit note error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to update credit note', error));
+  }
+};
+
+/**
+ * Delete a DRAFT credit note
+ * DELETE /api/v1/credit-notes/:id
+ */
+const deleteCreditNote = async (req, res) => {
+  try {
+    const existing = await prisma.creditNote.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existing) {
+      return res.status(404).json(errorResponse('Credit note not found'));
+    }
+
+    if (existing.status !== 'DRAFT') {
+      return res.status(400).json(errorResponse('Only draft credit notes can be deleted'));
+    }
+
+    await prisma.creditNote.delete({
+      where: { id: existing.id }
+    });
+
+    res.json(successResponse(null, 'Credit note deleted successfully'));
+  } catch (error) {
+    console.error('Delete credit note error:', error);
+    res.status(500).json(errorResponse('Failed to delete credit note', error));
+  }
+};
+
+/**
+ * Issue a DRAFT credit note: post it, apply it to the credited invoice
+ * when that invoice is still open, and email it to the customer
+ * POST /api/v1/credit-notes/:id/issue
+ */
+const issueCreditNote = async (req, res) => {
+  try {
+    const creditNote = await prisma.$transaction(async (tx) => {
+      const existing = await tx.creditNote.findFirst({
+        where: {
+          id: req.params.id,
+          companyId: req.user.companyId
+        },
+        include: { invoice: true }
+      });
+
+      if (!existing) {
+        throw new NotFoundError('Credit note not found');
+      }
+
+      await assertPeriodsOpenForUser(tx, req.user, existing.creditNoteDate);
+
+      const issued = await postCreditNote(tx, existing);
+
+      return applyToSourceInvoice(tx, issued, existing.invoice, req.user.id);
+    });
+
+    const email = await emailCreditNote(prisma, creditNote);
+
+    res.json(successResponse({
+      ...creditNote,
+      emailId: email ? email.id : null
+    }, 'Credit note issued successfully'));
+  } catch (error) {
+    console.error('Issue credit note error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to issue credit note', error));
+  }
+};
+
+/**
+ * Apply open credit to one or more open invoices of the same customer
+ * POST /api/v1/credit-notes/:id/apply
+ */
+const applyCreditNote = async (req, res) => {
+  try {
+    const { allocations, allocationDate = new Date() } = req.body;
+
+    await assertPeriodsOpenForUser(prisma, req.user, allocationDate);
+
+    const creditNote = await prisma.$transaction(async (tx) => {
+      const existing = await tx.creditNote.findFirst({
+        where: {
+          id: req.params.id,
+          companyId: req.user.companyId
+        }
+      });
+
+      if (!existing) {
+        throw new NotFoundError('Credit note not found');
+      }
+
+      return allocateCreditNote(tx, existing, allocations, {
+        allocationDate,
+        createdById: req.user.id
+      });
+    });
+
+    res.json(successResponse(creditNote, 'Credit note applied successfully'));
+  } catch (error) {
+    console.error('Apply credit note error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to apply credit note', error));
+  }
+};
+
+/**
+ * Refund open credit to the customer
+ * POST /api/v1/credit-notes/:id/refund
+ */
+const refundCreditNote = async (req, res) => {
+  try {
+    const {
+      amount,
+      refundDate = new Date(),
+      paymentMethod,
+      reference,
+      notes,
+      exchangeRate
+    } = req.body;
+
+    if (!paymentMethod) {
+      return res.status(400).json(errorResponse('Payment method is required'));
+    }
+
+    await assertPeriodsOpenForUser(prisma, req.user, refundDate);
+
+    const creditNote = await prisma.$transaction(async (tx) => {
+      const existing = await tx.creditNote.findFirst({
+        where: {
+          id: req.params.id,
+          companyId: req.user.companyId
+        }
+      });
+
+      if (!existing) {
+        throw new NotFoundError('Credit note not found');
+      }
+
+      return payCreditNoteRefund(tx, existing, {
+        amount,
+        refundDate,
+        paymentMethod,
+        referenceNumber: reference,
+        notes,
+        exchangeRate,
+        createdById: req.user.id
+      });
+    });
+
+    res.json(successResponse(creditNote, 'Credit note refunded successfully'));
+  } catch (error) {
+    console.error('Refund credit note error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to refund credit note', error));
+  }
+};
+
+/**
+ * Generate credit note PDF
+ * GET /api/v1/credit-notes/:id/pdf
+ */
+const generateCreditNotePDF = async (req, res) => {
+  try {
+    const creditNote = await prisma.creditNote.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      },
+      include: {
+        customer: true,
+        items: true,
+        company: true,
+        invoice: { select: { invoiceNumber: true } }
+      }
+    });
+
+    if (!creditNote) {
+      return res.status(404).json(errorResponse('Credit note not found'));
+    }
+
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${disposition}; filename="${creditNote.creditNoteNumber}.pdf"`);
+
+    createCreditNotePDF(creditNote).pipe(res);
+  } catch (error) {
+    console.error('Generate credit note PDF error:', error);
+    res.status(500).json(errorResponse('Failed to generate PDF', error));
+  }
+};
+
+// Helper function to check credited lines against what is left to credit on an invoice
+async function validateInvoiceCredit(invoice, items, excludeCreditNoteId = null) {
+  const alreadyCredited = await prisma.creditNote.aggregate({
+    where: {
+      invoiceId: invoice.id,
+      ...(excludeCreditNoteId ? { id: { not: excludeCreditNoteId } } : {})
+    },
+    _sum: { totalAmount: true }
+  });
+
+  const { totalAmount } = calculateInvoiceItems(items);
+  const remaining = invoice.totalAmount - (alreadyCredited._sum.totalAmount || 0);
+
+  if (totalAmount > remaining + 0.005) {
+    return `Credit (${totalAmount}) exceeds the amount left to credit on invoice ${invoice.invoiceNumber} (${remaining})`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  listCreditNotes,
+  createCreditNote,
+  getCreditNoteById,
+  updateCreditNote,
+  deleteCreditNote,
+  issueCreditNote,
+  applyCreditNote,
+  refundCreditNote,
+  generateCreditNotePDF
+};
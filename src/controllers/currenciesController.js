@@ -0,0 +1,379 @@
+const { PrismaClient } = require('@prisma/client');
+const { v4: uuidv4 } = require('uuid');
+const csv = require('csv-parser');
+const fs = require('fs');
+const {
+  successResponse,
+  errorResponse,
+  paginate,
+  paginatedResponse,
+  cleanObject
+} = require('../utils/helpers');
+const { getExchangeRate } = require('../utils/currency');
+
+const prisma = new PrismaClient();
+
+/**
+ * List currencies enabled for the company
+ * GET /api/v1/currencies
+ */
+const listCurrencies = async (req, res) => {
+  try {
+    const { isActive } = req.query;
+
+    const where = { companyId: req.user.companyId };
+    if (isActive !== undefined) where.isActive = isActive === 'true';
+
+    const [company, currencies] = await Promise.all([
+      prisma.company.findUnique({
+        where: { id: req.user.companyId },
+        select: { baseCurrency: true }
+      }),
+      prisma.currency.findMany({
+        where,
+        orderBy: { code: 'asc' }
+      })
+    ]);
+
+    res.json(successResponse({ baseCurrency: company.baseCurrency, currencies }));
+  } catch (error) {
+    console.error('List currencies error:', error);
+    res.status(500).json(errorResponse('Failed to fetch currencies', error));
+  }
+};
+
+/**
+ * Enable a foreign currency
+ * POST /api/v1/currencies
+ */
+const createCurrency = async (req, res) => {
+  try {
+    const { code, name, symbol, decimalPlaces = 2 } = req.body;
+
+    if (!code || !name) {
+      return res.status(400).json(errorResponse('Currency code and name are required'));
+    }
+
+    const currencyCode = code.toUpperCase();
+
+    if (!/^[A-Z]{3}$/.test(currencyCode)) {
+      return res.status(400).json(errorResponse('Currency code must be a 3-letter ISO code'));
+    }
+
+    const company = await prisma.company.findUnique({
+      where: { id: req.user.companyId },
+      select: { baseCurrency: true }
+    });
+
+    if (currencyCode === company.baseCurrency) {
+      return res.status(400).json(errorResponse('The base currency does not need to be added'));
+    }
+
+    const existing = await prisma.currency.findFirst({
+      where: { companyId: req.user.companyId, code: currencyCode }
+    });
+
+    if (existing) {
+      return res.status(409).json(errorResponse('Currency already exists'));
+    }
+
+    const currency = await prisma.currency.create({
+      data: {
+        id: uuidv4(),
+        companyId: req.user.companyId,
+        code: currencyCode,
+        name,
+        symbol,
+        decimalPlaces: parseInt(decimalPlaces)
+      }
+    });
+
+    res.status(201).json(successResponse(currency, 'Currency created successfully'));
+  } catch (error) {
+    console.error('Create currency error:', error);
+    res.status(500).json(errorResponse('Failed to create currency', error));
+  }
+};
+
+/**
+ * Update currency
+ * PUT /api/v1/currencies/:id
+ */
+const updateCurrency = async (req, res) => {
+  try {
+    const existing = await prisma.currency.findFirst({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!existing) {
+      return res.status(404).json(errorResponse('Currency not found'));
+    }
+
+    const currency = await prisma.currency.update({
+      where: { id: existing.id },
+      data: cleanObject({
+        name: req.body.name,
+        symbol: req.body.symbol,
+        decimalPlaces: req.body.decimalPlaces !== undefined ? parseInt(req.body.decimalPlaces) : undefined,
+        isActive: req.body.isActive
+      })
+    });
+
+    res.json(successResponse(currency, 'Currency updated successfully'));
+  } catch (error) {
+    console.error('Update currency error:', error);
+    res.status(500).json(errorResponse('Failed to update currency', error));
+  }
+};
+
+/**
+ * Deactivate currency (existing documents keep it)
+ * DELETE /api/v1/currencies/:id
+ */
+const deleteCurrency = async (req, res) => {
+  try {
+    const existing = await prisma.currency.findFirst({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!existing) {
+      return res.status(404).json(errorResponse('Currency not found'));
+    }
+
+    await prisma.currency.update({
+      where: { id: existing.id },
+      data: { isActive: false }
+    });
+
+    res.json(successResponse(null, 'Currency deactivated successfully'));
+  } catch (error) {
+    console.error('Delete currency error:', error);
+    res.status(500).json(errorResponse('Failed to deactivate currency', error));
+  }
+};
+
+/**
+ * List exchange rates
+ * GET /api/v1/currencies/rates
+ */
+const listExchangeRates = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, currency, from, to } = req.query;
+    const { skip, take } = paginate(page, limit);
+
+    const where = { companyId: req.user.companyId };
+    if (currency) where.currency = currency.toUpperCase();
+    if (from || to) {
+      where.rateDate = {};
+      if (from) where.rateDate.gte = new Date(from);
+      if (to) where.rateDate.lte = new Date(to);
+    }
+
+    const [rates, total] = await Promise.all([
+      prisma.exchangeRate.findMany({
+        where,
+        skip,
+        take,
+        orderBy: [{ rateDate: 'desc' }, { currency: 'asc' }]
+      }),
+      prisma.exchangeRate.count({ where })
+    ]);
+
+    res.json(paginatedResponse(rates, total, page, limit));
+  } catch (error) {
+    console.error('List exchange rates error:', error);
+    res.status(500).json(errorResponse('Failed to fetch exchange rates', error));
+  }
+};
+
+/**
+ * Set the rate for a currency on a date (replaces an existing rate)
+ * POST /api/v1/currencies/rates
+ */
+const setExchangeRate = async (req, res) => {
+  try {
+    const { currency, rate, rateDate } = req.body;
+
+    if (!currency || !rate || !rateDate) {
+      return res.status(400).json(errorResponse('Currency, rate and rate date are required'));
+    }
+
+    const validationError = await validateRate(req.user.companyId, currency.toUpperCase(), rate);
+    if (validationError) {
+      return res.status(400).json(errorResponse(validationError));
+    }
+
+    const exchangeRate = await saveRate(req.user.companyId, {
+      currency: currency.toUpperCase(),
+      rate: parseFloat(rate),
+      rateDate: new Date(rateDate),
+      source: 'MANUAL'
+    });
+
+    res.status(201).json(successResponse(exchangeRate, 'Exchange rate saved successfully'));
+  } catch (error) {
+    console.error('Set exchange rate error:', error);
+    res.status(500).json(errorResponse('Failed to save exchange rate', error));
+  }
+};
+
+/**
+ * Delete exchange rate (documents keep the rate they were created with)
+ * DELETE /api/v1/currencies/rates/:id
+ */
+const deleteExchangeRate = async (req, res) => {
+  try {
+    const existing = await prisma.exchangeRate.findFirst({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!existing) {
+      return res.status(404).json(errorResponse('Exchange rate not found'));
+    }
+
+    await prisma.exchangeRate.delete({
+      where: { id: existing.id }
+    });
+
+    res.json(successResponse(null, 'Exchange rate deleted successfully'));
+  } catch (error) {
+    console.error('Delete exchange rate error:', error);
+    res.status(500).json(errorResponse('Failed to delete exchange rate', error));
+  }
+};
+
+/**
+ * Rate that applies to a currency on a date
+ * GET /api/v1/currencies/rates/lookup?currency=EUR&date=2026-01-31
+ */
+const lookupExchangeRate = async (req, res) => {
+  try {
+    const { currency, date = new Date() } = req.query;
+
+    if (!currency) {
+      return res.status(400).json(errorResponse('Currency is required'));
+    }
+
+    const rate = await getExchangeRate(prisma, req.user.companyId, currency.toUpperCase(), date);
+
+    res.json(successResponse({ currency: currency.toUpperCase(), date: new Date(date), rate }));
+  } catch (error) {
+    console.error('Lookup exchange rate error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to fetch exchange rate', error));
+  }
+};
+
+/**
+ * Import exchange rates from CSV (columns: currency, rate, date)
+ * POST /api/v1/currencies/rates/import
+ */
+const importExchangeRates = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json(errorResponse('CSV file is required'));
+    }
+
+    const rows = [];
+
+    // Read the whole file first so rows are saved in order
+    await new Promise((resolve, reject) => {
+      fs.createReadStream(req.file.path)
+        .pipe(csv())
+        .on('data', (data) => rows.push(data))
+        .on('end', resolve)
+        .on('error', reject);
+    });
+
+    fs.unlinkSync(req.file.path);
+
+    const results = [];
+    const errors = [];
+
+    for (const [index, data] of rows.entries()) {
+      const row = index + 1;
+      const currency = data.currency?.trim().toUpperCase();
+      const rateDate = new Date(data.date);
+
+      try {
+        if (!currency || !data.rate || !data.date || isNaN(rateDate.getTime())) {
+          errors.push({ row, error: 'Currency, rate and a valid date are required', data });
+          continue;
+        }
+
+        const validationError = await validateRate(req.user.companyId, currency, data.rate);
+        if (validationError) {
+          errors.push({ row, error: validationError, data });
+          continue;
+        }
+
+        results.push(await saveRate(req.user.companyId, {
+          currency,
+          rate: parseFloat(data.rate),
+          rateDate,
+          source: 'CSV'
+        }));
+      } catch (error) {
+        errors.push({ row, error: error.message, data });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Import completed. ${results.length} exchange rates imported successfully.`,
+      data: {
+        imported: results.length,
+        failed: errors.length,
+        errors: errors.slice(0, 10) // Return first 10 errors
+      }
+    });
+  } catch (error) {
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+    console.error('Import exchange rates error:', error);
+    res.status(500).json(errorResponse('Failed to import exchange rates', error));
+  }
+};
+
+// Helper function to check a rate is positive and for an enabled currency
+async function validateRate(companyId, currency, rate) {
+  if (!(parseFloat(rate) > 0)) {
+    return 'Rate must be a positive number';
+  }
+
+  const enabled = await prisma.currency.findFirst({
+    where: { companyId, code: currency }
+  });
+
+  return enabled ? null : `Currency ${currency} is not enabled for this company`;
+}
+
+// Helper function to insert or replace the rate for a currency and date
+async function saveRate(companyId, { currency, rate, rateDate, source }) {
+  return prisma.exchangeRate.upsert({
+    where: {
+      companyId_currency_rateDate: { companyId, currency, rateDate }
+    },
+    create: {
+      id: uuidv4(),
+      companyId,
+      currency,
+      rate,
+      rateDate,
+      source
+    },
+    update: { rate, source }
+  });
+}
+
+module.exports = {
+  listCurrencies,
+  createCurrency,
+  updateCurrency,
+  deleteCurrency,
+  listExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate,
+  lookupExchangeRate,
+  importExchangeRates
+};
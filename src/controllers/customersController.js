@@ -11,6 +11,10 @@ const {
   cleanObject,
   calculateAging
 } = require('../utils/helpers');
+const { buildCustomerStatement } = require('../utils/customerStatements');
+const { processCustomerStatements } = require('../utils/statementRuns');
+const { getCustomerExposure } = require('../utils/creditLimit');
+const { createStatementPDF } = require('../utils/invoicePdf');
 
 const prisma = new PrismaClient();
 
@@ -126,7 +130,8 @@ const createCustomer = async (req, res) => {
       taxId,
       contactPerson,
       creditLimit = 0,
-      paymentTerms = 30
+      paymentTerms = 30,
+      currency
     } = req.body;
 
     // Validate required fields
@@ -175,6 +180,7 @@ const createCustomer = async (req, res) => {
         taxId,
         creditLimit,
         creditPeriodDays: paymentTerms || 30,
+        currency: currency ? currency.toUpperCase() : null,
         companyId,
         balance: 0,
         isActive: true
@@ -212,8 +218,9 @@ const getCustomerById = async (req, res) => {
             invoiceDate: true,
             dueDate: true,
             totalAmount: true,
-            balanceDue: true,
-            status: true
+            balanceAmount: true,
+            status: true,
+            creditHold: true
           }
         },
         _count: {
@@ -229,11 +236,11 @@ const getCustomerById = async (req, res) => {
     }
 
     // Calculate statistics
-    const [totalSales, outstandingBalance, overdueAmount] = await Promise.all([
+    const [totalSales, outstandingBalance, overdueAmount, credit] = await Promise.all([
       prisma.invoice.aggregate({
         where: {
           customerId: id,
-          status: { in: ['PAID', 'PARTIALLY_PAID'] }
+          status: { in: ['SENT', 'PARTIALLY_PAID', 'PAID', 'OVERDUE'] }
         },
         _sum: {
           totalAmount: true
@@ -245,7 +252,7 @@ const getCustomerById = async (req, res) => {
           status: { in: ['SENT', 'PARTIALLY_PAID', 'OVERDUE'] }
         },
         _sum: {
-          balanceDue: true
+          balanceAmount: true
         }
       }),
       prisma.invoice.aggregate({
@@ -254,20 +261,22 @@ const getCustomerById = async (req, res) => {
           status: 'OVERDUE'
         },
         _sum: {
-          balanceDue: true
+          balanceAmount: true
         }
-      })
+      }),
+      getCustomerExposure(prisma, customer)
     ]);
 
     const customerData = {
       ...customer,
       statistics: {
         totalSales: totalSales._sum.totalAmount || 0,
-        outstandingBalance: outstandingBalance._sum.balanceDue || 0,
-        overdueAmount: overdueAmount._sum.balanceDue || 0,
+        outstandingBalance: outstandingBalance._sum.balanceAmount || 0,
+        overdueAmount: overdueAmount._sum.balanceAmount || 0,
         totalInvoices: customer._count.invoices,
-        creditAvailable: customer.creditLimit - (outstandingBalance._sum.balanceDue || 0)
-      }
+        creditAvailable: credit.available
+      },
+      credit
     };
 
     res.json(successResponse(customerData));
@@ -311,7 +320,8 @@ const updateCustomer = async (req, res) => {
       taxId: req.body.taxId,
       contactPerson: req.body.contactPerson,
       creditLimit: req.body.creditLimit,
-      paymentTerms: req.body.paymentTerms
+      paymentTerms: req.body.paymentTerms,
+      currency: req.body.currency?.toUpperCase()
     });
 
     // Check for duplicate email if updating
@@ -491,7 +501,7 @@ const getCustomerBalance = async (req, res) => {
       where: {
         customerId: id,
         status: { in: ['SENT', 'PARTIALLY_PAID', 'OVERDUE'] },
-        balanceDue: { gt: 0 }
+        balanceAmount: { gt: 0 }
       },
       select: {
         id: true,
@@ -500,7 +510,7 @@ const getCustomerBalance = async (req, res) => {
         dueDate: true,
         totalAmount: true,
         paidAmount: true,
-        balanceDue: true,
+        balanceAmount: true,
         status: true
       }
     });
@@ -518,14 +528,15 @@ const getCustomerBalance = async (req, res) => {
 
     outstandingInvoices.forEach(invoice => {
       const agingPeriod = calculateAging(invoice.dueDate);
-      aging[agingPeriod] += invoice.balanceDue;
-      totalOutstanding += invoice.balanceDue;
+      aging[agingPeriod] += invoice.balanceAmount;
+      totalOutstanding += invoice.balanceAmount;
     });
 
     // Get payment history
     const recentPayments = await prisma.payment.findMany({
       where: {
-        customerId: id
+        customerId: id,
+        status: 'COMPLETED'
       },
       orderBy: { paymentDate: 'desc' },
       take: 10,
@@ -535,10 +546,24 @@ const getCustomerBalance = async (req, res) => {
         paymentDate: true,
         amount: true,
         paymentMethod: true,
-        reference: true
+        referenceNumber: true,
+        unappliedAmount: true
       }
     });
 
+    // Payments held on account and open credit notes are owed back or still to apply
+    const [unappliedPayments, openCreditNotes] = await Promise.all([
+      prisma.payment.aggregate({
+        where: { customerId: id, status: 'COMPLETED', unappliedAmount: { gt: 0 } },
+        _sum: { unappliedAmount: true }
+      }),
+      prisma.creditNote.aggregate({
+        where: { customerId: id, status: { in: ['OPEN', 'PARTIALLY_APPLIED'] } },
+        _sum: { balanceAmount: true }
+      })
+    ]);
+    const unappliedCredit = (unappliedPayments._sum.unappliedAmount || 0) + (openCreditNotes._sum.balanceAmount || 0);
+
     const balanceData = {
       customer: {
         id: customer.id,
@@ -547,7 +572,9 @@ const getCustomerBalance = async (req, res) => {
       },
       summary: {
         totalOutstanding,
-        creditAvailable: customer.creditLimit - totalOutstanding,
+        unappliedCredit,
+        netBalance: totalOutstanding - unappliedCredit,
+        creditAvailable: customer.creditLimit - (totalOutstanding - unappliedCredit),
         overdueAmount: aging['1-30'] + aging['31-60'] + aging['61-90'] + aging.over90
       },
       aging,
@@ -680,6 +707,73 @@ const importCustomers = async (req, res) => {
   }
 };
 
+/**
+ * Statement of account: opening balance, transactions with a running
+ * balance and an aging footer, as JSON or PDF (?format=pdf)
+ * GET /api/v1/customers/:id/statement?from&to&currency
+ */
+const getCustomerStatement = async (req, res) => {
+  try {
+    const { from, to, currency, format } = req.query;
+
+    const customer = await prisma.customer.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.role === 'SUPERADMIN' ? undefined : req.user.companyId
+      }
+    });
+
+    if (!customer) {
+      return res.status(404).json(errorResponse('Customer not found'));
+    }
+
+    const statement = await buildCustomerStatement(prisma, customer, { from, to, currency });
+
+    if (format === 'pdf') {
+      const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+      const filename = `Statement-${customer.customerCode}-${statement.to.toISOString().split('T')[0]}.pdf`;
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `${disposition}; filename="${filename}"`);
+
+      return createStatementPDF(statement).pipe(res);
+    }
+
+    const { company, ...data } = statement;
+    res.json(successResponse(data));
+  } catch (error) {
+    console.error('Get customer statement error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to generate customer statement', error));
+  }
+};
+
+/**
+ * Email statements to every customer with a non-zero balance
+ * (dryRun: true only lists them)
+ * POST /api/v1/customers/statements
+ */
+const sendCustomerStatements = async (req, res) => {
+  try {
+    const { from, to, dryRun = false } = req.body;
+
+    const summary = await processCustomerStatements(prisma, {
+      companyId: req.user.companyId,
+      from,
+      to,
+      dryRun: dryRun === true || dryRun === 'true'
+    });
+
+    const message = summary.queued > 0
+      ? `${summary.queued} statement(s) queued for delivery`
+      : 'No statements queued';
+
+    res.json(successResponse(summary, message));
+  } catch (error) {
+    console.error('Send customer statements error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to generate customer statements', error));
+  }
+};
+
 module.exports = {
   listCustomers,
   createCustomer,
@@ -688,5 +782,7 @@ module.exports = {
   deleteCustomer,
   getCustomerInvoices,
   getCustomerBalance,
+  getCustomerStatement,
+  sendCustomerStatements,
   importCustomers
 };
\ No newline at end of file
@@ -162,7 +162,7 @@ const getCompanyDashboardStats = async (req, res) => {
 
       // Recent payments (last 5)
       prisma.payment.findMany({
-        where: { companyId },
+        where: { companyId, status: 'COMPLETED' },
         take: 5,
         orderBy: { createdAt: 'desc' },
         select: {
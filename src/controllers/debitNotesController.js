@@ -0,0 +1,493 @@
+const { PrismaClient } = require('@prisma/client');
+const { v4: uuidv4 } = require('uuid');
+const {
+  successResponse,
+  errorResponse,
+  paginate,
+  paginatedResponse
+} = require('../utils/helpers');
+const { assertPeriodsOpenForUser } = require('../utils/periods');
+const { resolveDocumentCurrency } = require('../utils/currency');
+const { calculateInvoiceItems } = require('../utils/invoicing');
+const {
+  createDebitNoteRecord,
+  issueDebitNote: postDebitNote,
+  applyDebitNote: allocateDebitNote,
+  refundDebitNote: receiveDebitNoteRefund,
+  applyToSourceBill
+} = require('../utils/debitNotes');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const prisma = new PrismaClient();
+
+const CREDITABLE_BILL_STATUSES = ['APPROVED', 'PARTIALLY_PAID', 'PAID', 'OVERDUE'];
+
+/**
+ * List debit notes
+ * GET /api/v1/debit-notes
+ */
+const listDebitNotes = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, supplierId, billId } = req.query;
+    const { skip, take } = paginate(page, limit);
+
+    const where = { companyId: req.user.companyId };
+    if (status) where.status = status;
+    if (supplierId) where.supplierId = supplierId;
+    if (billId) where.billId = billId;
+
+    const [debitNotes, total] = await Promise.all([
+      prisma.debitNote.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { debitNoteDate: 'desc' },
+        include: {
+          supplier: {
+            select: { id: true, name: true, email: true }
+          },
+          bill: {
+            select: { id: true, billNumber: true }
+          }
+        }
+      }),
+      prisma.debitNote.count({ where })
+    ]);
+
+    res.json(paginatedResponse(debitNotes, total, page, limit));
+  } catch (error) {
+    console.error('List debit notes error:', error);
+    res.status(500).json(errorResponse('Failed to fetch debit notes', error));
+  }
+};
+
+/**
+ * Create a DRAFT debit note against a bill (all or some of its lines)
+ * or standalone for a supplier
+ * POST /api/v1/debit-notes
+ */
+const createDebitNote = async (req, res) => {
+  try {
+    const {
+      supplierId,
+      billId,
+      debitNoteDate = new Date(),
+      items = [],
+      reason,
+      notes,
+      currency,
+      exchangeRate
+    } = req.body;
+    const companyId = req.user.companyId;
+
+    let debitItems = items;
+    let debitSupplierId = supplierId;
+    let documentCurrency = null;
+
+    if (billId) {
+      const bill = await prisma.bill.findFirst({
+        where: { id: billId, companyId },
+        include: { items: true }
+      });
+
+      if (!bill) {
+        return res.status(404).json(errorResponse('Bill not found'));
+      }
+
+      if (!CREDITABLE_BILL_STATUSES.includes(bill.status)) {
+        return res.status(400).json(errorResponse('Only approved bills can be credited'));
+      }
+
+      debitSupplierId = bill.supplierId;
+
+      // Credit at the bill's rate so AP clears at its carrying amount
+      documentCurrency = { currency: bill.currency, exchangeRate: bill.exchangeRate };
+
+      // Full credit unless specific lines are given
+      if (items.length === 0) {
+        debitItems = bill.items.map(item => ({
+          productId: item.productId,
+          description: item.description,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          taxRate: item.taxRate,
+          discountAmount: item.discountAmount
+        }));
+      }
+
+      const validationError = await validateBillCredit(bill, debitItems);
+      if (validationError) {
+        return res.status(400).json(errorResponse(validationError));
+      }
+    }
+
+    if (!debitSupplierId || debitItems.length === 0) {
+      return res.status(400).json(errorResponse('Supplier and items are required'));
+    }
+
+    const supplier = await prisma.supplier.findFirst({
+      where: { id: debitSupplierId, companyId }
+    });
+
+    if (!supplier) {
+      return res.status(404).json(errorResponse('Supplier not found'));
+    }
+
+    if (!documentCurrency) {
+      documentCurrency = await resolveDocumentCurrency(prisma, companyId, {
+        currency,
+        exchangeRate,
+        date: debitNoteDate,
+        defaultCurrency: supplier.currency
+      });
+    }
+
+    await assertPeriodsOpenForUser(prisma, req.user, debitNoteDate);
+
+    const debitNote = await prisma.$transaction(async (tx) => {
+      return createDebitNoteRecord(tx, {
+        companyId,
+        supplier,
+        billId: billId || null,
+        debitNoteDate,
+        items: debitItems,
+        reason,
+        notes,
+        ...documentCurrency,
+        createdById: req.user.id
+      });
+    });
+
+    res.status(201).json(successResponse(debitNote, 'Debit note created successfully'));
+  } catch (error) {
+    console.error('Create debit note error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to create debit note', error));
+  }
+};
+
+/**
+ * Get debit note with allocations and refunds
+ * GET /api/v1/debit-notes/:id
+ */
+const getDebitNoteById = async (req, res) => {
+  try {
+    const debitNote = await prisma.debitNote.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      },
+      include: {
+        supplier: true,
+        items: {
+          include: {
+            product: {
+              select: { id: true, name: true, productCode: true }
+            }
+          }
+        },
+        bill: {
+          select: { id: true, billNumber: true, totalAmount: true, balanceAmount: true }
+        },
+        purchaseReturn: {
+          select: { id: true, returnNumber: true }
+        },
+        allocations: {
+          include: {
+            bill: { select: { id: true, billNumber: true } }
+          },
+          orderBy: { allocationDate: 'asc' }
+        },
+        refunds: {
+          orderBy: { refundDate: 'asc' }
+        },
+        createdBy: {
+          select: { id: true, name: true, email: true }
+        }
+      }
+    });
+
+    if (!debitNote) {
+      return res.status(404).json(errorResponse('Debit note not found'));
+    }
+
+    res.json(successResponse(debitNote));
+  } catch (error) {
+    console.error('Get debit note error:', error);
+    res.status(500).json(errorResponse('Failed to fetch debit note', error));
+  }
+};
+
+/**
+ * Update a DRAFT debit note
+ * PUT /api/v1/debit-notes/:id
+ */
+const updateDebitNote = async (req, res) => {
+  try {
+    const existing = await prisma.debitNote.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      },
+      include: { bill: { include: { items: true } } }
+    });
+
+    if (!existing) {
+      return res.status(404).json(errorResponse('Debit note not found'));
+    }
+
+    if (existing.status !== 'DRAFT') {
+      return res.status(400).json(errorResponse('Only draft debit notes can be updated'));
+    }
+
+    if (existing.purchaseReturnId) {
+      return res.status(400).json(errorResponse('Debit notes for purchase returns follow the return and cannot be edited'));
+    }
+
+    const {
+      debitNoteDate = existing.debitNoteDate,
+      items,
+      reason = existing.reason,
+      notes = existing.notes
+    } = req.body;
+
+    await assertPeriodsOpenForUser(prisma, req.user, existing.debitNoteDate, debitNoteDate);
+
+    if (items && existing.bill) {
+      const validationError = await validateBillCredit(existing.bill, items, existing.id);
+      if (validationError) {
+        return res.status(400).json(errorResponse(validationError));
+      }
+    }
+
+    const updatedDebitNote = await prisma.$transaction(async (tx) => {
+      const data = {
+        debitNoteDate: new Date(debitNoteDate),
+        reason,
+        notes
+      };
+
+      if (items) {
+        if (items.length === 0) {
+          throw new ValidationError('At least one item is required');
+        }
+
+        const totals = calculateInvoiceItems(items);
+
+        await tx.debitNoteItem.deleteMany({
+          where: { debitNoteId: existing.id }
+        });
+
+        Object.assign(data, {
+          subtotal: totals.subtotal,
+          discountAmount: totals.discountAmount,
+          taxAmount: totals.taxAmount,
+          totalAmount: totals.totalAmount,
+          balanceAmount: totals.totalAmount,
+          items: {
+            create: totals.items.map(item => ({
+              id: uuidv4(),
+              ...item
+            }))
+          }
+        });
+      }
+
+      return tx.debitNote.update({
+        where: { id: existing.id },
+        data,
+        include: {
+          supplier: true,
+          items: true
+        }
+      });
+    });
+
+    res.json(successResponse(updatedDebitNote, 'Debit note updated successfully'));
+  } catch (error) {
+    console.error('Update debit note error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to update debit note', error));
+  }
+};
+
+/**
+ * Delete a DRAFT debit note
+ * DELETE /api/v1/debit-notes/:id
+ */
+const deleteDebitNote = async (req, res) => {
+  try {
+    const existing = await prisma.debitNote.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existing) {
+      return res.status(404).json(errorResponse('Debit note not found'));
+    }
+
+    if (existing.status !== 'DRAFT') {
+      return res.status(400).json(errorResponse('Only draft debit notes can be deleted'));
+    }
+
+    await prisma.debitNote.delete({
+      where: { id: existing.id }
+    });
+
+    res.json(successResponse(null, 'Debit note deleted successfully'));
+  } catch (error) {
+    console.error('Delete debit note error:', error);
+    res.status(500).json(errorResponse('Failed to delete debit note', error));
+  }
+};
+
+/**
+ * Issue a DRAFT debit note: post it and apply it to the credited bill
+ * when that bill is still open
+ * POST /api/v1/debit-notes/:id/issue
+ */
+const issueDebitNote = async (req, res) => {
+  try {
+    const debitNote = await prisma.$transaction(async (tx) => {
+      const existing = await tx.debitNote.findFirst({
+        where: {
+          id: req.params.id,
+          companyId: req.user.companyId
+        },
+        include: { bill: true }
+      });
+
+      if (!existing) {
+        throw new NotFoundError('Debit note not found');
+      }
+
+      await assertPeriodsOpenForUser(tx, req.user, existing.debitNoteDate);
+
+      const issued = await postDebitNote(tx, existing);
+
+      return applyToSourceBill(tx, issued, existing.bill, req.user.id);
+    });
+
+    res.json(successResponse(debitNote, 'Debit note issued successfully'));
+  } catch (error) {
+    console.error('Issue debit note error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to issue debit note', error));
+  }
+};
+
+/**
+ * Apply open credit to one or more open bills of the same supplier
+ * POST /api/v1/debit-notes/:id/apply
+ */
+const applyDebitNote = async (req, res) => {
+  try {
+    const { allocations, allocationDate = new Date() } = req.body;
+
+    await assertPeriodsOpenForUser(prisma, req.user, allocationDate);
+
+    const debitNote = await prisma.$transaction(async (tx) => {
+      const existing = await tx.debitNote.findFirst({
+        where: {
+          id: req.params.id,
+          companyId: req.user.companyId
+        }
+      });
+
+      if (!existing) {
+        throw new NotFoundError('Debit note not found');
+      }
+
+      return allocateDebitNote(tx, existing, allocations, {
+        allocationDate,
+        createdById: req.user.id
+      });
+    });
+
+    res.json(successResponse(debitNote, 'Debit note applied successfully'));
+  } catch (error) {
+    console.error('Apply debit note error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to apply debit note', error));
+  }
+};
+
+/**
+ * Record open credit refunded by the supplier
+ * POST /api/v1/debit-notes/:id/refund
+ */
+const refundDebitNote = async (req, res) => {
+  try {
+    const {
+      amount,
+      refundDate = new Date(),
+      paymentMethod,
+      reference,
+      notes,
+      exchangeRate
+    } = req.body;
+
+    if (!paymentMethod) {
+      return res.status(400).json(errorResponse('Payment method is required'));
+    }
+
+    await assertPeriodsOpenForUser(prisma, req.user, refundDate);
+
+    const debitNote = await prisma.$transaction(async (tx) => {
+      const existing = await tx.debitNote.findFirst({
+        where: {
+          id: req.params.id,
+          companyId: req.user.companyId
+        }
+      });
+
+      if (!existing) {
+        throw new NotFoundError('Debit note not found');
+      }
+
+      return receiveDebitNoteRefund(tx, existing, {
+        amount,
+        refundDate,
+        paymentMethod,
+        referenceNumber: reference,
+        notes,
+        exchangeRate,
+        createdById: req.user.id
+      });
+    });
+
+    res.json(successResponse(debitNote, 'Debit note refund recorded successfully'));
+  } catch (error) {
+    console.error('Refund debit note error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to record debit note refund', error));
+  }
+};
+
+// Helper function to check credited lines against what is left to credit on a bill
+async function validateBillCredit(bill, items, excludeDebitNoteId = null) {
+  const alreadyCredited = await prisma.debitNote.aggregate({
+    where: {
+      billId: bill.id,
+      ...(excludeDebitNoteId ? { id: { not: excludeDebitNoteId } } : {})
+    },
+    _sum: { totalAmount: true }
+  });
+
+  const { totalAmount } = calculateInvoiceItems(items);
+  const remaining = bill.totalAmount - (alreadyCredited._sum.totalAmount || 0);
+
+  if (totalAmount > remaining + 0.005) {
+    return `Credit (${totalAmount}) exceeds the amount left to credit on bill ${bill.billNumber} (${remaining})`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  listDebitNotes,
+  createDebitNote,
+  getDebitNoteById,
+  updateDebitNote,
+  deleteDebitNote,
+  issueDebitNote,
+  applyDebitNote,
+  refundDebitNote
+};
@@ -0,0 +1,84 @@
+const { PrismaClient } = require('@prisma/client');
+const { successResponse, errorResponse } = require('../utils/helpers');
+const { STATE_MACHINES, describeStateMachine, allowedTransitions } = require('../utils/stateMachines');
+const { getTransitions } = require('../utils/statusTransitions');
+const { NotFoundError } = require('../middleware/errorHandler');
+
+const prisma = new PrismaClient();
+
+/**
+ * List the lifecycle of every document type
+ * GET /api/v1/document-lifecycles
+ */
+const listDocumentLifecycles = async (req, res) => {
+  try {
+    res.json(successResponse(Object.keys(STATE_MACHINES).map(describeStateMachine)));
+  } catch (error) {
+    console.error('List document lifecycles error:', error);
+    res.status(500).json(errorResponse('Failed to fetch document lifecycles', error));
+  }
+};
+
+/**
+ * Get the lifecycle of a document type
+ * GET /api/v1/document-lifecycles/:documentType
+ */
+const getDocumentLifecycle = async (req, res) => {
+  try {
+    res.json(successResponse(describeStateMachine(findDocumentType(req.params.documentType))));
+  } catch (error) {
+    console.error('Get document lifecycle error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to fetch document lifecycle', error));
+  }
+};
+
+/**
+ * A document's status history, with the statuses it can move to next
+ * GET /api/v1/document-lifecycles/:documentType/:documentId/transitions
+ */
+const getDocumentTransitions = async (req, res) => {
+  try {
+    const documentType = findDocumentType(req.params.documentType);
+    const machine = STATE_MACHINES[documentType];
+
+    const document = await prisma[machine.model].findFirst({
+      where: { id: req.params.documentId, companyId: req.user.companyId },
+      select: { id: true, status: true, [machine.numberField]: true }
+    });
+
+    if (!document) {
+      throw new NotFoundError(`${machine.label} not found`);
+    }
+
+    const transitions = await getTransitions(prisma, req.user.companyId, documentType, document.id);
+
+    res.json(successResponse({
+      documentType,
+      documentId: document.id,
+      number: document[machine.numberField],
+      status: document.status,
+      allowedTransitions: allowedTransitions(documentType, document.status),
+      transitions
+    }));
+  } catch (error) {
+    console.error('Get document transitions error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to fetch status history', error));
+  }
+};
+
+// Helper function to check a document type from the URL
+function findDocumentType(documentType) {
+  const key = String(documentType).toUpperCase();
+
+  if (!Object.keys(STATE_MACHINES).includes(key)) {
+    throw new NotFoundError(`Unknown document type: ${documentType}`);
+  }
+
+  return key;
+}
+
+module.exports = {
+  listDocumentLifecycles,
+  getDocumentLifecycle,
+  getDocumentTransitions
+};
@@ -0,0 +1,311 @@
+const { PrismaClient } = require('@prisma/client');
+const { v4: uuidv4 } = require('uuid');
+const {
+  successResponse,
+  errorResponse,
+  paginate,
+  paginatedResponse
+} = require('../utils/helpers');
+const { validateDunningLevel, processDunning } = require('../utils/dunning');
+const { ValidationError, ConflictError, NotFoundError } = require('../middleware/errorHandler');
+
+const prisma = new PrismaClient();
+
+const NOTICE_INCLUDE = {
+  customer: { select: { id: true, name: true, email: true } },
+  invoice: { select: { id: true, invoiceNumber: true, dueDate: true, status: true, balanceAmount: true, currency: true } },
+  dunningLevel: { select: { id: true, name: true } },
+  lateFeeInvoice: { select: { id: true, invoiceNumber: true } }
+};
+
+/**
+ * List dunning levels
+ * GET /api/v1/dunning/levels
+ */
+const listDunningLevels = async (req, res) => {
+  try {
+    const where = { companyId: req.user.companyId };
+    if (req.query.isActive !== undefined) where.isActive = req.query.isActive === 'true';
+
+    const levels = await prisma.dunningLevel.findMany({
+      where,
+      orderBy: { level: 'asc' },
+      include: { _count: { select: { notices: true } } }
+    });
+
+    res.json(successResponse(levels));
+  } catch (error) {
+    console.error('List dunning levels error:', error);
+    res.status(500).json(errorResponse('Failed to fetch dunning levels', error));
+  }
+};
+
+/**
+ * Create dunning level
+ * POST /api/v1/dunning/levels
+ */
+const createDunningLevel = async (req, res) => {
+  try {
+    const invalid = validateDunningLevel(req.body);
+    if (invalid) {
+      throw new ValidationError(invalid);
+    }
+
+    const level = parseInt(req.body.level);
+
+    const existing = await prisma.dunningLevel.findUnique({
+      where: { companyId_level: { companyId: req.user.companyId, level } }
+    });
+
+    if (existing) {
+      throw new ConflictError(`Dunning level ${level} already exists`);
+    }
+
+    const dunningLevel = await prisma.dunningLevel.create({
+      data: {
+        id: uuidv4(),
+        companyId: req.user.companyId,
+        ...buildLevelData(req.body),
+        level,
+        createdById: req.user.id
+      }
+    });
+
+    res.status(201).json(successResponse(dunningLevel, 'Dunning level created successfully'));
+  } catch (error) {
+    console.error('Create dunning level error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to create dunning level', error));
+  }
+};
+
+/**
+ * Update dunning level. The level number can't change once notices exist.
+ * PUT /api/v1/dunning/levels/:id
+ */
+const updateDunningLevel = async (req, res) => {
+  try {
+    const existing = await findLevel(req.params.id, req.user.companyId);
+
+    const merged = { ...existing, ...req.body };
+    const invalid = validateDunningLevel(merged);
+    if (invalid) {
+      throw new ValidationError(invalid);
+    }
+
+    const level = parseInt(merged.level);
+
+    if (level !== existing.level) {
+      if (existing._count.notices > 0) {
+        throw new ConflictError('Cannot renumber a dunning level that has sent notices');
+      }
+
+      const clash = await prisma.dunningLevel.findUnique({
+        where: { companyId_level: { companyId: req.user.companyId, level } }
+      });
+
+      if (clash) {
+        throw new ConflictError(`Dunning level ${level} already exists`);
+      }
+    }
+
+    const dunningLevel = await prisma.dunningLevel.update({
+      where: { id: existing.id },
+      data: { ...buildLevelData(req.body), level }
+    });
+
+    res.json(successResponse(dunningLevel, 'Dunning level updated successfully'));
+  } catch (error) {
+    console.error('Update dunning level error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to update dunning level', error));
+  }
+};
+
+/**
+ * Delete dunning level, or deactivate it if it has sent notices
+ * DELETE /api/v1/dunning/levels/:id
+ */
+const deleteDunningLevel = async (req, res) => {
+  try {
+    const existing = await findLevel(req.params.id, req.user.companyId);
+
+    if (existing._count.notices > 0) {
+      await prisma.dunningLevel.update({
+        where: { id: existing.id },
+        data: { isActive: false }
+      });
+
+      return res.json(successResponse(null, 'Dunning level has sent notices and was deactivated'));
+    }
+
+    await prisma.dunningLevel.delete({ where: { id: existing.id } });
+
+    res.json(successResponse(null, 'Dunning level deleted successfully'));
+  } catch (error) {
+    console.error('Delete dunning level error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to delete dunning level', error));
+  }
+};
+
+/**
+ * Run dunning now for the company: mark overdue invoices and send due
+ * reminders. dryRun lists what would be sent without changing anything.
+ * POST /api/v1/dunning/run
+ */
+const runDunning = async (req, res) => {
+  try {
+    const { asOf, dryRun = false } = req.body;
+
+    const runDate = asOf ? new Date(asOf) : new Date();
+    if (isNaN(runDate.getTime())) {
+      throw new ValidationError('Invalid run date');
+    }
+
+    const summary = await processDunning(prisma, {
+      asOf: runDate,
+      companyId: req.user.companyId,
+      dryRun: Boolean(dryRun)
+    });
+
+    const message = dryRun
+      ? `${summary.notices.length} reminder(s) would be sent`
+      : `${summary.sent} reminder(s) sent, ${summary.failed} failed`;
+
+    res.json(successResponse(summary, message));
+  } catch (error) {
+    console.error('Run dunning error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to run dunning', error));
+  }
+};
+
+/**
+ * List dunning notices
+ * GET /api/v1/dunning/notices
+ */
+const listDunningNotices = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, customerId, invoiceId, level, startDate, endDate } = req.query;
+    const { skip, take } = paginate(page, limit);
+
+    const where = { companyId: req.user.companyId };
+    if (customerId) where.customerId = customerId;
+    if (invoiceId) where.invoiceId = invoiceId;
+    if (level) where.level = parseInt(level);
+
+    if (startDate || endDate) {
+      where.createdAt = {};
+      if (startDate) where.createdAt.gte = new Date(startDate);
+      if (endDate) where.createdAt.lte = new Date(endDate);
+    }
+
+    const [notices, total] = await Promise.all([
+      prisma.dunningNotice.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { createdAt: 'desc' },
+        include: NOTICE_INCLUDE
+      }),
+      prisma.dunningNotice.count({ where })
+    ]);
+
+    res.json(paginatedResponse(notices, total, page, limit));
+  } catch (error) {
+    console.error('List dunning notices error:', error);
+    res.status(500).json(errorResponse('Failed to fetch dunning notices', error));
+  }
+};
+
+/**
+ * Dunning history for a customer: every notice sent, and the invoices
+ * currently in dunning
+ * GET /api/v1/customers/:id/dunning
+ */
+const getCustomerDunningHistory = async (req, res) => {
+  try {
+    const customer = await prisma.customer.findFirst({
+      where: { id: req.params.id, companyId: req.user.companyId },
+      select: { id: true, name: true, email: true }
+    });
+
+    if (!customer) {
+      return res.status(404).json(errorResponse('Customer not found'));
+    }
+
+    const [notices, openInvoices, lateFees] = await Promise.all([
+      prisma.dunningNotice.findMany({
+        where: { customerId: customer.id },
+        orderBy: { createdAt: 'desc' },
+        include: NOTICE_INCLUDE
+      }),
+      prisma.invoice.findMany({
+        where: { customerId: customer.id, status: 'OVERDUE' },
+        orderBy: { dueDate: 'asc' },
+        select: {
+          id: true,
+          invoiceNumber: true,
+          dueDate: true,
+          balanceAmount: true,
+          currency: true,
+          dunningLevel: true,
+          lastDunnedAt: true
+        }
+      }),
+      prisma.dunningNotice.aggregate({
+        where: { customerId: customer.id },
+        _sum: { lateFeeAmount: true }
+      })
+    ]);
+
+    res.json(successResponse({
+      customer,
+      overdueInvoices: openInvoices,
+      notices,
+      totalLateFees: lateFees._sum.lateFeeAmount || 0
+    }));
+  } catch (error) {
+    console.error('Get customer dunning history error:', error);
+    res.status(500).json(errorResponse('Failed to fetch dunning history', error));
+  }
+};
+
+// Helper function to load a company's dunning level or throw
+async function findLevel(id, companyId) {
+  const level = await prisma.dunningLevel.findFirst({
+    where: { id, companyId },
+    include: { _count: { select: { notices: true } } }
+  });
+
+  if (!level) {
+    throw new NotFoundError('Dunning level not found');
+  }
+
+  return level;
+}
+
+// Helper function to pick the editable dunning level fields from a request body
+function buildLevelData(body) {
+  const data = {
+    name: body.name,
+    daysOverdue: body.daysOverdue !== undefined ? parseInt(body.daysOverdue) : undefined,
+    subject: body.subject,
+    message: body.message,
+    lateFeeType: body.lateFeeType,
+    lateFeeValue: body.lateFeeValue !== undefined ? parseFloat(body.lateFeeValue) || 0 : undefined,
+    lateFeeMode: body.lateFeeMode,
+    isActive: body.isActive
+  };
+
+  if (body.lateFeeType === 'NONE') data.lateFeeValue = 0;
+
+  return data;
+}
+
+module.exports = {
+  listDunningLevels,
+  createDunningLevel,
+  updateDunningLevel,
+  deleteDunningLevel,
+  runDunning,
+  listDunningNotices,
+  getCustomerDunningHistory
+};
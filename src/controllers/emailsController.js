@@ -0,0 +1,129 @@
+const { PrismaClient } = require('@prisma/client');
+const {
+  successResponse,
+  errorResponse,
+  paginate,
+  paginatedResponse
+} = require('../utils/helpers');
+const { UNSTORED_TEMPLATES, deliverEmail } = require('../utils/emailOutbox');
+
+const prisma = new PrismaClient();
+
+const EMAIL_STATUSES = ['PENDING', 'SENDING', 'SENT', 'FAILED'];
+
+/**
+ * List outbox messages
+ * GET /api/v1/emails
+ */
+const listEmails = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, template, referenceType, referenceId } = req.query;
+    const { skip, take } = paginate(page, limit);
+
+    if (status && !EMAIL_STATUSES.includes(status)) {
+      return res.status(400).json(errorResponse(`Invalid status. Must be one of: ${EMAIL_STATUSES.join(', ')}`));
+    }
+
+    // Messages stored before their template was taken out of the outbox stay hidden
+    const where = { companyId: req.user.companyId, template: { notIn: UNSTORED_TEMPLATES } };
+    if (status) where.status = status;
+    if (template) where.template = { equals: template, notIn: UNSTORED_TEMPLATES };
+    if (referenceType) where.referenceType = referenceType;
+    if (referenceId) where.referenceId = referenceId;
+
+    const [emails, total] = await Promise.all([
+      prisma.emailMessage.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { createdAt: 'desc' },
+        select: {
+          id: true,
+          template: true,
+          toAddress: true,
+          subject: true,
+          status: true,
+          attempts: true,
+          lastError: true,
+          nextAttemptAt: true,
+          sentAt: true,
+          referenceType: true,
+          referenceId: true,
+          createdAt: true
+        }
+      }),
+      prisma.emailMessage.count({ where })
+    ]);
+
+    res.json(paginatedResponse(emails, total, page, limit));
+  } catch (error) {
+    console.error('List emails error:', error);
+    res.status(500).json(errorResponse('Failed to fetch emails', error));
+  }
+};
+
+/**
+ * Get outbox message by ID
+ * GET /api/v1/emails/:id
+ */
+const getEmailById = async (req, res) => {
+  try {
+    const email = await prisma.emailMessage.findFirst({
+      where: { id: req.params.id, companyId: req.user.companyId, template: { notIn: UNSTORED_TEMPLATES } }
+    });
+
+    if (!email) {
+      return res.status(404).json(errorResponse('Email not found'));
+    }
+
+    res.json(successResponse(email));
+  } catch (error) {
+    console.error('Get email error:', error);
+    res.status(500).json(errorResponse('Failed to fetch email', error));
+  }
+};
+
+/**
+ * Retry delivery of a failed message
+ * POST /api/v1/emails/:id/retry
+ */
+const retryEmail = async (req, res) => {
+  try {
+    const email = await prisma.emailMessage.findFirst({
+      where: { id: req.params.id, companyId: req.user.companyId, template: { notIn: UNSTORED_TEMPLATES } }
+    });
+
+    if (!email) {
+      return res.status(404).json(errorResponse('Email not found'));
+    }
+
+    if (email.status !== 'FAILED' && email.status !== 'PENDING') {
+      return res.status(400).json(errorResponse(`Cannot retry an email with status ${email.status}`));
+    }
+
+    // Allow one more attempt beyond what has been used so far
+    const pending = await prisma.emailMessage.update({
+      where: { id: email.id },
+      data: {
+        status: 'PENDING',
+        nextAttemptAt: new Date(),
+        maxAttempts: Math.max(email.maxAttempts, email.attempts + 1)
+      }
+    });
+
+    const result = await deliverEmail(prisma, pending);
+
+    res.json(successResponse(result || pending, result && result.status === 'SENT'
+      ? 'Email sent successfully'
+      : 'Email delivery failed, it will be retried'));
+  } catch (error) {
+    console.error('Retry email error:', error);
+    res.status(500).json(errorResponse('Failed to retry email', error));
+  }
+};
+
+module.exports = {
+  listEmails,
+  getEmailById,
+  retryEmail
+};
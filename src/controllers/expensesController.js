@@ -7,6 +7,10 @@ const {
   paginatedResponse,
   cleanObject
 } = require('../utils/helpers');
+const { resolveAccounts } = require('../utils/accountMapping');
+const { postJournalEntry } = require('../utils/posting');
+const { assertPeriodsOpenForUser } = require('../utils/periods');
+const { allocateNumber } = require('../utils/numbering');
 
 const prisma = new PrismaClient();
 
@@ -43,28 +47,46 @@ const listExpenses = async (req, res) => {
 
 const createExpense = async (req, res) => {
   try {
-    const { amount, category, description, expenseDate = new Date(), paymentMethod } = req.body;
+    const {
+      amount,
+      taxAmount = 0,
+      category,
+      description,
+      expenseDate = new Date(),
+      paymentMethod = 'CASH',
+      accountId
+    } = req.body;
 
     if (!amount || !category) {
       return res.status(400).json(errorResponse('Amount and category are required'));
     }
 
-    const expense = await prisma.expense.create({
-      data: {
-        id: uuidv4(),
-        amount,
-        category,
-        description,
-        expenseDate: new Date(expenseDate),
-        paymentMethod,
-        companyId: req.user.companyId,
-        createdById: req.user.id
-      }
+    await assertPeriodsOpenForUser(prisma, req.user, expenseDate);
+
+    const expense = await prisma.$transaction(async (tx) => {
+      const newExpense = await tx.expense.create({
+        data: {
+          id: uuidv4(),
+          expenseNumber: await allocateNumber(tx, req.user.companyId, 'EXPENSE', { date: expenseDate }),
+          amount,
+          taxAmount,
+          totalAmount: amount + taxAmount,
+          category,
+          description,
+          expenseDate: new Date(expenseDate),
+          paymentMethod,
+          companyId: req.user.companyId
+        }
+      });
+
+      await createExpenseAccountingEntries(tx, newExpense, req.user, accountId);
+
+      return newExpense;
     });
 
     res.status(201).json(successResponse(expense, 'Expense created successfully'));
   } catch (error) {
-    res.status(500).json(errorResponse('Failed to create expense', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to create expense', error));
   }
 };
 
@@ -86,23 +108,43 @@ const getExpenseById = async (req, res) => {
 
 const updateExpense = async (req, res) => {
   try {
+    const existing = await prisma.expense.findFirst({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!existing) {
+      return res.status(404).json(errorResponse('Expense not found'));
+    }
+
+    await assertPeriodsOpenForUser(prisma, req.user, existing.expenseDate, req.body.expenseDate);
+
     const expense = await prisma.expense.update({
-      where: { id: req.params.id },
+      where: { id: existing.id },
       data: cleanObject(req.body)
     });
 
     res.json(successResponse(expense, 'Expense updated successfully'));
   } catch (error) {
-    res.status(500).json(errorResponse('Failed to update expense', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to update expense', error));
   }
 };
 
 const deleteExpense = async (req, res) => {
   try {
-    await prisma.expense.delete({ where: { id: req.params.id } });
+    const existing = await prisma.expense.findFirst({
+      where: { id: req.params.id, companyId: req.user.companyId }
+    });
+
+    if (!existing) {
+      return res.status(404).json(errorResponse('Expense not found'));
+    }
+
+    await assertPeriodsOpenForUser(prisma, req.user, existing.expenseDate);
+
+    await prisma.expense.delete({ where: { id: existing.id } });
     res.json(successResponse(null, 'Expense deleted successfully'));
   } catch (error) {
-    res.status(500).json(errorResponse('Failed to delete expense', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to delete expense', error));
   }
 };
 
@@ -134,6 +176,69 @@ const getExpenseSummary = async (req, res) => {
   }
 };
 
+// Pick the expense account: explicit accountId, then an expense account
+// named like the category, then the OTHER_EXPENSES posting rule
+async function resolveExpenseAccount(tx, companyId, category, accountId) {
+  if (accountId) {
+    const account = await tx.account.findFirst({
+      where: { id: accountId, companyId, accountType: 'EXPENSE', isActive: true }
+    });
+
+    if (!account) throw new Error('Expense account not found');
+    return account;
+  }
+
+  const byCategory = await tx.account.findFirst({
+    where: {
+      companyId,
+      accountType: 'EXPENSE',
+      isActive: true,
+      accountName: { equals: category, mode: 'insensitive' }
+    }
+  });
+
+  if (byCategory) return byCategory;
+
+  const { OTHER_EXPENSES } = await resolveAccounts(tx, companyId, ['OTHER_EXPENSES']);
+  return OTHER_EXPENSES;
+}
+
+// Helper function to create accounting entries for expense
+async function createExpenseAccountingEntries(tx, expense, user, accountId) {
+  const paymentKey = expense.paymentMethod === 'CASH' ? 'CASH' : 'BANK';
+  const {
+    [paymentKey]: paymentAccount,
+    INPUT_TAX: inputTaxAccount
+  } = await resolveAccounts(tx, user.companyId, [paymentKey, 'INPUT_TAX']);
+  const expenseAccount = await resolveExpenseAccount(tx, user.companyId, expense.category, accountId);
+
+  return postJournalEntry(tx, {
+    companyId: user.companyId,
+    entryDate: expense.expenseDate,
+    description: `Expense ${expense.expenseNumber} - ${expense.category}`,
+    createdById: user.id,
+    referenceType: 'expense',
+    referenceId: expense.id,
+    lines: [
+      {
+        account: expenseAccount,
+        debitAmount: expense.amount,
+        description: expense.description || expense.category
+      },
+      {
+        account: inputTaxAccount,
+        debitAmount: expense.taxAmount,
+        description: `Input Tax - ${expense.expenseNumber}`
+      },
+      {
+        account: paymentAccount,
+        creditAmount: expense.totalAmount,
+        description: `Paid - ${expense.expenseNumber}`
+      }
+    ]
+  });
+}
+
 module.exports = {
   listExpenses,
   createExpense,
@@ -0,0 +1,206 @@
+const { PrismaClient } = require('@prisma/client');
+const { v4: uuidv4 } = require('uuid');
+const {
+  successResponse,
+  errorResponse,
+  paginate,
+  paginatedResponse
+} = require('../utils/helpers');
+const { getReversalDate, calculateRevaluation, postRevaluationEntry } = require('../utils/fxRevaluation');
+const { assertPeriodsOpenForUser } = require('../utils/periods');
+const { roundAmount } = require('../utils/currency');
+const { ConflictError } = require('../middleware/errorHandler');
+
+const prisma = new PrismaClient();
+
+/**
+ * List revaluation runs
+ * GET /api/v1/fx-revaluations
+ */
+const listRevaluations = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const { skip, take } = paginate(page, limit);
+
+    const where = { companyId: req.user.companyId };
+
+    const [revaluations, total] = await Promise.all([
+      prisma.fxRevaluation.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { asOfDate: 'desc' },
+        select: {
+          id: true,
+          asOfDate: true,
+          rates: true,
+          totalGain: true,
+          journalEntryId: true,
+          reversalDate: true,
+          createdById: true,
+          createdAt: true
+        }
+      }),
+      prisma.fxRevaluation.count({ where })
+    ]);
+
+    res.json(paginatedResponse(revaluations, total, page, limit));
+  } catch (error) {
+    console.error('List FX revaluations error:', error);
+    res.status(500).json(errorResponse('Failed to fetch FX revaluations', error));
+  }
+};
+
+/**
+ * Calculate a revaluation without posting it
+ * POST /api/v1/fx-revaluations/preview
+ */
+const previewRevaluation = async (req, res) => {
+  try {
+    const { asOfDate, rates = {} } = req.body;
+
+    if (!asOfDate) {
+      return res.status(400).json(errorResponse('As-of date is required'));
+    }
+
+    const revaluation = await calculateRevaluation(prisma, req.user.companyId, asOfDate, rates);
+    const reversalDate = await getReversalDate(prisma, req.user.companyId, asOfDate);
+
+    res.json(successResponse(buildReport({ ...revaluation, reversalDate })));
+  } catch (error) {
+    console.error('Preview FX revaluation error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to calculate FX revaluation', error));
+  }
+};
+
+/**
+ * Revalue open foreign currency balances and post the adjusting entry.
+ * The entry reverses on the first day of the next period.
+ * POST /api/v1/fx-revaluations
+ */
+const runRevaluation = async (req, res) => {
+  try {
+    const { asOfDate, rates = {} } = req.body;
+    const companyId = req.user.companyId;
+
+    if (!asOfDate) {
+      return res.status(400).json(errorResponse('As-of date is required'));
+    }
+
+    const reversalDate = await getReversalDate(prisma, companyId, asOfDate);
+
+    await assertPeriodsOpenForUser(prisma, req.user, asOfDate, reversalDate);
+
+    const result = await prisma.$transaction(async (tx) => {
+      // Balances are only right once the previous adjustment has been reversed
+      const pending = await tx.journalEntry.findFirst({
+        where: {
+          companyId,
+          referenceType: 'fx_revaluation',
+          status: 'POSTED',
+          reversedAt: null
+        }
+      });
+
+      if (pending) {
+        throw new ConflictError(`Revaluation entry ${pending.journalNumber} has not been reversed yet`);
+      }
+
+      const revaluation = await calculateRevaluation(tx, companyId, asOfDate, rates);
+      const id = uuidv4();
+
+      const journalEntry = await postRevaluationEntry(tx, companyId, revaluation, {
+        reversalDate,
+        referenceId: id,
+        createdById: req.user.id
+      });
+
+      const record = await tx.fxRevaluation.create({
+        data: {
+          id,
+          companyId,
+          asOfDate: revaluation.asOfDate,
+          rates: revaluation.rates,
+          details: revaluation.details,
+          totalGain: revaluation.totalGain,
+          journalEntryId: journalEntry ? journalEntry.id : null,
+          reversalDate,
+          createdById: req.user.id
+        }
+      });
+
+      return { ...buildReport(record), journalEntry };
+    });
+
+    res.status(201).json(successResponse(
+      result,
+      result.journalEntry ? 'FX revaluation posted successfully' : 'No unrealized FX differences to post'
+    ));
+  } catch (error) {
+    console.error('Run FX revaluation error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to run FX revaluation', error));
+  }
+};
+
+/**
+ * Revaluation detail report
+ * GET /api/v1/fx-revaluations/:id
+ */
+const getRevaluationById = async (req, res) => {
+  try {
+    const revaluation = await prisma.fxRevaluation.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!revaluation) {
+      return res.status(404).json(errorResponse('FX revaluation not found'));
+    }
+
+    const journalEntry = revaluation.journalEntryId
+      ? await prisma.journalEntry.findUnique({
+        where: { id: revaluation.journalEntryId },
+        include: {
+          lineItems: { include: { account: true } },
+          reversedBy: { select: { id: true, journalNumber: true, entryDate: true } }
+        }
+      })
+      : null;
+
+    res.json(successResponse({ ...buildReport(revaluation), journalEntry }));
+  } catch (error) {
+    console.error('Get FX revaluation error:', error);
+    res.status(500).json(errorResponse('Failed to fetch FX revaluation', error));
+  }
+};
+
+// Helper function to add per-type and per-currency totals to a revaluation
+function buildReport(revaluation) {
+  const summarize = (key) => revaluation.details.reduce((totals, detail) => {
+    const group = totals[detail[key]] || { count: 0, bookAmount: 0, revaluedAmount: 0, gain: 0 };
+    group.count += 1;
+    group.bookAmount = roundAmount(group.bookAmount + detail.bookAmount);
+    group.revaluedAmount = roundAmount(group.revaluedAmount + detail.revaluedAmount);
+    group.gain = roundAmount(group.gain + detail.gain);
+    totals[detail[key]] = group;
+    return totals;
+  }, {});
+
+  return {
+    ...revaluation,
+    summary: {
+      byType: summarize('type'),
+      byCurrency: summarize('currency'),
+      totalGain: revaluation.totalGain
+    }
+  };
+}
+
+module.exports = {
+  listRevaluations,
+  previewRevaluation,
+  runRevaluation,
+  getRevaluationById
+};
@@ -7,9 +7,32 @@ const {
   paginatedResponse,
   sanitizeSearchQuery,
   cleanObject,
-  generateInvoiceNumber,
   calculateLineItemsTotal
 } = require('../utils/helpers');
+const { createInvoicePDF } = require('../utils/invoicePdf');
+const { sendTemplatedEmail } = require('../utils/emailOutbox');
+const { resolveAccounts } = require('../utils/accountMapping');
+const { postJournalEntry } = require('../utils/posting');
+const { assertPeriodsOpenForUser } = require('../utils/periods');
+const { allocateNumber } = require('../utils/numbering');
+const { checkCreditLimit, approveCreditHold } = require('../utils/creditLimit');
+const { releaseOrderQuantities, refreshOrderStatus } = require('../utils/salesOrders');
+const { OPEN_INVOICE_STATUSES } = require('../utils/payments');
+const {
+  calculateInvoiceItems,
+  createInvoiceRecord,
+  issueInvoice,
+  emailInvoice
+} = require('../utils/invoicing');
+const {
+  AMOUNT_TOLERANCE,
+  roundAmount,
+  toBaseAmount,
+  resolveDocumentCurrency,
+  resolvePaymentCurrency,
+  fxDifferenceLines
+} = require('../utils/currency');
+const { ConflictError, NotFoundError } = require('../middleware/errorHandler');
 
 const prisma = new PrismaClient();
 
@@ -88,7 +111,9 @@ const createInvoice = async (req, res) => {
       dueDate,
       items = [],
       notes,
-      termsConditions
+      termsConditions,
+      currency,
+      exchangeRate
     } = req.body;
 
     // Validate required fields
@@ -107,110 +132,43 @@ const createInvoice = async (req, res) => {
       return res.status(404).json(errorResponse('Customer not found'));
     }
 
-    // Calculate due date if not provided
-    const paymentDays = customer.creditPeriodDays || 30; // Default to 30 days if not set
-    const calculatedDueDate = dueDate || new Date(
-      new Date(invoiceDate).getTime() + paymentDays * 24 * 60 * 60 * 1000
-    );
-
-    // Generate invoice number
-    const invoiceNumber = generateInvoiceNumber('INV');
-
-    // Calculate totals
-    let subtotal = 0;
-    let totalTaxAmount = 0;
-    let totalDiscountAmount = 0;
+    await assertPeriodsOpenForUser(prisma, req.user, invoiceDate);
 
-    const processedItems = items.map(item => {
-      const itemSubtotal = item.quantity * item.unitPrice;
-      const itemDiscountAmount = item.discountAmount || 0;
-      const itemTaxRate = item.taxRate || 0;
-
-      // Calculate tax on (subtotal - discount)
-      const taxableAmount = itemSubtotal - itemDiscountAmount;
-      const itemTaxAmount = (taxableAmount * itemTaxRate) / 100;
-      const itemTotal = taxableAmount + itemTaxAmount;
-
-      subtotal += itemSubtotal;
-      totalDiscountAmount += itemDiscountAmount;
-      totalTaxAmount += itemTaxAmount;
-
-      return {
-        productId: item.productId,
-        description: item.description,
-        quantity: item.quantity,
-        unitPrice: item.unitPrice,
-        taxRate: itemTaxRate,
-        taxAmount: itemTaxAmount,
-        discountAmount: itemDiscountAmount,
-        totalAmount: itemTotal
-      };
+    const documentCurrency = await resolveDocumentCurrency(prisma, companyId, {
+      currency,
+      exchangeRate,
+      date: invoiceDate,
+      defaultCurrency: customer.currency
     });
 
-    const totalAmount = subtotal - totalDiscountAmount + totalTaxAmount;
-
-    // Create invoice with transaction
-    const invoice = await prisma.$transaction(async (tx) => {
-      // Create invoice
-      const newInvoice = await tx.invoice.create({
-        data: {
-          id: uuidv4(),
-          invoiceNumber,
-          customerId,
-          companyId,
-          invoiceDate: new Date(invoiceDate),
-          dueDate: calculatedDueDate,
-          subtotal,
-          discountAmount: totalDiscountAmount,
-          taxAmount: totalTaxAmount,
-          totalAmount,
-          paidAmount: 0,
-          balanceAmount: totalAmount,
-          status: 'DRAFT',
-          notes,
-          termsConditions,
-          createdById: req.user.id,
-          items: {
-            create: processedItems.map(item => ({
-              id: uuidv4(),
-              productId: item.productId,
-              description: item.description,
-              quantity: item.quantity,
-              unitPrice: item.unitPrice,
-              taxRate: item.taxRate,
-              taxAmount: item.taxAmount,
-              discountAmount: item.discountAmount,
-              totalAmount: item.totalAmount
-            }))
-          }
-        },
-        include: {
-          customer: true,
-          items: true
-        }
+    const { totalAmount } = calculateInvoiceItems(items);
+
+    const { invoice, credit } = await prisma.$transaction(async (tx) => {
+      const credit = await checkCreditLimit(tx, customer, toBaseAmount(totalAmount, documentCurrency.exchangeRate));
+
+      const invoice = await createInvoiceRecord(tx, {
+        companyId,
+        customer,
+        invoiceDate,
+        dueDate,
+        items,
+        notes,
+        termsConditions,
+        ...documentCurrency,
+        creditHold: credit.action === 'HOLD',
+        createdById: req.user.id
       });
 
-      // Update product stock if needed
-      for (const item of processedItems) {
-        if (item.productId) {
-          await tx.product.update({
-            where: { id: item.productId },
-            data: {
-              currentStock: {
-                decrement: item.quantity
-              }
-            }
-          });
-        }
-      }
-
-      return newInvoice;
+      return { invoice, credit };
     });
 
-    res.status(201).json(successResponse(invoice, 'Invoice created successfully'));
+    res.status(201).json(successResponse(
+      { ...invoice, credit },
+      invoice.creditHold ? 'Invoice created on credit hold pending approval' : 'Invoice created successfully'
+    ));
   } catch (error) {
     console.error('Create invoice error:', error);
-    res.status(500).json(errorResponse('Failed to create invoice', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to create invoice', error));
   }
 };
 
@@ -273,92 +231,127 @@ const updateInvoice = async (req, res) => {
       return res.status(400).json(errorResponse('Can only update draft invoices'));
     }
 
-    // Recalculate totals if items changed
+    // Lines invoiced from a sales order are counted on the order
     const { items } = req.body;
-    let updateData = cleanObject(req.body);
+    if (items && existingInvoice.salesOrderId) {
+      return res.status(409).json(errorResponse('Invoice lines come from a sales order; delete the draft and invoice the order again to change them'));
+    }
 
-    if (items) {
-      let subtotal = 0;
-      let totalTaxAmount = 0;
-      let totalDiscountAmount = 0;
-
-      const processedItems = items.map(item => {
-        const itemSubtotal = item.quantity * item.unitPrice;
-        const itemDiscountAmount = item.discountAmount || 0;
-        const itemTaxRate = item.taxRate || 0;
-
-        const taxableAmount = itemSubtotal - itemDiscountAmount;
-        const itemTaxAmount = (taxableAmount * itemTaxRate) / 100;
-        const itemTotal = taxableAmount + itemTaxAmount;
-
-        subtotal += itemSubtotal;
-        totalDiscountAmount += itemDiscountAmount;
-        totalTaxAmount += itemTaxAmount;
-
-        return {
-          productId: item.productId,
-          description: item.description,
-          quantity: item.quantity,
-          unitPrice: item.unitPrice,
-          taxRate: itemTaxRate,
-          taxAmount: itemTaxAmount,
-          discountAmount: itemDiscountAmount,
-          totalAmount: itemTotal
-        };
+    await assertPeriodsOpenForUser(prisma, req.user, existingInvoice.invoiceDate, req.body.invoiceDate);
+
+    // Only these fields change here. Status moves through send, payment and
+    // status endpoints; amounts follow from the items; credit hold is only
+    // released through credit approval.
+    const { customerId, invoiceDate, dueDate, notes, termsConditions } = req.body;
+    let updateData = cleanObject({
+      customerId,
+      invoiceDate: invoiceDate ? new Date(invoiceDate) : undefined,
+      dueDate: dueDate ? new Date(dueDate) : undefined,
+      notes,
+      termsConditions
+    });
+
+    // Re-resolve the rate when the currency, rate or date changes
+    if (req.body.currency || req.body.exchangeRate || req.body.invoiceDate) {
+      const documentCurrency = await resolveDocumentCurrency(prisma, req.user.companyId, {
+        currency: req.body.currency || existingInvoice.currency,
+        exchangeRate: req.body.exchangeRate,
+        date: req.body.invoiceDate || existingInvoice.invoiceDate
       });
+      updateData = { ...updateData, ...documentCurrency };
+    }
 
-      const totalAmount = subtotal - totalDiscountAmount + totalTaxAmount;
+    // Recalculate totals if items changed
+    if (items) {
+      const totals = calculateInvoiceItems(items);
 
       updateData = {
         ...updateData,
-        subtotal,
-        discountAmount: totalDiscountAmount,
-        taxAmount: totalTaxAmount,
-        totalAmount,
-        balanceAmount: totalAmount
+        subtotal: totals.subtotal,
+        discountAmount: totals.discountAmount,
+        taxAmount: totals.taxAmount,
+        totalAmount: totals.totalAmount,
+        balanceAmount: totals.totalAmount
       };
 
-      // Delete existing items and create new ones
-      await prisma.invoiceItem.deleteMany({
-        where: { invoiceId }
-      });
-
       // Store processed items for later use
-      updateData.processedItems = processedItems;
+      updateData.processedItems = totals.items;
     }
 
     // Remove processedItems from updateData before update
     const processedItemsForCreate = updateData.processedItems;
     delete updateData.processedItems;
 
-    const updatedInvoice = await prisma.invoice.update({
-      where: { id: invoiceId },
-      data: {
-        ...updateData,
-        items: items ? {
-          create: processedItemsForCreate.map(item => ({
-            id: uuidv4(),
-            productId: item.productId,
-            description: item.description,
-            quantity: item.quantity,
-            unitPrice: item.unitPrice,
-            taxRate: item.taxRate,
-            taxAmount: item.taxAmount,
-            discountAmount: item.discountAmount,
-            totalAmount: item.totalAmount
-          }))
-        } : undefined
-      },
-      include: {
-        customer: true,
-        items: true
+    const { updatedInvoice, credit } = await prisma.$transaction(async (tx) => {
+      // A new total, rate or customer has to fit the credit limit like a new invoice
+      let credit = null;
+      if (items || updateData.exchangeRate !== undefined || updateData.customerId) {
+        const customer = await tx.customer.findFirst({
+          where: { id: updateData.customerId || existingInvoice.customerId, companyId: req.user.companyId }
+        });
+
+        if (!customer) {
+          throw new NotFoundError('Customer not found');
+        }
+
+        credit = await checkCreditLimit(
+          tx,
+          customer,
+          toBaseAmount(
+            updateData.totalAmount ?? existingInvoice.totalAmount,
+            updateData.exchangeRate ?? existingInvoice.exchangeRate
+          ),
+          { excludeInvoiceId: invoiceId }
+        );
+
+        if (credit.action === 'HOLD') {
+          updateData.creditHold = true;
+          updateData.creditApprovedById = null;
+          updateData.creditApprovedAt = null;
+        }
       }
+
+      if (items) {
+        // Delete existing items and create new ones
+        await tx.invoiceItem.deleteMany({
+          where: { invoiceId }
+        });
+      }
+
+      const updatedInvoice = await tx.invoice.update({
+        where: { id: invoiceId },
+        data: {
+          ...updateData,
+          items: items ? {
+            create: processedItemsForCreate.map(item => ({
+              id: uuidv4(),
+              productId: item.productId,
+              description: item.description,
+              quantity: item.quantity,
+              unitPrice: item.unitPrice,
+              taxRate: item.taxRate,
+              taxAmount: item.taxAmount,
+              discountAmount: item.discountAmount,
+              totalAmount: item.totalAmount
+            }))
+          } : undefined
+        },
+        include: {
+          customer: true,
+          items: true
+        }
+      });
+
+      return { updatedInvoice, credit };
     });
 
-    res.json(successResponse(updatedInvoice, 'Invoice updated successfully'));
+    res.json(successResponse(
+      credit ? { ...updatedInvoice, credit } : updatedInvoice,
+      credit?.action === 'HOLD' ? 'Invoice updated and put on credit hold pending approval' : 'Invoice updated successfully'
+    ));
   } catch (error) {
     console.error('Update invoice error:', error);
-    res.status(500).json(errorResponse('Failed to update invoice', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to update invoice', error));
   }
 };
 
@@ -385,15 +378,27 @@ const deleteInvoice = async (req, res) => {
       return res.status(400).json(errorResponse('Can only delete draft invoices'));
     }
 
-    // Delete invoice and items (cascade)
-    await prisma.invoice.delete({
-      where: { id: invoiceId }
+    await assertPeriodsOpenForUser(prisma, req.user, invoice.invoiceDate);
+
+    // Delete invoice and items (cascade); quantities invoiced from a sales
+    // order go back to being open on it
+    await prisma.$transaction(async (tx) => {
+      const items = await tx.invoiceItem.findMany({ where: { invoiceId } });
+      await releaseOrderQuantities(tx, items, 'invoicedQuantity');
+
+      await tx.invoice.delete({
+        where: { id: invoiceId }
+      });
+
+      if (invoice.salesOrderId) {
+        await refreshOrderStatus(tx, invoice.salesOrderId, { userId: req.user.id });
+      }
     });
 
     res.json(successResponse(null, 'Invoice deleted successfully'));
   } catch (error) {
     console.error('Delete invoice error:', error);
-    res.status(500).json(errorResponse('Failed to delete invoice', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to delete invoice', error));
   }
 };
 
@@ -421,37 +426,42 @@ const sendInvoice = async (req, res) => {
         throw new Error('Invoice has already been sent');
       }
 
-      // Update invoice status
-      const updatedInvoice = await tx.invoice.update({
-        where: { id: invoiceId },
-        data: {
-          status: 'SENT'
-        }
-      });
-
-      // Create accounting entries
-      await createInvoiceAccountingEntries(tx, updatedInvoice, req.user.companyId);
+      if (existingInvoice.creditHold) {
+        throw new ConflictError('Invoice is on credit hold and must be approved before sending');
+      }
 
-      // Update customer balance
-      await tx.customer.update({
-        where: { id: updatedInvoice.customerId },
-        data: {
-          balance: {
-            increment: updatedInvoice.totalAmount
-          }
-        }
-      });
+      await assertPeriodsOpenForUser(tx, req.user, existingInvoice.invoiceDate);
 
-      return updatedInvoice;
+      return issueInvoice(tx, existingInvoice);
     });
 
-    // In production, send email to customer here
-    // await sendInvoiceEmail(invoice);
+    // Email the invoice with the rendered PDF attached
+    const email = await emailInvoice(prisma, invoice);
+
+    const { company, customer, ...invoiceData } = invoice;
 
-    res.json(successResponse(invoice, 'Invoice sent successfully'));
+    res.json(successResponse({
+      ...invoiceData,
+      emailId: email ? email.id : null
+    }, email ? 'Invoice sent successfully' : 'Invoice marked as sent (customer has no email address)'));
   } catch (error) {
     console.error('Send invoice error:', error);
-    res.status(500).json(errorResponse(error.message || 'Failed to send invoice', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to send invoice', error));
+  }
+};
+
+/**
+ * Release an invoice held over the customer's credit limit so it can be sent
+ * POST /api/v1/invoices/:id/approve-credit
+ */
+const approveInvoiceCredit = async (req, res) => {
+  try {
+    const invoice = await approveCreditHold(prisma, 'invoice', req.params.id, req.user.companyId, req.user.id);
+
+    res.json(successResponse(invoice, 'Invoice released from credit hold'));
+  } catch (error) {
+    console.error('Approve invoice credit error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to approve invoice', error));
   }
 };
 
@@ -462,12 +472,14 @@ const sendInvoice = async (req, res) => {
 const recordPayment = async (req, res) => {
   try {
     const invoiceId = req.params.id;
-    const { amount, paymentDate = new Date(), paymentMethod, reference } = req.body;
+    const { amount, paymentDate = new Date(), paymentMethod, reference, currency, exchangeRate } = req.body;
 
     if (!amount || amount <= 0) {
       return res.status(400).json(errorResponse('Valid payment amount is required'));
     }
 
+    await assertPeriodsOpenForUser(prisma, req.user, paymentDate);
+
     const result = await prisma.$transaction(async (tx) => {
       const invoice = await tx.invoice.findFirst({
         where: {
@@ -484,47 +496,61 @@ const recordPayment = async (req, res) => {
         throw new Error('Invoice is already fully paid');
       }
 
+      // Drafts aren't owed yet and cancelled invoices no longer are
+      if (!OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+        throw new Error(`Cannot record a payment on a ${invoice.status.toLowerCase()} invoice`);
+      }
+
       if (amount > invoice.balanceAmount) {
         throw new Error('Payment amount exceeds balance due');
       }
 
+      const paymentCurrency = await resolvePaymentCurrency(tx, req.user.companyId, invoice, {
+        currency,
+        exchangeRate,
+        date: paymentDate
+      });
+
       // Create payment record
       const payment = await tx.payment.create({
         data: {
           id: uuidv4(),
-          paymentNumber: generateInvoiceNumber('PAY'),
+          paymentNumber: await allocateNumber(tx, req.user.companyId, 'RECEIPT', { date: paymentDate }),
+          type: 'INCOMING',
           paymentDate: new Date(paymentDate),
           amount,
+          ...paymentCurrency,
           paymentMethod,
-          reference,
-          type: 'INCOMING',
-          invoiceId,
+          referenceNumber: reference,
           customerId: invoice.customerId,
+          invoiceId,
           companyId: req.user.companyId,
           createdById: req.user.id
         }
       });
 
       // Update invoice
-      const newPaidAmount = invoice.paidAmount + amount;
-      const newBalanceDue = invoice.totalAmount - newPaidAmount;
-      const newStatus = newBalanceDue === 0 ? 'PAID' : 'PARTIALLY_PAID';
+      // Balance rather than total - paid, so applied credit notes are kept
+      const newPaidAmount = roundAmount(invoice.paidAmount + amount);
+      const newBalanceDue = roundAmount(invoice.balanceAmount - amount);
+      const newStatus = newBalanceDue <= AMOUNT_TOLERANCE ? 'PAID' : 'PARTIALLY_PAID';
 
       const updatedInvoice = await tx.invoice.update({
         where: { id: invoiceId },
         data: {
           paidAmount: newPaidAmount,
-          balanceAmount: newBalanceDue,
+          balanceAmount: Math.max(0, newBalanceDue),
           status: newStatus
-        }
+        },
+        include: { company: true, customer: true }
       });
 
-      // Update customer balance
+      // Update customer balance (AR is carried at the invoice rate)
       await tx.customer.update({
         where: { id: invoice.customerId },
         data: {
           balance: {
-            decrement: amount
+            decrement: toBaseAmount(amount, invoice.exchangeRate)
           }
         }
       });
@@ -535,10 +561,23 @@ const recordPayment = async (req, res) => {
       return { invoice: updatedInvoice, payment };
     });
 
-    res.json(successResponse(result, 'Payment recorded successfully'));
+    const { company, customer, ...invoiceData } = result.invoice;
+
+    if (customer.email) {
+      await sendTemplatedEmail(prisma, {
+        companyId: company.id,
+        template: 'payment_receipt',
+        context: { payment: result.payment, invoice: invoiceData, customer, company },
+        to: customer.email,
+        referenceType: 'PAYMENT',
+        referenceId: result.payment.id
+      });
+    }
+
+    res.json(successResponse({ ...result, invoice: invoiceData }, 'Payment recorded successfully'));
   } catch (error) {
     console.error('Record payment error:', error);
-    res.status(500).json(errorResponse(error.message || 'Failed to record payment', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to record payment', error));
   }
 };
 
@@ -557,7 +596,7 @@ const getOverdueInvoices = async (req, res) => {
     const where = {
       companyId: req.user.companyId,
       dueDate: { lt: today },
-      status: { in: ['SENT', 'PARTIALLY_PAID'] }
+      status: { in: ['SENT', 'PARTIALLY_PAID', 'OVERDUE'] }
     };
 
     const [invoices, total] = await Promise.all([
@@ -618,7 +657,7 @@ const getInvoiceStatistics = async (req, res) => {
       prisma.invoice.count({
         where: {
           companyId,
-          status: { in: ['SENT', 'PARTIALLY_PAID'] },
+          status: { in: ['SENT', 'PARTIALLY_PAID', 'OVERDUE'] },
           dueDate: { lt: new Date() }
         }
       }),
@@ -646,7 +685,7 @@ const getInvoiceStatistics = async (req, res) => {
 };
 
 /**
- * Generate PDF (placeholder)
+ * Generate invoice PDF
  * GET /api/v1/invoices/:id/pdf
  */
 const generateInvoicePDF = async (req, res) => {
@@ -667,169 +706,59 @@ const generateInvoicePDF = async (req, res) => {
       return res.status(404).json(errorResponse('Invoice not found'));
     }
 
-    // In production, generate actual PDF using pdfkit or similar
-    res.json(successResponse({
-      message: 'PDF generation would happen here',
-      invoiceNumber: invoice.invoiceNumber
-    }));
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `${disposition}; filename="${invoice.invoiceNumber}.pdf"`);
+
+    createInvoicePDF(invoice).pipe(res);
   } catch (error) {
     console.error('Generate PDF error:', error);
     res.status(500).json(errorResponse('Failed to generate PDF', error));
   }
 };
 
-// Helper function to create accounting entries for invoice
-async function createInvoiceAccountingEntries(tx, invoice, companyId) {
-  // Get default accounts
-  const [receivableAccount, revenueAccount, taxPayableAccount] = await Promise.all([
-    tx.account.findFirst({
-      where: { companyId, accountCode: '1200' } // Accounts Receivable
-    }),
-    tx.account.findFirst({
-      where: { companyId, accountCode: '4000' } // Sales Revenue
-    }),
-    tx.account.findFirst({
-      where: { companyId, accountCode: '2300' } // Tax Payable
-    })
-  ]);
-
-  if (!receivableAccount || !revenueAccount) {
-    throw new Error('Default accounts not configured (AR or Revenue missing)');
-  }
-
-  // Build journal line items
-  const lineItems = [
-    {
-      id: uuidv4(),
-      accountId: receivableAccount.id,
-      debitAmount: invoice.totalAmount,
-      creditAmount: 0,
-      description: `AR - ${invoice.invoiceNumber}`
-    },
-    {
-      id: uuidv4(),
-      accountId: revenueAccount.id,
-      debitAmount: 0,
-      creditAmount: invoice.subtotal - invoice.discountAmount, // Revenue = subtotal minus discounts
-      description: `Revenue - ${invoice.invoiceNumber}`
-    }
-  ];
-
-  // Add tax liability line if there's tax and tax account exists
-  if (invoice.taxAmount > 0 && taxPayableAccount) {
-    lineItems.push({
-      id: uuidv4(),
-      accountId: taxPayableAccount.id,
-      debitAmount: 0,
-      creditAmount: invoice.taxAmount,
-      description: `Tax Payable - ${invoice.invoiceNumber}`
-    });
-  }
-
-  // Calculate totals for double-entry validation
-  const totalDebit = lineItems.reduce((sum, item) => sum + item.debitAmount, 0);
-  const totalCredit = lineItems.reduce((sum, item) => sum + item.creditAmount, 0);
-
-  // Create journal entry
-  const journalEntry = await tx.journalEntry.create({
-    data: {
-      id: uuidv4(),
-      journalNumber: generateInvoiceNumber('JE'),
-      entryDate: invoice.invoiceDate,
-      description: `Invoice ${invoice.invoiceNumber}`,
-      totalDebit,
-      totalCredit,
-      status: 'POSTED',
-      companyId,
-      createdById: invoice.createdById,
-      lineItems: {
-        create: lineItems
-      }
-    }
-  });
-
-  // Update account balances
-  await tx.account.update({
-    where: { id: receivableAccount.id },
-    data: { balance: { increment: invoice.totalAmount } }
-  });
-
-  await tx.account.update({
-    where: { id: revenueAccount.id },
-    data: { balance: { increment: invoice.subtotal - invoice.discountAmount } }
-  });
-
-  if (invoice.taxAmount > 0 && taxPayableAccount) {
-    await tx.account.update({
-      where: { id: taxPayableAccount.id },
-      data: { balance: { increment: invoice.taxAmount } }
-    });
-  }
-
-  return journalEntry;
-}
-
 // Helper function to create accounting entries for payment
 async function createPaymentAccountingEntries(tx, payment, invoice, companyId) {
-  const [cashAccount, receivableAccount] = await Promise.all([
-    tx.account.findFirst({
-      where: { companyId, accountCode: '1100' } // Bank Account
-    }),
-    tx.account.findFirst({
-      where: { companyId, accountCode: '1200' } // Accounts Receivable
-    })
-  ]);
-
-  if (!cashAccount || !receivableAccount) {
-    throw new Error('Default accounts not configured (Cash or AR missing)');
-  }
-
-  const lineItems = [
-    {
-      id: uuidv4(),
-      accountId: cashAccount.id,
-      debitAmount: payment.amount,
-      creditAmount: 0,
-      description: `Payment received - ${payment.paymentNumber}`
-    },
-    {
-      id: uuidv4(),
-      accountId: receivableAccount.id,
-      debitAmount: 0,
-      creditAmount: payment.amount,
-      description: `AR reduction - ${invoice.invoiceNumber}`
-    }
-  ];
-
-  const journalEntry = await tx.journalEntry.create({
-    data: {
-      id: uuidv4(),
-      journalNumber: generateInvoiceNumber('JE'),
-      entryDate: payment.paymentDate,
-      description: `Payment for Invoice ${invoice.invoiceNumber}`,
-      totalDebit: payment.amount,
-      totalCredit: payment.amount,
-      status: 'POSTED',
-      companyId,
-      createdById: payment.createdById,
-      lineItems: {
-        create: lineItems
-      }
-    }
-  });
-
-  // Update account balances
-  await tx.account.update({
-    where: { id: cashAccount.id },
-    data: { balance: { increment: payment.amount } }
-  });
-
-  await tx.account.update({
-    where: { id: receivableAccount.id },
-    data: { balance: { decrement: payment.amount } }
+  // Cash payments land in the cash account, everything else in the bank
+  const depositKey = payment.paymentMethod === 'CASH' ? 'CASH' : 'BANK';
+  const {
+    [depositKey]: cashAccount,
+    ACCOUNTS_RECEIVABLE: receivableAccount
+  } = await resolveAccounts(tx, companyId, [depositKey, 'ACCOUNTS_RECEIVABLE']);
+
+  // Cash is received at today's rate, AR is cleared at the invoice rate
+  const receivedAmount = toBaseAmount(payment.amount, payment.exchangeRate);
+  const clearedAmount = toBaseAmount(payment.amount, invoice.exchangeRate);
+  const fxLines = await fxDifferenceLines(
+    tx,
+    companyId,
+    receivedAmount - clearedAmount,
+    `Realized FX - ${invoice.invoiceNumber}`
+  );
+
+  return postJournalEntry(tx, {
+    companyId,
+    entryDate: payment.paymentDate,
+    description: `Payment for Invoice ${invoice.invoiceNumber}`,
+    createdById: payment.createdById,
+    referenceType: 'payment',
+    referenceId: payment.id,
+    lines: [
+      {
+        account: cashAccount,
+        debitAmount: receivedAmount,
+        foreignAmount: cashAccount.currency === payment.currency ? payment.amount : null,
+        description: `Payment received - ${payment.paymentNumber}`
+      },
+      {
+        account: receivableAccount,
+        creditAmount: clearedAmount,
+        description: `AR reduction - ${invoice.invoiceNumber}`
+      },
+      ...fxLines
+    ]
   });
-
-  return journalEntry;
 }
 
 module.exports = {
@@ -839,6 +768,7 @@ module.exports = {
   updateInvoice,
   deleteInvoice,
   sendInvoice,
+  approveInvoiceCredit,
   recordPayment,
   getOverdueInvoices,
   getInvoiceStatistics,
@@ -4,9 +4,12 @@ const {
   successResponse,
   errorResponse,
   paginate,
-  paginatedResponse,
-  generateInvoiceNumber
+  paginatedResponse
 } = require('../utils/helpers');
+const { allocateNumber } = require('../utils/numbering');
+const { applyJournalEntry, reverseJournalEntry: postReversalEntry } = require('../utils/posting');
+const { assertPeriodsOpenForUser } = require('../utils/periods');
+const { NotFoundError, ConflictError } = require('../middleware/errorHandler');
 
 const prisma = new PrismaClient();
 
@@ -21,7 +24,7 @@ const listJournalEntries = async (req, res) => {
 
     const where = { companyId: req.user.companyId };
     if (status) where.status = status;
-    if (type) where.type = type;
+    if (type) where.referenceType = type;
 
     if (startDate && endDate) {
       where.entryDate = {
@@ -64,57 +67,41 @@ const createJournalEntry = async (req, res) => {
     const {
       entryDate = new Date(),
       description,
-      reference,
-      type = 'MANUAL',
+      autoReverseDate,
       lineItems = []
     } = req.body;
 
-    // Validate line items
-    if (lineItems.length < 2) {
-      return res.status(400).json(errorResponse('At least 2 line items are required'));
+    const validationError = await validateLineItems(req.user.companyId, lineItems)
+      || validateAutoReverseDate(entryDate, autoReverseDate);
+    if (validationError) {
+      return res.status(400).json(errorResponse(validationError));
     }
 
-    // Validate debits equal credits
     const totalDebits = lineItems.reduce((sum, item) => sum + (item.debit || 0), 0);
     const totalCredits = lineItems.reduce((sum, item) => sum + (item.credit || 0), 0);
 
-    if (Math.abs(totalDebits - totalCredits) > 0.01) {
-      return res.status(400).json(
-        errorResponse(`Debits (${totalDebits}) must equal credits (${totalCredits})`)
-      );
-    }
-
-    // Validate all accounts exist
-    const accountIds = lineItems.map(item => item.accountId);
-    const accounts = await prisma.account.findMany({
-      where: {
-        id: { in: accountIds },
-        companyId: req.user.companyId
-      }
-    });
-
-    if (accounts.length !== accountIds.length) {
-      return res.status(400).json(errorResponse('Invalid account IDs provided'));
-    }
+    await assertPeriodsOpenForUser(prisma, req.user, entryDate);
 
     // Create journal entry
     const journalEntry = await prisma.journalEntry.create({
       data: {
         id: uuidv4(),
-        entryNumber: generateInvoiceNumber('JE'),
+        journalNumber: await allocateNumber(prisma, req.user.companyId, 'JOURNAL_ENTRY', { date: entryDate }),
         entryDate: new Date(entryDate),
         description,
-        reference,
-        type,
+        totalDebit: totalDebits,
+        totalCredit: totalCredits,
         status: 'DRAFT',
+        autoReverseDate: autoReverseDate ? new Date(autoReverseDate) : null,
         companyId: req.user.companyId,
         createdById: req.user.id,
         lineItems: {
           create: lineItems.map(item => ({
             id: uuidv4(),
             accountId: item.accountId,
-            debit: item.debit || 0,
-            credit: item.credit || 0,
+            debitAmount: item.debit || 0,
+            creditAmount: item.credit || 0,
+            foreignAmount: item.foreignAmount ?? null,
             description: item.description
           }))
         }
@@ -129,7 +116,7 @@ const createJournalEntry = async (req, res) => {
     res.status(201).json(successResponse(journalEntry, 'Journal entry created successfully'));
   } catch (error) {
     console.error('Create journal entry error:', error);
-    res.status(500).json(errorResponse('Failed to create journal entry', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to create journal entry', error));
   }
 };
 
@@ -150,6 +137,12 @@ const getJournalEntryById = async (req, res) => {
         },
         createdBy: {
           select: { id: true, name: true, email: true }
+        },
+        reversalOf: {
+          select: { id: true, journalNumber: true, entryDate: true }
+        },
+        reversedBy: {
+          select: { id: true, journalNumber: true, entryDate: true }
         }
       }
     });
@@ -165,6 +158,89 @@ const getJournalEntryById = async (req, res) => {
   }
 };
 
+/**
+ * Update draft journal entry
+ * PUT /api/v1/journal-entries/:id
+ */
+const updateJournalEntry = async (req, res) => {
+  try {
+    const entry = await prisma.journalEntry.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      },
+      include: { lineItems: true }
+    });
+
+    if (!entry) {
+      return res.status(404).json(errorResponse('Journal entry not found'));
+    }
+
+    if (entry.status !== 'DRAFT') {
+      return res.status(400).json(errorResponse('Only draft journal entries can be edited; reverse posted entries instead'));
+    }
+
+    const {
+      entryDate = entry.entryDate,
+      description = entry.description,
+      autoReverseDate = entry.autoReverseDate
+    } = req.body;
+
+    // Without new line items the existing ones are kept
+    const lineItems = req.body.lineItems || entry.lineItems.map(item => ({
+      accountId: item.accountId,
+      debit: item.debitAmount,
+      credit: item.creditAmount,
+      description: item.description
+    }));
+
+    const validationError = await validateLineItems(req.user.companyId, lineItems)
+      || validateAutoReverseDate(entryDate, autoReverseDate);
+    if (validationError) {
+      return res.status(400).json(errorResponse(validationError));
+    }
+
+    await assertPeriodsOpenForUser(prisma, req.user, entry.entryDate, entryDate);
+
+    const updatedEntry = await prisma.$transaction(async (tx) => {
+      await tx.journalLineItem.deleteMany({
+        where: { journalEntryId: entry.id }
+      });
+
+      return tx.journalEntry.update({
+        where: { id: entry.id },
+        data: {
+          entryDate: new Date(entryDate),
+          description,
+          autoReverseDate: autoReverseDate ? new Date(autoReverseDate) : null,
+          totalDebit: lineItems.reduce((sum, item) => sum + (item.debit || 0), 0),
+          totalCredit: lineItems.reduce((sum, item) => sum + (item.credit || 0), 0),
+          lineItems: {
+            create: lineItems.map(item => ({
+              id: uuidv4(),
+              accountId: item.accountId,
+              debitAmount: item.debit || 0,
+              creditAmount: item.credit || 0,
+              foreignAmount: item.foreignAmount ?? null,
+              description: item.description
+            }))
+          }
+        },
+        include: {
+          lineItems: {
+            include: { account: true }
+          }
+        }
+      });
+    });
+
+    res.json(successResponse(updatedEntry, 'Journal entry updated successfully'));
+  } catch (error) {
+    console.error('Update journal entry error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to update journal entry', error));
+  }
+};
+
 /**
  * Delete draft journal entry
  * DELETE /api/v1/journal-entries/:id
@@ -186,6 +262,8 @@ const deleteJournalEntry = async (req, res) => {
       return res.status(400).json(errorResponse('Cannot delete posted journal entries'));
     }
 
+    await assertPeriodsOpenForUser(prisma, req.user, entry.entryDate);
+
     await prisma.journalEntry.delete({
       where: { id: req.params.id }
     });
@@ -193,7 +271,7 @@ const deleteJournalEntry = async (req, res) => {
     res.json(successResponse(null, 'Journal entry deleted successfully'));
   } catch (error) {
     console.error('Delete journal entry error:', error);
-    res.status(500).json(errorResponse('Failed to delete journal entry', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to delete journal entry', error));
   }
 };
 
@@ -222,9 +300,11 @@ const postJournalEntry = async (req, res) => {
         throw new Error('Journal entry is already posted');
       }
 
+      await assertPeriodsOpenForUser(tx, req.user, existingEntry.entryDate);
+
       // Validate debits equal credits
-      const totalDebits = existingEntry.lineItems.reduce((sum, item) => sum + item.debit, 0);
-      const totalCredits = existingEntry.lineItems.reduce((sum, item) => sum + item.credit, 0);
+      const totalDebits = existingEntry.lineItems.reduce((sum, item) => sum + item.debitAmount, 0);
+      const totalCredits = existingEntry.lineItems.reduce((sum, item) => sum + item.creditAmount, 0);
 
       if (Math.abs(totalDebits - totalCredits) > 0.01) {
         throw new Error('Debits must equal credits before posting');
@@ -234,37 +314,12 @@ const postJournalEntry = async (req, res) => {
       const postedEntry = await tx.journalEntry.update({
         where: { id: entryId },
         data: {
-          status: 'POSTED',
-          postedDate: new Date()
+          status: 'POSTED'
         }
       });
 
-      // Update account balances
-      for (const lineItem of existingEntry.lineItems) {
-        const account = await tx.account.findUnique({
-          where: { id: lineItem.accountId }
-        });
-
-        let balanceChange = 0;
-
-        // Calculate balance change based on account type
-        if (['ASSET', 'EXPENSE'].includes(account.accountType)) {
-          // Debits increase, credits decrease
-          balanceChange = lineItem.debit - lineItem.credit;
-        } else {
-          // Credits increase, debits decrease
-          balanceChange = lineItem.credit - lineItem.debit;
-        }
-
-        await tx.account.update({
-          where: { id: lineItem.accountId },
-          data: {
-            balance: {
-              increment: balanceChange
-            }
-          }
-        });
-      }
+      // Update account balances and ledger entries
+      await applyJournalEntry(tx, postedEntry);
 
       return postedEntry;
     });
@@ -272,14 +327,106 @@ const postJournalEntry = async (req, res) => {
     res.json(successResponse(entry, 'Journal entry posted successfully'));
   } catch (error) {
     console.error('Post journal entry error:', error);
-    res.status(500).json(errorResponse(error.message || 'Failed to post journal entry', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to post journal entry', error));
   }
 };
 
+/**
+ * Reverse a posted journal entry with a mirror entry
+ * POST /api/v1/journal-entries/:id/reverse
+ */
+const reverseJournalEntry = async (req, res) => {
+  try {
+    const { entryDate = new Date(), description } = req.body;
+
+    const reversal = await prisma.$transaction(async (tx) => {
+      const original = await tx.journalEntry.findFirst({
+        where: {
+          id: req.params.id,
+          companyId: req.user.companyId
+        }
+      });
+
+      if (!original) {
+        throw new NotFoundError('Journal entry not found');
+      }
+
+      // Document postings are corrected through the document (void, return, credit note)
+      if (original.referenceType) {
+        throw new ConflictError(`Journal entry ${original.journalNumber} was generated from a ${original.referenceType} and cannot be reversed manually`);
+      }
+
+      await assertPeriodsOpenForUser(tx, req.user, entryDate);
+
+      return postReversalEntry(tx, original, {
+        entryDate,
+        description,
+        createdById: req.user.id
+      });
+    });
+
+    res.status(201).json(successResponse(reversal, 'Journal entry reversed successfully'));
+  } catch (error) {
+    console.error('Reverse journal entry error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to reverse journal entry', error));
+  }
+};
+
+// Helper function to validate manual line items ({ accountId, debit, credit })
+async function validateLineItems(companyId, lineItems) {
+  if (!Array.isArray(lineItems) || lineItems.length < 2) {
+    return 'At least 2 line items are required';
+  }
+
+  if (lineItems.some(item => (item.debit || 0) < 0 || (item.credit || 0) < 0)) {
+    return 'Debit and credit amounts cannot be negative';
+  }
+
+  const totalDebits = lineItems.reduce((sum, item) => sum + (item.debit || 0), 0);
+  const totalCredits = lineItems.reduce((sum, item) => sum + (item.credit || 0), 0);
+
+  if (Math.abs(totalDebits - totalCredits) > 0.01) {
+    return `Debits (${totalDebits}) must equal credits (${totalCredits})`;
+  }
+
+  const accountIds = [...new Set(lineItems.map(item => item.accountId))];
+  const accounts = await prisma.account.findMany({
+    where: {
+      id: { in: accountIds },
+      companyId
+    }
+  });
+
+  if (accounts.length !== accountIds.length) {
+    return 'Invalid account IDs provided';
+  }
+
+  // Foreign amounts are tracked only on accounts held in a foreign currency
+  const foreignAccountIds = new Set(accounts.filter(account => account.currency).map(account => account.id));
+  const invalidForeign = lineItems.find(item =>
+    item.foreignAmount !== undefined && item.foreignAmount !== null && !foreignAccountIds.has(item.accountId));
+  if (invalidForeign) {
+    return 'Foreign amount can only be set on foreign currency accounts';
+  }
+
+  return null;
+}
+
+// Helper function to check an accrual's auto-reverse date
+function validateAutoReverseDate(entryDate, autoReverseDate) {
+  if (autoReverseDate && new Date(autoReverseDate) <= new Date(entryDate)) {
+    return 'Auto-reverse date must be after the entry date';
+  }
+
+  return null;
+}
+
 module.exports = {
   listJournalEntries,
   createJournalEntry,
   getJournalEntryById,
+  updateJournalEntry,
   deleteJournalEntry,
-  postJournalEntry
+  postJournalEntry,
+  reverseJournalEntry
 };
\ No newline at end of file
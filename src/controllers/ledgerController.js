@@ -5,6 +5,7 @@ const {
   paginate,
   paginatedResponse
 } = require('../utils/helpers');
+const { rebuildCompanyLedger } = require('../utils/posting');
 
 const prisma = new PrismaClient();
 
@@ -52,12 +53,12 @@ const getAccountLedger = async (req, res) => {
     }
 
     // Get ledger entries with pagination
-    const [entries, total] = await Promise.all([
+    const [entries, total, openingEntry, closingEntry] = await Promise.all([
       prisma.ledgerEntry.findMany({
         where,
         skip,
         take,
-        orderBy: { transactionDate: 'desc' },
+        orderBy: [{ transactionDate: 'desc' }, { sequence: 'desc' }],
         select: {
           id: true,
           transactionDate: true,
@@ -67,25 +68,28 @@ const getAccountLedger = async (req, res) => {
           description: true,
           referenceType: true,
           referenceId: true,
+          journalEntryId: true,
           createdAt: true
         }
       }),
-      prisma.ledgerEntry.count({ where })
+      prisma.ledgerEntry.count({ where }),
+      startDate ? prisma.ledgerEntry.findFirst({
+        where: { accountId, companyId, transactionDate: { lt: new Date(startDate) } },
+        orderBy: [{ transactionDate: 'desc' }, { sequence: 'desc' }],
+        select: { balance: true }
+      }) : null,
+      endDate ? prisma.ledgerEntry.findFirst({
+        where: { accountId, companyId, transactionDate: { lte: new Date(endDate) } },
+        orderBy: [{ transactionDate: 'desc' }, { sequence: 'desc' }],
+        select: { balance: true }
+      }) : null
     ]);
 
-    // Calculate running balance (from oldest to newest)
-    let runningBalance = 0;
-    const ledgerEntries = entries.reverse().map(entry => {
-      if (['ASSET', 'EXPENSE'].includes(account.accountType)) {
-        runningBalance += entry.debitAmount - entry.creditAmount;
-      } else {
-        runningBalance += entry.creditAmount - entry.debitAmount;
-      }
-      return {
-        ...entry,
-        runningBalance
-      };
-    }).reverse();
+    // Each ledger entry stores the running balance after it was applied
+    const ledgerEntries = entries.map(entry => ({
+      ...entry,
+      runningBalance: entry.balance
+    }));
 
     // Calculate totals
     const totalDebits = entries.reduce((sum, entry) => sum + entry.debitAmount, 0);
@@ -95,10 +99,10 @@ const getAccountLedger = async (req, res) => {
       account,
       entries: ledgerEntries,
       summary: {
-        openingBalance: account.balance - (totalDebits - totalCredits),
+        openingBalance: openingEntry ? openingEntry.balance : 0,
         totalDebits,
         totalCredits,
-        closingBalance: account.balance
+        closingBalance: endDate ? (closingEntry ? closingEntry.balance : 0) : account.balance
       }
     };
 
@@ -155,10 +159,7 @@ const getCustomerLedger = async (req, res) => {
     }
 
     // Get payments
-    const paymentsWhere = {
-      companyId,
-      invoice: { customerId }
-    };
+    const paymentsWhere = { companyId, customerId, status: 'COMPLETED' };
     if (startDate && endDate) {
       paymentsWhere.paymentDate = dateFilter;
     }
@@ -169,7 +170,18 @@ const getCustomerLedger = async (req, res) => {
       salesOrdersWhere.orderDate = dateFilter;
     }
 
-    const [invoices, payments, salesOrders] = await Promise.all([
+    // Get issued credit notes and refunds paid out of them
+    const creditNotesWhere = { customerId, companyId, status: { not: 'DRAFT' } };
+    if (startDate && endDate) {
+      creditNotesWhere.creditNoteDate = dateFilter;
+    }
+
+    const refundsWhere = { creditNote: { customerId, companyId } };
+    if (startDate && endDate) {
+      refundsWhere.refundDate = dateFilter;
+    }
+
+    const [invoices, payments, salesOrders, creditNotes, creditNoteRefunds] = await Promise.all([
       prisma.invoice.findMany({
         where: invoicesWhere,
         select: {
@@ -191,6 +203,7 @@ const getCustomerLedger = async (req, res) => {
           paymentNumber: true,
           paymentDate: true,
           amount: true,
+          unappliedAmount: true,
           paymentMethod: true,
           invoice: {
             select: {
@@ -210,6 +223,38 @@ const getCustomerLedger = async (req, res) => {
           status: true
         },
         orderBy: { orderDate: 'desc' }
+      }),
+      prisma.creditNote.findMany({
+        where: creditNotesWhere,
+        select: {
+          id: true,
+          creditNoteNumber: true,
+          creditNoteDate: true,
+          totalAmount: true,
+          balanceAmount: true,
+          status: true,
+          invoice: {
+            select: {
+              invoiceNumber: true
+            }
+          }
+        },
+        orderBy: { creditNoteDate: 'desc' }
+      }),
+      prisma.creditNoteRefund.findMany({
+        where: refundsWhere,
+        select: {
+          id: true,
+          refundDate: true,
+          amount: true,
+          paymentMethod: true,
+          creditNote: {
+            select: {
+              creditNoteNumber: true
+            }
+          }
+        },
+        orderBy: { refundDate: 'desc' }
       })
     ]);
 
@@ -232,11 +277,33 @@ const getCustomerLedger = async (req, res) => {
         date: pay.paymentDate,
         type: 'PAYMENT',
         reference: pay.paymentNumber,
-        description: `Payment received - ${pay.invoice?.invoiceNumber || 'Direct'}`,
+        description: `Payment received - ${pay.invoice?.invoiceNumber || 'On account'}`,
+        unappliedAmount: pay.unappliedAmount,
         debit: 0,
         credit: pay.amount,
         paymentMethod: pay.paymentMethod
       })),
+      ...creditNotes.map(cn => ({
+        id: cn.id,
+        date: cn.creditNoteDate,
+        type: 'CREDIT_NOTE',
+        reference: cn.creditNoteNumber,
+        description: `Credit note - ${cn.invoice?.invoiceNumber || 'Unapplied'}`,
+        debit: 0,
+        credit: cn.totalAmount,
+        balance: cn.balanceAmount,
+        status: cn.status
+      })),
+      ...creditNoteRefunds.map(refund => ({
+        id: refund.id,
+        date: refund.refundDate,
+        type: 'CREDIT_NOTE_REFUND',
+        reference: refund.creditNote.creditNoteNumber,
+        description: `Refund of credit note ${refund.creditNote.creditNoteNumber}`,
+        debit: refund.amount,
+        credit: 0,
+        paymentMethod: refund.paymentMethod
+      })),
       ...salesOrders.map(so => ({
         id: so.id,
         date: so.orderDate,
@@ -254,9 +321,9 @@ const getCustomerLedger = async (req, res) => {
     // Calculate running balance
     let runningBalance = 0;
     const ledgerEntries = paginatedTransactions.map(transaction => {
-      if (transaction.type === 'INVOICE') {
+      if (transaction.type === 'INVOICE' || transaction.type === 'CREDIT_NOTE_REFUND') {
         runningBalance += transaction.debit;
-      } else if (transaction.type === 'PAYMENT') {
+      } else if (transaction.type === 'PAYMENT' || transaction.type === 'CREDIT_NOTE') {
         runningBalance -= transaction.credit;
       }
       return {
@@ -269,6 +336,10 @@ const getCustomerLedger = async (req, res) => {
     const totalInvoices = invoices.reduce((sum, inv) => sum + inv.totalAmount, 0);
     const totalPayments = payments.reduce((sum, pay) => sum + pay.amount, 0);
     const totalOutstanding = invoices.reduce((sum, inv) => sum + inv.balanceAmount, 0);
+    const totalCreditNotes = creditNotes.reduce((sum, cn) => sum + cn.totalAmount, 0);
+    const totalRefunds = creditNoteRefunds.reduce((sum, refund) => sum + refund.amount, 0);
+    const unappliedCredit = creditNotes.reduce((sum, cn) => sum + cn.balanceAmount, 0) +
+      payments.reduce((sum, pay) => sum + pay.unappliedAmount, 0);
 
     const result = {
       customer,
@@ -277,11 +348,15 @@ const getCustomerLedger = async (req, res) => {
         totalInvoices,
         totalPayments,
         totalOutstanding,
+        totalCreditNotes,
+        totalRefunds,
+        unappliedCredit,
         currentBalance: customer.balance,
         creditLimit: customer.creditLimit,
         availableCredit: customer.creditLimit ? customer.creditLimit - customer.balance : null,
         invoiceCount: invoices.length,
         paymentCount: payments.length,
+        creditNoteCount: creditNotes.length,
         salesOrderCount: salesOrders.length
       }
     };
@@ -338,10 +413,7 @@ const getSupplierLedger = async (req, res) => {
     }
 
     // Get payments
-    const paymentsWhere = {
-      companyId,
-      bill: { supplierId }
-    };
+    const paymentsWhere = { companyId, supplierId, status: 'COMPLETED' };
     if (startDate && endDate) {
       paymentsWhere.paymentDate = dateFilter;
     }
@@ -352,7 +424,18 @@ const getSupplierLedger = async (req, res) => {
       purchaseOrdersWhere.orderDate = dateFilter;
     }
 
-    const [bills, payments, purchaseOrders] = await Promise.all([
+    // Get issued debit notes and refunds received against them
+    const debitNotesWhere = { supplierId, companyId, status: { not: 'DRAFT' } };
+    if (startDate && endDate) {
+      debitNotesWhere.debitNoteDate = dateFilter;
+    }
+
+    const refundsWhere = { debitNote: { supplierId, companyId } };
+    if (startDate && endDate) {
+      refundsWhere.refundDate = dateFilter;
+    }
+
+    const [bills, payments, purchaseOrders, debitNotes, debitNoteRefunds] = await Promise.all([
       prisma.bill.findMany({
         where: billsWhere,
         select: {
@@ -374,6 +457,7 @@ const getSupplierLedger = async (req, res) => {
           paymentNumber: true,
           paymentDate: true,
           amount: true,
+          unappliedAmount: true,
           paymentMethod: true,
           bill: {
             select: {
@@ -393,6 +477,38 @@ const getSupplierLedger = async (req, res) => {
           status: true
         },
         orderBy: { orderDate: 'desc' }
+      }),
+      prisma.debitNote.findMany({
+        where: debitNotesWhere,
+        select: {
+          id: true,
+          debitNoteNumber: true,
+          debitNoteDate: true,
+          totalAmount: true,
+          balanceAmount: true,
+          status: true,
+          bill: {
+            select: {
+              billNumber: true
+            }
+          }
+        },
+        orderBy: { debitNoteDate: 'desc' }
+      }),
+      prisma.debitNoteRefund.findMany({
+        where: refundsWhere,
+        select: {
+          id: true,
+          refundDate: true,
+          amount: true,
+          paymentMethod: true,
+          debitNote: {
+            select: {
+              debitNoteNumber: true
+            }
+          }
+        },
+        orderBy: { refundDate: 'desc' }
       })
     ]);
 
@@ -415,11 +531,33 @@ const getSupplierLedger = async (req, res) => {
         date: pay.paymentDate,
         type: 'PAYMENT',
         reference: pay.paymentNumber,
-        description: `Payment made - ${pay.bill?.billNumber || 'Direct'}`,
+        description: `Payment made - ${pay.bill?.billNumber || 'On account'}`,
+        unappliedAmount: pay.unappliedAmount,
         debit: pay.amount,
         credit: 0,
         paymentMethod: pay.paymentMethod
       })),
+      ...debitNotes.map(dn => ({
+        id: dn.id,
+        date: dn.debitNoteDate,
+        type: 'DEBIT_NOTE',
+        reference: dn.debitNoteNumber,
+        description: `Debit note - ${dn.bill?.billNumber || 'Unapplied'}`,
+        debit: dn.totalAmount,
+        credit: 0,
+        balance: dn.balanceAmount,
+        status: dn.status
+      })),
+      ...debitNoteRefunds.map(refund => ({
+        id: refund.id,
+        date: refund.refundDate,
+        type: 'DEBIT_NOTE_REFUND',
+        reference: refund.debitNote.debitNoteNumber,
+        description: `Refund of debit note ${refund.debitNote.debitNoteNumber}`,
+        debit: 0,
+        credit: refund.amount,
+        paymentMethod: refund.paymentMethod
+      })),
       ...purchaseOrders.map(po => ({
         id: po.id,
         date: po.orderDate,
@@ -437,9 +575,9 @@ const getSupplierLedger = async (req, res) => {
     // Calculate running balance
     let runningBalance = 0;
     const ledgerEntries = paginatedTransactions.map(transaction => {
-      if (transaction.type === 'BILL') {
+      if (transaction.type === 'BILL' || transaction.type === 'DEBIT_NOTE_REFUND') {
         runningBalance += transaction.credit;
-      } else if (transaction.type === 'PAYMENT') {
+      } else if (transaction.type === 'PAYMENT' || transaction.type === 'DEBIT_NOTE') {
         runningBalance -= transaction.debit;
       }
       return {
@@ -452,6 +590,10 @@ const getSupplierLedger = async (req, res) => {
     const totalBills = bills.reduce((sum, bill) => sum + bill.totalAmount, 0);
     const totalPayments = payments.reduce((sum, pay) => sum + pay.amount, 0);
     const totalOutstanding = bills.reduce((sum, bill) => sum + bill.balanceAmount, 0);
+    const totalDebitNotes = debitNotes.reduce((sum, dn) => sum + dn.totalAmount, 0);
+    const totalRefunds = debitNoteRefunds.reduce((sum, refund) => sum + refund.amount, 0);
+    const unappliedCredit = debitNotes.reduce((sum, dn) => sum + dn.balanceAmount, 0) +
+      payments.reduce((sum, pay) => sum + pay.unappliedAmount, 0);
 
     const result = {
       supplier,
@@ -460,9 +602,13 @@ const getSupplierLedger = async (req, res) => {
         totalBills,
         totalPayments,
         totalOutstanding,
+        totalDebitNotes,
+        totalRefunds,
+        unappliedCredit,
         currentBalance: supplier.balance,
         billCount: bills.length,
         paymentCount: payments.length,
+        debitNoteCount: debitNotes.length,
         purchaseOrderCount: purchaseOrders.length
       }
     };
@@ -625,9 +771,28 @@ const getGeneralLedger = async (req, res) => {
   }
 };
 
+/**
+ * Rebuild ledger entries and account balances from posted journals
+ * POST /api/v1/ledger/rebuild
+ */
+const rebuildLedger = async (req, res) => {
+  try {
+    const result = await prisma.$transaction(
+      (tx) => rebuildCompanyLedger(tx, req.user.companyId),
+      { timeout: 120000 }
+    );
+
+    res.json(successResponse(result, `Ledger rebuilt from ${result.journalEntries} posted journal entries`));
+  } catch (error) {
+    console.error('Rebuild ledger error:', error);
+    res.status(500).json(errorResponse('Failed to rebuild ledger', error));
+  }
+};
+
 module.exports = {
   getAccountLedger,
   getCustomerLedger,
   getSupplierLedger,
-  getGeneralLedger
+  getGeneralLedger,
+  rebuildLedger
 };
@@ -0,0 +1,152 @@
+const { PrismaClient } = require('@prisma/client');
+const { v4: uuidv4 } = require('uuid');
+const { successResponse, errorResponse } = require('../utils/helpers');
+const {
+  DOCUMENT_TYPES,
+  validateSeries,
+  getSeries,
+  previewNumber,
+  setNextSequence
+} = require('../utils/numbering');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+const prisma = new PrismaClient();
+
+/**
+ * List the numbering series for every document type, with the next number each would issue today
+ * GET /api/v1/number-series
+ */
+const listNumberSeries = async (req, res) => {
+  try {
+    const companyId = req.user.companyId;
+
+    const series = await Promise.all(Object.entries(DOCUMENT_TYPES).map(async ([documentType, definition]) => {
+      const [current, nextNumber] = await Promise.all([
+        getSeries(prisma, companyId, documentType),
+        previewNumber(prisma, companyId, documentType)
+      ]);
+
+      return {
+        documentType,
+        label: definition.label,
+        pattern: current.pattern,
+        resetPeriod: current.resetPeriod,
+        isDefault: current.isDefault,
+        nextNumber
+      };
+    }));
+
+    res.json(successResponse(series));
+  } catch (error) {
+    console.error('List number series error:', error);
+    res.status(500).json(errorResponse('Failed to fetch number series', error));
+  }
+};
+
+/**
+ * Preview the next number for a document type on a date
+ * GET /api/v1/number-series/:documentType/preview?date=YYYY-MM-DD
+ */
+const previewNumberSeries = async (req, res) => {
+  try {
+    const documentType = findDocumentType(req.params.documentType);
+
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(date.getTime())) {
+      throw new ValidationError('Invalid date');
+    }
+
+    const nextNumber = await previewNumber(prisma, req.user.companyId, documentType, { date });
+
+    res.json(successResponse({ documentType, date, nextNumber }));
+  } catch (error) {
+    console.error('Preview number series error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to preview number', error));
+  }
+};
+
+/**
+ * Configure the series for a document type. nextNumber optionally sets
+ * where the current period's sequence continues from.
+ * PUT /api/v1/number-series/:documentType
+ */
+const updateNumberSeries = async (req, res) => {
+  try {
+    const companyId = req.user.companyId;
+    const documentType = findDocumentType(req.params.documentType);
+    const current = await getSeries(prisma, companyId, documentType);
+
+    const pattern = req.body.pattern || current.pattern;
+    const resetPeriod = req.body.resetPeriod || current.resetPeriod;
+
+    const invalid = validateSeries({ documentType, pattern, resetPeriod });
+    if (invalid) {
+      throw new ValidationError(invalid);
+    }
+
+    const nextNumber = req.body.nextNumber !== undefined ? parseInt(req.body.nextNumber) : undefined;
+    if (nextNumber !== undefined && !(nextNumber > 0)) {
+      throw new ValidationError('Next number must be a positive whole number');
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.numberSeries.upsert({
+        where: { companyId_documentType: { companyId, documentType } },
+        create: { id: uuidv4(), companyId, documentType, pattern, resetPeriod },
+        update: { pattern, resetPeriod }
+      });
+
+      if (nextNumber !== undefined) {
+        await setNextSequence(tx, companyId, documentType, nextNumber);
+      }
+    });
+
+    const nextNumberPreview = await previewNumber(prisma, companyId, documentType);
+
+    res.json(successResponse(
+      { documentType, pattern, resetPeriod, isDefault: false, nextNumber: nextNumberPreview },
+      'Number series updated successfully'
+    ));
+  } catch (error) {
+    console.error('Update number series error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to update number series', error));
+  }
+};
+
+/**
+ * Go back to the default series for a document type. Sequences already
+ * issued are kept.
+ * DELETE /api/v1/number-series/:documentType
+ */
+const resetNumberSeries = async (req, res) => {
+  try {
+    const documentType = findDocumentType(req.params.documentType);
+
+    await prisma.numberSeries.deleteMany({
+      where: { companyId: req.user.companyId, documentType }
+    });
+
+    res.json(successResponse(await getSeries(prisma, req.user.companyId, documentType), 'Number series reset to default'));
+  } catch (error) {
+    console.error('Reset number series error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to reset number series', error));
+  }
+};
+
+// Helper function to check a document type from the URL
+function findDocumentType(documentType) {
+  const key = String(documentType).toUpperCase();
+
+  if (!DOCUMENT_TYPES[key]) {
+    throw new NotFoundError(`Unknown document type: ${documentType}`);
+  }
+
+  return key;
+}
+
+module.exports = {
+  listNumberSeries,
+  previewNumberSeries,
+  updateNumberSeries,
+  resetNumberSeries
+};
@@ -0,0 +1,436 @@
+const { PrismaClient } = require('@prisma/client');
+const { v4: uuidv4 } = require('uuid');
+const {
+  successResponse,
+  errorResponse,
+  paginate,
+  paginatedResponse
+} = require('../utils/helpers');
+const { assertPeriodsOpenForUser } = require('../utils/periods');
+const { roundAmount } = require('../utils/currency');
+const { allocateNumber } = require('../utils/numbering');
+const {
+  RUN_INCLUDE,
+  earlyPaymentDiscount,
+  selectBills,
+  addItemsToRun,
+  refreshRunTotals,
+  executePaymentRun,
+  buildPain001,
+  buildBankCsv
+} = require('../utils/paymentRuns');
+const { ValidationError, ConflictError, NotFoundError } = require('../middleware/errorHandler');
+
+const prisma = new PrismaClient();
+
+// A run can post dozens of payments; allow more than the default 5s
+const APPROVAL_TRANSACTION_OPTIONS = { timeout: 60000 };
+
+/**
+ * List payment runs
+ * GET /api/v1/payment-runs
+ */
+const listPaymentRuns = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, bankAccountId } = req.query;
+    const { skip, take } = paginate(page, limit);
+
+    const where = { companyId: req.user.companyId };
+    if (status) where.status = status;
+    if (bankAccountId) where.bankAccountId = bankAccountId;
+
+    const [runs, total] = await Promise.all([
+      prisma.paymentRun.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { createdAt: 'desc' },
+        include: {
+          bankAccount: { select: { id: true, name: true } },
+          _count: { select: { items: true } }
+        }
+      }),
+      prisma.paymentRun.count({ where })
+    ]);
+
+    res.json(paginatedResponse(runs, total, page, limit));
+  } catch (error) {
+    console.error('List payment runs error:', error);
+    res.status(500).json(errorResponse('Failed to fetch payment runs', error));
+  }
+};
+
+/**
+ * Create a DRAFT payment run and select bills for it by due date,
+ * supplier or amount (or an explicit billIds list)
+ * POST /api/v1/payment-runs
+ */
+const createPaymentRun = async (req, res) => {
+  try {
+    const { bankAccountId, paymentDate, notes, ...selection } = req.body;
+
+    if (!bankAccountId || !paymentDate) {
+      throw new ValidationError('Bank account and payment date are required');
+    }
+
+    const bankAccount = await prisma.bankAccount.findFirst({
+      where: { id: bankAccountId, companyId: req.user.companyId, isActive: true },
+      include: {
+        account: { select: { currency: true } },
+        company: { select: { baseCurrency: true } }
+      }
+    });
+
+    if (!bankAccount) {
+      throw new NotFoundError('Bank account not found');
+    }
+
+    const run = await prisma.$transaction(async (tx) => {
+      const created = await tx.paymentRun.create({
+        data: {
+          id: uuidv4(),
+          runNumber: await allocateNumber(tx, req.user.companyId, 'PAYMENT_RUN', { date: paymentDate }),
+          companyId: req.user.companyId,
+          bankAccountId,
+          paymentDate: new Date(paymentDate),
+          currency: bankAccount.account.currency || bankAccount.company.baseCurrency,
+          notes,
+          createdById: req.user.id
+        }
+      });
+
+      return addItemsToRun(tx, created, await selectBills(tx, created, selection));
+    });
+
+    res.status(201).json(successResponse(run, `Payment run created with ${run.items.length} bill(s)`));
+  } catch (error) {
+    console.error('Create payment run error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to create payment run', error));
+  }
+};
+
+/**
+ * Get payment run with its bills for review
+ * GET /api/v1/payment-runs/:id
+ */
+const getPaymentRunById = async (req, res) => {
+  try {
+    const run = await prisma.paymentRun.findFirst({
+      where: { id: req.params.id, companyId: req.user.companyId },
+      include: RUN_INCLUDE
+    });
+
+    if (!run) {
+      return res.status(404).json(errorResponse('Payment run not found'));
+    }
+
+    const missingBankDetails = [...new Map(
+      run.items
+        .filter(item => !item.supplier.iban && !item.supplier.bankAccount)
+        .map(item => [item.supplier.id, { id: item.supplier.id, name: item.supplier.name }])
+    ).values()];
+
+    res.json(successResponse({ ...run, missingBankDetails }));
+  } catch (error) {
+    console.error('Get payment run error:', error);
+    res.status(500).json(errorResponse('Failed to fetch payment run', error));
+  }
+};
+
+/**
+ * Update a DRAFT run's payment date or notes. Discounts the new date no
+ * longer earns are dropped and paid in full instead.
+ * PUT /api/v1/payment-runs/:id
+ */
+const updatePaymentRun = async (req, res) => {
+  try {
+    const { paymentDate, notes } = req.body;
+    const existing = await findDraftRun(req.params.id, req.user.companyId);
+
+    const run = await prisma.$transaction(async (tx) => {
+      const updated = await tx.paymentRun.update({
+        where: { id: existing.id },
+        data: {
+          paymentDate: paymentDate ? new Date(paymentDate) : undefined,
+          notes: notes !== undefined ? notes : undefined
+        }
+      });
+
+      const discounted = await tx.paymentRunItem.findMany({
+        where: { paymentRunId: existing.id, discountAmount: { gt: 0 } },
+        include: { bill: true, supplier: true }
+      });
+
+      for (const item of discounted) {
+        if (earlyPaymentDiscount(item.bill, item.supplier, updated.paymentDate) === 0) {
+          await tx.paymentRunItem.update({
+            where: { id: item.id },
+            data: {
+              payAmount: roundAmount(item.payAmount + item.discountAmount),
+              discountAmount: 0
+            }
+          });
+        }
+      }
+
+      return refreshRunTotals(tx, existing.id);
+    });
+
+    res.json(successResponse(run, 'Payment run updated successfully'));
+  } catch (error) {
+    console.error('Update payment run error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to update payment run', error));
+  }
+};
+
+/**
+ * Add more bills to a DRAFT run, using the same filters as create
+ * POST /api/v1/payment-runs/:id/items
+ */
+const addPaymentRunItems = async (req, res) => {
+  try {
+    const existing = await findDraftRun(req.params.id, req.user.companyId);
+
+    const run = await prisma.$transaction(async (tx) => {
+      return addItemsToRun(tx, existing, await selectBills(tx, existing, req.body));
+    });
+
+    res.json(successResponse(run, 'Bills added to payment run'));
+  } catch (error) {
+    console.error('Add payment run items error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to add bills to payment run', error));
+  }
+};
+
+/**
+ * Change what is paid or discounted on one bill of a DRAFT run
+ * PUT /api/v1/payment-runs/:id/items/:itemId
+ */
+const updatePaymentRunItem = async (req, res) => {
+  try {
+    const existing = await findDraftRun(req.params.id, req.user.companyId);
+
+    const item = await prisma.paymentRunItem.findFirst({
+      where: { id: req.params.itemId, paymentRunId: existing.id },
+      include: { bill: true }
+    });
+
+    if (!item) {
+      return res.status(404).json(errorResponse('Payment run item not found'));
+    }
+
+    const payAmount = req.body.payAmount !== undefined ? parseFloat(req.body.payAmount) : item.payAmount;
+    const discountAmount = req.body.discountAmount !== undefined ? parseFloat(req.body.discountAmount) : item.discountAmount;
+
+    if (isNaN(payAmount) || isNaN(discountAmount) || payAmount < 0 || discountAmount < 0) {
+      throw new ValidationError('Pay and discount amounts must be zero or more');
+    }
+
+    if (payAmount + discountAmount <= 0) {
+      throw new ValidationError('Remove the bill from the run instead of paying nothing');
+    }
+
+    if (roundAmount(payAmount + discountAmount) > item.bill.balanceAmount) {
+      throw new ValidationError(`Bill ${item.bill.billNumber} has a balance of ${item.bill.balanceAmount}`);
+    }
+
+    const run = await prisma.$transaction(async (tx) => {
+      await tx.paymentRunItem.update({
+        where: { id: item.id },
+        data: {
+          payAmount: roundAmount(payAmount),
+          discountAmount: roundAmount(discountAmount)
+        }
+      });
+
+      return refreshRunTotals(tx, existing.id);
+    });
+
+    res.json(successResponse(run, 'Payment run item updated successfully'));
+  } catch (error) {
+    console.error('Update payment run item error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to update payment run item', error));
+  }
+};
+
+/**
+ * Remove a bill from a DRAFT run
+ * DELETE /api/v1/payment-runs/:id/items/:itemId
+ */
+const removePaymentRunItem = async (req, res) => {
+  try {
+    const existing = await findDraftRun(req.params.id, req.user.companyId);
+
+    const item = await prisma.paymentRunItem.findFirst({
+      where: { id: req.params.itemId, paymentRunId: existing.id }
+    });
+
+    if (!item) {
+      return res.status(404).json(errorResponse('Payment run item not found'));
+    }
+
+    const run = await prisma.$transaction(async (tx) => {
+      await tx.paymentRunItem.delete({ where: { id: item.id } });
+      return refreshRunTotals(tx, existing.id);
+    });
+
+    res.json(successResponse(run, 'Bill removed from payment run'));
+  } catch (error) {
+    console.error('Remove payment run item error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to remove bill from payment run', error));
+  }
+};
+
+/**
+ * Approve a DRAFT run: creates every supplier payment (and discount
+ * debit note) in one transaction
+ * POST /api/v1/payment-runs/:id/approve
+ */
+const approvePaymentRun = async (req, res) => {
+  try {
+    const existing = await findDraftRun(req.params.id, req.user.companyId);
+
+    await assertPeriodsOpenForUser(prisma, req.user, existing.paymentDate);
+
+    const run = await prisma.$transaction(async (tx) => {
+      return executePaymentRun(tx, existing, { approvedById: req.user.id });
+    }, APPROVAL_TRANSACTION_OPTIONS);
+
+    res.json(successResponse(run, 'Payment run approved successfully'));
+  } catch (error) {
+    console.error('Approve payment run error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to approve payment run', error));
+  }
+};
+
+/**
+ * Cancel a DRAFT run; its bills become available to other runs
+ * POST /api/v1/payment-runs/:id/cancel
+ */
+const cancelPaymentRun = async (req, res) => {
+  try {
+    const existing = await findDraftRun(req.params.id, req.user.companyId);
+
+    const claimed = await prisma.paymentRun.updateMany({
+      where: { id: existing.id, status: 'DRAFT' },
+      data: { status: 'CANCELLED' }
+    });
+
+    if (claimed.count === 0) {
+      throw new ConflictError(`Payment run ${existing.runNumber} is not a draft`);
+    }
+
+    res.json(successResponse(null, 'Payment run cancelled successfully'));
+  } catch (error) {
+    console.error('Cancel payment run error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to cancel payment run', error));
+  }
+};
+
+/**
+ * Delete a DRAFT run
+ * DELETE /api/v1/payment-runs/:id
+ */
+const deletePaymentRun = async (req, res) => {
+  try {
+    const existing = await findDraftRun(req.params.id, req.user.companyId);
+
+    await prisma.paymentRun.delete({ where: { id: existing.id } });
+
+    res.json(successResponse(null, 'Payment run deleted successfully'));
+  } catch (error) {
+    console.error('Delete payment run error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to delete payment run', error));
+  }
+};
+
+/**
+ * Export an approved run as an ISO 20022 pain.001 credit transfer file
+ * GET /api/v1/payment-runs/:id/export/pain001
+ */
+const exportPain001 = async (req, res) => {
+  try {
+    const run = await findApprovedRun(req.params.id, req.user.companyId);
+
+    const company = await prisma.company.findUnique({
+      where: { id: req.user.companyId },
+      select: { name: true }
+    });
+
+    const xml = buildPain001(run, company);
+
+    res.setHeader('Content-Type', 'application/xml');
+    res.setHeader('Content-Disposition', `attachment; filename="${run.runNumber}.xml"`);
+    res.send(xml);
+  } catch (error) {
+    console.error('Export pain.001 error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to export payment run', error));
+  }
+};
+
+/**
+ * Export an approved run as a bank upload CSV
+ * GET /api/v1/payment-runs/:id/export/csv
+ */
+const exportBankCsv = async (req, res) => {
+  try {
+    const run = await findApprovedRun(req.params.id, req.user.companyId);
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${run.runNumber}.csv"`);
+    res.send(buildBankCsv(run));
+  } catch (error) {
+    console.error('Export payment run CSV error:', error);
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to export payment run', error));
+  }
+};
+
+// Helper function to load a run that can still be edited
+async function findDraftRun(id, companyId) {
+  const run = await prisma.paymentRun.findFirst({
+    where: { id, companyId }
+  });
+
+  if (!run) {
+    throw new NotFoundError('Payment run not found');
+  }
+
+  if (run.status !== 'DRAFT') {
+    throw new ConflictError(`Payment run ${run.runNumber} is ${run.status.toLowerCase()}`);
+  }
+
+  return run;
+}
+
+// Helper function to load an approved run with everything the exports need
+async function findApprovedRun(id, companyId) {
+  const run = await prisma.paymentRun.findFirst({
+    where: { id, companyId },
+    include: RUN_INCLUDE
+  });
+
+  if (!run) {
+    throw new NotFoundError('Payment run not found');
+  }
+
+  if (run.status !== 'APPROVED') {
+    throw new ConflictError('Only approved payment runs can be exported');
+  }
+
+  return run;
+}
+
+module.exports = {
+  listPaymentRuns,
+  createPaymentRun,
+  getPaymentRunById,
+  updatePaymentRun,
+  addPaymentRunItems,
+  updatePaymentRunItem,
+  removePaymentRunItem,
+  approvePaymentRun,
+  cancelPaymentRun,
+  deletePaymentRun,
+  exportPain001,
+  exportBankCsv
+};
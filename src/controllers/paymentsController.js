@@ -1,22 +1,34 @@
 const { PrismaClient } = require('@prisma/client');
-const { v4: uuidv4 } = require('uuid');
 const {
   successResponse,
   errorResponse,
   paginate,
-  paginatedResponse,
-  generateInvoiceNumber
+  paginatedResponse
 } = require('../utils/helpers');
+const { assertPeriodsOpenForUser } = require('../utils/periods');
+const { resolveDocumentCurrency } = require('../utils/currency');
+const {
+  createOnAccountPayment,
+  applyPayment: allocatePayment,
+  unapplyPayment: releaseAllocation,
+  voidPayment: reversePayment,
+  applyToOldestDocuments
+} = require('../utils/payments');
+const { NotFoundError } = require('../middleware/errorHandler');
 
 const prisma = new PrismaClient();
 
 const listPayments = async (req, res) => {
   try {
-    const { page = 1, limit = 20, type, startDate, endDate } = req.query;
+    const { page = 1, limit = 20, type, status, customerId, supplierId, unapplied, startDate, endDate } = req.query;
     const { skip, take } = paginate(page, limit);
 
     const where = { companyId: req.user.companyId };
     if (type) where.type = type;
+    if (status) where.status = status;
+    if (customerId) where.customerId = customerId;
+    if (supplierId) where.supplierId = supplierId;
+    if (unapplied === 'true') where.unappliedAmount = { gt: 0 };
 
     if (startDate && endDate) {
       where.paymentDate = {
@@ -54,59 +66,33 @@ const listPayments = async (req, res) => {
 
 const receivePayment = async (req, res) => {
   try {
-    const { customerId, amount, paymentDate = new Date(), paymentMethod, invoiceId } = req.body;
+    const { customerId, amount } = req.body;
 
     if (!customerId || !amount) {
       return res.status(400).json(errorResponse('Customer and amount are required'));
     }
 
-    const payment = await prisma.payment.create({
-      data: {
-        id: uuidv4(),
-        paymentNumber: generateInvoiceNumber('REC'),
-        type: 'INCOMING',
-        amount,
-        paymentDate: new Date(paymentDate),
-        paymentMethod,
-        customerId,
-        invoiceId,
-        companyId: req.user.companyId,
-        createdById: req.user.id
-      }
-    });
+    const payment = await recordPartyPayment(req, 'INCOMING');
 
     res.status(201).json(successResponse(payment, 'Payment received successfully'));
   } catch (error) {
-    res.status(500).json(errorResponse('Failed to receive payment', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to receive payment', error));
   }
 };
 
 const makePayment = async (req, res) => {
   try {
-    const { supplierId, amount, paymentDate = new Date(), paymentMethod, billId } = req.body;
+    const { supplierId, amount } = req.body;
 
     if (!supplierId || !amount) {
       return res.status(400).json(errorResponse('Supplier and amount are required'));
     }
 
-    const payment = await prisma.payment.create({
-      data: {
-        id: uuidv4(),
-        paymentNumber: generateInvoiceNumber('PAY'),
-        type: 'OUTGOING',
-        amount,
-        paymentDate: new Date(paymentDate),
-        paymentMethod,
-        supplierId,
-        billId,
-        companyId: req.user.companyId,
-        createdById: req.user.id
-      }
-    });
+    const payment = await recordPartyPayment(req, 'OUTGOING');
 
     res.status(201).json(successResponse(payment, 'Payment made successfully'));
   } catch (error) {
-    res.status(500).json(errorResponse('Failed to make payment', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to make payment', error));
   }
 };
 
@@ -114,7 +100,22 @@ const getPaymentById = async (req, res) => {
   try {
     const payment = await prisma.payment.findFirst({
       where: { id: req.params.id, companyId: req.user.companyId },
-      include: { customer: true, supplier: true, invoice: true, bill: true }
+      include: {
+        customer: true,
+        supplier: true,
+        invoice: true,
+        bill: true,
+        voidedBy: {
+          select: { id: true, name: true, email: true }
+        },
+        allocations: {
+          include: {
+            invoice: { select: { id: true, invoiceNumber: true } },
+            bill: { select: { id: true, billNumber: true } }
+          },
+          orderBy: { allocationDate: 'asc' }
+        }
+      }
     });
 
     if (!payment) {
@@ -129,14 +130,33 @@ const getPaymentById = async (req, res) => {
 
 const voidPayment = async (req, res) => {
   try {
-    await prisma.payment.update({
-      where: { id: req.params.id },
-      data: { status: 'VOIDED' }
+    const { reason, voidDate = new Date() } = { ...req.query, ...req.body };
+
+    if (!reason) {
+      return res.status(400).json(errorResponse('A reason is required to void a payment'));
+    }
+
+    await assertPeriodsOpenForUser(prisma, req.user, voidDate);
+
+    const payment = await prisma.$transaction(async (tx) => {
+      const existing = await tx.payment.findFirst({
+        where: { id: req.params.id, companyId: req.user.companyId }
+      });
+
+      if (!existing) {
+        throw new NotFoundError('Payment not found');
+      }
+
+      return reversePayment(tx, existing, {
+        reason,
+        voidDate,
+        voidedById: req.user.id
+      });
     });
 
-    res.json(successResponse(null, 'Payment voided successfully'));
+    res.json(successResponse(payment, 'Payment voided successfully'));
   } catch (error) {
-    res.status(500).json(errorResponse('Failed to void payment', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to void payment', error));
   }
 };
 
@@ -154,11 +174,11 @@ const getCashflow = async (req, res) => {
 
     const [incoming, outgoing] = await Promise.all([
       prisma.payment.aggregate({
-        where: { companyId: req.user.companyId, type: 'INCOMING', ...dateFilter },
+        where: { companyId: req.user.companyId, type: 'INCOMING', status: 'COMPLETED', ...dateFilter },
         _sum: { amount: true }
       }),
       prisma.payment.aggregate({
-        where: { companyId: req.user.companyId, type: 'OUTGOING', ...dateFilter },
+        where: { companyId: req.user.companyId, type: 'OUTGOING', status: 'COMPLETED', ...dateFilter },
         _sum: { amount: true }
       })
     ]);
@@ -177,7 +197,17 @@ const getCashflow = async (req, res) => {
 
 const autoAllocatePayment = async (req, res) => {
   try {
-    const { customerId, supplierId, amount, paymentDate = new Date(), paymentMethod, notes } = req.body;
+    const {
+      customerId,
+      supplierId,
+      amount,
+      paymentDate = new Date(),
+      paymentMethod,
+      reference,
+      notes,
+      currency,
+      exchangeRate
+    } = req.body;
 
     // Validate input
     if (!amount || amount <= 0) {
@@ -192,214 +222,215 @@ const autoAllocatePayment = async (req, res) => {
       return res.status(400).json(errorResponse('Cannot specify both customerId and supplierId'));
     }
 
-    // Use transaction for data consistency
-    const result = await prisma.$transaction(async (tx) => {
-      let remainingAmount = amount;
-      const allocations = [];
-      let paymentType;
-      let paymentNumberPrefix;
-
-      if (customerId) {
-        // Handle customer payment - allocate to unpaid invoices
-        paymentType = 'INCOMING';
-        paymentNumberPrefix = 'REC';
-
-        // Verify customer exists
-        const customer = await tx.customer.findFirst({
-          where: { id: customerId, companyId: req.user.companyId }
-        });
-
-        if (!customer) {
-          throw new Error('Customer not found');
-        }
+    await assertPeriodsOpenForUser(prisma, req.user, paymentDate);
 
-        // Get all unpaid/partially paid invoices sorted by date (oldest first)
-        const unpaidInvoices = await tx.invoice.findMany({
-          where: {
-            customerId,
-            companyId: req.user.companyId,
-            status: {
-              in: ['SENT', 'PARTIALLY_PAID', 'OVERDUE']
-            },
-            balanceAmount: {
-              gt: 0
-            }
-          },
-          orderBy: {
-            invoiceDate: 'asc'
-          }
-        });
-
-        // Allocate payment to invoices
-        for (const invoice of unpaidInvoices) {
-          if (remainingAmount <= 0) break;
-
-          const allocationAmount = Math.min(remainingAmount, invoice.balanceAmount);
-          const newPaidAmount = invoice.paidAmount + allocationAmount;
-          const newBalanceAmount = invoice.balanceAmount - allocationAmount;
-
-          // Determine new status
-          let newStatus = invoice.status;
-          if (newBalanceAmount === 0) {
-            newStatus = 'PAID';
-          } else if (newPaidAmount > 0) {
-            newStatus = 'PARTIALLY_PAID';
-          }
+    const paymentType = customerId ? 'INCOMING' : 'OUTGOING';
+    const party = await findParty(paymentType, customerId || supplierId, req.user.companyId);
 
-          // Create payment record
-          const payment = await tx.payment.create({
-            data: {
-              id: uuidv4(),
-              paymentNumber: generateInvoiceNumber(paymentNumberPrefix),
-              type: paymentType,
-              amount: allocationAmount,
-              paymentDate: new Date(paymentDate),
-              paymentMethod,
-              notes,
-              customerId,
-              invoiceId: invoice.id,
-              companyId: req.user.companyId,
-              createdById: req.user.id
-            }
-          });
-
-          // Update invoice
-          await tx.invoice.update({
-            where: { id: invoice.id },
-            data: {
-              paidAmount: newPaidAmount,
-              balanceAmount: newBalanceAmount,
-              status: newStatus
-            }
-          });
-
-          allocations.push({
-            paymentId: payment.id,
-            paymentNumber: payment.paymentNumber,
-            invoiceId: invoice.id,
-            invoiceNumber: invoice.invoiceNumber,
-            amount: allocationAmount,
-            previousBalance: invoice.balanceAmount,
-            newBalance: newBalanceAmount,
-            status: newStatus
-          });
-
-          remainingAmount -= allocationAmount;
-        }
-      } else {
-        // Handle supplier payment - allocate to unpaid bills
-        paymentType = 'OUTGOING';
-        paymentNumberPrefix = 'PAY';
-
-        // Verify supplier exists
-        const supplier = await tx.supplier.findFirst({
-          where: { id: supplierId, companyId: req.user.companyId }
-        });
-
-        if (!supplier) {
-          throw new Error('Supplier not found');
-        }
-
-        // Get all unpaid/partially paid bills sorted by date (oldest first)
-        const unpaidBills = await tx.bill.findMany({
-          where: {
-            supplierId,
-            companyId: req.user.companyId,
-            status: {
-              in: ['APPROVED', 'PARTIALLY_PAID', 'OVERDUE']
-            },
-            balanceAmount: {
-              gt: 0
-            }
-          },
-          orderBy: {
-            billDate: 'asc'
-          }
-        });
-
-        // Allocate payment to bills
-        for (const bill of unpaidBills) {
-          if (remainingAmount <= 0) break;
-
-          const allocationAmount = Math.min(remainingAmount, bill.balanceAmount);
-          const newPaidAmount = bill.paidAmount + allocationAmount;
-          const newBalanceAmount = bill.balanceAmount - allocationAmount;
-
-          // Determine new status
-          let newStatus = bill.status;
-          if (newBalanceAmount === 0) {
-            newStatus = 'PAID';
-          } else if (newPaidAmount > 0) {
-            newStatus = 'PARTIALLY_PAID';
-          }
+    const paymentCurrency = await resolveDocumentCurrency(prisma, req.user.companyId, {
+      currency,
+      exchangeRate,
+      date: paymentDate,
+      defaultCurrency: party.currency
+    });
 
-          // Create payment record
-          const payment = await tx.payment.create({
-            data: {
-              id: uuidv4(),
-              paymentNumber: generateInvoiceNumber(paymentNumberPrefix),
-              type: paymentType,
-              amount: allocationAmount,
-              paymentDate: new Date(paymentDate),
-              paymentMethod,
-              notes,
-              supplierId,
-              billId: bill.id,
-              companyId: req.user.companyId,
-              createdById: req.user.id
-            }
-          });
-
-          // Update bill
-          await tx.bill.update({
-            where: { id: bill.id },
-            data: {
-              paidAmount: newPaidAmount,
-              balanceAmount: newBalanceAmount,
-              status: newStatus
-            }
-          });
-
-          allocations.push({
-            paymentId: payment.id,
-            paymentNumber: payment.paymentNumber,
-            billId: bill.id,
-            billNumber: bill.billNumber,
-            amount: allocationAmount,
-            previousBalance: bill.balanceAmount,
-            newBalance: newBalanceAmount,
-            status: newStatus
-          });
-
-          remainingAmount -= allocationAmount;
-        }
-      }
+    // Use transaction for data consistency
+    const result = await prisma.$transaction(async (tx) => {
+      const payment = await createOnAccountPayment(tx, {
+        companyId: req.user.companyId,
+        type: paymentType,
+        party,
+        amount,
+        paymentDate,
+        paymentMethod,
+        referenceNumber: reference,
+        notes,
+        ...paymentCurrency,
+        createdById: req.user.id
+      });
 
-      return {
-        allocations,
-        totalAllocated: amount - remainingAmount,
-        remainingAmount,
-        paymentType
-      };
+      return applyToOldestDocuments(tx, payment, {
+        allocationDate: paymentDate,
+        createdById: req.user.id
+      });
     });
 
-    if (result.allocations.length === 0) {
-      return res.status(404).json(errorResponse('No unpaid invoices/bills found for allocation'));
-    }
+    const remainingAmount = result.payment.unappliedAmount;
 
     res.status(201).json(successResponse({
-      message: 'Payment auto-allocated successfully',
+      message: result.allocations.length > 0
+        ? 'Payment auto-allocated successfully'
+        : 'No unpaid invoices/bills found; payment held on account',
+      paymentId: result.payment.id,
+      paymentNumber: result.payment.paymentNumber,
+      paymentType,
       totalAmount: amount,
-      totalAllocated: result.totalAllocated,
-      remainingAmount: result.remainingAmount,
+      totalAllocated: amount - remainingAmount,
+      remainingAmount,
       allocationsCount: result.allocations.length,
       allocations: result.allocations
     }));
   } catch (error) {
-    res.status(500).json(errorResponse('Failed to auto-allocate payment', error));
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to auto-allocate payment', error));
+  }
+};
+
+const applyPayment = async (req, res) => {
+  try {
+    const { allocations, allocationDate = new Date() } = req.body;
+
+    await assertPeriodsOpenForUser(prisma, req.user, allocationDate);
+
+    const payment = await prisma.$transaction(async (tx) => {
+      const existing = await tx.payment.findFirst({
+        where: { id: req.params.id, companyId: req.user.companyId }
+      });
+
+      if (!existing) {
+        throw new NotFoundError('Payment not found');
+      }
+
+      return allocatePayment(tx, existing, allocations, {
+        allocationDate,
+        createdById: req.user.id
+      });
+    });
+
+    res.json(successResponse(payment, 'Payment applied successfully'));
+  } catch (error) {
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to apply payment', error));
   }
 };
 
+const unapplyPayment = async (req, res) => {
+  try {
+    const { allocationId, unappliedDate = new Date() } = req.body;
+
+    if (!allocationId) {
+      return res.status(400).json(errorResponse('Allocation ID is required'));
+    }
+
+    await assertPeriodsOpenForUser(prisma, req.user, unappliedDate);
+
+    const payment = await prisma.$transaction(async (tx) => {
+      const existing = await tx.payment.findFirst({
+        where: { id: req.params.id, companyId: req.user.companyId }
+      });
+
+      if (!existing) {
+        throw new NotFoundError('Payment not found');
+      }
+
+      return releaseAllocation(tx, existing, allocationId, {
+        unappliedDate,
+        createdById: req.user.id
+      });
+    });
+
+    res.json(successResponse(payment, 'Payment unapplied successfully'));
+  } catch (error) {
+    res.status(error.statusCode || 500).json(errorResponse(error.message || 'Failed to unapply payment', error));
+  }
+};
+
+// Helper function to load the customer or supplier a payment is for
+async function findParty(type, partyId, companyId) {
+  const party = type === 'INCOMING'
+    ? await prisma.customer.findFirst({ where: { id: partyId, companyId } })
+    : await prisma.supplier.findFirst({ where: { id: partyId, companyId } });
+
+  if (!party) {
+    throw new NotFoundError(type === 'INCOMING' ? 'Customer not found' : 'Supplier not found');
+  }
+
+  return party;
+}
+
+// Helper function to record a receipt or supplier payment and apply what was asked
+async function recordPartyPayment(req, type) {
+  const {
+    customerId,
+    supplierId,
+    amount,
+    paymentDate = new Date(),
+    paymentMethod,
+    bankAccountId,
+    reference,
+    notes,
+    currency,
+    exchangeRate,
+    invoiceId,
+    billId,
+    allocations = []
+  } = req.body;
+  const incoming = type === 'INCOMING';
+  const documentId = incoming ? invoiceId : billId;
+
+  await assertPeriodsOpenForUser(prisma, req.user, paymentDate);
+
+  const party = await findParty(type, incoming ? customerId : supplierId, req.user.companyId);
+
+  if (bankAccountId) {
+    const bankAccount = await prisma.bankAccount.findFirst({
+      where: { id: bankAccountId, companyId: req.user.companyId, isActive: true }
+    });
+
+    if (!bankAccount) {
+      throw new NotFoundError('Bank account not found');
+    }
+  }
+
+  const paymentCurrency = await resolveDocumentCurrency(prisma, req.user.companyId, {
+    currency,
+    exchangeRate,
+    date: paymentDate,
+    defaultCurrency: party.currency
+  });
+
+  return prisma.$transaction(async (tx) => {
+    const payment = await createOnAccountPayment(tx, {
+      companyId: req.user.companyId,
+      type,
+      party,
+      amount,
+      paymentDate,
+      paymentMethod,
+      bankAccountId,
+      referenceNumber: reference,
+      notes,
+      ...paymentCurrency,
+      createdById: req.user.id
+    });
+
+    let toApply = allocations;
+
+    // A single document takes as much of the payment as it can
+    if (documentId && toApply.length === 0) {
+      const document = incoming
+        ? await tx.invoice.findFirst({ where: { id: documentId, companyId: req.user.companyId } })
+        : await tx.bill.findFirst({ where: { id: documentId, companyId: req.user.companyId } });
+
+      if (!document) {
+        throw new NotFoundError(incoming ? 'Invoice not found' : 'Bill not found');
+      }
+
+      const applyAmount = Math.min(payment.amount, document.balanceAmount);
+      if (applyAmount > 0) {
+        toApply = [incoming ? { invoiceId: documentId, amount: applyAmount } : { billId: documentId, amount: applyAmount }];
+      }
+    }
+
+    if (toApply.length === 0) {
+      return payment;
+    }
+
+    return allocatePayment(tx, payment, toApply, {
+      allocationDate: paymentDate,
+      createdById: req.user.id
+    });
+  });
+}
+
 module.exports = {
   listPayments,
   receivePayment,
@@ -407,5 +438,7 @@ module.exports = {
   getPaymentById,
   voidPayment,
   getCashflow,
-  autoAllocatePayment
+  autoAllocatePayment,
+  applyPayment,
+  unapplyPayment
 };
@@ -1,104 +1,31 @@
 const { PrismaClient } = require('@prisma/client');
+const { assertPeriodsOpenForUser } = require('../utils/periods');
+const { resolveDocumentCurrency } = require('../utils/currency');
+const { allocateNumber } = require('../utils/numbering');
+const { transitionDocument } = require('../utils/stateMachines');
+const {
+  REVISABLE_STATUSES,
+  isPastValidity,
+  saveQuotationRevision
+} = require('../utils/quotations');
+const {
+  openQuantity,
+  hasPurchaseOrderActivity,
+  refreshPurchaseOrderStatus,
+  selectReceiptLines,
+  addReceivedQuantities,
+  releaseReceivedQuantities,
+  buildReceiptItems,
+  rematchOrderBills,
+  createBillFromLines,
+  prorateDiscount
+} = require('../utils/purchaseOrders');
+const { ValidationError, ConflictError } = require('../middleware/errorHandler');
+const { createDebitNoteRecord, issueDebitNote, applyToSourceBill } = require('../utils/debitNotes');
 const prisma = new PrismaClient();
 
 // ==================== HELPER FUNCTIONS ====================
 
-/**
- * Generate unique purchase quotation number
- */
-const generatePurchaseQuotationNumber = async (companyId) => {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-
-  const lastQuotation = await prisma.purchaseQuotation.findFirst({
-    where: { companyId },
-    orderBy: { createdAt: 'desc' }
-  });
-
-  let sequence = 1;
-  if (lastQuotation && lastQuotation.quotationNumber) {
-    const lastSequence = parseInt(lastQuotation.quotationNumber.split('-').pop());
-    if (!isNaN(lastSequence)) {
-      sequence = lastSequence + 1;
-    }
-  }
-
-  return `PQ-${year}${month}-${String(sequence).padStart(4, '0')}`;
-};
-
-/**
- * Generate unique purchase order number
- */
-const generatePurchaseOrderNumber = async (companyId) => {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-
-  const lastOrder = await prisma.purchaseOrder.findFirst({
-    where: { companyId },
-    orderBy: { createdAt: 'desc' }
-  });
-
-  let sequence = 1;
-  if (lastOrder && lastOrder.orderNumber) {
-    const lastSequence = parseInt(lastOrder.orderNumber.split('-').pop());
-    if (!isNaN(lastSequence)) {
-      sequence = lastSequence + 1;
-    }
-  }
-
-  return `PO-${year}${month}-${String(sequence).padStart(4, '0')}`;
-};
-
-/**
- * Generate unique goods receipt number
- */
-const generateGoodsReceiptNumber = async (companyId) => {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-
-  const lastReceipt = await prisma.goodsReceipt.findFirst({
-    where: { companyId },
-    orderBy: { createdAt: 'desc' }
-  });
-
-  let sequence = 1;
-  if (lastReceipt && lastReceipt.receiptNumber) {
-    const lastSequence = parseInt(lastReceipt.receiptNumber.split('-').pop());
-    if (!isNaN(lastSequence)) {
-      sequence = lastSequence + 1;
-    }
-  }
-
-  return `GR-${year}${month}-${String(sequence).padStart(4, '0')}`;
-};
-
-/**
- * Generate unique purchase return number
- */
-const generatePurchaseReturnNumber = async (companyId) => {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-
-  const lastReturn = await prisma.purchaseReturn.findFirst({
-    where: { companyId },
-    orderBy: { createdAt: 'desc' }
-  });
-
-  let sequence = 1;
-  if (lastReturn && lastReturn.returnNumber) {
-    const lastSequence = parseInt(lastReturn.returnNumber.split('-').pop());
-    if (!isNaN(lastSequence)) {
-      sequence = lastSequence + 1;
-    }
-  }
-
-  return `PR-${year}${month}-${String(sequence).padStart(4, '0')}`;
-};
-
 /**
  * Calculate totals from items
  */
@@ -134,6 +61,66 @@ const calculateTotals = (items) => {
   };
 };
 
+/**
+ * Whether any of a goods receipt's lines have been billed
+ */
+const isReceiptBilled = (receipt) => receipt.items.some(item => item.billedQuantity > 0);
+
+/**
+ * Bill lines for a purchase order: what has been received and not yet
+ * billed, or the requested [{ purchaseOrderItemId, quantity, unitPrice }]
+ */
+const selectOrderBillLines = (order, requested) => {
+  const toLine = (item, quantity, unitPrice = item.unitPrice) => ({
+    purchaseOrderItemId: item.id,
+    productId: item.productId,
+    description: item.description,
+    quantity,
+    unitPrice,
+    taxRate: item.taxRate,
+    discountAmount: prorateDiscount(item, quantity)
+  });
+
+  if (!requested || requested.length === 0) {
+    const lines = order.items
+      .map(item => toLine(item, Math.round((item.receivedQuantity - item.billedQuantity) * 10000) / 10000))
+      .filter(line => line.quantity > 0);
+
+    if (lines.length === 0) {
+      throw new ConflictError(`Nothing received and not yet billed on purchase order ${order.orderNumber}; list the items to bill ahead of receipt`);
+    }
+
+    return lines;
+  }
+
+  return requested.map(line => {
+    const item = order.items.find(orderItem => orderItem.id === line.purchaseOrderItemId);
+    if (!item) {
+      throw new ValidationError(`Item ${line.purchaseOrderItemId} is not on purchase order ${order.orderNumber}`);
+    }
+
+    return toLine(item, ...parseBillQuantityAndPrice(line, item));
+  });
+};
+
+/**
+ * Validate a requested bill line's quantity and unit price, defaulting the
+ * price to the source line's
+ */
+const parseBillQuantityAndPrice = (line, sourceItem) => {
+  const quantity = parseFloat(line.quantity);
+  if (!(quantity > 0)) {
+    throw new ValidationError(`Quantity for ${sourceItem.description} must be greater than zero`);
+  }
+
+  const unitPrice = line.unitPrice !== undefined ? parseFloat(line.unitPrice) : sourceItem.unitPrice;
+  if (!(unitPrice >= 0)) {
+    throw new ValidationError(`Unit price for ${sourceItem.description} must be zero or more`);
+  }
+
+  return [quantity, unitPrice];
+};
+
 // ==================== PURCHASE QUOTATIONS ====================
 
 /**
@@ -148,7 +135,9 @@ const createPurchaseQuotation = async (req, res) => {
       validUntil,
       items = [],
       terms,
-      notes
+      notes,
+      currency,
+      exchangeRate
     } = req.body;
 
     // Validation
@@ -173,8 +162,12 @@ const createPurchaseQuotation = async (req, res) => {
       });
     }
 
-    // Generate quotation number
-    const quotationNumber = await generatePurchaseQuotationNumber(companyId);
+    const documentCurrency = await resolveDocumentCurrency(prisma, companyId, {
+      currency,
+      exchangeRate,
+      date: quotationDate,
+      defaultCurrency: supplier.currency
+    });
 
     // Calculate totals
     const { processedItems, subtotal, taxAmount, totalAmount, discountAmount } = calculateTotals(items);
@@ -183,7 +176,7 @@ const createPurchaseQuotation = async (req, res) => {
     const quotation = await prisma.$transaction(async (tx) => {
       return await tx.purchaseQuotation.create({
         data: {
-          quotationNumber,
+          quotationNumber: await allocateNumber(tx, companyId, 'PURCHASE_QUOTATION', { date: quotationDate }),
           supplierId,
           companyId,
           quotationDate: new Date(quotationDate),
@@ -192,6 +185,7 @@ const createPurchaseQuotation = async (req, res) => {
           taxAmount,
           discountAmount,
           totalAmount,
+          ...documentCurrency,
           terms,
           notes,
           status: 'draft',
@@ -230,7 +224,7 @@ const createPurchaseQuotation = async (req, res) => {
     });
   } catch (error) {
     console.error('Create purchase quotation error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to create purchase quotation',
       message: error.message
@@ -340,6 +334,16 @@ const getPurchaseQuotationById = async (req, res) => {
         },
         purchaseOrders: {
           select: { id: true, orderNumber: true, status: true }
+        },
+        revisions: {
+          select: {
+            id: true,
+            revision: true,
+            reason: true,
+            createdAt: true,
+            revisedBy: { select: { id: true, name: true } }
+          },
+          orderBy: { revision: 'desc' }
         }
       }
     });
@@ -372,7 +376,7 @@ const getPurchaseQuotationById = async (req, res) => {
 const updatePurchaseQuotation = async (req, res) => {
   try {
     const quotationId = req.params.id;
-    const { items, ...updateData } = req.body;
+    const { items, status, ...updateData } = req.body;
 
     // Check if quotation exists
     const existingQuotation = await prisma.purchaseQuotation.findFirst({
@@ -389,6 +393,13 @@ const updatePurchaseQuotation = async (req, res) => {
       });
     }
 
+    if (status !== undefined && status !== existingQuotation.status) {
+      return res.status(400).json({
+        success: false,
+        error: 'Change the status with PUT /quotations/:id/status'
+      });
+    }
+
     // Only allow updates to draft or sent quotations
     if (!['draft', 'sent'].includes(existingQuotation.status)) {
       return res.status(400).json({
@@ -397,6 +408,11 @@ const updatePurchaseQuotation = async (req, res) => {
       });
     }
 
+    // The supplier has seen a sent quotation, so changes make a new revision
+    if (existingQuotation.status === 'sent') {
+      return revisePurchaseQuotation(req, res);
+    }
+
     // Prepare update data
     let finalUpdateData = { ...updateData };
 
@@ -528,20 +544,68 @@ const deletePurchaseQuotation = async (req, res) => {
  */
 const updatePurchaseQuotationStatus = async (req, res) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['draft', 'sent', 'accepted', 'rejected', 'expired'];
+    const { status, reason } = req.body;
 
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
+    const quotation = await prisma.purchaseQuotation.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!quotation) {
+      return res.status(404).json({
         success: false,
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+        error: 'Purchase quotation not found'
       });
     }
 
+    const updatedQuotation = await prisma.$transaction(async (tx) => {
+      await transitionDocument(tx, 'PURCHASE_QUOTATION', quotation, status, { userId: req.user.id, reason });
+
+      return tx.purchaseQuotation.findUnique({
+        where: { id: quotation.id },
+        include: {
+          supplier: true,
+          items: {
+            include: { product: true }
+          }
+        }
+      });
+    });
+
+    res.json({
+      success: true,
+      data: updatedQuotation,
+      message: `Purchase quotation status updated to ${status}`
+    });
+  } catch (error) {
+    console.error('Update purchase quotation status error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to update purchase quotation status',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Revise a purchase quotation: keep the current version in its history,
+ * apply the changes (items, validUntil, terms, notes) and put it back to draft
+ * POST /api/v1/purchases/quotations/:id/revise
+ */
+const revisePurchaseQuotation = async (req, res) => {
+  try {
+    const { items, validUntil, terms, notes, reason } = req.body;
+
     const quotation = await prisma.purchaseQuotation.findFirst({
       where: {
         id: req.params.id,
         companyId: req.user.companyId
+      },
+      include: {
+        items: true,
+        purchaseOrders: { select: { id: true } }
       }
     });
 
@@ -552,32 +616,125 @@ const updatePurchaseQuotationStatus = async (req, res) => {
       });
     }
 
-    const updatedQuotation = await prisma.purchaseQuotation.update({
-      where: { id: req.params.id },
-      data: { status },
-      include: {
-        supplier: true,
-        items: {
-          include: { product: true }
+    if (quotation.purchaseOrders.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot revise quotation that has been converted to purchase order'
+      });
+    }
+
+    if (!REVISABLE_STATUSES.includes(quotation.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Draft quotations are edited directly'
+      });
+    }
+
+    const changes = {};
+    if (validUntil !== undefined) changes.validUntil = validUntil ? new Date(validUntil) : null;
+    if (terms !== undefined) changes.terms = terms;
+    if (notes !== undefined) changes.notes = notes;
+
+    if (changes.validUntil && isNaN(changes.validUntil.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid valid until date'
+      });
+    }
+
+    if (isPastValidity({ validUntil: validUntil !== undefined ? changes.validUntil : quotation.validUntil })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid until date has passed; give the revision a new one'
+      });
+    }
+
+    const revised = await prisma.$transaction(async (tx) => {
+      await saveQuotationRevision(tx, 'purchase', quotation, {
+        changes,
+        totals: items && items.length > 0 ? calculateTotals(items) : null,
+        reason,
+        userId: req.user.id
+      });
+
+      return tx.purchaseQuotation.findUnique({
+        where: { id: quotation.id },
+        include: {
+          supplier: true,
+          items: {
+            include: { product: true }
+          }
         }
-      }
+      });
     });
 
     res.json({
       success: true,
-      data: updatedQuotation,
-      message: `Purchase quotation status updated to ${status}`
+      data: revised,
+      message: `Purchase quotation revised to revision ${revised.revision}`
     });
   } catch (error) {
-    console.error('Update purchase quotation status error:', error);
+    console.error('Revise purchase quotation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to revise purchase quotation',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a purchase quotation's earlier revisions, newest first
+ * GET /api/v1/purchases/quotations/:id/revisions
+ */
+const getPurchaseQuotationRevisions = async (req, res) => {
+  try {
+    const quotation = await prisma.purchaseQuotation.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      },
+      select: { id: true, quotationNumber: true, revision: true }
+    });
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase quotation not found'
+      });
+    }
+
+    const revisions = await prisma.purchaseQuotationRevision.findMany({
+      where: { quotationId: quotation.id },
+      include: {
+        revisedBy: { select: { id: true, name: true } }
+      },
+      orderBy: { revision: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: { ...quotation, revisions }
+    });
+  } catch (error) {
+    console.error('Get purchase quotation revisions error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update purchase quotation status',
+      error: 'Failed to fetch purchase quotation revisions',
       message: error.message
     });
   }
 };
 
+/**
+ * Convert an accepted purchase quotation to a purchase order with the quoted lines
+ * POST /api/v1/purchases/quotations/:id/convert-to-order
+ */
+const convertPurchaseQuotationToOrder = async (req, res) => {
+  req.body = { ...req.body, quotationId: req.params.id };
+  return createPurchaseOrder(req, res);
+};
+
 // ==================== PURCHASE ORDERS ====================
 
 /**
@@ -593,18 +750,26 @@ const createPurchaseOrder = async (req, res) => {
       expectedDelivery,
       items = [],
       terms,
-      notes
+      notes,
+      currency,
+      exchangeRate
     } = req.body;
 
     const companyId = req.user.companyId;
     let orderItems = items;
     let orderSupplierId = supplierId;
+    let orderTerms = terms;
+    let orderNotes = notes;
+    let documentCurrency = null;
 
     // If creating from quotation, fetch quotation items
     if (quotationId) {
       const quotation = await prisma.purchaseQuotation.findFirst({
         where: { id: quotationId, companyId },
-        include: { items: true }
+        include: {
+          items: true,
+          purchaseOrders: { select: { orderNumber: true } }
+        }
       });
 
       if (!quotation) {
@@ -621,7 +786,17 @@ const createPurchaseOrder = async (req, res) => {
         });
       }
 
+      if (quotation.purchaseOrders.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `Quotation already converted to purchase order ${quotation.purchaseOrders[0].orderNumber}`
+        });
+      }
+
       orderSupplierId = quotation.supplierId;
+      documentCurrency = { currency: quotation.currency, exchangeRate: quotation.exchangeRate };
+      orderTerms = terms !== undefined ? terms : quotation.terms;
+      orderNotes = notes !== undefined ? notes : quotation.notes;
       orderItems = quotation.items.map(item => ({
         productId: item.productId,
         description: item.description,
@@ -652,17 +827,36 @@ const createPurchaseOrder = async (req, res) => {
       });
     }
 
-    // Generate order number
-    const orderNumber = await generatePurchaseOrderNumber(companyId);
+    // Orders from a quotation keep the quoted currency and rate
+    if (!documentCurrency) {
+      documentCurrency = await resolveDocumentCurrency(prisma, companyId, {
+        currency,
+        exchangeRate,
+        date: orderDate,
+        defaultCurrency: supplier.currency
+      });
+    }
 
     // Calculate totals
     const { processedItems, subtotal, taxAmount, totalAmount, discountAmount } = calculateTotals(orderItems);
 
     // Create purchase order with items in transaction
     const purchaseOrder = await prisma.$transaction(async (tx) => {
+      // Only one order per quotation, even when two conversions run at once
+      if (quotationId) {
+        const { count } = await tx.purchaseQuotation.updateMany({
+          where: { id: quotationId, companyId, status: 'accepted', purchaseOrders: { none: {} } },
+          data: { updatedAt: new Date() }
+        });
+
+        if (count === 0) {
+          throw new ConflictError('Quotation was converted or changed while this request was running; reload it and try again');
+        }
+      }
+
       return await tx.purchaseOrder.create({
         data: {
-          orderNumber,
+          orderNumber: await allocateNumber(tx, companyId, 'PURCHASE_ORDER', { date: orderDate }),
           quotationId: quotationId || null,
           supplierId: orderSupplierId,
           companyId,
@@ -672,8 +866,9 @@ const createPurchaseOrder = async (req, res) => {
           taxAmount,
           discountAmount,
           totalAmount,
-          terms,
-          notes,
+          ...documentCurrency,
+          terms: orderTerms,
+          notes: orderNotes,
           status: 'pending',
           items: {
             create: processedItems.map(item => ({
@@ -713,7 +908,7 @@ const createPurchaseOrder = async (req, res) => {
     });
   } catch (error) {
     console.error('Create purchase order error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to create purchase order',
       message: error.message
@@ -842,7 +1037,14 @@ const getPurchaseOrderById = async (req, res) => {
 
     res.json({
       success: true,
-      data: purchaseOrder
+      data: {
+        ...purchaseOrder,
+        items: purchaseOrder.items.map(item => ({
+          ...item,
+          openToReceive: openQuantity(item, 'receivedQuantity'),
+          openToBill: openQuantity(item, 'billedQuantity')
+        }))
+      }
     });
   } catch (error) {
     console.error('Get purchase order error:', error);
@@ -861,7 +1063,7 @@ const getPurchaseOrderById = async (req, res) => {
 const updatePurchaseOrder = async (req, res) => {
   try {
     const orderId = req.params.id;
-    const { items, ...updateData } = req.body;
+    const { items, status, ...updateData } = req.body;
 
     // Check if order exists
     const existingOrder = await prisma.purchaseOrder.findFirst({
@@ -878,6 +1080,13 @@ const updatePurchaseOrder = async (req, res) => {
       });
     }
 
+    if (status !== undefined && status !== existingOrder.status) {
+      return res.status(400).json({
+        success: false,
+        error: 'Change the status with PUT /purchase-orders/:id/status'
+      });
+    }
+
     // Only allow updates to pending orders
     if (existingOrder.status !== 'pending') {
       return res.status(400).json({
@@ -966,6 +1175,7 @@ const deletePurchaseOrder = async (req, res) => {
         companyId: req.user.companyId
       },
       include: {
+        items: true,
         goodsReceipts: true
       }
     });
@@ -977,11 +1187,11 @@ const deletePurchaseOrder = async (req, res) => {
       });
     }
 
-    // Cannot delete if order has goods receipts
-    if (order.goodsReceipts?.length > 0) {
+    // Cannot delete if order has goods receipts or bills
+    if (order.goodsReceipts?.length > 0 || hasPurchaseOrderActivity(order)) {
       return res.status(400).json({
         success: false,
-        error: 'Cannot delete order that has goods receipts'
+        error: 'Cannot delete order that has goods receipts or bills'
       });
     }
 
@@ -1017,15 +1227,7 @@ const deletePurchaseOrder = async (req, res) => {
  */
 const updatePurchaseOrderStatus = async (req, res) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['pending', 'processing', 'completed', 'cancelled'];
-
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
-      });
-    }
+    const { status, reason } = req.body;
 
     const order = await prisma.purchaseOrder.findFirst({
       where: {
@@ -1041,15 +1243,18 @@ const updatePurchaseOrderStatus = async (req, res) => {
       });
     }
 
-    const updatedOrder = await prisma.purchaseOrder.update({
-      where: { id: req.params.id },
-      data: { status },
-      include: {
-        supplier: true,
-        items: {
-          include: { product: true }
+    const updatedOrder = await prisma.$transaction(async (tx) => {
+      await transitionDocument(tx, 'PURCHASE_ORDER', order, status, { userId: req.user.id, reason });
+
+      return tx.purchaseOrder.findUnique({
+        where: { id: order.id },
+        include: {
+          supplier: true,
+          items: {
+            include: { product: true }
+          }
         }
-      }
+      });
     });
 
     res.json({
@@ -1059,7 +1264,7 @@ const updatePurchaseOrderStatus = async (req, res) => {
     });
   } catch (error) {
     console.error('Update purchase order status error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to update purchase order status',
       message: error.message
@@ -1068,13 +1273,16 @@ const updatePurchaseOrderStatus = async (req, res) => {
 };
 
 /**
- * Convert purchase order to bill
+ * Convert purchase order to bill. By default bills what has been received
+ * and not yet billed; items ([{ purchaseOrderItemId, quantity, unitPrice }])
+ * bill other quantities or prices, which the three-way match then checks.
  * POST /api/v1/purchases/orders/:id/convert-to-bill
  */
 const convertToBill = async (req, res) => {
   try {
     const orderId = req.params.id;
     const companyId = req.user.companyId;
+    const { items } = req.body;
 
     // Get purchase order
     const purchaseOrder = await prisma.purchaseOrder.findFirst({
@@ -1099,43 +1307,7 @@ const convertToBill = async (req, res) => {
       });
     }
 
-    // Check if bill already exists for this order
-    const existingBill = await prisma.bill.findFirst({
-      where: {
-        companyId,
-        notes: {
-          contains: `Purchase Order: ${purchaseOrder.orderNumber}`
-        }
-      }
-    });
-
-    if (existingBill) {
-      return res.status(400).json({
-        success: false,
-        error: 'Bill may already exist for this purchase order',
-        data: existingBill
-      });
-    }
-
-    // Generate bill number
-    const today = new Date();
-    const year = today.getFullYear();
-    const month = String(today.getMonth() + 1).padStart(2, '0');
-
-    const lastBill = await prisma.bill.findFirst({
-      where: { companyId },
-      orderBy: { createdAt: 'desc' }
-    });
-
-    let sequence = 1;
-    if (lastBill && lastBill.billNumber) {
-      const lastSequence = parseInt(lastBill.billNumber.split('-').pop());
-      if (!isNaN(lastSequence)) {
-        sequence = lastSequence + 1;
-      }
-    }
-
-    const billNumber = `BILL-${year}${month}-${String(sequence).padStart(4, '0')}`;
+    const lines = selectOrderBillLines(purchaseOrder, items);
 
     // Calculate due date based on supplier credit period
     const dueDate = new Date();
@@ -1143,59 +1315,29 @@ const convertToBill = async (req, res) => {
 
     // Create bill from purchase order
     const bill = await prisma.$transaction(async (tx) => {
-      const newBill = await tx.bill.create({
-        data: {
-          billNumber,
-          supplierId: purchaseOrder.supplierId,
-          companyId,
-          billDate: new Date(),
-          dueDate,
-          subtotal: purchaseOrder.subtotal,
-          taxAmount: purchaseOrder.taxAmount,
-          discountAmount: purchaseOrder.discountAmount,
-          totalAmount: purchaseOrder.totalAmount,
-          paidAmount: 0,
-          balanceAmount: purchaseOrder.totalAmount,
-          status: 'DRAFT',
-          notes: `Purchase Order: ${purchaseOrder.orderNumber}\n${purchaseOrder.notes || ''}`,
-          items: {
-            create: purchaseOrder.items.map(item => ({
-              productId: item.productId,
-              description: item.description,
-              quantity: item.quantity,
-              unitPrice: item.unitPrice,
-              taxRate: item.taxRate,
-              taxAmount: item.taxAmount,
-              discountAmount: item.discountAmount,
-              totalAmount: item.totalAmount
-            }))
-          }
-        },
-        include: {
-          supplier: true,
-          items: {
-            include: { product: true }
-          }
-        }
-      });
-
-      // Update purchase order status
-      await tx.purchaseOrder.update({
-        where: { id: orderId },
-        data: { status: 'completed' }
+      return createBillFromLines(tx, {
+        companyId,
+        supplierId: purchaseOrder.supplierId,
+        billDate: new Date(),
+        dueDate,
+        currency: purchaseOrder.currency,
+        exchangeRate: purchaseOrder.exchangeRate,
+        notes: `Purchase Order: ${purchaseOrder.orderNumber}\n${purchaseOrder.notes || ''}`,
+        lines,
+        userId: req.user.id
       });
-
-      return newBill;
     });
 
     res.status(201).json({
       success: true,
       data: bill,
-      message: 'Purchase order converted to bill successfully'
+      message: bill.matchStatus === 'EXCEPTION'
+        ? 'Purchase order converted to bill; the bill failed the three-way match and is held from approval'
+        : 'Purchase order converted to bill successfully'
     });
   } catch (error) {
     console.error('Convert to bill error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to convert purchase order to bill',
       message: error.message
@@ -1206,7 +1348,9 @@ const convertToBill = async (req, res) => {
 // ==================== GOODS RECEIPTS ====================
 
 /**
- * Create goods receipt
+ * Create goods receipt. From a purchase order, items are
+ * [{ purchaseOrderItemId, quantity }], default to everything not yet
+ * received, and are priced from the order.
  * POST /api/v1/purchases/goods-receipts
  */
 const createGoodsReceipt = async (req, res) => {
@@ -1222,8 +1366,9 @@ const createGoodsReceipt = async (req, res) => {
     const companyId = req.user.companyId;
     let receiptItems = items;
     let receiptSupplierId = supplierId;
+    let orderLines = null;
 
-    // If creating from purchase order, fetch order items
+    // If creating from purchase order, take the quantities from its open lines
     if (purchaseOrderId) {
       const purchaseOrder = await prisma.purchaseOrder.findFirst({
         where: { id: purchaseOrderId, companyId },
@@ -1237,12 +1382,16 @@ const createGoodsReceipt = async (req, res) => {
         });
       }
 
+      if (purchaseOrder.status === 'cancelled') {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot receive against a cancelled order'
+        });
+      }
+
       receiptSupplierId = purchaseOrder.supplierId;
-      receiptItems = purchaseOrder.items.map(item => ({
-        productId: item.productId,
-        description: item.description,
-        quantity: item.quantity
-      }));
+      orderLines = selectReceiptLines(purchaseOrder, items);
+      receiptItems = buildReceiptItems(orderLines).items;
     }
 
     // Validation
@@ -1265,19 +1414,21 @@ const createGoodsReceipt = async (req, res) => {
       });
     }
 
-    // Generate receipt number
-    const receiptNumber = await generateGoodsReceiptNumber(companyId);
-
     // Calculate totals
-    let subtotal = 0;
-    let taxAmount = 0;
-    let totalAmount = 0;
+    const { processedItems, subtotal, taxAmount, totalAmount } = calculateTotals(receiptItems.map(item => ({
+      ...item,
+      unitPrice: item.unitPrice || 0
+    })));
 
     // Create goods receipt and update inventory
     const goodsReceipt = await prisma.$transaction(async (tx) => {
+      if (orderLines) {
+        await addReceivedQuantities(tx, orderLines);
+      }
+
       const receipt = await tx.goodsReceipt.create({
         data: {
-          receiptNumber,
+          receiptNumber: await allocateNumber(tx, companyId, 'GOODS_RECEIPT', { date: receiptDate }),
           purchaseOrderId: purchaseOrderId || null,
           supplierId: receiptSupplierId,
           companyId,
@@ -1288,10 +1439,16 @@ const createGoodsReceipt = async (req, res) => {
           notes,
           status: 'received',
           items: {
-            create: receiptItems.map(item => ({
+            create: processedItems.map(item => ({
+              purchaseOrderItemId: orderLines ? item.purchaseOrderItemId : null,
               productId: item.productId,
               description: item.description,
-              quantity: item.quantity
+              quantity: item.quantity,
+              unitPrice: item.unitPrice,
+              taxRate: item.taxRate || 0,
+              taxAmount: item.taxAmount,
+              discountAmount: item.discountAmount || 0,
+              totalAmount: item.totalAmount
             }))
           }
         },
@@ -1326,6 +1483,13 @@ const createGoodsReceipt = async (req, res) => {
         }
       }
 
+      if (purchaseOrderId) {
+        receipt.purchaseOrder.status = (await refreshPurchaseOrderStatus(tx, purchaseOrderId, { userId: req.user.id })).status;
+
+        // Bills held for goods not yet received may match now
+        await rematchOrderBills(tx, [purchaseOrderId]);
+      }
+
       return receipt;
     });
 
@@ -1336,7 +1500,7 @@ const createGoodsReceipt = async (req, res) => {
     });
   } catch (error) {
     console.error('Create goods receipt error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to create goods receipt',
       message: error.message
@@ -1481,7 +1645,7 @@ const getGoodsReceiptById = async (req, res) => {
 const updateGoodsReceipt = async (req, res) => {
   try {
     const receiptId = req.params.id;
-    const { items, ...updateData } = req.body;
+    const { items, status, ...updateData } = req.body;
 
     // Check if receipt exists
     const existingReceipt = await prisma.goodsReceipt.findFirst({
@@ -1501,6 +1665,13 @@ const updateGoodsReceipt = async (req, res) => {
       });
     }
 
+    if (status !== undefined && status !== existingReceipt.status) {
+      return res.status(400).json({
+        success: false,
+        error: 'Change the status with PUT /goods-receipts/:id/status'
+      });
+    }
+
     // Only allow updates to received receipts
     if (existingReceipt.status !== 'received') {
       return res.status(400).json({
@@ -1509,9 +1680,35 @@ const updateGoodsReceipt = async (req, res) => {
       });
     }
 
-    // If items are being updated, reverse previous stock updates and apply new ones
+    if (items && items.length > 0 && isReceiptBilled(existingReceipt)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Goods receipt has been billed; its items can no longer change'
+      });
+    }
+
+    // If items are being updated, reverse previous stock updates and apply new ones.
+    // On a receipt from a purchase order, items are [{ purchaseOrderItemId, quantity }]
+    // like when it was created.
     const updatedReceipt = await prisma.$transaction(async (tx) => {
       if (items && items.length > 0) {
+        let receiptItems = items;
+
+        if (existingReceipt.purchaseOrderId) {
+          await releaseReceivedQuantities(tx, existingReceipt.items);
+
+          const purchaseOrder = await tx.purchaseOrder.findUnique({
+            where: { id: existingReceipt.purchaseOrderId },
+            include: { items: true }
+          });
+
+          const orderLines = selectReceiptLines(purchaseOrder, items);
+          await addReceivedQuantities(tx, orderLines);
+          receiptItems = buildReceiptItems(orderLines).items;
+        }
+
+        const totals = calculateTotals(receiptItems.map(item => ({ ...item, unitPrice: item.unitPrice || 0 })));
+
         // Reverse previous stock updates
         for (const item of existingReceipt.items) {
           if (item.productId) {
@@ -1536,11 +1733,20 @@ const updateGoodsReceipt = async (req, res) => {
           where: { id: receiptId },
           data: {
             ...updateData,
+            subtotal: totals.subtotal,
+            taxAmount: totals.taxAmount,
+            totalAmount: totals.totalAmount,
             items: {
-              create: items.map(item => ({
+              create: totals.processedItems.map(item => ({
+                purchaseOrderItemId: existingReceipt.purchaseOrderId ? item.purchaseOrderItemId : null,
                 productId: item.productId,
                 description: item.description,
-                quantity: item.quantity
+                quantity: item.quantity,
+                unitPrice: item.unitPrice,
+                taxRate: item.taxRate || 0,
+                taxAmount: item.taxAmount,
+                discountAmount: item.discountAmount || 0,
+                totalAmount: item.totalAmount
               }))
             }
           },
@@ -1552,8 +1758,13 @@ const updateGoodsReceipt = async (req, res) => {
           }
         });
 
+        if (existingReceipt.purchaseOrderId) {
+          await refreshPurchaseOrderStatus(tx, existingReceipt.purchaseOrderId, { userId: req.user.id });
+          await rematchOrderBills(tx, [existingReceipt.purchaseOrderId]);
+        }
+
         // Apply new stock updates
-        for (const item of items) {
+        for (const item of receiptItems) {
           if (item.productId) {
             await tx.product.update({
               where: { id: item.productId },
@@ -1589,7 +1800,7 @@ const updateGoodsReceipt = async (req, res) => {
     });
   } catch (error) {
     console.error('Update goods receipt error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to update goods receipt',
       message: error.message
@@ -1597,6 +1808,58 @@ const updateGoodsReceipt = async (req, res) => {
   }
 };
 
+/**
+ * Update goods receipt status. Rejecting a receipt takes its goods back
+ * out of stock and reopens its quantities on the order.
+ * PUT /api/v1/purchases/goods-receipts/:id/status
+ */
+const updateGoodsReceiptStatus = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    const receipt = await prisma.goodsReceipt.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!receipt) {
+      return res.status(404).json({
+        success: false,
+        error: 'Goods receipt not found'
+      });
+    }
+
+    const updatedReceipt = await prisma.$transaction(async (tx) => {
+      await transitionDocument(tx, 'GOODS_RECEIPT', receipt, status, { userId: req.user.id, reason });
+
+      return tx.goodsReceipt.findUnique({
+        where: { id: receipt.id },
+        include: {
+          supplier: true,
+          items: {
+            include: { product: true }
+          }
+        }
+      });
+    });
+
+    res.json({
+      success: true,
+      data: updatedReceipt,
+      message: `Goods receipt status updated to ${status}`
+    });
+  } catch (error) {
+    console.error('Update goods receipt status error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to update goods receipt status',
+      message: error.message
+    });
+  }
+};
+
 /**
  * Delete goods receipt
  * DELETE /api/v1/purchases/goods-receipts/:id
@@ -1630,8 +1893,18 @@ const deleteGoodsReceipt = async (req, res) => {
       });
     }
 
-    // Delete and reverse stock updates
+    if (isReceiptBilled(receipt)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Cannot delete a goods receipt that has been billed'
+      });
+    }
+
+    // Delete and reverse stock updates; its quantities go back to being
+    // open on the order
     await prisma.$transaction(async (tx) => {
+      await releaseReceivedQuantities(tx, receipt.items);
+
       // Reverse stock updates
       for (const item of receipt.items) {
         if (item.productId) {
@@ -1650,6 +1923,11 @@ const deleteGoodsReceipt = async (req, res) => {
       await tx.goodsReceipt.delete({
         where: { id: receiptId }
       });
+
+      if (receipt.purchaseOrderId) {
+        await refreshPurchaseOrderStatus(tx, receipt.purchaseOrderId, { userId: req.user.id });
+        await rematchOrderBills(tx, [receipt.purchaseOrderId]);
+      }
     });
 
     res.json({
@@ -1658,7 +1936,7 @@ const deleteGoodsReceipt = async (req, res) => {
     });
   } catch (error) {
     console.error('Delete goods receipt error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to delete goods receipt',
       message: error.message
@@ -1666,6 +1944,145 @@ const deleteGoodsReceipt = async (req, res) => {
   }
 };
 
+/**
+ * Create a bill from one or more goods receipts of the same supplier. By
+ * default bills every receipt line not yet billed at the receipt price;
+ * items ([{ goodsReceiptItemId, quantity, unitPrice }]) bill what the
+ * supplier actually invoiced, which the three-way match then checks.
+ * POST /api/v1/purchases/goods-receipts/convert-to-bill
+ */
+const convertReceiptsToBill = async (req, res) => {
+  try {
+    const { goodsReceiptIds = [], items, billDate = new Date(), dueDate, notes } = req.body;
+    const companyId = req.user.companyId;
+
+    if (!Array.isArray(goodsReceiptIds) || goodsReceiptIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one goods receipt is required'
+      });
+    }
+
+    const receipts = await prisma.goodsReceipt.findMany({
+      where: { id: { in: goodsReceiptIds }, companyId },
+      include: {
+        supplier: true,
+        purchaseOrder: {
+          select: { id: true, orderNumber: true, currency: true, exchangeRate: true }
+        },
+        items: true
+      }
+    });
+
+    if (receipts.length !== new Set(goodsReceiptIds).size) {
+      return res.status(404).json({
+        success: false,
+        error: 'Goods receipt not found'
+      });
+    }
+
+    if (new Set(receipts.map(receipt => receipt.supplierId)).size > 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Goods receipts must all be from the same supplier'
+      });
+    }
+
+    const rejected = receipts.find(receipt => receipt.status === 'rejected');
+    if (rejected) {
+      return res.status(400).json({
+        success: false,
+        error: `Goods receipt ${rejected.receiptNumber} was rejected and cannot be billed`
+      });
+    }
+
+    const orders = [...new Map(receipts
+      .filter(receipt => receipt.purchaseOrder)
+      .map(receipt => [receipt.purchaseOrder.id, receipt.purchaseOrder])).values()];
+
+    if (new Set(orders.map(order => order.currency || null)).size > 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'Goods receipts are for purchase orders in different currencies'
+      });
+    }
+
+    const receiptItems = receipts.flatMap(receipt => receipt.items);
+    const toLine = (item, quantity, unitPrice = item.unitPrice) => ({
+      purchaseOrderItemId: item.purchaseOrderItemId,
+      goodsReceiptItemId: item.id,
+      productId: item.productId,
+      description: item.description,
+      quantity,
+      unitPrice,
+      taxRate: item.taxRate,
+      discountAmount: prorateDiscount(item, quantity)
+    });
+
+    let lines;
+    if (!items || items.length === 0) {
+      lines = receiptItems
+        .map(item => toLine(item, openQuantity(item, 'billedQuantity')))
+        .filter(line => line.quantity > 0);
+
+      if (lines.length === 0) {
+        throw new ConflictError('Everything on these goods receipts has already been billed');
+      }
+    } else {
+      lines = items.map(line => {
+        const item = receiptItems.find(receiptItem => receiptItem.id === line.goodsReceiptItemId);
+        if (!item) {
+          throw new ValidationError(`Item ${line.goodsReceiptItemId} is not on these goods receipts`);
+        }
+
+        return toLine(item, ...parseBillQuantityAndPrice(line, item));
+      });
+    }
+
+    await assertPeriodsOpenForUser(prisma, req.user, billDate);
+
+    // A single order's rate carries over as when billing the order itself
+    const supplier = receipts[0].supplier;
+    const documentCurrency = orders.length === 1
+      ? { currency: orders[0].currency, exchangeRate: orders[0].exchangeRate }
+      : await resolveDocumentCurrency(prisma, companyId, {
+        currency: orders.length > 0 ? orders[0].currency : undefined,
+        date: billDate,
+        defaultCurrency: supplier.currency
+      });
+
+    const bill = await prisma.$transaction(async (tx) => {
+      return createBillFromLines(tx, {
+        companyId,
+        supplierId: supplier.id,
+        billDate,
+        dueDate: dueDate
+          ? new Date(dueDate)
+          : new Date(new Date(billDate).getTime() + (supplier.creditPeriodDays || 30) * 24 * 60 * 60 * 1000),
+        ...documentCurrency,
+        notes: notes || `Goods Receipts: ${receipts.map(receipt => receipt.receiptNumber).join(', ')}`,
+        lines,
+        userId: req.user.id
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: bill,
+      message: bill.matchStatus === 'EXCEPTION'
+        ? 'Bill created from goods receipts; it failed the three-way match and is held from approval'
+        : 'Bill created from goods receipts successfully'
+    });
+  } catch (error) {
+    console.error('Convert goods receipts to bill error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to create bill from goods receipts',
+      message: error.message
+    });
+  }
+};
+
 // ==================== PURCHASE RETURNS ====================
 
 /**
@@ -1679,7 +2096,9 @@ const createPurchaseReturn = async (req, res) => {
       returnDate = new Date(),
       items = [],
       reason,
-      notes
+      notes,
+      currency,
+      exchangeRate
     } = req.body;
 
     const companyId = req.user.companyId;
@@ -1704,8 +2123,12 @@ const createPurchaseReturn = async (req, res) => {
       });
     }
 
-    // Generate return number
-    const returnNumber = await generatePurchaseReturnNumber(companyId);
+    const documentCurrency = await resolveDocumentCurrency(prisma, companyId, {
+      currency,
+      exchangeRate,
+      date: returnDate,
+      defaultCurrency: supplier.currency
+    });
 
     // Calculate totals
     const { processedItems, subtotal, taxAmount, totalAmount } = calculateTotals(items);
@@ -1714,13 +2137,14 @@ const createPurchaseReturn = async (req, res) => {
     const purchaseReturn = await prisma.$transaction(async (tx) => {
       return await tx.purchaseReturn.create({
         data: {
-          returnNumber,
+          returnNumber: await allocateNumber(tx, companyId, 'PURCHASE_RETURN', { date: returnDate }),
           supplierId,
           companyId,
           returnDate: new Date(returnDate),
           subtotal,
           taxAmount,
           totalAmount,
+          ...documentCurrency,
           reason,
           notes,
           status: 'pending',
@@ -1758,7 +2182,7 @@ const createPurchaseReturn = async (req, res) => {
     });
   } catch (error) {
     console.error('Create purchase return error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to create purchase return',
       message: error.message
@@ -2062,7 +2486,26 @@ const approvePurchaseReturn = async (req, res) => {
       });
     }
 
-    // Approve return and update inventory and supplier balance
+    // Optional bill the supplier's credit should be applied to
+    const { billId } = req.body || {};
+    let bill = null;
+
+    if (billId) {
+      bill = await prisma.bill.findFirst({
+        where: { id: billId, companyId, supplierId: purchaseReturn.supplierId }
+      });
+
+      if (!bill) {
+        return res.status(404).json({
+          success: false,
+          error: 'Bill not found for this supplier'
+        });
+      }
+    }
+
+    await assertPeriodsOpenForUser(prisma, req.user, purchaseReturn.returnDate);
+
+    // Approve return, update inventory and issue the debit note
     const approvedReturn = await prisma.$transaction(async (tx) => {
       // Update return status
       const updated = await tx.purchaseReturn.update({
@@ -2090,17 +2533,32 @@ const approvePurchaseReturn = async (req, res) => {
         }
       }
 
-      // Update supplier balance (decrease what we owe)
-      await tx.supplier.update({
-        where: { id: purchaseReturn.supplierId },
-        data: {
-          balance: {
-            decrement: purchaseReturn.totalAmount
-          }
-        }
+      // The debit note carries the GL entry and supplier balance
+      const debitNote = await createDebitNoteRecord(tx, {
+        companyId,
+        supplier: purchaseReturn.supplier,
+        billId: bill ? bill.id : null,
+        purchaseReturnId: purchaseReturn.id,
+        debitNoteDate: purchaseReturn.returnDate,
+        items: purchaseReturn.items.map(item => ({
+          productId: item.productId,
+          description: item.description,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          taxRate: item.taxRate,
+          // Return lines don't keep the discount; recover it from the line total
+          discountAmount: Math.max(0, item.quantity * item.unitPrice + item.taxAmount - item.totalAmount)
+        })),
+        reason: purchaseReturn.reason,
+        currency: purchaseReturn.currency,
+        exchangeRate: purchaseReturn.exchangeRate,
+        createdById: req.user.id
       });
 
-      return updated;
+      const issued = await issueDebitNote(tx, debitNote);
+      const appliedDebitNote = await applyToSourceBill(tx, issued, bill, req.user.id);
+
+      return { ...updated, debitNote: appliedDebitNote };
     });
 
     res.json({
@@ -2110,7 +2568,7 @@ const approvePurchaseReturn = async (req, res) => {
     });
   } catch (error) {
     console.error('Approve purchase return error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to approve purchase return',
       message: error.message
@@ -2122,10 +2580,6 @@ const approvePurchaseReturn = async (req, res) => {
 
 module.exports = {
   // Helper functions
-  generatePurchaseQuotationNumber,
-  generatePurchaseOrderNumber,
-  generateGoodsReceiptNumber,
-  generatePurchaseReturnNumber,
   calculateTotals,
 
   // Purchase Quotations
@@ -2135,6 +2589,9 @@ module.exports = {
   updatePurchaseQuotation,
   deletePurchaseQuotation,
   updatePurchaseQuotationStatus,
+  revisePurchaseQuotation,
+  getPurchaseQuotationRevisions,
+  convertPurchaseQuotationToOrder,
 
   // Purchase Orders
   createPurchaseOrder,
@@ -2150,7 +2607,9 @@ module.exports = {
   getGoodsReceipts,
   getGoodsReceiptById,
   updateGoodsReceipt,
+  updateGoodsReceiptStatus,
   deleteGoodsReceipt,
+  convertReceiptsToBill,
 
   // Purchase Returns
   createPurchaseReturn,
@@ -0,0 +1,362 @@
+const { PrismaClient } = require('@prisma/client');
+const { v4: uuidv4 } = require('uuid');
+const {
+  successResponse,
+  errorResponse,
+  paginate,
+  paginatedResponse
+} = require('../utils/helpers');
+const {
+  FREQUENCIES,
+  DOCUMENT_TYPES,
+  getNextRunDate,
+  validateTemplateBody,
+  runTemplate,
+  processRecurringTemplates
+} = require('../utils/recurring');
+
+const prisma = new PrismaClient();
+
+/**
+ * List recurring templates
+ * GET /api/v1/recurring-templates
+ */
+const listTemplates = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, documentType, isActive } = req.query;
+    const { skip, take } = paginate(page, limit);
+
+    const where = { companyId: req.user.companyId };
+    if (documentType) where.documentType = documentType;
+    if (isActive !== undefined) where.isActive = isActive === 'true';
+
+    const [templates, total] = await Promise.all([
+      prisma.recurringTemplate.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { nextRunDate: 'asc' },
+        include: {
+          createdBy: {
+            select: { id: true, name: true, email: true }
+          }
+        }
+      }),
+      prisma.recurringTemplate.count({ where })
+    ]);
+
+    res.json(paginatedResponse(templates, total, page, limit));
+  } catch (error) {
+    console.error('List recurring templates error:', error);
+    res.status(500).json(errorResponse('Failed to fetch recurring templates', error));
+  }
+};
+
+/**
+ * Create recurring template
+ * POST /api/v1/recurring-templates
+ */
+const createTemplate = async (req, res) => {
+  try {
+    const {
+      name,
+      documentType,
+      frequency,
+      startDate,
+      endDate,
+      autoPost = false,
+      autoSend = false,
+      template
+    } = req.body;
+
+    if (!name || !documentType || !frequency || !startDate) {
+      return res.status(400).json(errorResponse('Name, document type, frequency and start date are required'));
+    }
+
+    if (!DOCUMENT_TYPES.includes(documentType)) {
+      return res.status(400).json(errorResponse(`Invalid document type. Must be one of: ${DOCUMENT_TYPES.join(', ')}`));
+    }
+
+    if (!FREQUENCIES.includes(frequency)) {
+      return res.status(400).json(errorResponse(`Invalid frequency. Must be one of: ${FREQUENCIES.join(', ')}`));
+    }
+
+    if (endDate && new Date(endDate) < new Date(startDate)) {
+      return res.status(400).json(errorResponse('End date must be after start date'));
+    }
+
+    const validationError = validateTemplateBody(documentType, template)
+      || await validateTemplateReferences(req.user.companyId, documentType, template);
+    if (validationError) {
+      return res.status(400).json(errorResponse(validationError));
+    }
+
+    const schedule = { startDate: new Date(startDate), frequency, endDate: endDate ? new Date(endDate) : null };
+
+    const recurringTemplate = await prisma.recurringTemplate.create({
+      data: {
+        id: uuidv4(),
+        companyId: req.user.companyId,
+        name,
+        documentType,
+        ...schedule,
+        nextRunDate: getNextRunDate(schedule, 0),
+        autoPost: Boolean(autoPost),
+        autoSend: Boolean(autoSend),
+        template,
+        createdById: req.user.id
+      }
+    });
+
+    res.status(201).json(successResponse(recurringTemplate, 'Recurring template created successfully'));
+  } catch (error) {
+    console.error('Create recurring template error:', error);
+    res.status(500).json(errorResponse('Failed to create recurring template', error));
+  }
+};
+
+/**
+ * Get recurring template with its latest runs
+ * GET /api/v1/recurring-templates/:id
+ */
+const getTemplateById = async (req, res) => {
+  try {
+    const recurringTemplate = await prisma.recurringTemplate.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      },
+      include: {
+        createdBy: {
+          select: { id: true, name: true, email: true }
+        },
+        runs: {
+          orderBy: { scheduledDate: 'desc' },
+          take: 10
+        }
+      }
+    });
+
+    if (!recurringTemplate) {
+      return res.status(404).json(errorResponse('Recurring template not found'));
+    }
+
+    res.json(successResponse(recurringTemplate));
+  } catch (error) {
+    console.error('Get recurring template error:', error);
+    res.status(500).json(errorResponse('Failed to fetch recurring template', error));
+  }
+};
+
+/**
+ * Update recurring template
+ * PUT /api/v1/recurring-templates/:id
+ */
+const updateTemplate = async (req, res) => {
+  try {
+    const existing = await prisma.recurringTemplate.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existing) {
+      return res.status(404).json(errorResponse('Recurring template not found'));
+    }
+
+    const {
+      name = existing.name,
+      frequency = existing.frequency,
+      startDate = existing.startDate,
+      endDate = existing.endDate,
+      autoPost = existing.autoPost,
+      autoSend = existing.autoSend,
+      isActive = existing.isActive,
+      template = existing.template
+    } = req.body;
+
+    if (!FREQUENCIES.includes(frequency)) {
+      return res.status(400).json(errorResponse(`Invalid frequency. Must be one of: ${FREQUENCIES.join(', ')}`));
+    }
+
+    // Occurrence dates are derived from the schedule, so it is fixed once documents exist
+    const scheduleChanged = frequency !== existing.frequency
+      || new Date(startDate).getTime() !== existing.startDate.getTime();
+    if (scheduleChanged && existing.runCount > 0) {
+      return res.status(400).json(errorResponse('Frequency and start date cannot be changed after the template has run; create a new template instead'));
+    }
+
+    if (endDate && new Date(endDate) < new Date(startDate)) {
+      return res.status(400).json(errorResponse('End date must be after start date'));
+    }
+
+    const validationError = validateTemplateBody(existing.documentType, template)
+      || await validateTemplateReferences(req.user.companyId, existing.documentType, template);
+    if (validationError) {
+      return res.status(400).json(errorResponse(validationError));
+    }
+
+    const schedule = { startDate: new Date(startDate), frequency, endDate: endDate ? new Date(endDate) : null };
+
+    const recurringTemplate = await prisma.recurringTemplate.update({
+      where: { id: existing.id },
+      data: {
+        name,
+        ...schedule,
+        nextRunDate: getNextRunDate(schedule, existing.runCount),
+        autoPost: Boolean(autoPost),
+        autoSend: Boolean(autoSend),
+        isActive: Boolean(isActive),
+        template
+      }
+    });
+
+    res.json(successResponse(recurringTemplate, 'Recurring template updated successfully'));
+  } catch (error) {
+    console.error('Update recurring template error:', error);
+    res.status(500).json(errorResponse('Failed to update recurring template', error));
+  }
+};
+
+/**
+ * Delete recurring template (generated documents are kept)
+ * DELETE /api/v1/recurring-templates/:id
+ */
+const deleteTemplate = async (req, res) => {
+  try {
+    const existing = await prisma.recurringTemplate.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existing) {
+      return res.status(404).json(errorResponse('Recurring template not found'));
+    }
+
+    await prisma.recurringTemplate.delete({
+      where: { id: existing.id }
+    });
+
+    res.json(successResponse(null, 'Recurring template deleted successfully'));
+  } catch (error) {
+    console.error('Delete recurring template error:', error);
+    res.status(500).json(errorResponse('Failed to delete recurring template', error));
+  }
+};
+
+/**
+ * Run history for a template
+ * GET /api/v1/recurring-templates/:id/runs
+ */
+const getTemplateRuns = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const { skip, take } = paginate(page, limit);
+
+    const existing = await prisma.recurringTemplate.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existing) {
+      return res.status(404).json(errorResponse('Recurring template not found'));
+    }
+
+    const where = { templateId: existing.id };
+    if (status) where.status = status;
+
+    const [runs, total] = await Promise.all([
+      prisma.recurringRun.findMany({
+        where,
+        skip,
+        take,
+        orderBy: { scheduledDate: 'desc' }
+      }),
+      prisma.recurringRun.count({ where })
+    ]);
+
+    res.json(paginatedResponse(runs, total, page, limit));
+  } catch (error) {
+    console.error('Get recurring runs error:', error);
+    res.status(500).json(errorResponse('Failed to fetch recurring template runs', error));
+  }
+};
+
+/**
+ * Generate due documents for one template
+ * POST /api/v1/recurring-templates/:id/run
+ */
+const runTemplateNow = async (req, res) => {
+  try {
+    const existing = await prisma.recurringTemplate.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!existing) {
+      return res.status(404).json(errorResponse('Recurring template not found'));
+    }
+
+    if (!existing.isActive) {
+      return res.status(400).json(errorResponse('Recurring template is inactive'));
+    }
+
+    const runs = await runTemplate(prisma, existing);
+
+    res.json(successResponse(runs, `${runs.filter(run => run.status === 'SUCCESS').length} document(s) generated`));
+  } catch (error) {
+    console.error('Run recurring template error:', error);
+    res.status(500).json(errorResponse('Failed to run recurring template', error));
+  }
+};
+
+/**
+ * Generate due documents for all of the company's templates
+ * POST /api/v1/recurring-templates/run
+ */
+const runDueTemplates = async (req, res) => {
+  try {
+    const summary = await processRecurringTemplates(prisma, { companyId: req.user.companyId });
+
+    res.json(successResponse(summary, `${summary.generated} document(s) generated, ${summary.failed} failed`));
+  } catch (error) {
+    console.error('Run recurring templates error:', error);
+    res.status(500).json(errorResponse('Failed to run recurring templates', error));
+  }
+};
+
+// Helper function to check that template accounts/customer belong to the company
+async function validateTemplateReferences(companyId, documentType, template) {
+  if (documentType === 'JOURNAL_ENTRY') {
+    const accountIds = [...new Set(template.lineItems.map(item => item.accountId))];
+    const count = await prisma.account.count({
+      where: { id: { in: accountIds }, companyId }
+    });
+
+    return count === accountIds.length ? null : 'Invalid account IDs provided';
+  }
+
+  const customer = await prisma.customer.findFirst({
+    where: { id: template.customerId, companyId }
+  });
+
+  return customer ? null : 'Customer not found';
+}
+
+module.exports = {
+  listTemplates,
+  createTemplate,
+  getTemplateById,
+  updateTemplate,
+  deleteTemplate,
+  getTemplateRuns,
+  runTemplateNow,
+  runDueTemplates
+};
@@ -26,6 +26,11 @@ const getProfitLoss = async (req, res) => {
       };
     }
 
+    // Year-end closing journals zero out REVENUE/EXPENSE and would hide the result
+    const excludeClosingEntries = {
+      OR: [{ referenceType: null }, { referenceType: { not: 'year_end_close' } }]
+    };
+
     // Get revenue accounts
     const revenueAccounts = await prisma.account.findMany({
       where: {
@@ -38,7 +43,8 @@ const getProfitLoss = async (req, res) => {
           where: {
             journalEntry: {
               status: 'POSTED',
-              ...dateFilter
+              ...dateFilter,
+              ...excludeClosingEntries
             }
           }
         }
@@ -57,7 +63,8 @@ const getProfitLoss = async (req, res) => {
           where: {
             journalEntry: {
               status: 'POSTED',
-              ...dateFilter
+              ...dateFilter,
+              ...excludeClosingEntries
             }
           }
         }
@@ -67,8 +74,8 @@ const getProfitLoss = async (req, res) => {
     // Calculate totals
     let totalRevenue = 0;
     const revenues = revenueAccounts.map(account => {
-      const credit = account.journalLineItems.reduce((sum, item) => sum + item.credit, 0);
-      const debit = account.journalLineItems.reduce((sum, item) => sum + item.debit, 0);
+      const credit = account.journalLineItems.reduce((sum, item) => sum + item.creditAmount, 0);
+      const debit = account.journalLineItems.reduce((sum, item) => sum + item.debitAmount, 0);
       const balance = credit - debit;
       totalRevenue += balance;
       return {
@@ -80,8 +87,8 @@ const getProfitLoss = async (req, res) => {
 
     let totalExpenses = 0;
     const expenses = expenseAccounts.map(account => {
-      const debit = account.journalLineItems.reduce((sum, item) => sum + item.debit, 0);
-      const credit = account.journalLineItems.reduce((sum, item) => sum + item.credit, 0);
+      const debit = account.journalLineItems.reduce((sum, item) => sum + item.debitAmount, 0);
+      const credit = account.journalLineItems.reduce((sum, item) => sum + item.creditAmount, 0);
       const balance = debit - credit;
       totalExpenses += balance;
       return {
@@ -151,9 +158,9 @@ const getBalanceSheet = async (req, res) => {
 
       // Calculate balance based on account type
       if (['ASSET', 'EXPENSE'].includes(account.accountType)) {
-        balance = account.journalLineItems.reduce((sum, item) => sum + item.debit - item.credit, 0);
+        balance = account.journalLineItems.reduce((sum, item) => sum + item.debitAmount - item.creditAmount, 0);
       } else {
-        balance = account.journalLineItems.reduce((sum, item) => sum + item.credit - item.debit, 0);
+        balance = account.journalLineItems.reduce((sum, item) => sum + item.creditAmount - item.debitAmount, 0);
       }
 
       if (balance === 0) return;
@@ -222,10 +229,11 @@ const getCashFlow = async (req, res) => {
       };
     }
 
-    // Get all payments
+    // Get all payments (voided ones were reversed)
     const payments = await prisma.payment.findMany({
       where: {
         companyId,
+        status: 'COMPLETED',
         ...dateFilter
       },
       include: {
@@ -378,7 +386,7 @@ const getSalesReport = async (req, res) => {
 
     const whereClause = {
       companyId,
-      status: { in: ['SENT', 'PARTIALLY_PAID', 'PAID'] }
+      status: { in: ['SENT', 'PARTIALLY_PAID', 'OVERDUE', 'PAID'] }
     };
 
     // Date filter
@@ -650,16 +658,28 @@ const getAgingReceivables = async (req, res) => {
     const companyId = req.user.companyId;
     const today = new Date();
 
-    const invoices = await prisma.invoice.findMany({
-      where: {
-        companyId,
-        status: { in: ['SENT', 'PARTIALLY_PAID', 'OVERDUE'] },
-        balanceDue: { gt: 0 }
-      },
-      include: {
-        customer: true
-      }
-    });
+    const [invoices, creditNotes] = await Promise.all([
+      prisma.invoice.findMany({
+        where: {
+          companyId,
+          status: { in: ['SENT', 'PARTIALLY_PAID', 'OVERDUE'] },
+          balanceAmount: { gt: 0 }
+        },
+        include: {
+          customer: true
+        }
+      }),
+      prisma.creditNote.findMany({
+        where: {
+          companyId,
+          status: { in: ['OPEN', 'PARTIALLY_APPLIED'] },
+          balanceAmount: { gt: 0 }
+        },
+        include: {
+          customer: true
+        }
+      })
+    ]);
 
     const aging = {
       current: { amount: 0, count: 0, invoices: [] },
@@ -681,26 +701,40 @@ const getAgingReceivables = async (req, res) => {
       else if (daysOverdue <= 90) bucket = '61-90';
       else bucket = 'over90';
 
-      aging[bucket].amount += invoice.balanceDue;
+      aging[bucket].amount += invoice.balanceAmount;
       aging[bucket].count++;
       aging[bucket].invoices.push({
         invoiceNumber: invoice.invoiceNumber,
         customerName: invoice.customer.name,
         dueDate: invoice.dueDate,
-        amount: invoice.balanceDue,
+        amount: invoice.balanceAmount,
         daysOverdue: Math.max(0, daysOverdue)
       });
 
-      totalOutstanding += invoice.balanceDue;
+      totalOutstanding += invoice.balanceAmount;
     });
 
+    // Credit not yet applied to an invoice reduces what customers owe
+    const unappliedCredits = {
+      amount: creditNotes.reduce((sum, cn) => sum + cn.balanceAmount, 0),
+      count: creditNotes.length,
+      creditNotes: creditNotes.map(cn => ({
+        creditNoteNumber: cn.creditNoteNumber,
+        customerName: cn.customer.name,
+        creditNoteDate: cn.creditNoteDate,
+        amount: cn.balanceAmount
+      }))
+    };
+
     const report = {
       asOfDate: today,
       totalOutstanding,
       aging,
+      unappliedCredits,
+      netOutstanding: totalOutstanding - unappliedCredits.amount,
       summary: {
-        current: (aging.current.amount / totalOutstanding * 100).toFixed(2),
-        overdue: ((totalOutstanding - aging.current.amount) / totalOutstanding * 100).toFixed(2)
+        current: totalOutstanding > 0 ? (aging.current.amount / totalOutstanding * 100).toFixed(2) : 0,
+        overdue: totalOutstanding > 0 ? ((totalOutstanding - aging.current.amount) / totalOutstanding * 100).toFixed(2) : 0
       }
     };
 
@@ -720,16 +754,28 @@ const getAgingPayables = async (req, res) => {
     const companyId = req.user.companyId;
     const today = new Date();
 
-    const bills = await prisma.bill.findMany({
-      where: {
-        companyId,
-        status: { in: ['APPROVED', 'PARTIALLY_PAID', 'OVERDUE'] },
-        balanceDue: { gt: 0 }
-      },
-      include: {
-        supplier: true
-      }
-    });
+    const [bills, debitNotes] = await Promise.all([
+      prisma.bill.findMany({
+        where: {
+          companyId,
+          status: { in: ['APPROVED', 'PARTIALLY_PAID', 'OVERDUE'] },
+          balanceAmount: { gt: 0 }
+        },
+        include: {
+          supplier: true
+        }
+      }),
+      prisma.debitNote.findMany({
+        where: {
+          companyId,
+          status: { in: ['OPEN', 'PARTIALLY_APPLIED'] },
+          balanceAmount: { gt: 0 }
+        },
+        include: {
+          supplier: true
+        }
+      })
+    ]);
 
     const aging = {
       current: { amount: 0, count: 0, bills: [] },
@@ -751,23 +797,37 @@ const getAgingPayables = async (req, res) => {
       else if (daysOverdue <= 90) bucket = '61-90';
       else bucket = 'over90';
 
-      aging[bucket].amount += bill.balanceDue;
+      aging[bucket].amount += bill.balanceAmount;
       aging[bucket].count++;
       aging[bucket].bills.push({
         billNumber: bill.billNumber,
         supplierName: bill.supplier.name,
         dueDate: bill.dueDate,
-        amount: bill.balanceDue,
+        amount: bill.balanceAmount,
         daysOverdue: Math.max(0, daysOverdue)
       });
 
-      totalOutstanding += bill.balanceDue;
+      totalOutstanding += bill.balanceAmount;
     });
 
+    // Vendor credit not yet applied to a bill reduces what we owe
+    const unappliedCredits = {
+      amount: debitNotes.reduce((sum, dn) => sum + dn.balanceAmount, 0),
+      count: debitNotes.length,
+      debitNotes: debitNotes.map(dn => ({
+        debitNoteNumber: dn.debitNoteNumber,
+        supplierName: dn.supplier.name,
+        debitNoteDate: dn.debitNoteDate,
+        amount: dn.balanceAmount
+      }))
+    };
+
     const report = {
       asOfDate: today,
       totalOutstanding,
       aging,
+      unappliedCredits,
+      netOutstanding: totalOutstanding - unappliedCredits.amount,
       summary: {
         current: totalOutstanding > 0 ? (aging.current.amount / totalOutstanding * 100).toFixed(2) : 0,
         overdue: totalOutstanding > 0 ? ((totalOutstanding - aging.current.amount) / totalOutstanding * 100).toFixed(2) : 0
@@ -853,7 +913,7 @@ const getTaxSummary = async (req, res) => {
     const salesInvoices = await prisma.invoice.findMany({
       where: {
         companyId,
-        status: { in: ['SENT', 'PARTIALLY_PAID', 'PAID'] },
+        status: { in: ['SENT', 'PARTIALLY_PAID', 'OVERDUE', 'PAID'] },
         ...dateFilter
       }
     });
@@ -912,7 +972,7 @@ const getTaxReport = async (req, res) => {
     const salesInvoices = await prisma.invoice.findMany({
       where: {
         companyId,
-        status: { in: ['SENT', 'PARTIALLY_PAID', 'PAID'] },
+        status: { in: ['SENT', 'PARTIALLY_PAID', 'OVERDUE', 'PAID'] },
         ...(startDate && endDate ? { invoiceDate: dateFilter } : {})
       },
       include: {
@@ -1102,7 +1162,7 @@ const getVATReport = async (req, res) => {
     const salesInvoices = await prisma.invoice.findMany({
       where: {
         companyId,
-        status: { in: ['SENT', 'PARTIALLY_PAID', 'PAID'] },
+        status: { in: ['SENT', 'PARTIALLY_PAID', 'OVERDUE', 'PAID'] },
         invoiceDate: dateFilter
       },
       include: {
@@ -1112,6 +1172,19 @@ const getVATReport = async (req, res) => {
       orderBy: { invoiceDate: 'asc' }
     });
 
+    // Credit notes reverse output VAT in the period they are issued
+    const creditNotes = await prisma.creditNote.findMany({
+      where: {
+        companyId,
+        status: { not: 'DRAFT' },
+        creditNoteDate: dateFilter
+      },
+      include: {
+        customer: true
+      },
+      orderBy: { creditNoteDate: 'asc' }
+    });
+
     // Get VAT from purchases
     const purchaseBills = await prisma.bill.findMany({
       where: {
@@ -1126,13 +1199,30 @@ const getVATReport = async (req, res) => {
       orderBy: { billDate: 'asc' }
     });
 
-    // Calculate VAT on sales (Output VAT)
-    const vatOnSales = salesInvoices.reduce((sum, inv) => sum + (inv.taxAmount || 0), 0);
-    const totalSalesValue = salesInvoices.reduce((sum, inv) => sum + inv.subtotal, 0);
+    // Debit notes reverse input VAT in the period they are issued
+    const debitNotes = await prisma.debitNote.findMany({
+      where: {
+        companyId,
+        status: { not: 'DRAFT' },
+        debitNoteDate: dateFilter
+      },
+      include: {
+        supplier: true
+      },
+      orderBy: { debitNoteDate: 'asc' }
+    });
 
-    // Calculate VAT on purchases (Input VAT)
-    const vatOnPurchases = purchaseBills.reduce((sum, bill) => sum + (bill.taxAmount || 0), 0);
-    const totalPurchasesValue = purchaseBills.reduce((sum, bill) => sum + bill.subtotal, 0);
+    // Calculate VAT on sales (Output VAT), net of credit notes
+    const vatOnCreditNotes = creditNotes.reduce((sum, cn) => sum + (cn.taxAmount || 0), 0);
+    const totalCreditNotesValue = creditNotes.reduce((sum, cn) => sum + cn.subtotal - cn.discountAmount, 0);
+    const vatOnSales = salesInvoices.reduce((sum, inv) => sum + (inv.taxAmount || 0), 0) - vatOnCreditNotes;
+    const totalSalesValue = salesInvoices.reduce((sum, inv) => sum + inv.subtotal, 0) - totalCreditNotesValue;
+
+    // Calculate VAT on purchases (Input VAT), net of debit notes
+    const vatOnDebitNotes = debitNotes.reduce((sum, dn) => sum + (dn.taxAmount || 0), 0);
+    const totalDebitNotesValue = debitNotes.reduce((sum, dn) => sum + dn.subtotal - dn.discountAmount, 0);
+    const vatOnPurchases = purchaseBills.reduce((sum, bill) => sum + (bill.taxAmount || 0), 0) - vatOnDebitNotes;
+    const totalPurchasesValue = purchaseBills.reduce((sum, bill) => sum + bill.subtotal, 0) - totalDebitNotesValue;
 
     // Net VAT payable (Output VAT - Input VAT)
     const netVATPayable = vatOnSales - vatOnPurchases;
@@ -1154,7 +1244,20 @@ const getVATReport = async (req, res) => {
           netAmount: inv.subtotal,
           vatAmount: inv.taxAmount,
           grossAmount: inv.totalAmount
-        }))
+        })),
+        creditNotes: {
+          netAmount: totalCreditNotesValue,
+          vatAmount: vatOnCreditNotes,
+          transactionCount: creditNotes.length,
+          transactions: creditNotes.map(cn => ({
+            creditNoteNumber: cn.creditNoteNumber,
+            creditNoteDate: cn.creditNoteDate,
+            customerName: cn.customer.name,
+            netAmount: cn.subtotal - cn.discountAmount,
+            vatAmount: cn.taxAmount,
+            grossAmount: cn.totalAmount
+          }))
+        }
       },
       inputVAT: {
         totalPurchases: totalPurchasesValue,
@@ -1167,7 +1270,20 @@ const getVATReport = async (req, res) => {
           netAmount: bill.subtotal,
           vatAmount: bill.taxAmount,
           grossAmount: bill.totalAmount
-        }))
+        })),
+        debitNotes: {
+          netAmount: totalDebitNotesValue,
+          vatAmount: vatOnDebitNotes,
+          transactionCount: debitNotes.length,
+          transactions: debitNotes.map(dn => ({
+            debitNoteNumber: dn.debitNoteNumber,
+            debitNoteDate: dn.debitNoteDate,
+            supplierName: dn.supplier.name,
+            netAmount: dn.subtotal - dn.discountAmount,
+            vatAmount: dn.taxAmount,
+            grossAmount: dn.totalAmount
+          }))
+        }
       },
       summary: {
         outputVAT: vatOnSales,
@@ -1234,6 +1350,7 @@ const getDayBookReport = async (req, res) => {
     const payments = await prisma.payment.findMany({
       where: {
         companyId,
+        status: 'COMPLETED',
         paymentDate: dateFilter
       },
       include: {
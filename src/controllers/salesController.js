@@ -1,104 +1,35 @@
 const { PrismaClient } = require('@prisma/client');
+const { assertPeriodsOpenForUser } = require('../utils/periods');
+const { resolveDocumentCurrency, toBaseAmount, roundAmount } = require('../utils/currency');
+const { checkCreditLimit, approveCreditHold } = require('../utils/creditLimit');
+const { allocateNumber } = require('../utils/numbering');
+const { transitionDocument } = require('../utils/stateMachines');
+const {
+  REVISABLE_STATUSES,
+  isPastValidity,
+  saveQuotationRevision
+} = require('../utils/quotations');
+const {
+  CLOSED_ORDER_STATUSES,
+  selectOrderLines,
+  addOrderQuantities,
+  releaseOrderQuantities,
+  refreshOrderStatus,
+  uninvoicedOrderValue,
+  buildInvoiceFromLines,
+  describeOrderLines
+} = require('../utils/salesOrders');
+const {
+  createCreditNoteRecord,
+  issueCreditNote,
+  applyToSourceInvoice,
+  emailCreditNote
+} = require('../utils/creditNotes');
+const { ConflictError } = require('../middleware/errorHandler');
 const prisma = new PrismaClient();
 
 // ==================== HELPER FUNCTIONS ====================
 
-/**
- * Generate unique quotation number
- */
-const generateQuotationNumber = async (companyId) => {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-
-  const lastQuotation = await prisma.salesQuotation.findFirst({
-    where: { companyId },
-    orderBy: { createdAt: 'desc' }
-  });
-
-  let sequence = 1;
-  if (lastQuotation && lastQuotation.quotationNumber) {
-    const lastSequence = parseInt(lastQuotation.quotationNumber.split('-').pop());
-    if (!isNaN(lastSequence)) {
-      sequence = lastSequence + 1;
-    }
-  }
-
-  return `SQ-${year}${month}-${String(sequence).padStart(4, '0')}`;
-};
-
-/**
- * Generate unique sales order number
- */
-const generateSalesOrderNumber = async (companyId) => {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-
-  const lastOrder = await prisma.salesOrder.findFirst({
-    where: { companyId },
-    orderBy: { createdAt: 'desc' }
-  });
-
-  let sequence = 1;
-  if (lastOrder && lastOrder.orderNumber) {
-    const lastSequence = parseInt(lastOrder.orderNumber.split('-').pop());
-    if (!isNaN(lastSequence)) {
-      sequence = lastSequence + 1;
-    }
-  }
-
-  return `SO-${year}${month}-${String(sequence).padStart(4, '0')}`;
-};
-
-/**
- * Generate unique challan number
- */
-const generateChallanNumber = async (companyId) => {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-
-  const lastChallan = await prisma.deliveryChallan.findFirst({
-    where: { companyId },
-    orderBy: { createdAt: 'desc' }
-  });
-
-  let sequence = 1;
-  if (lastChallan && lastChallan.challanNumber) {
-    const lastSequence = parseInt(lastChallan.challanNumber.split('-').pop());
-    if (!isNaN(lastSequence)) {
-      sequence = lastSequence + 1;
-    }
-  }
-
-  return `DC-${year}${month}-${String(sequence).padStart(4, '0')}`;
-};
-
-/**
- * Generate unique return number
- */
-const generateReturnNumber = async (companyId) => {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-
-  const lastReturn = await prisma.salesReturn.findFirst({
-    where: { companyId },
-    orderBy: { createdAt: 'desc' }
-  });
-
-  let sequence = 1;
-  if (lastReturn && lastReturn.returnNumber) {
-    const lastSequence = parseInt(lastReturn.returnNumber.split('-').pop());
-    if (!isNaN(lastSequence)) {
-      sequence = lastSequence + 1;
-    }
-  }
-
-  return `SR-${year}${month}-${String(sequence).padStart(4, '0')}`;
-};
-
 /**
  * Calculate totals from items
  */
@@ -148,7 +79,9 @@ const createQuotation = async (req, res) => {
       validUntil,
       items = [],
       terms,
-      notes
+      notes,
+      currency,
+      exchangeRate
     } = req.body;
 
     // Validation
@@ -173,8 +106,12 @@ const createQuotation = async (req, res) => {
       });
     }
 
-    // Generate quotation number
-    const quotationNumber = await generateQuotationNumber(companyId);
+    const documentCurrency = await resolveDocumentCurrency(prisma, companyId, {
+      currency,
+      exchangeRate,
+      date: quotationDate,
+      defaultCurrency: customer.currency
+    });
 
     // Calculate totals
     const { processedItems, subtotal, taxAmount, totalAmount, discountAmount } = calculateTotals(items);
@@ -183,7 +120,7 @@ const createQuotation = async (req, res) => {
     const quotation = await prisma.$transaction(async (tx) => {
       return await tx.salesQuotation.create({
         data: {
-          quotationNumber,
+          quotationNumber: await allocateNumber(tx, companyId, 'SALES_QUOTATION', { date: quotationDate }),
           customerId,
           companyId,
           quotationDate: new Date(quotationDate),
@@ -192,6 +129,7 @@ const createQuotation = async (req, res) => {
           taxAmount,
           discountAmount,
           totalAmount,
+          ...documentCurrency,
           terms,
           notes,
           status: 'draft',
@@ -230,7 +168,7 @@ const createQuotation = async (req, res) => {
     });
   } catch (error) {
     console.error('Create quotation error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to create sales quotation',
       message: error.message
@@ -340,6 +278,16 @@ const getQuotationById = async (req, res) => {
         },
         salesOrders: {
           select: { id: true, orderNumber: true, status: true }
+        },
+        revisions: {
+          select: {
+            id: true,
+            revision: true,
+            reason: true,
+            createdAt: true,
+            revisedBy: { select: { id: true, name: true } }
+          },
+          orderBy: { revision: 'desc' }
         }
       }
     });
@@ -372,7 +320,7 @@ const getQuotationById = async (req, res) => {
 const updateQuotation = async (req, res) => {
   try {
     const quotationId = req.params.id;
-    const { items, ...updateData } = req.body;
+    const { items, status, ...updateData } = req.body;
 
     // Check if quotation exists
     const existingQuotation = await prisma.salesQuotation.findFirst({
@@ -389,6 +337,13 @@ const updateQuotation = async (req, res) => {
       });
     }
 
+    if (status !== undefined && status !== existingQuotation.status) {
+      return res.status(400).json({
+        success: false,
+        error: 'Change the status with PUT /quotations/:id/status'
+      });
+    }
+
     // Only allow updates to draft or sent quotations
     if (!['draft', 'sent'].includes(existingQuotation.status)) {
       return res.status(400).json({
@@ -397,6 +352,11 @@ const updateQuotation = async (req, res) => {
       });
     }
 
+    // The customer has seen a sent quotation, so changes make a new revision
+    if (existingQuotation.status === 'sent') {
+      return reviseQuotation(req, res);
+    }
+
     // Prepare update data
     let finalUpdateData = { ...updateData };
 
@@ -528,20 +488,68 @@ const deleteQuotation = async (req, res) => {
  */
 const updateQuotationStatus = async (req, res) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['draft', 'sent', 'accepted', 'rejected', 'expired'];
+    const { status, reason } = req.body;
 
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
+    const quotation = await prisma.salesQuotation.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!quotation) {
+      return res.status(404).json({
         success: false,
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
+        error: 'Quotation not found'
       });
     }
 
+    const updatedQuotation = await prisma.$transaction(async (tx) => {
+      await transitionDocument(tx, 'SALES_QUOTATION', quotation, status, { userId: req.user.id, reason });
+
+      return tx.salesQuotation.findUnique({
+        where: { id: quotation.id },
+        include: {
+          customer: true,
+          items: {
+            include: { product: true }
+          }
+        }
+      });
+    });
+
+    res.json({
+      success: true,
+      data: updatedQuotation,
+      message: `Quotation status updated to ${status}`
+    });
+  } catch (error) {
+    console.error('Update quotation status error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to update quotation status',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Revise a quotation: keep the current version in its history, apply the
+ * changes (items, validUntil, terms, notes) and put it back to draft
+ * POST /api/v1/sales/quotations/:id/revise
+ */
+const reviseQuotation = async (req, res) => {
+  try {
+    const { items, validUntil, terms, notes, reason } = req.body;
+
     const quotation = await prisma.salesQuotation.findFirst({
       where: {
         id: req.params.id,
         companyId: req.user.companyId
+      },
+      include: {
+        items: true,
+        salesOrders: { select: { id: true } }
       }
     });
 
@@ -552,32 +560,125 @@ const updateQuotationStatus = async (req, res) => {
       });
     }
 
-    const updatedQuotation = await prisma.salesQuotation.update({
-      where: { id: req.params.id },
-      data: { status },
-      include: {
-        customer: true,
-        items: {
-          include: { product: true }
+    if (quotation.salesOrders.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot revise quotation that has been converted to sales order'
+      });
+    }
+
+    if (!REVISABLE_STATUSES.includes(quotation.status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Draft quotations are edited directly'
+      });
+    }
+
+    const changes = {};
+    if (validUntil !== undefined) changes.validUntil = validUntil ? new Date(validUntil) : null;
+    if (terms !== undefined) changes.terms = terms;
+    if (notes !== undefined) changes.notes = notes;
+
+    if (changes.validUntil && isNaN(changes.validUntil.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid valid until date'
+      });
+    }
+
+    if (isPastValidity({ validUntil: validUntil !== undefined ? changes.validUntil : quotation.validUntil })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid until date has passed; give the revision a new one'
+      });
+    }
+
+    const revised = await prisma.$transaction(async (tx) => {
+      await saveQuotationRevision(tx, 'sales', quotation, {
+        changes,
+        totals: items && items.length > 0 ? calculateTotals(items) : null,
+        reason,
+        userId: req.user.id
+      });
+
+      return tx.salesQuotation.findUnique({
+        where: { id: quotation.id },
+        include: {
+          customer: true,
+          items: {
+            include: { product: true }
+          }
         }
-      }
+      });
     });
 
     res.json({
       success: true,
-      data: updatedQuotation,
-      message: `Quotation status updated to ${status}`
+      data: revised,
+      message: `Quotation revised to revision ${revised.revision}`
     });
   } catch (error) {
-    console.error('Update quotation status error:', error);
+    console.error('Revise quotation error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to revise quotation',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Get a quotation's earlier revisions, newest first
+ * GET /api/v1/sales/quotations/:id/revisions
+ */
+const getQuotationRevisions = async (req, res) => {
+  try {
+    const quotation = await prisma.salesQuotation.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      },
+      select: { id: true, quotationNumber: true, revision: true }
+    });
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Quotation not found'
+      });
+    }
+
+    const revisions = await prisma.salesQuotationRevision.findMany({
+      where: { quotationId: quotation.id },
+      include: {
+        revisedBy: { select: { id: true, name: true } }
+      },
+      orderBy: { revision: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: { ...quotation, revisions }
+    });
+  } catch (error) {
+    console.error('Get quotation revisions error:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update quotation status',
+      error: 'Failed to fetch quotation revisions',
       message: error.message
     });
   }
 };
 
+/**
+ * Convert an accepted quotation to a sales order with the quoted lines
+ * POST /api/v1/sales/quotations/:id/convert-to-order
+ */
+const convertQuotationToOrder = async (req, res) => {
+  req.body = { ...req.body, quotationId: req.params.id };
+  return createSalesOrder(req, res);
+};
+
 // ==================== SALES ORDERS ====================
 
 /**
@@ -593,18 +694,26 @@ const createSalesOrder = async (req, res) => {
       expectedDelivery,
       items = [],
       terms,
-      notes
+      notes,
+      currency,
+      exchangeRate
     } = req.body;
 
     const companyId = req.user.companyId;
     let orderItems = items;
     let orderCustomerId = customerId;
+    let orderTerms = terms;
+    let orderNotes = notes;
+    let documentCurrency = null;
 
     // If creating from quotation, fetch quotation items
     if (quotationId) {
       const quotation = await prisma.salesQuotation.findFirst({
         where: { id: quotationId, companyId },
-        include: { items: true }
+        include: {
+          items: true,
+          salesOrders: { select: { orderNumber: true } }
+        }
       });
 
       if (!quotation) {
@@ -621,7 +730,17 @@ const createSalesOrder = async (req, res) => {
         });
       }
 
+      if (quotation.salesOrders.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `Quotation already converted to sales order ${quotation.salesOrders[0].orderNumber}`
+        });
+      }
+
       orderCustomerId = quotation.customerId;
+      documentCurrency = { currency: quotation.currency, exchangeRate: quotation.exchangeRate };
+      orderTerms = terms !== undefined ? terms : quotation.terms;
+      orderNotes = notes !== undefined ? notes : quotation.notes;
       orderItems = quotation.items.map(item => ({
         productId: item.productId,
         description: item.description,
@@ -652,17 +771,38 @@ const createSalesOrder = async (req, res) => {
       });
     }
 
-    // Generate order number
-    const orderNumber = await generateSalesOrderNumber(companyId);
+    // Orders from a quotation keep the quoted currency and rate
+    if (!documentCurrency) {
+      documentCurrency = await resolveDocumentCurrency(prisma, companyId, {
+        currency,
+        exchangeRate,
+        date: orderDate,
+        defaultCurrency: customer.currency
+      });
+    }
 
     // Calculate totals
     const { processedItems, subtotal, taxAmount, totalAmount, discountAmount } = calculateTotals(orderItems);
 
-    // Create sales order with items in transaction
-    const salesOrder = await prisma.$transaction(async (tx) => {
-      return await tx.salesOrder.create({
+    // Create sales order with items in transaction, on hold if it takes the customer over their credit limit
+    const { salesOrder, credit } = await prisma.$transaction(async (tx) => {
+      // Only one order per quotation, even when two conversions run at once
+      if (quotationId) {
+        const { count } = await tx.salesQuotation.updateMany({
+          where: { id: quotationId, companyId, status: 'accepted', salesOrders: { none: {} } },
+          data: { updatedAt: new Date() }
+        });
+
+        if (count === 0) {
+          throw new ConflictError('Quotation was converted or changed while this request was running; reload it and try again');
+        }
+      }
+
+      const credit = await checkCreditLimit(tx, customer, toBaseAmount(totalAmount, documentCurrency.exchangeRate));
+
+      const salesOrder = await tx.salesOrder.create({
         data: {
-          orderNumber,
+          orderNumber: await allocateNumber(tx, companyId, 'SALES_ORDER', { date: orderDate }),
           quotationId: quotationId || null,
           customerId: orderCustomerId,
           companyId,
@@ -672,9 +812,11 @@ const createSalesOrder = async (req, res) => {
           taxAmount,
           discountAmount,
           totalAmount,
-          terms,
-          notes,
+          ...documentCurrency,
+          terms: orderTerms,
+          notes: orderNotes,
           status: 'pending',
+          creditHold: credit.action === 'HOLD',
           items: {
             create: processedItems.map(item => ({
               productId: item.productId,
@@ -704,16 +846,18 @@ const createSalesOrder = async (req, res) => {
           }
         }
       });
+
+      return { salesOrder, credit };
     });
 
     res.status(201).json({
       success: true,
-      data: salesOrder,
-      message: 'Sales order created successfully'
+      data: { ...salesOrder, credit },
+      message: salesOrder.creditHold ? 'Sales order created on credit hold pending approval' : 'Sales order created successfully'
     });
   } catch (error) {
     console.error('Create sales order error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to create sales order',
       message: error.message
@@ -845,7 +989,11 @@ const getSalesOrderById = async (req, res) => {
 
     res.json({
       success: true,
-      data: salesOrder
+      data: {
+        ...salesOrder,
+        items: describeOrderLines(salesOrder),
+        uninvoicedAmount: uninvoicedOrderValue(salesOrder)
+      }
     });
   } catch (error) {
     console.error('Get sales order error:', error);
@@ -864,7 +1012,7 @@ const getSalesOrderById = async (req, res) => {
 const updateSalesOrder = async (req, res) => {
   try {
     const orderId = req.params.id;
-    const { items, ...updateData } = req.body;
+    const { items, status, orderDate, expectedDelivery, terms, notes } = req.body;
 
     // Check if order exists
     const existingOrder = await prisma.salesOrder.findFirst({
@@ -881,6 +1029,13 @@ const updateSalesOrder = async (req, res) => {
       });
     }
 
+    if (status !== undefined && status !== existingOrder.status) {
+      return res.status(400).json({
+        success: false,
+        error: 'Change the status with PUT /sales-orders/:id/status'
+      });
+    }
+
     // Only allow updates to pending orders
     if (existingOrder.status !== 'pending') {
       return res.status(400).json({
@@ -889,12 +1044,16 @@ const updateSalesOrder = async (req, res) => {
       });
     }
 
-    // Prepare update data
-    let finalUpdateData = { ...updateData };
+    // Prepare update data. Status and credit hold have their own endpoints.
+    let finalUpdateData = {};
+    if (orderDate !== undefined) finalUpdateData.orderDate = new Date(orderDate);
+    if (expectedDelivery !== undefined) finalUpdateData.expectedDelivery = expectedDelivery ? new Date(expectedDelivery) : null;
+    if (terms !== undefined) finalUpdateData.terms = terms;
+    if (notes !== undefined) finalUpdateData.notes = notes;
 
     // If items are being updated, recalculate totals
     if (items && items.length > 0) {
-      const { processedItems, subtotal, taxAmount, totalAmount, discountAmount } = calculateTotals(items);
+      const { subtotal, taxAmount, totalAmount, discountAmount } = calculateTotals(items);
 
       finalUpdateData = {
         ...finalUpdateData,
@@ -903,16 +1062,40 @@ const updateSalesOrder = async (req, res) => {
         discountAmount,
         totalAmount
       };
-
-      // Delete existing items
-      await prisma.salesOrderItem.deleteMany({
-        where: { orderId }
-      });
     }
 
-    // Update order
-    const updatedOrder = await prisma.$transaction(async (tx) => {
-      return await tx.salesOrder.update({
+    // Update order; new items have to fit the customer's credit limit like a new order
+    const { updatedOrder, credit } = await prisma.$transaction(async (tx) => {
+      let credit = null;
+
+      if (items && items.length > 0) {
+        const customer = await tx.customer.findUnique({
+          where: { id: existingOrder.customerId }
+        });
+
+        credit = await checkCreditLimit(
+          tx,
+          customer,
+          toBaseAmount(finalUpdateData.totalAmount, existingOrder.exchangeRate),
+          { excludeSalesOrderId: orderId }
+        );
+
+        if (credit.action === 'HOLD') {
+          finalUpdateData = {
+            ...finalUpdateData,
+            creditHold: true,
+            creditApprovedById: null,
+            creditApprovedAt: null
+          };
+        }
+
+        // Delete existing items
+        await tx.salesOrderItem.deleteMany({
+          where: { orderId }
+        });
+      }
+
+      const updatedOrder = await tx.salesOrder.update({
         where: { id: orderId },
         data: {
           ...finalUpdateData,
@@ -938,16 +1121,20 @@ const updateSalesOrder = async (req, res) => {
           }
         }
       });
+
+      return { updatedOrder, credit };
     });
 
     res.json({
       success: true,
-      data: updatedOrder,
-      message: 'Sales order updated successfully'
+      data: credit ? { ...updatedOrder, credit } : updatedOrder,
+      message: credit?.action === 'HOLD'
+        ? 'Sales order updated and put on credit hold pending approval'
+        : 'Sales order updated successfully'
     });
   } catch (error) {
     console.error('Update sales order error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to update sales order',
       message: error.message
@@ -1021,15 +1208,7 @@ const deleteSalesOrder = async (req, res) => {
  */
 const updateSalesOrderStatus = async (req, res) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['pending', 'processing', 'completed', 'cancelled'];
-
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}`
-      });
-    }
+    const { status, reason } = req.body;
 
     const order = await prisma.salesOrder.findFirst({
       where: {
@@ -1045,15 +1224,18 @@ const updateSalesOrderStatus = async (req, res) => {
       });
     }
 
-    const updatedOrder = await prisma.salesOrder.update({
-      where: { id: req.params.id },
-      data: { status },
-      include: {
-        customer: true,
-        items: {
-          include: { product: true }
+    const updatedOrder = await prisma.$transaction(async (tx) => {
+      await transitionDocument(tx, 'SALES_ORDER', order, status, { userId: req.user.id, reason });
+
+      return tx.salesOrder.findUnique({
+        where: { id: order.id },
+        include: {
+          customer: true,
+          items: {
+            include: { product: true }
+          }
         }
-      }
+      });
     });
 
     res.json({
@@ -1063,7 +1245,7 @@ const updateSalesOrderStatus = async (req, res) => {
     });
   } catch (error) {
     console.error('Update sales order status error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to update sales order status',
       message: error.message
@@ -1072,13 +1254,15 @@ const updateSalesOrderStatus = async (req, res) => {
 };
 
 /**
- * Convert sales order to invoice
+ * Convert sales order to invoice. items ([{ salesOrderItemId, quantity }])
+ * invoices part of the order; by default everything not yet invoiced is.
  * POST /api/v1/sales/orders/:id/convert-to-invoice
  */
 const convertToInvoice = async (req, res) => {
   try {
     const orderId = req.params.id;
     const companyId = req.user.companyId;
+    const { items } = req.body;
 
     // Get sales order
     const salesOrder = await prisma.salesOrder.findFirst({
@@ -1103,74 +1287,56 @@ const convertToInvoice = async (req, res) => {
       });
     }
 
-    // Check if invoice already exists for this order
-    const existingInvoice = await prisma.invoice.findFirst({
-      where: { salesOrderId: orderId, companyId }
-    });
-
-    if (existingInvoice) {
-      return res.status(400).json({
+    if (salesOrder.creditHold) {
+      return res.status(409).json({
         success: false,
-        error: 'Invoice already exists for this sales order',
-        data: existingInvoice
+        error: 'Sales order is on credit hold and must be approved before invoicing'
       });
     }
 
-    // Generate invoice number
-    const today = new Date();
-    const year = today.getFullYear();
-    const month = String(today.getMonth() + 1).padStart(2, '0');
-
-    const lastInvoice = await prisma.invoice.findFirst({
-      where: { companyId },
-      orderBy: { createdAt: 'desc' }
-    });
-
-    let sequence = 1;
-    if (lastInvoice && lastInvoice.invoiceNumber) {
-      const lastSequence = parseInt(lastInvoice.invoiceNumber.split('-').pop());
-      if (!isNaN(lastSequence)) {
-        sequence = lastSequence + 1;
-      }
-    }
-
-    const invoiceNumber = `INV-${year}${month}-${String(sequence).padStart(4, '0')}`;
+    const lines = selectOrderLines(salesOrder, items, 'invoicedQuantity');
+    const totals = buildInvoiceFromLines(lines);
 
     // Calculate due date based on customer credit period
     const dueDate = new Date();
     dueDate.setDate(dueDate.getDate() + (salesOrder.customer.creditPeriodDays || 30));
 
-    // Create invoice from sales order
-    const invoice = await prisma.$transaction(async (tx) => {
+    // Create invoice from sales order. What is left to invoice on the order
+    // already counts towards the customer's exposure, so the check swaps it
+    // for the same amount; orders approved over the limit are not checked
+    // again.
+    const { invoice, credit } = await prisma.$transaction(async (tx) => {
+      const credit = salesOrder.creditApprovedAt
+        ? null
+        : await checkCreditLimit(tx, salesOrder.customer, toBaseAmount(uninvoicedOrderValue(salesOrder), salesOrder.exchangeRate), {
+          excludeSalesOrderId: orderId
+        });
+
+      await addOrderQuantities(tx, lines, 'invoicedQuantity');
+
       const newInvoice = await tx.invoice.create({
         data: {
-          invoiceNumber,
+          invoiceNumber: await allocateNumber(tx, companyId, 'INVOICE'),
           customerId: salesOrder.customerId,
           companyId,
           salesOrderId: orderId,
           invoiceDate: new Date(),
           dueDate,
-          subtotal: salesOrder.subtotal,
-          taxAmount: salesOrder.taxAmount,
-          discountAmount: salesOrder.discountAmount,
-          totalAmount: salesOrder.totalAmount,
+          subtotal: totals.subtotal,
+          taxAmount: totals.taxAmount,
+          discountAmount: totals.discountAmount,
+          totalAmount: totals.totalAmount,
           paidAmount: 0,
-          balanceAmount: salesOrder.totalAmount,
+          balanceAmount: totals.totalAmount,
+          currency: salesOrder.currency,
+          exchangeRate: salesOrder.exchangeRate,
           status: 'DRAFT',
+          creditHold: credit?.action === 'HOLD',
           notes: salesOrder.notes,
           termsConditions: salesOrder.terms,
           createdById: req.user.id,
           items: {
-            create: salesOrder.items.map(item => ({
-              productId: item.productId,
-              description: item.description,
-              quantity: item.quantity,
-              unitPrice: item.unitPrice,
-              taxRate: item.taxRate,
-              taxAmount: item.taxAmount,
-              discountAmount: item.discountAmount,
-              totalAmount: item.totalAmount
-            }))
+            create: totals.items
           }
         },
         include: {
@@ -1184,23 +1350,21 @@ const convertToInvoice = async (req, res) => {
         }
       });
 
-      // Update sales order status
-      await tx.salesOrder.update({
-        where: { id: orderId },
-        data: { status: 'completed' }
-      });
+      await refreshOrderStatus(tx, orderId, { userId: req.user.id });
 
-      return newInvoice;
+      return { invoice: newInvoice, credit };
     });
 
     res.status(201).json({
       success: true,
-      data: invoice,
-      message: 'Sales order converted to invoice successfully'
+      data: { ...invoice, credit },
+      message: invoice.creditHold
+        ? 'Sales order converted to invoice on credit hold pending approval'
+        : 'Sales order converted to invoice successfully'
     });
   } catch (error) {
     console.error('Convert to invoice error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to convert sales order to invoice',
       message: error.message
@@ -1208,10 +1372,144 @@ const convertToInvoice = async (req, res) => {
   }
 };
 
+/**
+ * Release a sales order held over the customer's credit limit
+ * POST /api/v1/sales/orders/:id/approve-credit
+ */
+const approveSalesOrderCredit = async (req, res) => {
+  try {
+    const salesOrder = await approveCreditHold(prisma, 'salesOrder', req.params.id, req.user.companyId, req.user.id);
+
+    res.json({
+      success: true,
+      data: salesOrder,
+      message: 'Sales order released from credit hold'
+    });
+  } catch (error) {
+    console.error('Approve sales order credit error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to approve sales order',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Open-order backlog: every line of an open order with quantity still to
+ * deliver or invoice, oldest order first. Amounts are what is left to
+ * invoice, with base currency totals.
+ * GET /api/v1/sales/orders/backlog?customerId=&productId=&startDate=&endDate=
+ */
+const getSalesOrderBacklog = async (req, res) => {
+  try {
+    const { customerId, productId, startDate, endDate } = req.query;
+    const today = new Date();
+
+    const where = {
+      companyId: req.user.companyId,
+      status: { notIn: CLOSED_ORDER_STATUSES }
+    };
+
+    if (customerId) where.customerId = customerId;
+
+    if (startDate || endDate) {
+      where.orderDate = {};
+      if (startDate) where.orderDate.gte = new Date(startDate);
+      if (endDate) where.orderDate.lte = new Date(endDate);
+    }
+
+    const orders = await prisma.salesOrder.findMany({
+      where,
+      orderBy: { orderDate: 'asc' },
+      include: {
+        customer: {
+          select: { id: true, name: true }
+        },
+        items: {
+          where: productId ? { productId } : undefined,
+          include: {
+            product: {
+              select: { id: true, name: true, productCode: true, unit: true }
+            }
+          }
+        }
+      }
+    });
+
+    const lines = [];
+
+    for (const order of orders) {
+      const overdue = Boolean(order.expectedDelivery && order.expectedDelivery < today);
+
+      for (const item of describeOrderLines(order)) {
+        if (item.openToDeliver <= 0 && item.openToInvoice <= 0) continue;
+
+        lines.push({
+          salesOrderId: order.id,
+          orderNumber: order.orderNumber,
+          orderDate: order.orderDate,
+          expectedDelivery: order.expectedDelivery,
+          status: order.status,
+          creditHold: order.creditHold,
+          customer: order.customer,
+          salesOrderItemId: item.id,
+          product: item.product,
+          description: item.description,
+          orderedQuantity: item.quantity,
+          deliveredQuantity: item.deliveredQuantity,
+          invoicedQuantity: item.invoicedQuantity,
+          openToDeliver: item.openToDeliver,
+          openToInvoice: item.openToInvoice,
+          uninvoicedAmount: item.uninvoicedValue,
+          currency: order.currency,
+          uninvoicedBaseAmount: roundAmount(toBaseAmount(item.uninvoicedValue, order.exchangeRate)),
+          overdue: overdue && item.openToDeliver > 0
+        });
+      }
+    }
+
+    const byCustomer = {};
+    for (const line of lines) {
+      if (!byCustomer[line.customer.id]) {
+        byCustomer[line.customer.id] = { customer: line.customer, orders: new Set(), uninvoicedBaseAmount: 0 };
+      }
+
+      const entry = byCustomer[line.customer.id];
+      entry.orders.add(line.salesOrderId);
+      entry.uninvoicedBaseAmount = roundAmount(entry.uninvoicedBaseAmount + line.uninvoicedBaseAmount);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        asOf: today,
+        lines,
+        byCustomer: Object.values(byCustomer).map(entry => ({ ...entry, orders: entry.orders.size })),
+        summary: {
+          orders: new Set(lines.map(line => line.salesOrderId)).size,
+          lines: lines.length,
+          overdueLines: lines.filter(line => line.overdue).length,
+          uninvoicedBaseAmount: roundAmount(lines.reduce((total, line) => total + line.uninvoicedBaseAmount, 0))
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get sales order backlog error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sales order backlog',
+      message: error.message
+    });
+  }
+};
+
 // ==================== DELIVERY CHALLANS ====================
 
 /**
- * Create delivery challan
+ * Create delivery challan. From a sales order, items are
+ * [{ salesOrderItemId, quantity }] and default to everything not yet
+ * delivered.
  * POST /api/v1/sales/delivery-challans
  */
 const createDeliveryChallan = async (req, res) => {
@@ -1229,8 +1527,9 @@ const createDeliveryChallan = async (req, res) => {
     const companyId = req.user.companyId;
     let challanItems = items;
     let challanCustomerId = customerId;
+    let orderLines = null;
 
-    // If creating from sales order, fetch order items
+    // If creating from sales order, take the quantities from its open lines
     if (salesOrderId) {
       const salesOrder = await prisma.salesOrder.findFirst({
         where: { id: salesOrderId, companyId },
@@ -1244,11 +1543,27 @@ const createDeliveryChallan = async (req, res) => {
         });
       }
 
+      if (salesOrder.creditHold) {
+        return res.status(409).json({
+          success: false,
+          error: 'Sales order is on credit hold and must be approved before delivery'
+        });
+      }
+
+      if (salesOrder.status === 'cancelled') {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot deliver a cancelled order'
+        });
+      }
+
       challanCustomerId = salesOrder.customerId;
-      challanItems = salesOrder.items.map(item => ({
+      orderLines = selectOrderLines(salesOrder, items, 'deliveredQuantity');
+      challanItems = orderLines.map(({ item, quantity }) => ({
+        salesOrderItemId: item.id,
         productId: item.productId,
         description: item.description,
-        quantity: item.quantity
+        quantity
       }));
     }
 
@@ -1272,9 +1587,6 @@ const createDeliveryChallan = async (req, res) => {
       });
     }
 
-    // Generate challan number
-    const challanNumber = await generateChallanNumber(companyId);
-
     // Calculate totals (for challans with pricing)
     let subtotal = 0;
     let taxAmount = 0;
@@ -1282,9 +1594,13 @@ const createDeliveryChallan = async (req, res) => {
 
     // Create delivery challan
     const deliveryChallan = await prisma.$transaction(async (tx) => {
-      return await tx.deliveryChallan.create({
+      if (orderLines) {
+        await addOrderQuantities(tx, orderLines, 'deliveredQuantity');
+      }
+
+      const challan = await tx.deliveryChallan.create({
         data: {
-          challanNumber,
+          challanNumber: await allocateNumber(tx, companyId, 'DELIVERY_CHALLAN', { date: deliveryDate }),
           salesOrderId: salesOrderId || null,
           customerId: challanCustomerId,
           companyId,
@@ -1298,6 +1614,7 @@ const createDeliveryChallan = async (req, res) => {
           status: 'pending',
           items: {
             create: challanItems.map(item => ({
+              salesOrderItemId: orderLines ? item.salesOrderItemId : null,
               productId: item.productId,
               description: item.description,
               quantity: item.quantity
@@ -1320,6 +1637,12 @@ const createDeliveryChallan = async (req, res) => {
           }
         }
       });
+
+      if (salesOrderId) {
+        challan.salesOrder.status = (await refreshOrderStatus(tx, salesOrderId, { userId: req.user.id })).status;
+      }
+
+      return challan;
     });
 
     res.status(201).json({
@@ -1329,7 +1652,7 @@ const createDeliveryChallan = async (req, res) => {
     });
   } catch (error) {
     console.error('Create delivery challan error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to create delivery challan',
       message: error.message
@@ -1474,7 +1797,7 @@ const getDeliveryChallanById = async (req, res) => {
 const updateDeliveryChallan = async (req, res) => {
   try {
     const challanId = req.params.id;
-    const { items, ...updateData } = req.body;
+    const { items, status, ...updateData } = req.body;
 
     // Check if challan exists
     const existingChallan = await prisma.deliveryChallan.findFirst({
@@ -1491,30 +1814,65 @@ const updateDeliveryChallan = async (req, res) => {
       });
     }
 
-    // Only allow updates to pending challans
-    if (existingChallan.status !== 'pending') {
+    if (status !== undefined && status !== existingChallan.status) {
       return res.status(400).json({
         success: false,
-        error: 'Can only update pending delivery challans'
+        error: 'Change the status with PUT /delivery-challans/:id/status'
       });
     }
 
-    // If items are being updated, delete existing items
-    if (items && items.length > 0) {
-      await prisma.deliveryChallanItem.deleteMany({
-        where: { challanId }
+    // Only allow updates to pending challans
+    if (existingChallan.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        error: 'Can only update pending delivery challans'
       });
     }
 
-    // Update challan
+    // Update challan. On a challan from a sales order, items are
+    // [{ salesOrderItemId, quantity }] like when it was created: the old
+    // quantities go back on the order before the new ones are taken.
     const updatedChallan = await prisma.$transaction(async (tx) => {
-      return await tx.deliveryChallan.update({
+      let challanItems = items;
+
+      if (items && items.length > 0) {
+        const oldItems = await tx.deliveryChallanItem.findMany({
+          where: { challanId }
+        });
+
+        // Delete existing items
+        await tx.deliveryChallanItem.deleteMany({
+          where: { challanId }
+        });
+
+        if (existingChallan.salesOrderId) {
+          await releaseOrderQuantities(tx, oldItems, 'deliveredQuantity');
+
+          const salesOrder = await tx.salesOrder.findUnique({
+            where: { id: existingChallan.salesOrderId },
+            include: { items: true }
+          });
+
+          const orderLines = selectOrderLines(salesOrder, items, 'deliveredQuantity');
+          await addOrderQuantities(tx, orderLines, 'deliveredQuantity');
+
+          challanItems = orderLines.map(({ item, quantity }) => ({
+            salesOrderItemId: item.id,
+            productId: item.productId,
+            description: item.description,
+            quantity
+          }));
+        }
+      }
+
+      const challan = await tx.deliveryChallan.update({
         where: { id: challanId },
         data: {
           ...updateData,
           ...(items && items.length > 0 && {
             items: {
-              create: items.map(item => ({
+              create: challanItems.map(item => ({
+                salesOrderItemId: existingChallan.salesOrderId ? item.salesOrderItemId : null,
                 productId: item.productId,
                 description: item.description,
                 quantity: item.quantity
@@ -1529,6 +1887,12 @@ const updateDeliveryChallan = async (req, res) => {
           }
         }
       });
+
+      if (existingChallan.salesOrderId && items && items.length > 0) {
+        await refreshOrderStatus(tx, existingChallan.salesOrderId, { userId: req.user.id });
+      }
+
+      return challan;
     });
 
     res.json({
@@ -1538,7 +1902,7 @@ const updateDeliveryChallan = async (req, res) => {
     });
   } catch (error) {
     console.error('Update delivery challan error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to update delivery challan',
       message: error.message
@@ -1546,6 +1910,57 @@ const updateDeliveryChallan = async (req, res) => {
   }
 };
 
+/**
+ * Update delivery challan status
+ * PUT /api/v1/sales/delivery-challans/:id/status
+ */
+const updateDeliveryChallanStatus = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    const challan = await prisma.deliveryChallan.findFirst({
+      where: {
+        id: req.params.id,
+        companyId: req.user.companyId
+      }
+    });
+
+    if (!challan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery challan not found'
+      });
+    }
+
+    const updatedChallan = await prisma.$transaction(async (tx) => {
+      await transitionDocument(tx, 'DELIVERY_CHALLAN', challan, status, { userId: req.user.id, reason });
+
+      return tx.deliveryChallan.findUnique({
+        where: { id: challan.id },
+        include: {
+          customer: true,
+          items: {
+            include: { product: true }
+          }
+        }
+      });
+    });
+
+    res.json({
+      success: true,
+      data: updatedChallan,
+      message: `Delivery challan status updated to ${status}`
+    });
+  } catch (error) {
+    console.error('Update delivery challan status error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: 'Failed to update delivery challan status',
+      message: error.message
+    });
+  }
+};
+
 /**
  * Delete delivery challan
  * DELETE /api/v1/sales/delivery-challans/:id
@@ -1558,7 +1973,8 @@ const deleteDeliveryChallan = async (req, res) => {
       where: {
         id: challanId,
         companyId: req.user.companyId
-      }
+      },
+      include: { items: true }
     });
 
     if (!challan) {
@@ -1576,8 +1992,17 @@ const deleteDeliveryChallan = async (req, res) => {
       });
     }
 
-    await prisma.deliveryChallan.delete({
-      where: { id: challanId }
+    // Its quantities go back to being open on the order
+    await prisma.$transaction(async (tx) => {
+      await releaseOrderQuantities(tx, challan.items, 'deliveredQuantity');
+
+      await tx.deliveryChallan.delete({
+        where: { id: challanId }
+      });
+
+      if (challan.salesOrderId) {
+        await refreshOrderStatus(tx, challan.salesOrderId, { userId: req.user.id });
+      }
     });
 
     res.json({
@@ -1586,7 +2011,7 @@ const deleteDeliveryChallan = async (req, res) => {
     });
   } catch (error) {
     console.error('Delete delivery challan error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to delete delivery challan',
       message: error.message
@@ -1608,12 +2033,15 @@ const createSalesReturn = async (req, res) => {
       returnDate = new Date(),
       items = [],
       reason,
-      notes
+      notes,
+      currency,
+      exchangeRate
     } = req.body;
 
     const companyId = req.user.companyId;
     let returnItems = items;
     let returnCustomerId = customerId;
+    let documentCurrency = null;
 
     // If creating from invoice, fetch invoice items
     if (invoiceId) {
@@ -1631,6 +2059,9 @@ const createSalesReturn = async (req, res) => {
 
       returnCustomerId = invoice.customerId;
 
+      // Reverse at the invoice's rate so AR clears at its carrying amount
+      documentCurrency = { currency: invoice.currency, exchangeRate: invoice.exchangeRate };
+
       // Use provided items or all invoice items
       if (items.length === 0) {
         returnItems = invoice.items.map(item => ({
@@ -1664,8 +2095,14 @@ const createSalesReturn = async (req, res) => {
       });
     }
 
-    // Generate return number
-    const returnNumber = await generateReturnNumber(companyId);
+    if (!documentCurrency) {
+      documentCurrency = await resolveDocumentCurrency(prisma, companyId, {
+        currency,
+        exchangeRate,
+        date: returnDate,
+        defaultCurrency: customer.currency
+      });
+    }
 
     // Calculate totals
     const { processedItems, subtotal, taxAmount, totalAmount } = calculateTotals(returnItems);
@@ -1674,7 +2111,7 @@ const createSalesReturn = async (req, res) => {
     const salesReturn = await prisma.$transaction(async (tx) => {
       return await tx.salesReturn.create({
         data: {
-          returnNumber,
+          returnNumber: await allocateNumber(tx, companyId, 'SALES_RETURN', { date: returnDate }),
           invoiceId: invoiceId || null,
           customerId: returnCustomerId,
           companyId,
@@ -1682,6 +2119,7 @@ const createSalesReturn = async (req, res) => {
           subtotal,
           taxAmount,
           totalAmount,
+          ...documentCurrency,
           reason,
           notes,
           status: 'pending',
@@ -1722,7 +2160,7 @@ const createSalesReturn = async (req, res) => {
     });
   } catch (error) {
     console.error('Create sales return error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to create sales return',
       message: error.message
@@ -2032,7 +2470,9 @@ const approveSalesReturn = async (req, res) => {
       });
     }
 
-    // Approve return and update inventory
+    await assertPeriodsOpenForUser(prisma, req.user, salesReturn.returnDate);
+
+    // Approve return, update inventory and issue the credit note
     const approvedReturn = await prisma.$transaction(async (tx) => {
       // Update return status
       const updated = await tx.salesReturn.update({
@@ -2061,33 +2501,37 @@ const approveSalesReturn = async (req, res) => {
         }
       }
 
-      // If linked to invoice, adjust invoice amounts
-      if (salesReturn.invoiceId) {
-        const invoice = salesReturn.invoice;
-        const newBalanceAmount = invoice.balanceAmount - salesReturn.totalAmount;
-
-        await tx.invoice.update({
-          where: { id: salesReturn.invoiceId },
-          data: {
-            balanceAmount: Math.max(0, newBalanceAmount),
-            paidAmount: invoice.paidAmount // Keep paid amount same
-          }
-        });
+      // The credit note carries the GL entry and customer balance, and is
+      // applied to the returned invoice while it still has a balance
+      const creditNote = await createCreditNoteRecord(tx, {
+        companyId,
+        customer: updated.customer,
+        invoiceId: salesReturn.invoiceId,
+        salesReturnId: salesReturn.id,
+        creditNoteDate: salesReturn.returnDate,
+        items: salesReturn.items.map(item => ({
+          productId: item.productId,
+          description: item.description,
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          taxRate: item.taxRate,
+          // Return lines don't keep the discount; recover it from the line total
+          discountAmount: Math.max(0, item.quantity * item.unitPrice + item.taxAmount - item.totalAmount)
+        })),
+        reason: salesReturn.reason,
+        currency: salesReturn.currency,
+        exchangeRate: salesReturn.exchangeRate,
+        createdById: req.user.id
+      });
 
-        // Update customer balance
-        await tx.customer.update({
-          where: { id: salesReturn.customerId },
-          data: {
-            balance: {
-              decrement: salesReturn.totalAmount
-            }
-          }
-        });
-      }
+      const issued = await issueCreditNote(tx, creditNote);
+      const appliedCreditNote = await applyToSourceInvoice(tx, issued, salesReturn.invoice, req.user.id);
 
-      return updated;
+      return { ...updated, creditNote: appliedCreditNote };
     });
 
+    await emailCreditNote(prisma, approvedReturn.creditNote);
+
     res.json({
       success: true,
       data: approvedReturn,
@@ -2095,7 +2539,7 @@ const approveSalesReturn = async (req, res) => {
     });
   } catch (error) {
     console.error('Approve sales return error:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: 'Failed to approve sales return',
       message: error.message
@@ -2106,12 +2550,6 @@ const approveSalesReturn = async (req, res) => {
 // ==================== EXPORTS ====================
 
 module.exports = {
-  // Helper functions
-  generateQuotationNumber,
-  generateSalesOrderNumber,
-  generateChallanNumber,
-  generateReturnNumber,
-
   // Sales Quotations
   createQuotation,
   getQuotations,
@@ -2119,6 +2557,9 @@ module.exports = {
   updateQuotation,
   deleteQuotation,
   updateQuotationStatus,
+  reviseQuotation,
+  getQuotationRevisions,
+  convertQuotationToOrder,
 
   // Sales Orders
   createSalesOrder,
@@ -2128,12 +2569,15 @@ module.exports = {
   deleteSalesOrder,
   updateSalesOrderStatus,
   convertToInvoice,
+  approveSalesOrderCredit,
+  getSalesOrderBacklog,
 
   // Delivery Challans
   createDeliveryChallan,
   getDeliveryChallans,
   getDeliveryChallanById,
   updateDeliveryChallan,
+  updateDeliveryChallanStatus,
   deleteDeliveryChallan,
 
   // Sales Returns
@@ -127,7 +127,12 @@ const createSupplier = async (req, res) => {
       contactPerson,
       paymentTerms = 30,
       bankAccount,
-      bankName
+      bankName,
+      iban,
+      bic,
+      earlyPaymentDiscountPercent,
+      earlyPaymentDiscountDays,
+      currency
     } = req.body;
 
     // Validate required fields
@@ -175,9 +180,14 @@ const createSupplier = async (req, res) => {
         zipCode,
         taxId,
         contactPerson,
-        paymentTerms,
+        creditPeriodDays: parseInt(paymentTerms) || 30,
         bankAccount,
         bankName,
+        iban: iban ? iban.replace(/\s+/g, '').toUpperCase() : null,
+        bic: bic ? bic.toUpperCase() : null,
+        earlyPaymentDiscountPercent: earlyPaymentDiscountPercent ? parseFloat(earlyPaymentDiscountPercent) : null,
+        earlyPaymentDiscountDays: earlyPaymentDiscountDays !== undefined ? parseInt(earlyPaymentDiscountDays) : null,
+        currency: currency ? currency.toUpperCase() : null,
         companyId,
         balance: 0,
         isActive: true
@@ -324,9 +334,14 @@ const updateSupplier = async (req, res) => {
       zipCode: req.body.zipCode,
       taxId: req.body.taxId,
       contactPerson: req.body.contactPerson,
-      paymentTerms: req.body.paymentTerms,
+      creditPeriodDays: req.body.paymentTerms !== undefined ? parseInt(req.body.paymentTerms) : undefined,
       bankAccount: req.body.bankAccount,
-      bankName: req.body.bankName
+      bankName: req.body.bankName,
+      iban: req.body.iban?.replace(/\s+/g, '').toUpperCase(),
+      bic: req.body.bic?.toUpperCase(),
+      earlyPaymentDiscountPercent: req.body.earlyPaymentDiscountPercent !== undefined ? parseFloat(req.body.earlyPaymentDiscountPercent) : undefined,
+      earlyPaymentDiscountDays: req.body.earlyPaymentDiscountDays !== undefined ? parseInt(req.body.earlyPaymentDiscountDays) : undefined,
+      currency: req.body.currency?.toUpperCase()
     });
 
     // Check for duplicate email if updating
@@ -506,7 +521,7 @@ const getSupplierBalance = async (req, res) => {
       where: {
         supplierId: id,
         status: { in: ['APPROVED', 'PARTIALLY_PAID', 'OVERDUE'] },
-        balanceDue: { gt: 0 }
+        balanceAmount: { gt: 0 }
       },
       select: {
         id: true,
@@ -515,7 +530,7 @@ const getSupplierBalance = async (req, res) => {
         dueDate: true,
         totalAmount: true,
         paidAmount: true,
-        balanceDue: true,
+        balanceAmount: true,
         status: true
       }
     });
@@ -533,14 +548,15 @@ const getSupplierBalance = async (req, res) => {
 
     outstandingBills.forEach(bill => {
       const agingPeriod = calculateAging(bill.dueDate);
-      aging[agingPeriod] += bill.balanceDue;
-      totalOutstanding += bill.balanceDue;
+      aging[agingPeriod] += bill.balanceAmount;
+      totalOutstanding += bill.balanceAmount;
     });
 
     // Get payment history
     const recentPayments = await prisma.payment.findMany({
       where: {
-        supplierId: id
+        supplierId: id,
+        status: 'COMPLETED'
       },
       orderBy: { paymentDate: 'desc' },
       take: 10,
@@ -550,10 +566,24 @@ const getSupplierBalance = async (req, res) => {
         paymentDate: true,
         amount: true,
         paymentMethod: true,
-        reference: true
+        referenceNumber: true,
+        unappliedAmount: true
       }
     });
 
+    // Payments held on account and open debit notes are owed back or still to apply
+    const [unappliedPayments, openDebitNotes] = await Promise.all([
+      prisma.payment.aggregate({
+        where: { supplierId: id, status: 'COMPLETED', unappliedAmount: { gt: 0 } },
+        _sum: { unappliedAmount: true }
+      }),
+      prisma.debitNote.aggregate({
+        where: { supplierId: id, status: { in: ['OPEN', 'PARTIALLY_APPLIED'] } },
+        _sum: { balanceAmount: true }
+      })
+    ]);
+    const unappliedCredit = (unappliedPayments._sum.unappliedAmount || 0) + (openDebitNotes._sum.balanceAmount || 0);
+
     const balanceData = {
       supplier: {
         id: supplier.id,
@@ -562,6 +592,8 @@ const getSupplierBalance = async (req, res) => {
       },
       summary: {
         totalOutstanding,
+        unappliedCredit,
+        netBalance: totalOutstanding - unappliedCredit,
         overdueAmount: aging['1-30'] + aging['31-60'] + aging['61-90'] + aging.over90
       },
       aging,
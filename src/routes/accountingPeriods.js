@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const accountingPeriodsController = require('../controllers/accountingPeriodsController');
+const { authMiddleware, requireCompanyAccess, requireRole } = require('../middleware/auth');
+const { apiLimiter } = require('../middleware/rateLimiter');
+
+router.use(apiLimiter);
+router.use(authMiddleware);
+router.use(requireCompanyAccess());
+
+router.get('/', accountingPeriodsController.listPeriods);
+router.post('/', requireRole('SUPERADMIN', 'COMPANY_ADMIN'), accountingPeriodsController.createPeriod);
+router.post('/generate', requireRole('SUPERADMIN', 'COMPANY_ADMIN'), accountingPeriodsController.generatePeriods);
+router.post('/year-end-close', requireRole('SUPERADMIN', 'COMPANY_ADMIN'), accountingPeriodsController.closeFiscalYear);
+router.patch('/:id/status', requireRole('SUPERADMIN', 'COMPANY_ADMIN'), accountingPeriodsController.updatePeriodStatus);
+
+module.exports = router;
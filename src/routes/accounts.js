@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const accountsController = require('../controllers/accountsController');
-const { authMiddleware, requireCompanyAccess } = require('../middleware/auth');
+const { authMiddleware, requireCompanyAccess, requireRole } = require('../middleware/auth');
 const { apiLimiter } = require('../middleware/rateLimiter');
 
 router.use(apiLimiter);
@@ -11,6 +11,8 @@ router.use(requireCompanyAccess());
 router.get('/', accountsController.listAccounts);
 router.post('/', accountsController.createAccount);
 router.get('/trial-balance', accountsController.getTrialBalance);
+router.get('/mappings', accountsController.getAccountMappings);
+router.put('/mappings', requireRole('SUPERADMIN', 'COMPANY_ADMIN', 'ACCOUNTANT'), accountsController.updateAccountMappings);
 router.get('/:id', accountsController.getAccountById);
 router.put('/:id', accountsController.updateAccount);
 router.delete('/:id', accountsController.deleteAccount);
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const bankAccountsController = require('../controllers/bankAccountsController');
+const bankReconciliationController = require('../controllers/bankReconciliationController');
+const { authMiddleware, requireCompanyAccess, requireRole } = require('../middleware/auth');
+const { apiLimiter, uploadLimiter } = require('../middleware/rateLimiter');
+
+// Configure multer for statement uploads
+const upload = multer({
+  dest: '/tmp/uploads/',
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|ofx|qfx|xml|sta|mt940|940|txt)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV, OFX/QFX, CAMT.053 XML and MT940 statement files are allowed'));
+    }
+  }
+});
+
+const canManageBanking = requireRole('SUPERADMIN', 'COMPANY_ADMIN', 'ACCOUNTANT');
+
+router.use(apiLimiter);
+router.use(authMiddleware);
+router.use(requireCompanyAccess());
+
+// Bank rules (before /:id)
+router.get('/rules', bankReconciliationController.listRules);
+router.post('/rules', canManageBanking, bankReconciliationController.createRule);
+router.put('/rules/:ruleId', canManageBanking, bankReconciliationController.updateRule);
+router.delete('/rules/:ruleId', canManageBanking, bankReconciliationController.deleteRule);
+
+router.get('/', bankAccountsController.listBankAccounts);
+router.post('/', canManageBanking, bankAccountsController.createBankAccount);
+router.get('/:id', bankAccountsController.getBankAccountById);
+router.put('/:id', canManageBanking, bankAccountsController.updateBankAccount);
+router.delete('/:id', canManageBanking, bankAccountsController.deleteBankAccount);
+
+// Statements
+router.get('/:id/statements', bankAccountsController.listStatements);
+router.post('/:id/statements/import', canManageBanking, uploadLimiter, upload.single('file'), bankAccountsController.importStatement);
+router.get('/:id/statements/:statementId', bankAccountsController.getStatementById);
+router.delete('/:id/statements/:statementId', canManageBanking, bankAccountsController.deleteStatement);
+router.get('/:id/lines', bankAccountsController.listStatementLines);
+
+// Reconciliation
+router.post('/:id/reconciliation/auto-match', canManageBanking, bankReconciliationController.autoMatch);
+router.get('/:id/reconciliation/report', bankReconciliationController.getReconciliationReport);
+router.get('/:id/lines/:lineId/candidates', bankReconciliationController.getMatchCandidates);
+router.post('/:id/lines/:lineId/match', canManageBanking, bankReconciliationController.matchLine);
+router.post('/:id/lines/:lineId/split', canManageBanking, bankReconciliationController.splitLine);
+router.post('/:id/lines/:lineId/create', canManageBanking, bankReconciliationController.createFromLine);
+router.post('/:id/lines/:lineId/ignore', canManageBanking, bankReconciliationController.ignoreLine);
+router.post('/:id/lines/:lineId/unmatch', canManageBanking, bankReconciliationController.unmatchLine);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const billsController = require('../controllers/billsController');
-const { authMiddleware, requireCompanyAccess } = require('../middleware/auth');
+const { authMiddleware, requireCompanyAccess, requireRole } = require('../middleware/auth');
 const { apiLimiter } = require('../middleware/rateLimiter');
 
 router.use(apiLimiter);
@@ -11,10 +11,13 @@ router.use(requireCompanyAccess());
 router.get('/', billsController.listBills);
 router.post('/', billsController.createBill);
 router.get('/overdue', billsController.getOverdueBills);
+router.get('/discrepancies', billsController.getMatchDiscrepancies);
 router.get('/:id', billsController.getBillById);
 router.put('/:id', billsController.updateBill);
 router.delete('/:id', billsController.deleteBill);
 router.patch('/:id/approve', billsController.approveBill);
+router.post('/:id/match', billsController.rematchBill);
+router.post('/:id/override-match', requireRole('SUPERADMIN', 'COMPANY_ADMIN'), billsController.overrideBillMatch);
 router.patch('/:id/payment', billsController.recordBillPayment);
 
 module.exports = router;
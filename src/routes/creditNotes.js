@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const creditNotesController = require('../controllers/creditNotesController');
+const { authMiddleware, requireCompanyAccess, requireRole } = require('../middleware/auth');
+const { apiLimiter } = require('../middleware/rateLimiter');
+
+router.use(apiLimiter);
+router.use(authMiddleware);
+router.use(requireCompanyAccess());
+
+router.get('/', creditNotesController.listCreditNotes);
+router.post('/', creditNotesController.createCreditNote);
+router.get('/:id', creditNotesController.getCreditNoteById);
+router.put('/:id', creditNotesController.updateCreditNote);
+router.delete('/:id', creditNotesController.deleteCreditNote);
+router.get('/:id/pdf', creditNotesController.generateCreditNotePDF);
+router.post('/:id/issue', requireRole('SUPERADMIN', 'COMPANY_ADMIN', 'ACCOUNTANT'), creditNotesController.issueCreditNote);
+router.post('/:id/apply', requireRole('SUPERADMIN', 'COMPANY_ADMIN', 'ACCOUNTANT'), creditNotesController.applyCreditNote);
+router.post('/:id/refund', requireRole('SUPERADMIN', 'COMPANY_ADMIN', 'ACCOUNTANT'), creditNotesController.refundCreditNote);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const currenciesController = require('../controllers/currenciesController');
+const { authMiddleware, requireCompanyAccess, requireRole } = require('../middleware/auth');
+const { apiLimiter, uploadLimiter } = require('../middleware/rateLimiter');
+
+// Configure multer for file uploads
+const upload = multer({
+  dest: '/tmp/uploads/',
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/csv' || file.mimetype === 'application/vnd.ms-excel') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'));
+    }
+  }
+});
+
+const canManageRates = requireRole('SUPERADMIN', 'COMPANY_ADMIN', 'ACCOUNTANT');
+
+router.use(apiLimiter);
+router.use(authMiddleware);
+router.use(requireCompanyAccess());
+
+// Exchange rates (before /:id)
+router.get('/rates', currenciesController.listExchangeRates);
+router.get('/rates/lookup', currenciesController.lookupExchangeRate);
+router.post('/rates', canManageRates, currenciesController.setExchangeRate);
+router.post('/rates/import', canManageRates, uploadLimiter, upload.single('file'), currenciesController.importExchangeRates);
+router.delete('/rates/:id', canManageRates, currenciesController.deleteExchangeRate);
+
+// Currencies
+router.get('/', currenciesController.listCurrencies);
+router.post('/', canManageRates, currenciesController.createCurrency);
+router.put('/:id', canManageRates, currenciesController.updateCurrency);
+router.delete('/:id', canManageRates, currenciesController.deleteCurrency);
+
+module.exports = router;
@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const customersController = require('../controllers/customersController');
-const { authMiddleware, requireCompanyAccess } = require('../middleware/auth');
+const dunningController = require('../controllers/dunningController');
+const { authMiddleware, requireCompanyAccess, requireRole } = require('../middleware/auth');
 const { apiLimiter, uploadLimiter } = require('../middleware/rateLimiter');
 
 // Configure multer for file uploads
@@ -29,6 +30,9 @@ router.use(authMiddleware);
 // Apply company access control
 router.use(requireCompanyAccess());
 
+// Bulk statements (before /:id)
+router.post('/statements', requireRole('SUPERADMIN', 'COMPANY_ADMIN', 'ACCOUNTANT'), customersController.sendCustomerStatements);
+
 // Customer routes
 router.get('/', customersController.listCustomers);
 router.post('/', customersController.createCustomer);
@@ -39,6 +43,8 @@ router.delete('/:id', customersController.deleteCustomer);
 // Customer-specific endpoints
 router.get('/:id/invoices', customersController.getCustomerInvoices);
 router.get('/:id/balance', customersController.getCustomerBalance);
+router.get('/:id/statement', customersController.getCustomerStatement);
+router.get('/:id/dunning', dunningController.getCustomerDunningHistory);
 
 // Bulk import
 router.post('/import', uploadLimiter, upload.single('file'), customersController.importCustomers);
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const debitNotesController = require('../controllers/debitNotesController');
+const { authMiddleware, requireCompanyAccess, requireRole } = require('../middleware/auth');
+const { apiLimiter } = require('../middleware/rateLimiter');
+
+router.use(apiLimiter);
+router.use(authMiddleware);
+router.use(requireCompanyAccess());
+
+router.get('/', debitNotesController.listDebitNotes);
+router.post('/', debitNotesController.createDebitNote);
+router.get('/:id', debitNotesController.getDebitNoteById);
+router.put('/:id', debitNotesController.updateDebitNote);
+router.delete('/:id', debitNotesController.deleteDebitNote);
+router.post('/:id/issue', requireRole('SUPERADMIN', 'COMPANY_ADMIN', 'ACCOUNTANT'), debitNotesController.issueDebitNote);
+router.post('/:id/apply', requireRole('SUPERADMIN', 'COMPANY_ADMIN', 'ACCOUNTANT'), debitNotesController.applyDebitNote);
+router.post('/:id/refund', requireRole('SUPERADMIN', 'COMPANY_ADMIN', 'ACCOUNTANT'), debitNotesController.refundDebitNote);
+
+module.exports = router;
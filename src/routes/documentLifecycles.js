@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const documentLifecyclesController = require('../controllers/documentLifecyclesController');
+const { authMiddleware, requireCompanyAccess } = require('../middleware/auth');
+const { apiLimiter } = require('../middleware/rateLimiter');
+
+router.use(apiLimiter);
+router.use(authMiddleware);
+router.use(requireCompanyAccess());
+
+router.get('/', documentLifecyclesController.listDocumentLifecycles);
+router.get('/:documentType', documentLifecyclesController.getDocumentLifecycle);
+router.get('/:documentType/:documentId/transitions', documentLifecyclesController.getDocumentTransitions);
+
+module.exports = router;
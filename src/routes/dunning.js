@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const dunningController = require('../controllers/dunningController');
+const { authMiddleware, requireCompanyAccess, requireRole } = require('../middleware/auth');
+const { apiLimiter } = require('../middleware/rateLimiter');
+
+const canManageDunning = requireRole('SUPERADMIN', 'COMPANY_ADMIN', 'ACCOUNTANT');
+
+router.use(apiLimiter);
+router.use(authMiddleware);
+router.use(requireCompanyAccess());
+
+// Levels
+router.get('/levels', dunningController.listDunningLevels);
+router.post('/levels', canManageDunning, dunningController.createDunningLevel);
+router.put('/levels/:id', canManageDunning, dunningController.updateDunningLevel);
+router.delete('/levels/:id', canManageDunning, dunningController.deleteDunningLevel);
+
+// Runs and history
+router.post('/run', canManageDunning, dunningController.runDunning);
+router.get('/notices', dunningController.listDunningNotices);
+
+module.exports = router;
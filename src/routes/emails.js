@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const emailsController = require('../controllers/emailsController');
+const { authMiddleware, requireCompanyAccess, requireRole } = require('../middleware/auth');
+const { apiLimiter } = require('../middleware/rateLimiter');
+
+router.use(apiLimiter);
+router.use(authMiddleware);
+router.use(requireCompanyAccess());
+
+const canManageEmails = requireRole('SUPERADMIN', 'COMPANY_ADMIN', 'ACCOUNTANT');
+
+router.get('/', canManageEmails, emailsController.listEmails);
+router.get('/:id', canManageEmails, emailsController.getEmailById);
+router.post('/:id/retry', canManageEmails, emailsController.retryEmail);
+
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const fxRevaluationsController = require('../controllers/fxRevaluationsController');
+const { authMiddleware, requireCompanyAccess, requireRole } = require('../middleware/auth');
+const { apiLimiter } = require('../middleware/rateLimiter');
+
+router.use(apiLimiter);
+router.use(authMiddleware);
+router.use(requireCompanyAccess());
+
+router.get('/', fxRevaluationsController.listRevaluations);
+router.post('/preview', fxRevaluationsController.previewRevaluation);
+router.post('/', requireRole('SUPERADMIN', 'COMPANY_ADMIN', 'ACCOUNTANT'), fxRevaluationsController.runRevaluation);
+router.get('/:id', fxRevaluationsController.getRevaluationById);
+
+module.exports = router;
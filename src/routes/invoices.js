@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const invoicesController = require('../controllers/invoicesController');
-const { authMiddleware, requireCompanyAccess } = require('../middleware/auth');
+const { authMiddleware, requireCompanyAccess, requireRole } = require('../middleware/auth');
 const { apiLimiter } = require('../middleware/rateLimiter');
 
 router.use(apiLimiter);
@@ -16,6 +16,7 @@ router.get('/:id', invoicesController.getInvoiceById);
 router.put('/:id', invoicesController.updateInvoice);
 router.delete('/:id', invoicesController.deleteInvoice);
 router.patch('/:id/send', invoicesController.sendInvoice);
+router.post('/:id/approve-credit', requireRole('SUPERADMIN', 'COMPANY_ADMIN'), invoicesController.approveInvoiceCredit);
 router.patch('/:id/payment', invoicesController.recordPayment);
 router.get('/:id/pdf', invoicesController.generateInvoicePDF);
 
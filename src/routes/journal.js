@@ -11,7 +11,9 @@ router.use(requireCompanyAccess());
 router.get('/', journalController.listJournalEntries);
 router.post('/', journalController.createJournalEntry);
 router.get('/:id', journalController.getJournalEntryById);
+router.put('/:id', journalController.updateJournalEntry);
 router.delete('/:id', journalController.deleteJournalEntry);
 router.patch('/:id/post', journalController.postJournalEntry);
+router.post('/:id/reverse', journalController.reverseJournalEntry);
 
 module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const ledgerController = require('../controllers/ledgerController');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requireRole } = require('../middleware/auth');
 
 // Ledger routes
 router.get('/account/:accountId', authMiddleware, ledgerController.getAccountLedger);
@@ -9,4 +9,7 @@ router.get('/customer/:customerId', authMiddleware, ledgerController.getCustomer
 router.get('/supplier/:supplierId', authMiddleware, ledgerController.getSupplierLedger);
 router.get('/general', authMiddleware, ledgerController.getGeneralLedger);
 
+// Maintenance
+router.post('/rebuild', authMiddleware, requireRole(['SUPERADMIN', 'COMPANY_ADMIN']), ledgerController.rebuildLedger);
+
 module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const numberSeriesController = require('../controllers/numberSeriesController');
+const { authMiddleware, requireCompanyAccess, requireRole } = require('../middleware/auth');
+const { apiLimiter } = require('../middleware/rateLimiter');
+
+const canManageNumbering = requireRole('SUPERADMIN', 'COMPANY_ADMIN');
+
+router.use(apiLimiter);
+router.use(authMiddleware);
+router.use(requireCompanyAccess());
+
+router.get('/', numberSeriesController.listNumberSeries);
+router.get('/:documentType/preview', numberSeriesController.previewNumberSeries);
+router.put('/:documentType', canManageNumbering, numberSeriesController.updateNumberSeries);
+router.delete('/:documentType', canManageNumbering, numberSeriesController.resetNumberSeries);
+
+module.exports = router;
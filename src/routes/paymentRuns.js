@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const paymentRunsController = require('../controllers/paymentRunsController');
+const { authMiddleware, requireCompanyAccess, requireRole } = require('../middleware/auth');
+const { apiLimiter } = require('../middleware/rateLimiter');
+
+const canManagePaymentRuns = requireRole('SUPERADMIN', 'COMPANY_ADMIN', 'ACCOUNTANT');
+const canApprovePaymentRuns = requireRole('SUPERADMIN', 'COMPANY_ADMIN');
+
+router.use(apiLimiter);
+router.use(authMiddleware);
+router.use(requireCompanyAccess());
+
+router.get('/', paymentRunsController.listPaymentRuns);
+router.post('/', canManagePaymentRuns, paymentRunsController.createPaymentRun);
+router.get('/:id', paymentRunsController.getPaymentRunById);
+router.put('/:id', canManagePaymentRuns, paymentRunsController.updatePaymentRun);
+router.delete('/:id', canManagePaymentRuns, paymentRunsController.deletePaymentRun);
+
+// Review
+router.post('/:id/items', canManagePaymentRuns, paymentRunsController.addPaymentRunItems);
+router.put('/:id/items/:itemId', canManagePaymentRuns, paymentRunsController.updatePaymentRunItem);
+router.delete('/:id/items/:itemId', canManagePaymentRuns, paymentRunsController.removePaymentRunItem);
+
+router.post('/:id/approve', canApprovePaymentRuns, paymentRunsController.approvePaymentRun);
+router.post('/:id/cancel', canManagePaymentRuns, paymentRunsController.cancelPaymentRun);
+
+// Bank files
+router.get('/:id/export/pain001', paymentRunsController.exportPain001);
+router.get('/:id/export/csv', paymentRunsController.exportBankCsv);
+
+module.exports = router;
@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const paymentsController = require('../controllers/paymentsController');
-const { authMiddleware, requireCompanyAccess } = require('../middleware/auth');
+const { authMiddleware, requireCompanyAccess, requireRole } = require('../middleware/auth');
 const { apiLimiter } = require('../middleware/rateLimiter');
 
 router.use(apiLimiter);
@@ -14,6 +14,8 @@ router.post('/make', paymentsController.makePayment);
 router.post('/auto-allocate', paymentsController.autoAllocatePayment);
 router.get('/cashflow', paymentsController.getCashflow);
 router.get('/:id', paymentsController.getPaymentById);
-router.delete('/:id', paymentsController.voidPayment);
+router.post('/:id/apply', paymentsController.applyPayment);
+router.post('/:id/unapply', paymentsController.unapplyPayment);
+router.delete('/:id', requireRole('SUPERADMIN', 'COMPANY_ADMIN', 'ACCOUNTANT'), paymentsController.voidPayment);
 
 module.exports = router;
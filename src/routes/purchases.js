@@ -10,6 +10,9 @@ router.get('/quotations/:id', authMiddleware, purchasesController.getPurchaseQuo
 router.put('/quotations/:id', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), purchasesController.updatePurchaseQuotation);
 router.delete('/quotations/:id', authMiddleware, requireRole(['COMPANY_ADMIN']), purchasesController.deletePurchaseQuotation);
 router.put('/quotations/:id/status', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), purchasesController.updatePurchaseQuotationStatus);
+router.post('/quotations/:id/revise', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), purchasesController.revisePurchaseQuotation);
+router.get('/quotations/:id/revisions', authMiddleware, purchasesController.getPurchaseQuotationRevisions);
+router.post('/quotations/:id/convert-to-order', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), purchasesController.convertPurchaseQuotationToOrder);
 
 // Purchase Orders
 router.post('/purchase-orders', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), purchasesController.createPurchaseOrder);
@@ -22,9 +25,11 @@ router.post('/purchase-orders/:id/convert-to-bill', authMiddleware, requireRole(
 
 // Goods Receipts
 router.post('/goods-receipts', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), purchasesController.createGoodsReceipt);
+router.post('/goods-receipts/convert-to-bill', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), purchasesController.convertReceiptsToBill);
 router.get('/goods-receipts', authMiddleware, purchasesController.getGoodsReceipts);
 router.get('/goods-receipts/:id', authMiddleware, purchasesController.getGoodsReceiptById);
 router.put('/goods-receipts/:id', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), purchasesController.updateGoodsReceipt);
+router.put('/goods-receipts/:id/status', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), purchasesController.updateGoodsReceiptStatus);
 router.delete('/goods-receipts/:id', authMiddleware, requireRole(['COMPANY_ADMIN']), purchasesController.deleteGoodsReceipt);
 
 // Purchase Returns
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const recurringController = require('../controllers/recurringController');
+const { authMiddleware, requireCompanyAccess, requireRole } = require('../middleware/auth');
+const { apiLimiter } = require('../middleware/rateLimiter');
+
+router.use(apiLimiter);
+router.use(authMiddleware);
+router.use(requireCompanyAccess());
+
+router.get('/', recurringController.listTemplates);
+router.post('/', recurringController.createTemplate);
+router.post('/run', requireRole('SUPERADMIN', 'COMPANY_ADMIN', 'ACCOUNTANT'), recurringController.runDueTemplates);
+router.get('/:id', recurringController.getTemplateById);
+router.put('/:id', recurringController.updateTemplate);
+router.delete('/:id', recurringController.deleteTemplate);
+router.get('/:id/runs', recurringController.getTemplateRuns);
+router.post('/:id/run', requireRole('SUPERADMIN', 'COMPANY_ADMIN', 'ACCOUNTANT'), recurringController.runTemplateNow);
+
+module.exports = router;
@@ -10,21 +10,27 @@ router.get('/quotations/:id', authMiddleware, salesController.getQuotationById);
 router.put('/quotations/:id', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), salesController.updateQuotation);
 router.delete('/quotations/:id', authMiddleware, requireRole(['COMPANY_ADMIN']), salesController.deleteQuotation);
 router.put('/quotations/:id/status', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), salesController.updateQuotationStatus);
+router.post('/quotations/:id/revise', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), salesController.reviseQuotation);
+router.get('/quotations/:id/revisions', authMiddleware, salesController.getQuotationRevisions);
+router.post('/quotations/:id/convert-to-order', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), salesController.convertQuotationToOrder);
 
 // Sales Orders
 router.post('/sales-orders', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), salesController.createSalesOrder);
 router.get('/sales-orders', authMiddleware, salesController.getSalesOrders);
+router.get('/sales-orders/backlog', authMiddleware, salesController.getSalesOrderBacklog);
 router.get('/sales-orders/:id', authMiddleware, salesController.getSalesOrderById);
 router.put('/sales-orders/:id', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), salesController.updateSalesOrder);
 router.delete('/sales-orders/:id', authMiddleware, requireRole(['COMPANY_ADMIN']), salesController.deleteSalesOrder);
 router.put('/sales-orders/:id/status', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), salesController.updateSalesOrderStatus);
 router.post('/sales-orders/:id/convert-to-invoice', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), salesController.convertToInvoice);
+router.post('/sales-orders/:id/approve-credit', authMiddleware, requireRole(['COMPANY_ADMIN']), salesController.approveSalesOrderCredit);
 
 // Delivery Challans
 router.post('/delivery-challans', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), salesController.createDeliveryChallan);
 router.get('/delivery-challans', authMiddleware, salesController.getDeliveryChallans);
 router.get('/delivery-challans/:id', authMiddleware, salesController.getDeliveryChallanById);
 router.put('/delivery-challans/:id', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), salesController.updateDeliveryChallan);
+router.put('/delivery-challans/:id/status', authMiddleware, requireRole(['COMPANY_ADMIN', 'ACCOUNTANT']), salesController.updateDeliveryChallanStatus);
 router.delete('/delivery-challans/:id', authMiddleware, requireRole(['COMPANY_ADMIN']), salesController.deleteDeliveryChallan);
 
 // Sales Returns
@@ -0,0 +1,107 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Posting rules
+ *
+ * Automatic postings never reference account codes directly. They ask for
+ * a mapping key (e.g. OUTPUT_TAX) and the company's account_mappings row
+ * decides which account is used.
+ */
+
+const ACCOUNT_MAPPINGS = {
+  ACCOUNTS_RECEIVABLE: { label: 'Accounts Receivable', defaultCode: '1200', accountTypes: ['ASSET'] },
+  ACCOUNTS_PAYABLE: { label: 'Accounts Payable', defaultCode: '2000', accountTypes: ['LIABILITY'] },
+  SALES_REVENUE: { label: 'Sales Revenue', defaultCode: '4000', accountTypes: ['REVENUE'] },
+  OUTPUT_TAX: { label: 'Output Tax (tax collected on sales)', defaultCode: '2200', accountTypes: ['LIABILITY'] },
+  // The default chart has a single tax account, so input tax offsets it
+  INPUT_TAX: { label: 'Input Tax (tax paid on purchases)', defaultCode: '2200', accountTypes: ['ASSET', 'LIABILITY'] },
+  COGS: { label: 'Cost of Goods Sold', defaultCode: '5000', accountTypes: ['EXPENSE'] },
+  PURCHASES: { label: 'Purchases (bills and purchase returns)', defaultCode: '5000', accountTypes: ['EXPENSE', 'ASSET'] },
+  OTHER_EXPENSES: { label: 'Expenses without a matching account', defaultCode: '5900', accountTypes: ['EXPENSE'] },
+  RETAINED_EARNINGS: { label: 'Retained Earnings (year-end close)', defaultCode: '3100', accountTypes: ['EQUITY'] },
+  FX_GAIN: { label: 'Foreign Exchange Gain', defaultCode: '4300', accountTypes: ['REVENUE'] },
+  FX_LOSS: { label: 'Foreign Exchange Loss', defaultCode: '5950', accountTypes: ['EXPENSE'] },
+  LATE_FEE_INCOME: { label: 'Late Fee Income (dunning)', defaultCode: '4200', accountTypes: ['REVENUE'] },
+  INVENTORY: { label: 'Inventory', defaultCode: '1300', accountTypes: ['ASSET'] },
+  BANK: { label: 'Bank', defaultCode: '1100', accountTypes: ['ASSET'] },
+  CASH: { label: 'Cash', defaultCode: '1000', accountTypes: ['ASSET'] }
+};
+
+/**
+ * Check that an account can be used for a mapping key.
+ * Returns an error message, or null if valid.
+ */
+const validateMappingAccount = (mappingKey, account) => {
+  const definition = ACCOUNT_MAPPINGS[mappingKey];
+
+  if (!definition) {
+    return `Unknown mapping key: ${mappingKey}. Must be one of: ${Object.keys(ACCOUNT_MAPPINGS).join(', ')}`;
+  }
+
+  if (!account) {
+    return `Account for ${mappingKey} not found`;
+  }
+
+  if (!definition.accountTypes.includes(account.accountType)) {
+    return `${mappingKey} must map to a ${definition.accountTypes.join(' or ')} account`;
+  }
+
+  return null;
+};
+
+/**
+ * Resolve mapped accounts for a company
+ * Returns an object keyed by mapping key, e.g. { ACCOUNTS_RECEIVABLE: account }.
+ * Throws if any requested mapping is missing.
+ */
+const resolveAccounts = async (db, companyId, keys) => {
+  const mappings = await db.accountMapping.findMany({
+    where: { companyId, mappingKey: { in: keys } },
+    include: { account: true }
+  });
+
+  const accounts = {};
+  mappings.forEach(mapping => { accounts[mapping.mappingKey] = mapping.account; });
+
+  const missing = keys.filter(key => !accounts[key]);
+  if (missing.length > 0) {
+    throw new Error(`Account mapping not configured: ${missing.join(', ')}`);
+  }
+
+  return accounts;
+};
+
+/**
+ * Create default mappings for a company from its chart of accounts.
+ * Existing mappings are left untouched.
+ */
+const seedDefaultMappings = async (db, companyId) => {
+  const accounts = await db.account.findMany({
+    where: {
+      companyId,
+      accountCode: { in: Object.values(ACCOUNT_MAPPINGS).map(def => def.defaultCode) }
+    }
+  });
+
+  const byCode = new Map(accounts.map(account => [account.accountCode, account]));
+
+  const data = Object.entries(ACCOUNT_MAPPINGS)
+    .filter(([, def]) => byCode.has(def.defaultCode))
+    .map(([mappingKey, def]) => ({
+      id: uuidv4(),
+      mappingKey,
+      accountId: byCode.get(def.defaultCode).id,
+      companyId
+    }));
+
+  await db.accountMapping.createMany({ data, skipDuplicates: true });
+
+  return data.length;
+};
+
+module.exports = {
+  ACCOUNT_MAPPINGS,
+  validateMappingAccount,
+  resolveAccounts,
+  seedDefaultMappings
+};
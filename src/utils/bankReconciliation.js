@@ -0,0 +1,617 @@
+const { v4: uuidv4 } = require('uuid');
+const { postJournalEntry } = require('./posting');
+const { AMOUNT_TOLERANCE, roundAmount, toBaseAmount, getExchangeRate } = require('./currency');
+const { ValidationError, ConflictError } = require('../middleware/errorHandler');
+
+/**
+ * Bank reconciliation
+ *
+ * The book side of a bank account is every posted journal line on its GL
+ * account, so payments, expenses and manual journals are reconciled the
+ * same way; payments and expenses are found through the journal entry's
+ * reference. Amounts here are in the bank account's currency and signed
+ * like statement lines: positive = money in (a debit to the bank).
+ *
+ * Entries that were reversed, and their reversals, cancel out and are left
+ * out of matching unless one of them has already been matched.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Signed amount of a journal line in the bank account's currency.
+ * Lines on a foreign currency account without a foreign amount (FX
+ * revaluation) don't move money and return null.
+ */
+const bookAmount = (lineItem, account) => {
+  const base = roundAmount(lineItem.debitAmount - lineItem.creditAmount);
+
+  if (!account.currency) return base;
+  if (lineItem.foreignAmount === null || lineItem.foreignAmount === undefined) return null;
+
+  return base >= 0 ? lineItem.foreignAmount : -lineItem.foreignAmount;
+};
+
+/**
+ * Load the book side of a bank account: journal lines on its GL account
+ * between from and to, with what is already matched and the payment or
+ * expense behind each one. Reversed pairs are dropped as described above,
+ * taking reversals dated after `to` as not having happened yet.
+ * where narrows the journal lines further (e.g. to one payment's entry).
+ */
+const loadBookLines = async (db, bankAccount, { from, to, where } = {}) => {
+  const entryDate = {};
+  if (from) entryDate.gte = new Date(from);
+  if (to) entryDate.lte = new Date(to);
+
+  const items = await db.journalLineItem.findMany({
+    where: {
+      accountId: bankAccount.accountId,
+      journalEntry: {
+        companyId: bankAccount.companyId,
+        status: 'POSTED',
+        ...(from || to ? { entryDate } : {})
+      },
+      ...(where ? { AND: [where] } : {})
+    },
+    include: {
+      journalEntry: {
+        select: {
+          id: true,
+          journalNumber: true,
+          entryDate: true,
+          description: true,
+          referenceType: true,
+          referenceId: true,
+          reversedBy: { select: { id: true, entryDate: true } }
+        }
+      },
+      bankMatches: {
+        where: { unmatchedAt: null },
+        select: {
+          amount: true,
+          statementLine: { select: { transactionDate: true } }
+        }
+      }
+    },
+    orderBy: { journalEntry: { entryDate: 'asc' } }
+  });
+
+  const cutoff = to ? new Date(to) : null;
+  const hasMatches = (item) => item.bankMatches.length > 0;
+
+  // A reversed entry and its reversal are skipped together, and only when neither was matched
+  const matchedEntries = new Set(items.filter(hasMatches).map(item => item.journalEntry.id));
+  const skipped = new Set();
+  items.forEach(item => {
+    const reversal = item.journalEntry.reversedBy;
+    if (reversal && (!cutoff || reversal.entryDate <= cutoff)
+      && !matchedEntries.has(item.journalEntry.id) && !matchedEntries.has(reversal.id)) {
+      skipped.add(item.journalEntry.id);
+      skipped.add(reversal.id);
+    }
+  });
+
+  const lines = items
+    .filter(item => !skipped.has(item.journalEntry.id))
+    .map(item => {
+      const amount = bookAmount(item, bankAccount.account);
+      const matchedAmount = roundAmount(item.bankMatches.reduce((sum, match) => sum + match.amount, 0));
+
+      return {
+        id: item.id,
+        journalEntryId: item.journalEntry.id,
+        journalNumber: item.journalEntry.journalNumber,
+        entryDate: item.journalEntry.entryDate,
+        description: item.description || item.journalEntry.description,
+        referenceType: item.journalEntry.referenceType,
+        referenceId: item.journalEntry.referenceId,
+        amount,
+        matchedAmount,
+        remaining: amount === null ? 0 : roundAmount(amount - matchedAmount),
+        matches: item.bankMatches,
+        source: null
+      };
+    })
+    .filter(line => line.amount !== null && line.amount !== 0);
+
+  await attachSources(db, lines);
+
+  return lines;
+};
+
+// Helper function to attach the payment or expense behind each book line
+async function attachSources(db, lines) {
+  const idsFor = (type) => [...new Set(lines.filter(line => line.referenceType === type).map(line => line.referenceId))];
+  const paymentIds = idsFor('payment');
+  const expenseIds = idsFor('expense');
+
+  const [payments, expenses] = await Promise.all([
+    paymentIds.length > 0
+      ? db.payment.findMany({
+        where: { id: { in: paymentIds } },
+        select: {
+          id: true,
+          paymentNumber: true,
+          referenceNumber: true,
+          customer: { select: { name: true } },
+          supplier: { select: { name: true } },
+          invoice: { select: { invoiceNumber: true } },
+          bill: { select: { billNumber: true } },
+          allocations: {
+            where: { unappliedAt: null },
+            select: {
+              invoice: { select: { invoiceNumber: true } },
+              bill: { select: { billNumber: true } }
+            }
+          }
+        }
+      })
+      : [],
+    expenseIds.length > 0
+      ? db.expense.findMany({
+        where: { id: { in: expenseIds } },
+        select: { id: true, expenseNumber: true }
+      })
+      : []
+  ]);
+
+  const sources = {};
+
+  payments.forEach(payment => {
+    const documents = [payment.invoice, payment.bill, ...payment.allocations.flatMap(a => [a.invoice, a.bill])]
+      .filter(Boolean)
+      .map(document => document.invoiceNumber || document.billNumber);
+
+    sources[payment.id] = {
+      type: 'PAYMENT',
+      id: payment.id,
+      number: payment.paymentNumber,
+      party: (payment.customer || payment.supplier || {}).name || null,
+      references: [payment.paymentNumber, payment.referenceNumber, ...documents].filter(Boolean)
+    };
+  });
+
+  expenses.forEach(expense => {
+    sources[expense.id] = {
+      type: 'EXPENSE',
+      id: expense.id,
+      number: expense.expenseNumber,
+      party: null,
+      references: [expense.expenseNumber]
+    };
+  });
+
+  lines.forEach(line => {
+    line.source = sources[line.referenceId] || null;
+  });
+}
+
+// Helper function to check whether a statement line and a book line share a reference
+function sharesReference(statementLine, bookLine) {
+  const statementText = [statementLine.reference, statementLine.description, statementLine.counterparty]
+    .filter(Boolean).join(' ').toLowerCase();
+  const bookReferences = [bookLine.journalNumber, ...(bookLine.source ? bookLine.source.references : [])]
+    .filter(reference => reference && reference.length >= 3)
+    .map(reference => reference.toLowerCase());
+
+  if (bookReferences.some(reference => statementText.includes(reference))) {
+    return true;
+  }
+
+  const reference = (statementLine.reference || '').toLowerCase();
+  if (reference.length < 3) return false;
+
+  const bookText = [bookLine.description, ...bookReferences].join(' ').toLowerCase();
+  return bookText.includes(reference);
+}
+
+/**
+ * Propose one-to-one matches between unmatched statement lines and
+ * unmatched book lines with the same amount within dateWindow days.
+ * A shared reference wins, closest date first. Without one, a pair is
+ * only proposed when neither side has another candidate.
+ * Returns [{ statementLine, bookLine, reason }].
+ */
+const proposeMatches = (statementLines, bookLines, { dateWindow = 3 } = {}) => {
+  const openStatement = statementLines.filter(line => line.status === 'UNMATCHED' && Math.abs(line.matchedAmount) < AMOUNT_TOLERANCE);
+  const openBook = bookLines.filter(line => Math.abs(line.matchedAmount) < AMOUNT_TOLERANCE);
+
+  const daysApart = (statementLine, bookLine) => Math.abs(statementLine.transactionDate - bookLine.entryDate) / DAY_MS;
+
+  const candidates = new Map();
+  openStatement.forEach(statementLine => {
+    candidates.set(statementLine.id, openBook.filter(bookLine =>
+      Math.abs(bookLine.amount - statementLine.amount) < AMOUNT_TOLERANCE
+      && daysApart(statementLine, bookLine) <= dateWindow
+    ));
+  });
+
+  const proposals = [];
+  const usedStatement = new Set();
+  const usedBook = new Set();
+  const byDate = [...openStatement].sort((a, b) => a.transactionDate - b.transactionDate);
+
+  // Pass 1: shared reference
+  byDate.forEach(statementLine => {
+    const [best] = candidates.get(statementLine.id)
+      .filter(bookLine => !usedBook.has(bookLine.id) && sharesReference(statementLine, bookLine))
+      .sort((a, b) => daysApart(statementLine, a) - daysApart(statementLine, b));
+
+    if (best) {
+      proposals.push({ statementLine, bookLine: best, reason: 'reference' });
+      usedStatement.add(statementLine.id);
+      usedBook.add(best.id);
+    }
+  });
+
+  // Pass 2: amount and date, only when unambiguous both ways
+  byDate.forEach(statementLine => {
+    if (usedStatement.has(statementLine.id)) return;
+
+    const open = candidates.get(statementLine.id).filter(bookLine => !usedBook.has(bookLine.id));
+    if (open.length !== 1) return;
+
+    const [bookLine] = open;
+    const rivals = byDate.filter(other =>
+      other.id !== statementLine.id
+      && !usedStatement.has(other.id)
+      && candidates.get(other.id).some(candidate => candidate.id === bookLine.id)
+    );
+
+    if (rivals.length === 0) {
+      proposals.push({ statementLine, bookLine, reason: 'amount and date' });
+      usedStatement.add(statementLine.id);
+      usedBook.add(bookLine.id);
+    }
+  });
+
+  return proposals;
+};
+
+/**
+ * Book lines that could match a statement line, best first: same
+ * direction, something left to match and within dateWindow days.
+ * Exact amounts rank first, then a shared reference, then the closest date.
+ */
+const rankCandidates = (statementLine, bookLines, { dateWindow = 30 } = {}) => {
+  const remaining = roundAmount(statementLine.amount - statementLine.matchedAmount);
+
+  return bookLines
+    .filter(bookLine => Math.sign(bookLine.remaining) === Math.sign(statementLine.amount))
+    .map(bookLine => ({
+      ...bookLine,
+      exactAmount: Math.abs(bookLine.remaining - remaining) < AMOUNT_TOLERANCE,
+      sharesReference: sharesReference(statementLine, bookLine),
+      daysApart: Math.round(Math.abs(statementLine.transactionDate - bookLine.entryDate) / DAY_MS)
+    }))
+    .filter(candidate => candidate.daysApart <= dateWindow)
+    .sort((a, b) => (b.exactAmount - a.exactAmount) || (b.sharesReference - a.sharesReference) || (a.daysApart - b.daysApart));
+};
+
+/**
+ * First active rule (by priority) whose conditions all hold for the line
+ */
+const findMatchingRule = (rules, statementLine) => {
+  const contains = (value, text) => (value || '').toLowerCase().includes(text.toLowerCase());
+  const absolute = Math.abs(statementLine.amount);
+
+  return rules.find(rule => {
+    if (!rule.isActive) return false;
+    if (rule.bankAccountId && rule.bankAccountId !== statementLine.bankAccountId) return false;
+    if (rule.descriptionContains && !contains(statementLine.description, rule.descriptionContains)) return false;
+    if (rule.referenceContains && !contains(statementLine.reference, rule.referenceContains)) return false;
+    if (rule.counterpartyContains && !contains(statementLine.counterparty, rule.counterpartyContains)) return false;
+    if (rule.direction === 'IN' && statementLine.amount < 0) return false;
+    if (rule.direction === 'OUT' && statementLine.amount > 0) return false;
+    if (rule.amountMin !== null && rule.amountMin !== undefined && absolute < rule.amountMin) return false;
+    if (rule.amountMax !== null && rule.amountMax !== undefined && absolute > rule.amountMax) return false;
+    return true;
+  }) || null;
+};
+
+/**
+ * Match a statement line to book lines.
+ * targets: [{ bookLine, amount }] with bookLine from loadBookLines and
+ * amount signed like the statement line. The line is claimed on its
+ * current matchedAmount so concurrent matches can't over-match it.
+ */
+const matchStatementLine = async (tx, statementLine, targets, { matchType, ruleId = null, matchedById }) => {
+  if (statementLine.status === 'IGNORED') {
+    throw new ValidationError('Ignored statement lines cannot be matched');
+  }
+
+  if (targets.length === 0) {
+    throw new ValidationError('At least one book entry is required');
+  }
+
+  const sign = Math.sign(statementLine.amount);
+
+  for (const { bookLine, amount } of targets) {
+    if (Math.sign(amount) !== sign || Math.sign(bookLine.amount) !== sign) {
+      throw new ValidationError(`${bookLine.journalNumber} is ${bookLine.amount > 0 ? 'money in' : 'money out'} and cannot match this line`);
+    }
+
+    if (Math.abs(amount) > Math.abs(bookLine.remaining) + AMOUNT_TOLERANCE) {
+      throw new ValidationError(`Only ${Math.abs(bookLine.remaining).toFixed(2)} of ${bookLine.journalNumber} is left to match`);
+    }
+  }
+
+  const total = roundAmount(targets.reduce((sum, target) => sum + target.amount, 0));
+  const matchedAmount = roundAmount(statementLine.matchedAmount + total);
+
+  if (Math.abs(matchedAmount) > Math.abs(statementLine.amount) + AMOUNT_TOLERANCE) {
+    throw new ValidationError(`Matched amount ${Math.abs(matchedAmount).toFixed(2)} exceeds the statement line amount ${Math.abs(statementLine.amount).toFixed(2)}`);
+  }
+
+  const fullyMatched = Math.abs(statementLine.amount - matchedAmount) < AMOUNT_TOLERANCE;
+
+  const claimed = await tx.bankStatementLine.updateMany({
+    where: { id: statementLine.id, matchedAmount: statementLine.matchedAmount, status: 'UNMATCHED' },
+    data: {
+      matchedAmount,
+      status: fullyMatched ? 'MATCHED' : 'UNMATCHED'
+    }
+  });
+
+  if (claimed.count === 0) {
+    throw new ConflictError('Statement line was changed by another user, please reload');
+  }
+
+  for (const { bookLine, amount } of targets) {
+    await tx.bankMatch.create({
+      data: {
+        id: uuidv4(),
+        companyId: statementLine.companyId,
+        statementLineId: statementLine.id,
+        journalLineItemId: bookLine.id,
+        amount: roundAmount(amount),
+        matchType,
+        ruleId,
+        matchedById
+      }
+    });
+  }
+
+  // A book line can't be matched beyond its amount, even by two lines at once
+  const bookLineIds = targets.map(target => target.bookLine.id);
+  const totals = await tx.bankMatch.groupBy({
+    by: ['journalLineItemId'],
+    where: { journalLineItemId: { in: bookLineIds }, unmatchedAt: null },
+    _sum: { amount: true }
+  });
+
+  for (const total of totals) {
+    const { bookLine } = targets.find(target => target.bookLine.id === total.journalLineItemId);
+    if (Math.abs(total._sum.amount) > Math.abs(bookLine.amount) + AMOUNT_TOLERANCE) {
+      throw new ConflictError(`${bookLine.journalNumber} was matched by another user, please reload`);
+    }
+  }
+
+  return tx.bankStatementLine.findUnique({
+    where: { id: statementLine.id },
+    include: {
+      matches: {
+        where: { unmatchedAt: null },
+        include: { journalLineItem: { include: { journalEntry: true } } }
+      }
+    }
+  });
+};
+
+/**
+ * Undo every active match on a statement line (and un-ignore it).
+ * Entries posted from the line stay; reverse them from the journal if
+ * they were wrong.
+ */
+const unmatchStatementLine = async (tx, statementLine, { unmatchedById }) => {
+  const claimed = await tx.bankStatementLine.updateMany({
+    where: { id: statementLine.id, status: statementLine.status, matchedAmount: statementLine.matchedAmount },
+    data: { status: 'UNMATCHED', matchedAmount: 0 }
+  });
+
+  if (claimed.count === 0) {
+    throw new ConflictError('Statement line was changed by another user, please reload');
+  }
+
+  await tx.bankMatch.updateMany({
+    where: { statementLineId: statementLine.id, unmatchedAt: null },
+    data: { unmatchedAt: new Date(), unmatchedById }
+  });
+
+  return tx.bankStatementLine.findUnique({ where: { id: statementLine.id } });
+};
+
+/**
+ * Post a journal entry for (part of) a statement line: the bank side for
+ * the total and one line per part on the other side. parts are
+ * [{ account, amount, description }] with amount signed like the line.
+ * Foreign currency lines are converted at the rate on entryDate.
+ * Returns the book line for the bank side, ready for matchStatementLine.
+ */
+const postStatementLineEntry = async (tx, bankAccount, statementLine, parts, { entryDate, description, createdById }) => {
+  const currency = bankAccount.account.currency;
+  const rate = currency ? await getExchangeRate(tx, bankAccount.companyId, currency, entryDate) : 1;
+
+  const sign = Math.sign(statementLine.amount);
+  if (parts.some(part => Math.sign(part.amount) !== sign)) {
+    throw new ValidationError('Every part must have the same direction as the statement line');
+  }
+
+  const total = roundAmount(parts.reduce((sum, part) => sum + part.amount, 0));
+  const moneyIn = total > 0;
+
+  const otherLines = parts.map(part => {
+    const base = toBaseAmount(Math.abs(part.amount), rate);
+    return {
+      account: part.account,
+      debitAmount: moneyIn ? 0 : base,
+      creditAmount: moneyIn ? base : 0,
+      description: part.description || description
+    };
+  });
+
+  // The bank side is the sum of the converted parts so the entry balances to the cent
+  const bankBase = roundAmount(otherLines.reduce((sum, line) => sum + line.debitAmount + line.creditAmount, 0));
+
+  const journalEntry = await postJournalEntry(tx, {
+    companyId: bankAccount.companyId,
+    entryDate,
+    description,
+    createdById,
+    referenceType: 'bank_statement_line',
+    referenceId: statementLine.id,
+    lines: [
+      {
+        account: bankAccount.account,
+        debitAmount: moneyIn ? bankBase : 0,
+        creditAmount: moneyIn ? 0 : bankBase,
+        foreignAmount: Math.abs(total),
+        description
+      },
+      ...otherLines
+    ]
+  });
+
+  const bankItem = journalEntry.lineItems.find(item => item.accountId === bankAccount.accountId);
+
+  return {
+    id: bankItem.id,
+    journalEntryId: journalEntry.id,
+    journalNumber: journalEntry.journalNumber,
+    entryDate: journalEntry.entryDate,
+    description,
+    amount: total,
+    matchedAmount: 0,
+    remaining: total
+  };
+};
+
+/**
+ * Statement balance vs. book balance as of a date, with the items that
+ * explain the difference:
+ *   statement balance + outstanding book items
+ *     = book balance + unreconciled statement lines
+ * Matches count only if both sides are on or before asOf.
+ */
+const buildReconciliationReport = async (db, bankAccount, asOf) => {
+  const cutoff = new Date(asOf);
+
+  const [statements, statementLines, bookLines, allBookItems] = await Promise.all([
+    db.bankStatement.findMany({
+      where: { bankAccountId: bankAccount.id, periodStart: { lte: cutoff } },
+      orderBy: [{ periodEnd: 'asc' }, { createdAt: 'asc' }]
+    }),
+    db.bankStatementLine.findMany({
+      where: { bankAccountId: bankAccount.id, transactionDate: { lte: cutoff } },
+      include: {
+        matches: {
+          where: { unmatchedAt: null },
+          select: {
+            amount: true,
+            journalLineItem: { select: { journalEntry: { select: { entryDate: true } } } }
+          }
+        }
+      },
+      orderBy: { transactionDate: 'asc' }
+    }),
+    loadBookLines(db, bankAccount, { to: cutoff }),
+    db.journalLineItem.findMany({
+      where: {
+        accountId: bankAccount.accountId,
+        journalEntry: { status: 'POSTED', entryDate: { lte: cutoff } }
+      },
+      select: { debitAmount: true, creditAmount: true, foreignAmount: true }
+    })
+  ]);
+
+  // Statement balance: last closing balance, rolled forward with later lines
+  const withClosing = statements.filter(statement => statement.closingBalance !== null && statement.periodEnd && statement.periodEnd <= cutoff);
+  const withOpening = statements.find(statement => statement.openingBalance !== null);
+  const sumLines = (lines) => roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+
+  let statementBalance;
+  let statementBalanceSource;
+
+  if (withClosing.length > 0) {
+    const last = withClosing[withClosing.length - 1];
+    statementBalance = roundAmount(last.closingBalance + sumLines(statementLines.filter(line => line.transactionDate > last.periodEnd)));
+    statementBalanceSource = 'CLOSING_BALANCE';
+  } else if (withOpening) {
+    statementBalance = roundAmount(withOpening.openingBalance + sumLines(statementLines.filter(line => !withOpening.periodStart || line.transactionDate >= withOpening.periodStart)));
+    statementBalanceSource = 'OPENING_BALANCE';
+  } else {
+    statementBalance = sumLines(statementLines);
+    statementBalanceSource = 'LINES';
+  }
+
+  const bookBalance = roundAmount(allBookItems.reduce((sum, item) => sum + (bookAmount(item, bankAccount.account) || 0), 0));
+
+  const unreconciledLines = statementLines
+    .filter(line => line.status !== 'IGNORED')
+    .map(line => {
+      const matched = line.matches
+        .filter(match => match.journalLineItem.journalEntry.entryDate <= cutoff)
+        .reduce((sum, match) => sum + match.amount, 0);
+      return {
+        id: line.id,
+        transactionDate: line.transactionDate,
+        description: line.description,
+        reference: line.reference,
+        amount: line.amount,
+        unreconciled: roundAmount(line.amount - matched)
+      };
+    })
+    .filter(line => Math.abs(line.unreconciled) >= AMOUNT_TOLERANCE);
+
+  const outstandingBook = bookLines
+    .map(line => {
+      const matched = line.matches
+        .filter(match => match.statementLine.transactionDate <= cutoff)
+        .reduce((sum, match) => sum + match.amount, 0);
+      return {
+        id: line.id,
+        entryDate: line.entryDate,
+        journalNumber: line.journalNumber,
+        description: line.description,
+        source: line.source,
+        amount: line.amount,
+        outstanding: roundAmount(line.amount - matched)
+      };
+    })
+    .filter(line => Math.abs(line.outstanding) >= AMOUNT_TOLERANCE);
+
+  const total = (lines, field) => roundAmount(lines.reduce((sum, line) => sum + line[field], 0));
+  const depositsInTransit = outstandingBook.filter(line => line.outstanding > 0);
+  const outstandingPayments = outstandingBook.filter(line => line.outstanding < 0);
+  const adjustedStatementBalance = roundAmount(statementBalance + total(outstandingBook, 'outstanding'));
+  const adjustedBookBalance = roundAmount(bookBalance + total(unreconciledLines, 'unreconciled'));
+
+  return {
+    asOf: cutoff,
+    currency: bankAccount.account.currency || null,
+    statementBalance,
+    statementBalanceSource,
+    bookBalance,
+    depositsInTransit: { total: total(depositsInTransit, 'outstanding'), items: depositsInTransit },
+    outstandingPayments: { total: total(outstandingPayments, 'outstanding'), items: outstandingPayments },
+    unreconciledStatementLines: { total: total(unreconciledLines, 'unreconciled'), items: unreconciledLines },
+    ignoredStatementLines: sumLines(statementLines.filter(line => line.status === 'IGNORED')),
+    adjustedStatementBalance,
+    adjustedBookBalance,
+    difference: roundAmount(adjustedStatementBalance - adjustedBookBalance),
+    isReconciled: Math.abs(adjustedStatementBalance - adjustedBookBalance) < AMOUNT_TOLERANCE
+  };
+};
+
+module.exports = {
+  bookAmount,
+  loadBookLines,
+  proposeMatches,
+  rankCandidates,
+  findMatchingRule,
+  matchStatementLine,
+  unmatchStatementLine,
+  postStatementLineEntry,
+  buildReconciliationReport
+};
@@ -0,0 +1,537 @@
+const crypto = require('crypto');
+const csv = require('csv-parser');
+const { Readable } = require('stream');
+const { roundAmount } = require('./currency');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Bank statement import
+ *
+ * Each parser turns a statement file into
+ *   { accountNumber, currency, statementNumber, periodStart, periodEnd,
+ *     openingBalance, closingBalance, lines: [...] }
+ * where a line is { transactionDate, valueDate, amount, description,
+ * reference, bankReference, counterparty, counterpartyAccount } and amount
+ * is signed: positive = money in, negative = money out.
+ * Anything a format does not carry is left null.
+ */
+
+const STATEMENT_FORMATS = ['CSV', 'OFX', 'CAMT053', 'MT940'];
+
+// CSV columns looked for when no mapping is given (matched case-insensitively)
+const DEFAULT_CSV_MAPPING = {
+  date: 'date',
+  valueDate: 'value date',
+  amount: 'amount',
+  debit: 'debit',
+  credit: 'credit',
+  description: 'description',
+  reference: 'reference',
+  bankReference: 'transaction id',
+  counterparty: 'counterparty',
+  counterpartyAccount: 'counterparty account'
+};
+
+const CSV_DATE_FORMATS = ['YYYY-MM-DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY', 'YYYYMMDD'];
+
+/**
+ * Guess the format from the file contents
+ */
+const detectStatementFormat = (content) => {
+  const head = content.slice(0, 4096);
+
+  if (/OFXHEADER|<OFX>/i.test(head)) return 'OFX';
+  if (/camt\.053|<(\w+:)?BkToCstmrStmt>/.test(head)) return 'CAMT053';
+  if (/^:20:/m.test(content) && /^:61:/m.test(content)) return 'MT940';
+  return 'CSV';
+};
+
+// Helper function to build a UTC date, rejecting impossible ones
+function utcDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  if (isNaN(date.getTime()) || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date;
+}
+
+/**
+ * Parse a date in one of CSV_DATE_FORMATS. Returns null if it does not fit.
+ */
+const parseStatementDate = (value, format = 'YYYY-MM-DD') => {
+  if (!value) return null;
+
+  const text = String(value).trim();
+
+  if (format === 'YYYYMMDD' || /^\d{8}/.test(text)) {
+    const match = text.match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? utcDate(+match[1], +match[2], +match[3]) : null;
+  }
+
+  const parts = text.split(/[^\d]+/).filter(Boolean).map(Number);
+  if (parts.length < 3) return null;
+
+  const order = format.split(/[^A-Z]+/);
+  const field = (token) => parts[order.indexOf(token)];
+
+  return utcDate(field('YYYY'), field('MM'), field('DD'));
+};
+
+/**
+ * Parse an amount as banks write it: "1,234.56", "1.234,56" (with
+ * decimalSeparator ','), "(12.00)", "12.00-" or "-12.00".
+ * Returns null for blanks and anything unreadable.
+ */
+const parseStatementAmount = (value, decimalSeparator = '.') => {
+  if (value === undefined || value === null) return null;
+
+  let text = String(value).trim();
+  if (!text) return null;
+
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /-$/.test(text);
+  text = text.replace(/[^\d.,]/g, '');
+
+  if (decimalSeparator === ',') {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  if (!text) return null;
+
+  const amount = parseFloat(text);
+  if (isNaN(amount)) return null;
+
+  return roundAmount(negative ? -amount : amount);
+};
+
+// Helper function to find a CSV column by header name, ignoring case and spacing
+function findColumn(headers, name) {
+  if (!name) return null;
+
+  const wanted = String(name).trim().toLowerCase();
+  return headers.find(header => header.trim().toLowerCase() === wanted) || null;
+}
+
+/**
+ * Parse a CSV statement.
+ * options.mapping maps line fields to column headers; either amount or
+ * debit/credit columns must be present. options.dateFormat,
+ * options.decimalSeparator and options.delimiter cover regional exports.
+ */
+const parseCsvStatement = async (content, options = {}) => {
+  const { dateFormat = 'YYYY-MM-DD', decimalSeparator = '.', delimiter = ',' } = options;
+  const mapping = { ...DEFAULT_CSV_MAPPING, ...(options.mapping || {}) };
+
+  if (!CSV_DATE_FORMATS.includes(dateFormat)) {
+    throw new ValidationError(`dateFormat must be one of: ${CSV_DATE_FORMATS.join(', ')}`);
+  }
+
+  const rows = [];
+  let headers = [];
+
+  await new Promise((resolve, reject) => {
+    Readable.from([content.replace(/^\uFEFF/, '')])
+      .pipe(csv({ separator: delimiter, mapHeaders: ({ header }) => header.trim() }))
+      .on('headers', (list) => { headers = list; })
+      .on('data', (data) => rows.push(data))
+      .on('end', resolve)
+      .on('error', reject);
+  });
+
+  const columns = {};
+  Object.keys(mapping).forEach(field => { columns[field] = findColumn(headers, mapping[field]); });
+
+  if (!columns.date) {
+    throw new ValidationError(`Date column "${mapping.date}" not found. Columns in file: ${headers.join(', ')}`);
+  }
+  if (!columns.amount && !columns.debit && !columns.credit) {
+    throw new ValidationError(`No amount column found. Map either amount or debit/credit. Columns in file: ${headers.join(', ')}`);
+  }
+
+  const value = (row, field) => {
+    const text = columns[field] ? row[columns[field]] : undefined;
+    return text !== undefined && String(text).trim() !== '' ? String(text).trim() : null;
+  };
+
+  const lines = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const transactionDate = parseStatementDate(value(row, 'date'), dateFormat);
+
+    let amount = columns.amount ? parseStatementAmount(value(row, 'amount'), decimalSeparator) : null;
+    if (amount === null && (columns.debit || columns.credit)) {
+      const debit = parseStatementAmount(value(row, 'debit'), decimalSeparator);
+      const credit = parseStatementAmount(value(row, 'credit'), decimalSeparator);
+      if (debit !== null || credit !== null) {
+        amount = roundAmount(Math.abs(credit || 0) - Math.abs(debit || 0));
+      }
+    }
+
+    if (!transactionDate || amount === null) {
+      errors.push({ row: index + 1, error: 'Missing or unreadable date or amount', data: row });
+      return;
+    }
+
+    lines.push({
+      transactionDate,
+      valueDate: parseStatementDate(value(row, 'valueDate'), dateFormat),
+      amount,
+      description: value(row, 'description'),
+      reference: value(row, 'reference'),
+      bankReference: value(row, 'bankReference'),
+      counterparty: value(row, 'counterparty'),
+      counterpartyAccount: value(row, 'counterpartyAccount')
+    });
+  });
+
+  return {
+    accountNumber: null,
+    currency: null,
+    statementNumber: null,
+    periodStart: null,
+    periodEnd: null,
+    openingBalance: null,
+    closingBalance: null,
+    lines,
+    errors
+  };
+};
+
+// Helper function to read a leaf value from an OFX block (SGML leaves have no closing tag)
+function ofxValue(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  const text = match ? match[1].trim() : '';
+  return text ? decodeXml(text) : null;
+}
+
+// Helper function to read an OFX aggregate block
+function ofxBlock(content, tag) {
+  const match = content.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'i'));
+  return match ? match[1] : '';
+}
+
+/**
+ * Parse an OFX or QFX statement (SGML 1.x and XML 2.x)
+ */
+const parseOfxStatement = (content) => {
+  const statement = ofxBlock(content, 'STMTRS') || ofxBlock(content, 'CCSTMTRS');
+  if (!statement) {
+    throw new ValidationError('Not a valid OFX bank statement: no STMTRS found');
+  }
+
+  const transactions = statement.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+  const transactionList = ofxBlock(statement, 'BANKTRANLIST');
+  const ledgerBalance = ofxBlock(statement, 'LEDGERBAL');
+
+  const lines = transactions.map(block => {
+    const amount = parseStatementAmount(ofxValue(block, 'TRNAMT'));
+    const transactionDate = parseStatementDate(ofxValue(block, 'DTPOSTED'), 'YYYYMMDD');
+
+    if (amount === null || !transactionDate) {
+      throw new ValidationError(`OFX transaction ${ofxValue(block, 'FITID') || ''} has no valid amount or date`);
+    }
+
+    const name = ofxValue(block, 'NAME') || ofxValue(ofxBlock(block, 'PAYEE'), 'NAME');
+    const memo = ofxValue(block, 'MEMO');
+
+    return {
+      transactionDate,
+      valueDate: parseStatementDate(ofxValue(block, 'DTUSER'), 'YYYYMMDD'),
+      amount,
+      description: [name, memo].filter(Boolean).join(' - ') || ofxValue(block, 'TRNTYPE'),
+      reference: ofxValue(block, 'CHECKNUM') || ofxValue(block, 'REFNUM'),
+      bankReference: ofxValue(block, 'FITID'),
+      counterparty: name,
+      counterpartyAccount: ofxValue(ofxBlock(block, 'BANKACCTTO'), 'ACCTID')
+    };
+  });
+
+  const closing = ofxValue(ledgerBalance, 'BALAMT');
+
+  return {
+    accountNumber: ofxValue(ofxBlock(statement, 'BANKACCTFROM'), 'ACCTID') || ofxValue(ofxBlock(statement, 'CCACCTFROM'), 'ACCTID'),
+    currency: ofxValue(statement, 'CURDEF'),
+    statementNumber: null,
+    periodStart: parseStatementDate(ofxValue(transactionList, 'DTSTART'), 'YYYYMMDD'),
+    periodEnd: parseStatementDate(ofxValue(transactionList, 'DTEND'), 'YYYYMMDD'),
+    openingBalance: null,
+    closingBalance: closing !== null ? parseStatementAmount(closing) : null,
+    lines,
+    errors: []
+  };
+};
+
+// Helper function to return every <tag>...</tag> block (namespace prefixes already stripped)
+function xmlBlocks(xml, tag) {
+  const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+  return Array.from(xml.matchAll(pattern), match => match[1]);
+}
+
+// Helper function to read the text at a slash-separated path, e.g. 'BookgDt/Dt'
+function xmlText(xml, path) {
+  let current = xml;
+
+  for (const tag of path.split('/')) {
+    const [block] = xmlBlocks(current, tag);
+    if (block === undefined) return null;
+    current = block;
+  }
+
+  const text = current.replace(/<[^>]+>/g, '').trim();
+  return text ? decodeXml(text) : null;
+}
+
+// Helper function to decode the XML entities found in bank files
+function decodeXml(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Helper function to read a signed CAMT amount from a block with Amt and CdtDbtInd
+function camtAmount(block) {
+  const amount = parseStatementAmount(xmlText(block, 'Amt'));
+  if (amount === null) return null;
+  return xmlText(block, 'CdtDbtInd') === 'DBIT' ? -Math.abs(amount) : Math.abs(amount);
+}
+
+/**
+ * Parse an ISO 20022 CAMT.053 statement. Pending entries are skipped.
+ */
+const parseCamt053Statement = (content) => {
+  const xml = content.replace(/<(\/?)[\w.-]+:/g, '<$1');
+  const statements = xmlBlocks(xml, 'Stmt');
+
+  if (statements.length === 0) {
+    throw new ValidationError('Not a valid CAMT.053 file: no Stmt found');
+  }
+
+  const balance = (stmt, code) => {
+    const found = xmlBlocks(stmt, 'Bal').find(bal => xmlText(bal, 'Tp/CdOrPrtry/Cd') === code);
+    return found ? camtAmount(found) : null;
+  };
+
+  const lines = [];
+
+  statements.forEach(stmt => {
+    xmlBlocks(stmt, 'Ntry').forEach(entry => {
+      const status = xmlText(entry, 'Sts');
+      if (status && !['BOOK', 'BOOKED'].includes(status.toUpperCase())) return;
+
+      const amount = camtAmount(entry);
+      const transactionDate = parseStatementDate(xmlText(entry, 'BookgDt/Dt') || xmlText(entry, 'BookgDt/DtTm'));
+
+      if (amount === null || !transactionDate) {
+        throw new ValidationError(`CAMT.053 entry ${xmlText(entry, 'AcctSvcrRef') || ''} has no valid amount or booking date`);
+      }
+
+      // The counterparty is the debtor on money in and the creditor on money out
+      const details = xmlBlocks(entry, 'TxDtls')[0] || entry;
+      const party = amount >= 0 ? 'Dbtr' : 'Cdtr';
+
+      lines.push({
+        transactionDate,
+        valueDate: parseStatementDate(xmlText(entry, 'ValDt/Dt') || xmlText(entry, 'ValDt/DtTm')),
+        amount,
+        description: xmlText(details, 'RmtInf/Ustrd') || xmlText(entry, 'AddtlNtryInf') || xmlText(details, 'AddtlTxInf'),
+        reference: xmlText(details, 'Refs/EndToEndId') || xmlText(details, 'RmtInf/Strd/CdtrRefInf/Ref'),
+        bankReference: xmlText(entry, 'AcctSvcrRef') || xmlText(entry, 'NtryRef'),
+        counterparty: xmlText(details, `RltdPties/${party}/Nm`) || xmlText(details, `RltdPties/${party}/Pty/Nm`),
+        counterpartyAccount: xmlText(details, `RltdPties/${party}Acct/Id/IBAN`) || xmlText(details, `RltdPties/${party}Acct/Id/Othr/Id`)
+      });
+    });
+  });
+
+  const first = statements[0];
+  const last = statements[statements.length - 1];
+
+  return {
+    accountNumber: xmlText(first, 'Acct/Id/IBAN') || xmlText(first, 'Acct/Id/Othr/Id'),
+    currency: xmlText(first, 'Acct/Ccy'),
+    statementNumber: xmlText(first, 'ElctrncSeqNb') || xmlText(first, 'Id'),
+    periodStart: parseStatementDate(xmlText(first, 'FrToDt/FrDtTm')),
+    periodEnd: parseStatementDate(xmlText(last, 'FrToDt/ToDtTm')),
+    openingBalance: balance(first, 'OPBD') ?? balance(first, 'PRCD'),
+    closingBalance: balance(last, 'CLBD'),
+    lines,
+    errors: []
+  };
+};
+
+// Helper function to read an MT940 YYMMDD date
+function mt940Date(text) {
+  const match = text && text.match(/^(\d{2})(\d{2})(\d{2})/);
+  return match ? utcDate(2000 + +match[1], +match[2], +match[3]) : null;
+}
+
+// Helper function to read an MT940 balance field (:60F:, :62F:, ...): C/D, date, currency, amount
+function mt940Balance(text) {
+  const match = text && text.match(/^([CD])(\d{6})([A-Z]{3})([\d,]+)/);
+  if (!match) return null;
+
+  const amount = parseStatementAmount(match[4], ',');
+  return { date: mt940Date(match[2]), currency: match[3], amount: match[1] === 'D' ? -amount : amount };
+}
+
+/**
+ * Parse a SWIFT MT940 statement. A file may hold several statements for
+ * the same account; the first opening and last closing balance are used.
+ */
+const parseMt940Statement = (content) => {
+  const fields = [];
+
+  // Fields start with :tag: at the beginning of a line and run until the next one
+  content.replace(/\r/g, '').split('\n').forEach(raw => {
+    const line = raw.replace(/^(\{[1-3]:[^}]*\})+/, '').replace(/^\{4:/, '');
+    const tag = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+
+    if (tag) {
+      fields.push({ tag: tag[1], value: tag[2] });
+    } else if (fields.length > 0 && line && !/^-\}?$/.test(line)) {
+      fields[fields.length - 1].value += `\n${line}`;
+    }
+  });
+
+  if (!fields.some(field => field.tag === '61')) {
+    throw new ValidationError('Not a valid MT940 file: no :61: statement lines found');
+  }
+
+  const lines = [];
+  let opening = null;
+  let closing = null;
+
+  fields.forEach(field => {
+    if ((field.tag === '60F' || field.tag === '60M') && !opening) {
+      opening = mt940Balance(field.value);
+    } else if (field.tag === '62F' || field.tag === '62M') {
+      closing = mt940Balance(field.value);
+    } else if (field.tag === '61') {
+      const [first, ...rest] = field.value.split('\n');
+      const match = first.match(/^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?([\d,]+)([A-Z][A-Z0-9]{3})(.*?)(?:\/\/(.*))?$/);
+
+      if (!match) {
+        throw new ValidationError(`Unreadable MT940 statement line: ${first}`);
+      }
+
+      const valueDate = mt940Date(match[1]);
+      let transactionDate = valueDate;
+
+      // Entry date is MMDD; it can fall in the year before or after the value date
+      if (match[2]) {
+        const month = +match[2].slice(0, 2);
+        const day = +match[2].slice(2);
+        const monthsAfter = month - 1 - valueDate.getUTCMonth();
+        let year = valueDate.getUTCFullYear();
+        if (monthsAfter > 6) year -= 1;
+        if (monthsAfter < -6) year += 1;
+        transactionDate = utcDate(year, month, day) || valueDate;
+      }
+
+      const amount = parseStatementAmount(match[5], ',');
+      const credit = match[3] === 'C' || match[3] === 'RD';
+      const reference = match[7].trim();
+
+      lines.push({
+        transactionDate,
+        valueDate,
+        amount: credit ? amount : -amount,
+        description: rest.join(' ').trim() || null,
+        reference: reference && reference !== 'NONREF' ? reference : null,
+        bankReference: match[8] ? match[8].trim() || null : null,
+        counterparty: null,
+        counterpartyAccount: null
+      });
+    } else if (field.tag === '86' && lines.length > 0) {
+      // Information to account owner belongs to the :61: line before it
+      const text = field.value.replace(/\n/g, '').replace(/\?\d{2}/g, ' ').replace(/\s+/g, ' ').trim();
+      const line = lines[lines.length - 1];
+      line.description = [line.description, text].filter(Boolean).join(' - ') || null;
+    }
+  });
+
+  const value = (tag) => {
+    const found = fields.find(field => field.tag === tag);
+    return found ? found.value.trim() : null;
+  };
+
+  return {
+    accountNumber: value('25'),
+    currency: (opening || closing || {}).currency || null,
+    statementNumber: value('28C') || value('28'),
+    periodStart: opening ? opening.date : null,
+    periodEnd: closing ? closing.date : null,
+    openingBalance: opening ? opening.amount : null,
+    closingBalance: closing ? closing.amount : null,
+    lines,
+    errors: []
+  };
+};
+
+/**
+ * Parse a statement file in the given (or detected) format
+ */
+const parseStatement = async (content, format, options = {}) => {
+  switch (format || detectStatementFormat(content)) {
+    case 'CSV':
+      return parseCsvStatement(content, options);
+    case 'OFX':
+      return parseOfxStatement(content);
+    case 'CAMT053':
+      return parseCamt053Statement(content);
+    case 'MT940':
+      return parseMt940Statement(content);
+    default:
+      throw new ValidationError(`Format must be one of: ${STATEMENT_FORMATS.join(', ')}`);
+  }
+};
+
+/**
+ * Add a duplicate detection fingerprint to each line.
+ * Lines with a bank transaction id are keyed on it. Otherwise date, amount,
+ * reference and description are hashed together with how many identical
+ * lines came before it in the file, so two genuine identical payments on
+ * the same day are kept while a re-import of the same file is not.
+ */
+const fingerprintLines = (lines) => {
+  const seen = {};
+
+  return lines.map(line => {
+    let key;
+
+    if (line.bankReference) {
+      key = `ref|${line.bankReference}`;
+    } else {
+      const base = [
+        line.transactionDate.toISOString().split('T')[0],
+        line.amount.toFixed(2),
+        (line.reference || '').toLowerCase(),
+        (line.description || '').toLowerCase().replace(/\s+/g, ' ')
+      ].join('|');
+
+      seen[base] = (seen[base] || 0) + 1;
+      key = `line|${base}|${seen[base]}`;
+    }
+
+    return {
+      ...line,
+      fingerprint: crypto.createHash('sha256').update(key).digest('hex')
+    };
+  });
+};
+
+module.exports = {
+  STATEMENT_FORMATS,
+  CSV_DATE_FORMATS,
+  detectStatementFormat,
+  parseStatementDate,
+  parseStatementAmount,
+  parseStatement,
+  fingerprintLines
+};
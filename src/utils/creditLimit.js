@@ -0,0 +1,167 @@
+const { AMOUNT_TOLERANCE, roundAmount, toBaseAmount } = require('./currency');
+const { uninvoicedOrderValue } = require('./salesOrders');
+const { ValidationError, ConflictError, NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Customer credit limits
+ *
+ * A customer's exposure is what they owe or have on order: open invoices
+ * (drafts included, since they are about to be issued), plus whatever of
+ * open sales orders is not yet invoiced, less receipts and credit notes not yet applied. All
+ * amounts are in the base currency, like creditLimit itself. Documents on
+ * credit hold don't count until they are approved.
+ *
+ * A new document that would take exposure over the limit is blocked or
+ * put on hold for approval, by the company's creditLimitAction. A limit
+ * of zero or none means no limit.
+ */
+
+const CREDIT_LIMIT_ACTIONS = ['BLOCK', 'HOLD'];
+
+const OPEN_ORDER_EXCLUDED_STATUSES = ['completed', 'invoiced', 'cancelled'];
+
+/**
+ * Work out a customer's current exposure against their credit limit.
+ * excludeSalesOrderId leaves out an order that is being invoiced or
+ * edited; excludeInvoiceId an invoice that is being edited.
+ */
+const getCustomerExposure = async (db, customer, { excludeSalesOrderId, excludeInvoiceId } = {}) => {
+  const orderWhere = {
+    customerId: customer.id,
+    companyId: customer.companyId,
+    status: { notIn: OPEN_ORDER_EXCLUDED_STATUSES },
+    creditHold: false
+  };
+  if (excludeSalesOrderId) orderWhere.id = { not: excludeSalesOrderId };
+
+  const invoiceWhere = {
+    customerId: customer.id,
+    companyId: customer.companyId,
+    status: { not: 'CANCELLED' },
+    creditHold: false,
+    balanceAmount: { gt: AMOUNT_TOLERANCE }
+  };
+  if (excludeInvoiceId) invoiceWhere.id = { not: excludeInvoiceId };
+
+  const [invoices, orders, payments, creditNotes] = await Promise.all([
+    db.invoice.findMany({
+      where: invoiceWhere,
+      select: { balanceAmount: true, exchangeRate: true }
+    }),
+    db.salesOrder.findMany({
+      where: orderWhere,
+      select: {
+        exchangeRate: true,
+        items: { select: { quantity: true, invoicedQuantity: true, totalAmount: true } }
+      }
+    }),
+    db.payment.findMany({
+      where: {
+        customerId: customer.id,
+        companyId: customer.companyId,
+        status: 'COMPLETED',
+        unappliedAmount: { gt: AMOUNT_TOLERANCE }
+      },
+      select: { unappliedAmount: true, exchangeRate: true }
+    }),
+    db.creditNote.findMany({
+      where: {
+        customerId: customer.id,
+        companyId: customer.companyId,
+        status: { in: ['OPEN', 'PARTIALLY_APPLIED'] }
+      },
+      select: { balanceAmount: true, exchangeRate: true }
+    })
+  ]);
+
+  const sumBase = (rows, field) => roundAmount(
+    rows.reduce((total, row) => total + toBaseAmount(row[field], row.exchangeRate), 0)
+  );
+
+  const openInvoices = sumBase(invoices, 'balanceAmount');
+  const uninvoicedOrders = roundAmount(
+    orders.reduce((total, order) => total + toBaseAmount(uninvoicedOrderValue(order), order.exchangeRate), 0)
+  );
+  const unappliedCredit = roundAmount(sumBase(payments, 'unappliedAmount') + sumBase(creditNotes, 'balanceAmount'));
+  const exposure = roundAmount(openInvoices + uninvoicedOrders - unappliedCredit);
+  const creditLimit = customer.creditLimit > 0 ? customer.creditLimit : null;
+
+  return {
+    creditLimit,
+    openInvoices,
+    uninvoicedOrders,
+    unappliedCredit,
+    exposure,
+    available: creditLimit !== null ? roundAmount(creditLimit - exposure) : null,
+    exceeded: creditLimit !== null && exposure > creditLimit + AMOUNT_TOLERANCE
+  };
+};
+
+/**
+ * Check whether a new document of baseAmount fits the customer's limit.
+ * Returns the exposure with the projected figure and what to do:
+ * action is null when it fits, 'HOLD' when the document should be held.
+ * Throws a ValidationError when the company blocks over-limit documents.
+ */
+const checkCreditLimit = async (db, customer, baseAmount, { excludeSalesOrderId, excludeInvoiceId } = {}) => {
+  const current = await getCustomerExposure(db, customer, { excludeSalesOrderId, excludeInvoiceId });
+  const projectedExposure = roundAmount(current.exposure + baseAmount);
+
+  const result = {
+    ...current,
+    documentAmount: roundAmount(baseAmount),
+    projectedExposure,
+    action: null
+  };
+
+  if (current.creditLimit === null || projectedExposure <= current.creditLimit + AMOUNT_TOLERANCE) {
+    return result;
+  }
+
+  const company = await db.company.findUnique({
+    where: { id: customer.companyId },
+    select: { creditLimitAction: true }
+  });
+
+  if (company.creditLimitAction === 'HOLD') {
+    return { ...result, action: 'HOLD' };
+  }
+
+  throw new ValidationError(
+    `Credit limit exceeded for ${customer.name}: exposure would be ${projectedExposure.toFixed(2)} against a limit of ${current.creditLimit.toFixed(2)}`,
+    result
+  );
+};
+
+/**
+ * Release a document from credit hold. model is 'invoice' or 'salesOrder'.
+ */
+const approveCreditHold = async (db, model, id, companyId, approvedById) => {
+  const document = await db[model].findFirst({ where: { id, companyId } });
+
+  if (!document) {
+    throw new NotFoundError(model === 'invoice' ? 'Invoice not found' : 'Sales order not found');
+  }
+
+  const { count } = await db[model].updateMany({
+    where: { id, creditHold: true },
+    data: {
+      creditHold: false,
+      creditApprovedById: approvedById,
+      creditApprovedAt: new Date()
+    }
+  });
+
+  if (count === 0) {
+    throw new ConflictError('Document is not on credit hold');
+  }
+
+  return db[model].findUnique({ where: { id } });
+};
+
+module.exports = {
+  CREDIT_LIMIT_ACTIONS,
+  getCustomerExposure,
+  checkCreditLimit,
+  approveCreditHold
+};
@@ -0,0 +1,444 @@
+const { v4: uuidv4 } = require('uuid');
+const { resolveAccounts } = require('./accountMapping');
+const { sendTemplatedEmail } = require('./emailOutbox');
+const { postJournalEntry } = require('./posting');
+const { calculateInvoiceItems } = require('./invoicing');
+const { allocateNumber } = require('./numbering');
+const { AMOUNT_TOLERANCE, roundAmount, toBaseAmount, resolvePaymentCurrency, fxDifferenceLines } = require('./currency');
+const { ValidationError, ConflictError, NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Credit notes
+ *
+ * Issuing a credit note reverses revenue and output tax against AR and
+ * lowers the customer's balance. The open credit is then applied to the
+ * customer's invoices or refunded; both are tracked on the credit note.
+ * Stock is not moved here: goods coming back go through a sales return.
+ */
+
+const OPEN_INVOICE_STATUSES = ['SENT', 'PARTIALLY_PAID', 'OVERDUE'];
+
+/**
+ * Create a DRAFT credit note. Line totals are worked out the same way as
+ * on invoices. currency/exchangeRate come from the credited invoice or
+ * resolveDocumentCurrency.
+ */
+const createCreditNoteRecord = async (tx, {
+  companyId,
+  customer,
+  invoiceId = null,
+  salesReturnId = null,
+  creditNoteDate = new Date(),
+  items,
+  reason,
+  notes,
+  currency = null,
+  exchangeRate = 1,
+  createdById
+}) => {
+  const totals = calculateInvoiceItems(items);
+
+  return tx.creditNote.create({
+    data: {
+      id: uuidv4(),
+      creditNoteNumber: await allocateNumber(tx, companyId, 'CREDIT_NOTE', { date: creditNoteDate }),
+      customerId: customer.id,
+      companyId,
+      invoiceId,
+      salesReturnId,
+      creditNoteDate: new Date(creditNoteDate),
+      subtotal: totals.subtotal,
+      discountAmount: totals.discountAmount,
+      taxAmount: totals.taxAmount,
+      totalAmount: totals.totalAmount,
+      balanceAmount: totals.totalAmount,
+      currency,
+      exchangeRate,
+      status: 'DRAFT',
+      reason,
+      notes,
+      createdById,
+      items: {
+        create: totals.items.map(item => ({
+          id: uuidv4(),
+          ...item
+        }))
+      }
+    },
+    include: {
+      customer: true,
+      items: true
+    }
+  });
+};
+
+/**
+ * Issue a DRAFT credit note: post it to the GL and take it off the
+ * customer's balance (both in base currency).
+ */
+const issueCreditNote = async (tx, creditNote) => {
+  // Claim the draft so it can't be issued twice
+  const claimed = await tx.creditNote.updateMany({
+    where: { id: creditNote.id, status: 'DRAFT' },
+    data: { status: 'OPEN' }
+  });
+
+  if (claimed.count === 0) {
+    throw new ConflictError(`Credit note ${creditNote.creditNoteNumber} has already been issued`);
+  }
+
+  await createCreditNoteAccountingEntries(tx, creditNote);
+
+  await tx.customer.update({
+    where: { id: creditNote.customerId },
+    data: {
+      balance: {
+        decrement: toBaseAmount(creditNote.totalAmount, creditNote.exchangeRate)
+      }
+    }
+  });
+
+  return tx.creditNote.findUnique({
+    where: { id: creditNote.id },
+    include: { customer: true, items: true }
+  });
+};
+
+/**
+ * Apply open credit to one or more of the customer's open invoices.
+ * allocations: [{ invoiceId, amount }]
+ */
+const applyCreditNote = async (tx, creditNote, allocations, { allocationDate = new Date(), createdById }) => {
+  if (!['OPEN', 'PARTIALLY_APPLIED'].includes(creditNote.status)) {
+    throw new ConflictError('Only issued credit notes with open credit can be applied');
+  }
+
+  if (!Array.isArray(allocations) || allocations.length === 0) {
+    throw new ValidationError('At least one invoice allocation is required');
+  }
+
+  const total = roundAmount(allocations.reduce((sum, allocation) => sum + (parseFloat(allocation.amount) || 0), 0));
+
+  if (allocations.some(allocation => !(parseFloat(allocation.amount) > 0))) {
+    throw new ValidationError('Allocation amounts must be positive');
+  }
+
+  // Take the credit first; a concurrent application sees the lower balance
+  const claimed = await tx.creditNote.updateMany({
+    where: { id: creditNote.id, balanceAmount: { gte: total - AMOUNT_TOLERANCE } },
+    data: {
+      appliedAmount: { increment: total },
+      balanceAmount: { decrement: total }
+    }
+  });
+
+  if (claimed.count === 0) {
+    throw new ValidationError(`Allocations (${total}) exceed the available credit`);
+  }
+
+  const company = await tx.company.findUnique({
+    where: { id: creditNote.companyId },
+    select: { baseCurrency: true }
+  });
+  const creditCurrency = creditNote.currency || company.baseCurrency;
+
+  for (const allocation of allocations) {
+    const amount = parseFloat(allocation.amount);
+
+    const invoice = await tx.invoice.findFirst({
+      where: {
+        id: allocation.invoiceId,
+        companyId: creditNote.companyId,
+        customerId: creditNote.customerId
+      }
+    });
+
+    if (!invoice) {
+      throw new NotFoundError(`Invoice ${allocation.invoiceId} not found for this customer`);
+    }
+
+    if (!OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+      throw new ConflictError(`Invoice ${invoice.invoiceNumber} is not open`);
+    }
+
+    if ((invoice.currency || company.baseCurrency) !== creditCurrency) {
+      throw new ValidationError(`Invoice ${invoice.invoiceNumber} is not in ${creditCurrency}`);
+    }
+
+    const newBalance = roundAmount(invoice.balanceAmount - amount);
+    if (newBalance < -AMOUNT_TOLERANCE) {
+      throw new ValidationError(`Allocation exceeds the balance of invoice ${invoice.invoiceNumber}`);
+    }
+
+    await tx.invoice.update({
+      where: { id: invoice.id },
+      data: {
+        balanceAmount: Math.max(0, newBalance),
+        status: newBalance <= AMOUNT_TOLERANCE ? 'PAID' : (invoice.status === 'SENT' ? 'PARTIALLY_PAID' : invoice.status)
+      }
+    });
+
+    await tx.creditNoteAllocation.create({
+      data: {
+        id: uuidv4(),
+        creditNoteId: creditNote.id,
+        invoiceId: invoice.id,
+        amount,
+        allocationDate: new Date(allocationDate),
+        createdById
+      }
+    });
+
+    // AR was credited at the credit note rate and debited at the invoice rate
+    const gain = roundAmount(toBaseAmount(amount, creditNote.exchangeRate) - toBaseAmount(amount, invoice.exchangeRate));
+    if (gain !== 0) {
+      await postCreditFxDifference(tx, creditNote, invoice, gain, { allocationDate, createdById });
+    }
+  }
+
+  return refreshCreditNoteStatus(tx, creditNote.id);
+};
+
+/**
+ * Pay open credit back to the customer
+ */
+const refundCreditNote = async (tx, creditNote, {
+  amount,
+  refundDate = new Date(),
+  paymentMethod,
+  referenceNumber,
+  notes,
+  exchangeRate,
+  createdById
+}) => {
+  if (!['OPEN', 'PARTIALLY_APPLIED'].includes(creditNote.status)) {
+    throw new ConflictError('Only issued credit notes with open credit can be refunded');
+  }
+
+  const refundAmount = parseFloat(amount);
+  if (!(refundAmount > 0)) {
+    throw new ValidationError('Valid refund amount is required');
+  }
+
+  const claimed = await tx.creditNote.updateMany({
+    where: { id: creditNote.id, balanceAmount: { gte: refundAmount - AMOUNT_TOLERANCE } },
+    data: {
+      refundedAmount: { increment: refundAmount },
+      balanceAmount: { decrement: refundAmount }
+    }
+  });
+
+  if (claimed.count === 0) {
+    throw new ValidationError('Refund amount exceeds the available credit');
+  }
+
+  const refundCurrency = await resolvePaymentCurrency(tx, creditNote.companyId, creditNote, {
+    exchangeRate,
+    date: refundDate
+  });
+
+  const refund = await tx.creditNoteRefund.create({
+    data: {
+      id: uuidv4(),
+      creditNoteId: creditNote.id,
+      refundDate: new Date(refundDate),
+      amount: refundAmount,
+      exchangeRate: refundCurrency.exchangeRate,
+      paymentMethod,
+      referenceNumber,
+      notes,
+      createdById
+    }
+  });
+
+  const clearedAmount = toBaseAmount(refundAmount, creditNote.exchangeRate);
+
+  await createRefundAccountingEntries(tx, creditNote, refund, refundCurrency.currency);
+
+  await tx.customer.update({
+    where: { id: creditNote.customerId },
+    data: {
+      balance: {
+        increment: clearedAmount
+      }
+    }
+  });
+
+  return refreshCreditNoteStatus(tx, creditNote.id);
+};
+
+/**
+ * Apply a newly issued credit note to the invoice it credits, up to the
+ * invoice's open balance. Any remaining credit stays open.
+ */
+const applyToSourceInvoice = async (tx, creditNote, invoice, createdById) => {
+  if (!invoice || !OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+    return creditNote;
+  }
+
+  const amount = Math.min(invoice.balanceAmount, creditNote.balanceAmount);
+  if (amount <= 0) return creditNote;
+
+  return applyCreditNote(tx, creditNote, [{ invoiceId: invoice.id, amount }], {
+    allocationDate: creditNote.creditNoteDate,
+    createdById
+  });
+};
+
+/**
+ * Queue the credit_note_issued email with the PDF attached.
+ * Returns null when the customer has no email address.
+ */
+const emailCreditNote = async (db, creditNote) => {
+  if (!creditNote.customer.email) return null;
+
+  const company = await db.company.findUnique({ where: { id: creditNote.companyId } });
+
+  return sendTemplatedEmail(db, {
+    companyId: creditNote.companyId,
+    template: 'credit_note_issued',
+    context: { creditNote, customer: creditNote.customer, company },
+    to: creditNote.customer.email,
+    attachments: [{ type: 'credit_note_pdf', creditNoteId: creditNote.id }],
+    referenceType: 'CREDIT_NOTE',
+    referenceId: creditNote.id
+  });
+};
+
+// Helper function to set status from the remaining credit
+async function refreshCreditNoteStatus(tx, creditNoteId) {
+  const creditNote = await tx.creditNote.findUnique({
+    where: { id: creditNoteId }
+  });
+
+  const status = creditNote.balanceAmount <= AMOUNT_TOLERANCE ? 'CLOSED' : 'PARTIALLY_APPLIED';
+
+  return tx.creditNote.update({
+    where: { id: creditNoteId },
+    data: { status },
+    include: {
+      customer: true,
+      items: true,
+      allocations: { include: { invoice: { select: { id: true, invoiceNumber: true } } } },
+      refunds: true
+    }
+  });
+}
+
+// Helper function to post the revenue and tax reversal for a credit note
+async function createCreditNoteAccountingEntries(tx, creditNote) {
+  const {
+    ACCOUNTS_RECEIVABLE: receivableAccount,
+    SALES_REVENUE: revenueAccount,
+    OUTPUT_TAX: taxPayableAccount
+  } = await resolveAccounts(tx, creditNote.companyId, ['ACCOUNTS_RECEIVABLE', 'SALES_REVENUE', 'OUTPUT_TAX']);
+
+  // Tax takes the rounding difference so the converted entry balances
+  const receivableAmount = toBaseAmount(creditNote.totalAmount, creditNote.exchangeRate);
+  const revenueAmount = toBaseAmount(creditNote.subtotal - creditNote.discountAmount, creditNote.exchangeRate);
+
+  return postJournalEntry(tx, {
+    companyId: creditNote.companyId,
+    entryDate: creditNote.creditNoteDate,
+    description: `Credit Note ${creditNote.creditNoteNumber}`,
+    createdById: creditNote.createdById,
+    referenceType: 'credit_note',
+    referenceId: creditNote.id,
+    lines: [
+      {
+        account: revenueAccount,
+        debitAmount: revenueAmount,
+        description: `Revenue reversal - ${creditNote.creditNoteNumber}`
+      },
+      {
+        account: taxPayableAccount,
+        debitAmount: receivableAmount - revenueAmount,
+        description: `Tax reversal - ${creditNote.creditNoteNumber}`
+      },
+      {
+        account: receivableAccount,
+        creditAmount: receivableAmount,
+        description: `Credit note - ${creditNote.creditNoteNumber}`
+      }
+    ]
+  });
+}
+
+// Helper function to clear the AR left by a rate difference between credit note and invoice
+async function postCreditFxDifference(tx, creditNote, invoice, gain, { allocationDate, createdById }) {
+  const { ACCOUNTS_RECEIVABLE: receivableAccount } = await resolveAccounts(tx, creditNote.companyId, ['ACCOUNTS_RECEIVABLE']);
+  const description = `Realized FX - ${creditNote.creditNoteNumber} / ${invoice.invoiceNumber}`;
+
+  await postJournalEntry(tx, {
+    companyId: creditNote.companyId,
+    entryDate: allocationDate,
+    description,
+    createdById,
+    referenceType: 'credit_note',
+    referenceId: creditNote.id,
+    lines: [
+      {
+        account: receivableAccount,
+        debitAmount: gain > 0 ? gain : 0,
+        creditAmount: gain < 0 ? -gain : 0,
+        description
+      },
+      ...await fxDifferenceLines(tx, creditNote.companyId, gain, description)
+    ]
+  });
+
+  await tx.customer.update({
+    where: { id: creditNote.customerId },
+    data: { balance: { increment: gain } }
+  });
+}
+
+// Helper function to post a refund: AR back up at the credit note rate, cash out at today's rate
+async function createRefundAccountingEntries(tx, creditNote, refund, currency) {
+  const depositKey = refund.paymentMethod === 'CASH' ? 'CASH' : 'BANK';
+  const {
+    [depositKey]: cashAccount,
+    ACCOUNTS_RECEIVABLE: receivableAccount
+  } = await resolveAccounts(tx, creditNote.companyId, [depositKey, 'ACCOUNTS_RECEIVABLE']);
+
+  const clearedAmount = toBaseAmount(refund.amount, creditNote.exchangeRate);
+  const paidAmount = toBaseAmount(refund.amount, refund.exchangeRate);
+  const fxLines = await fxDifferenceLines(
+    tx,
+    creditNote.companyId,
+    clearedAmount - paidAmount,
+    `Realized FX - ${creditNote.creditNoteNumber}`
+  );
+
+  return postJournalEntry(tx, {
+    companyId: creditNote.companyId,
+    entryDate: refund.refundDate,
+    description: `Refund of Credit Note ${creditNote.creditNoteNumber}`,
+    createdById: refund.createdById,
+    referenceType: 'credit_note_refund',
+    referenceId: refund.id,
+    lines: [
+      {
+        account: receivableAccount,
+        debitAmount: clearedAmount,
+        description: `Credit refunded - ${creditNote.creditNoteNumber}`
+      },
+      {
+        account: cashAccount,
+        creditAmount: paidAmount,
+        foreignAmount: cashAccount.currency === currency ? refund.amount : null,
+        description: `Refund paid - ${creditNote.creditNoteNumber}`
+      },
+      ...fxLines
+    ]
+  });
+}
+
+module.exports = {
+  createCreditNoteRecord,
+  issueCreditNote,
+  applyCreditNote,
+  refundCreditNote,
+  applyToSourceInvoice,
+  emailCreditNote
+};
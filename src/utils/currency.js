@@ -0,0 +1,126 @@
+const { resolveAccounts } = require('./accountMapping');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Multi-currency support
+ *
+ * Document amounts are kept in the document currency. exchangeRate is the
+ * number of base currency units per unit of document currency; the GL and
+ * customer/supplier balances are always in the company's base currency.
+ */
+
+// Differences below this are rounding noise, not FX gain/loss
+const FX_TOLERANCE = 0.005;
+
+// Remaining amounts below this are rounding noise
+const AMOUNT_TOLERANCE = 0.005;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Convert a document amount to base currency
+ */
+const toBaseAmount = (amount, exchangeRate = 1) => {
+  return exchangeRate === 1 ? amount : roundAmount(amount * exchangeRate);
+};
+
+/**
+ * Most recent rate on or before date. Throws if none has been entered.
+ */
+const getExchangeRate = async (db, companyId, currency, date = new Date()) => {
+  const when = new Date(date);
+
+  const rate = await db.exchangeRate.findFirst({
+    where: {
+      companyId,
+      currency,
+      rateDate: { lte: when }
+    },
+    orderBy: { rateDate: 'desc' }
+  });
+
+  if (!rate) {
+    throw new ValidationError(`No exchange rate for ${currency} on or before ${when.toISOString().split('T')[0]}`);
+  }
+
+  return rate.rate;
+};
+
+/**
+ * Work out currency and rate for a new document.
+ * currency defaults to defaultCurrency (the customer's/supplier's), then
+ * to the base currency. A supplied exchangeRate overrides the rate table.
+ */
+const resolveDocumentCurrency = async (db, companyId, { currency, exchangeRate, date, defaultCurrency }) => {
+  const company = await db.company.findUnique({
+    where: { id: companyId },
+    select: { baseCurrency: true }
+  });
+
+  const code = (currency || defaultCurrency || company.baseCurrency).toUpperCase();
+
+  if (code === company.baseCurrency) {
+    return { currency: code, exchangeRate: 1 };
+  }
+
+  const enabled = await db.currency.findFirst({
+    where: { companyId, code, isActive: true }
+  });
+
+  if (!enabled) {
+    throw new ValidationError(`Currency ${code} is not enabled for this company`);
+  }
+
+  if (exchangeRate !== undefined && exchangeRate !== null) {
+    const rate = parseFloat(exchangeRate);
+    if (!(rate > 0)) {
+      throw new ValidationError('Exchange rate must be a positive number');
+    }
+    return { currency: code, exchangeRate: rate };
+  }
+
+  return { currency: code, exchangeRate: await getExchangeRate(db, companyId, code, date) };
+};
+
+/**
+ * Rate for a payment settling a document. Payments are made in the
+ * document's currency; the rate is the one on the payment date.
+ */
+const resolvePaymentCurrency = async (db, companyId, document, { currency, exchangeRate, date }) => {
+  if (currency && document.currency && currency.toUpperCase() !== document.currency) {
+    throw new ValidationError(`Payment currency must match the document currency (${document.currency})`);
+  }
+
+  return resolveDocumentCurrency(db, companyId, {
+    currency: document.currency,
+    exchangeRate,
+    date
+  });
+};
+
+/**
+ * GL line for a realized or unrealized FX difference.
+ * gain > 0 is credited to FX_GAIN, gain < 0 is debited to FX_LOSS.
+ * Returns an empty array when there is no difference.
+ */
+const fxDifferenceLines = async (db, companyId, gain, description) => {
+  if (Math.abs(gain) < FX_TOLERANCE) return [];
+
+  if (gain > 0) {
+    const { FX_GAIN: gainAccount } = await resolveAccounts(db, companyId, ['FX_GAIN']);
+    return [{ account: gainAccount, creditAmount: gain, description }];
+  }
+
+  const { FX_LOSS: lossAccount } = await resolveAccounts(db, companyId, ['FX_LOSS']);
+  return [{ account: lossAccount, debitAmount: -gain, description }];
+};
+
+module.exports = {
+  AMOUNT_TOLERANCE,
+  roundAmount,
+  toBaseAmount,
+  getExchangeRate,
+  resolveDocumentCurrency,
+  resolvePaymentCurrency,
+  fxDifferenceLines
+};
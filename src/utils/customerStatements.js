@@ -0,0 +1,264 @@
+const { calculateAging } = require('./helpers');
+const { roundAmount } = require('./currency');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Customer statements of account
+ *
+ * A statement covers one customer in one currency (the customer's, unless
+ * asked otherwise) over a period: the balance brought forward, every
+ * invoice, receipt, credit note (including those raised by returns) and
+ * refund in date order with a running balance, and an aging footer of
+ * what was still open at the end of the period. Amounts are in the
+ * statement currency, as printed on the documents.
+ */
+
+const AGING_BUCKETS = ['current', '1-30', '31-60', '61-90', 'over90'];
+
+const EXCLUDED_INVOICE_STATUSES = ['DRAFT', 'CANCELLED'];
+
+// Same-day transactions: documents before the money that settles them
+const TYPE_ORDER = { INVOICE: 0, CREDIT_NOTE_REFUND: 1, RETURN: 2, CREDIT_NOTE: 2, PAYMENT: 3 };
+
+/**
+ * Resolve the statement period. `to` defaults to today and is inclusive;
+ * `from` defaults to the first day of that month.
+ */
+const parseStatementPeriod = ({ from, to } = {}) => {
+  const end = to ? new Date(to) : new Date();
+  if (isNaN(end.getTime())) {
+    throw new ValidationError('Invalid statement end date');
+  }
+  end.setUTCHours(23, 59, 59, 999);
+
+  const start = from ? new Date(from) : new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), 1));
+  if (isNaN(start.getTime())) {
+    throw new ValidationError('Invalid statement start date');
+  }
+
+  if (start > end) {
+    throw new ValidationError('Statement start date must be on or before the end date');
+  }
+
+  return { from: start, to: end };
+};
+
+/**
+ * Build a statement of account. customer needs id, companyId and
+ * currency; the result carries company and customer for rendering.
+ */
+const buildCustomerStatement = async (db, customer, { from, to, currency } = {}) => {
+  const period = parseStatementPeriod({ from, to });
+
+  const [company, party] = await Promise.all([
+    db.company.findUnique({ where: { id: customer.companyId } }),
+    db.customer.findUnique({ where: { id: customer.id } })
+  ]);
+
+  const code = (currency || party.currency || company.baseCurrency).toUpperCase();
+
+  // Documents without a currency are in the base currency
+  const inCurrency = code === company.baseCurrency
+    ? { OR: [{ currency: code }, { currency: null }] }
+    : { currency: code };
+
+  const scope = { customerId: party.id, companyId: party.companyId };
+  const invoiceWhere = { ...scope, ...inCurrency, status: { notIn: EXCLUDED_INVOICE_STATUSES } };
+  const paymentWhere = { ...scope, ...inCurrency, type: 'INCOMING', status: 'COMPLETED' };
+  const creditNoteWhere = { ...scope, ...inCurrency, status: { not: 'DRAFT' } };
+  const refundWhere = { creditNote: creditNoteWhere };
+
+  const before = { lt: period.from };
+  const during = { gte: period.from, lte: period.to };
+
+  const [
+    invoicesBefore,
+    paymentsBefore,
+    creditNotesBefore,
+    refundsBefore,
+    invoices,
+    payments,
+    creditNotes,
+    refunds,
+    openInvoices
+  ] = await Promise.all([
+    db.invoice.aggregate({ where: { ...invoiceWhere, invoiceDate: before }, _sum: { totalAmount: true } }),
+    db.payment.aggregate({ where: { ...paymentWhere, paymentDate: before }, _sum: { amount: true } }),
+    db.creditNote.aggregate({ where: { ...creditNoteWhere, creditNoteDate: before }, _sum: { totalAmount: true } }),
+    db.creditNoteRefund.aggregate({ where: { ...refundWhere, refundDate: before }, _sum: { amount: true } }),
+    db.invoice.findMany({
+      where: { ...invoiceWhere, invoiceDate: during },
+      select: { id: true, invoiceNumber: true, invoiceDate: true, dueDate: true, totalAmount: true }
+    }),
+    db.payment.findMany({
+      where: { ...paymentWhere, paymentDate: during },
+      select: {
+        id: true,
+        paymentNumber: true,
+        paymentDate: true,
+        amount: true,
+        paymentMethod: true,
+        referenceNumber: true,
+        invoice: { select: { invoiceNumber: true } }
+      }
+    }),
+    db.creditNote.findMany({
+      where: { ...creditNoteWhere, creditNoteDate: during },
+      select: {
+        id: true,
+        creditNoteNumber: true,
+        creditNoteDate: true,
+        totalAmount: true,
+        invoice: { select: { invoiceNumber: true } },
+        salesReturn: { select: { returnNumber: true } }
+      }
+    }),
+    db.creditNoteRefund.findMany({
+      where: { ...refundWhere, refundDate: during },
+      select: {
+        id: true,
+        refundDate: true,
+        amount: true,
+        paymentMethod: true,
+        referenceNumber: true,
+        creditNote: { select: { creditNoteNumber: true } }
+      }
+    }),
+    loadInvoicesOpenAt(db, invoiceWhere, period.to)
+  ]);
+
+  const openingBalance = roundAmount(
+    (invoicesBefore._sum.totalAmount || 0) -
+    (paymentsBefore._sum.amount || 0) -
+    (creditNotesBefore._sum.totalAmount || 0) +
+    (refundsBefore._sum.amount || 0)
+  );
+
+  const transactions = [
+    ...invoices.map(invoice => ({
+      id: invoice.id,
+      date: invoice.invoiceDate,
+      type: 'INVOICE',
+      reference: invoice.invoiceNumber,
+      description: `Invoice, due ${invoice.dueDate.toISOString().split('T')[0]}`,
+      debit: invoice.totalAmount,
+      credit: 0
+    })),
+    ...payments.map(payment => ({
+      id: payment.id,
+      date: payment.paymentDate,
+      type: 'PAYMENT',
+      reference: payment.paymentNumber,
+      description: `Payment received${payment.invoice ? ` - ${payment.invoice.invoiceNumber}` : ''}${payment.referenceNumber ? ` (${payment.referenceNumber})` : ''}`,
+      debit: 0,
+      credit: payment.amount
+    })),
+    ...creditNotes.map(creditNote => ({
+      id: creditNote.id,
+      date: creditNote.creditNoteDate,
+      type: creditNote.salesReturn ? 'RETURN' : 'CREDIT_NOTE',
+      reference: creditNote.creditNoteNumber,
+      description: creditNote.salesReturn
+        ? `Goods returned - ${creditNote.salesReturn.returnNumber}`
+        : `Credit note${creditNote.invoice ? ` - ${creditNote.invoice.invoiceNumber}` : ''}`,
+      debit: 0,
+      credit: creditNote.totalAmount
+    })),
+    ...refunds.map(refund => ({
+      id: refund.id,
+      date: refund.refundDate,
+      type: 'CREDIT_NOTE_REFUND',
+      reference: refund.creditNote.creditNoteNumber,
+      description: `Refund of credit note${refund.referenceNumber ? ` (${refund.referenceNumber})` : ''}`,
+      debit: refund.amount,
+      credit: 0
+    }))
+  ].sort((a, b) => new Date(a.date) - new Date(b.date) || TYPE_ORDER[a.type] - TYPE_ORDER[b.type]);
+
+  let runningBalance = openingBalance;
+  const lines = transactions.map(transaction => {
+    runningBalance = roundAmount(runningBalance + transaction.debit - transaction.credit);
+    return { ...transaction, balance: runningBalance };
+  });
+
+  const closingBalance = runningBalance;
+
+  const aging = Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket, 0]));
+  for (const invoice of openInvoices) {
+    const bucket = calculateAging(invoice.dueDate, period.to);
+    aging[bucket] = roundAmount(aging[bucket] + invoice.openAmount);
+  }
+
+  // Receipts and credit notes not yet applied to an invoice
+  const openInvoiceTotal = roundAmount(AGING_BUCKETS.reduce((sum, bucket) => sum + aging[bucket], 0));
+  const unappliedCredit = roundAmount(Math.max(0, openInvoiceTotal - closingBalance));
+
+  return {
+    company,
+    customer: party,
+    currency: code,
+    from: period.from,
+    to: period.to,
+    openingBalance,
+    lines,
+    totals: {
+      debits: roundAmount(lines.reduce((sum, line) => sum + line.debit, 0)),
+      credits: roundAmount(lines.reduce((sum, line) => sum + line.credit, 0))
+    },
+    closingBalance,
+    aging: {
+      ...aging,
+      unappliedCredit,
+      overdue: roundAmount(openInvoiceTotal - aging.current),
+      total: closingBalance
+    }
+  };
+};
+
+// Helper function to work out what was still owed on each invoice at a date
+async function loadInvoicesOpenAt(db, invoiceWhere, asOf) {
+  const invoices = await db.invoice.findMany({
+    where: { ...invoiceWhere, invoiceDate: { lte: asOf } },
+    select: {
+      id: true,
+      invoiceNumber: true,
+      dueDate: true,
+      totalAmount: true,
+      payments: {
+        where: { status: 'COMPLETED', paymentDate: { lte: asOf } },
+        select: { amount: true }
+      },
+      paymentAllocations: {
+        where: {
+          allocationDate: { lte: asOf },
+          OR: [{ unappliedAt: null }, { unappliedAt: { gt: asOf } }],
+          payment: { status: 'COMPLETED' }
+        },
+        select: { amount: true }
+      },
+      creditNoteAllocations: {
+        where: { allocationDate: { lte: asOf } },
+        select: { amount: true }
+      }
+    }
+  });
+
+  const sum = rows => rows.reduce((total, row) => total + row.amount, 0);
+
+  return invoices
+    .map(invoice => ({
+      id: invoice.id,
+      invoiceNumber: invoice.invoiceNumber,
+      dueDate: invoice.dueDate,
+      openAmount: roundAmount(
+        invoice.totalAmount - sum(invoice.payments) - sum(invoice.paymentAllocations) - sum(invoice.creditNoteAllocations)
+      )
+    }))
+    .filter(invoice => invoice.openAmount > 0);
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  parseStatementPeriod,
+  buildCustomerStatement
+};
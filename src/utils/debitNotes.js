@@ -0,0 +1,446 @@
+const { v4: uuidv4 } = require('uuid');
+const { resolveAccounts } = require('./accountMapping');
+const { postJournalEntry } = require('./posting');
+const { calculateInvoiceItems } = require('./invoicing');
+const { allocateNumber } = require('./numbering');
+const { AMOUNT_TOLERANCE, roundAmount, toBaseAmount, resolvePaymentCurrency, fxDifferenceLines } = require('./currency');
+const { ValidationError, ConflictError, NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Debit notes (vendor credits)
+ *
+ * The purchase-side counterpart of credit notes. Issuing a debit note
+ * reverses purchases and input tax against AP and lowers what we owe the
+ * supplier. The open credit is then applied to the supplier's bills or
+ * refunded by the supplier; both are tracked on the debit note.
+ * Stock is not moved here: goods going back go through a purchase return.
+ */
+
+const OPEN_BILL_STATUSES = ['APPROVED', 'PARTIALLY_PAID', 'OVERDUE'];
+
+/**
+ * Create a DRAFT debit note. currency/exchangeRate come from the credited
+ * bill or resolveDocumentCurrency.
+ */
+const createDebitNoteRecord = async (tx, {
+  companyId,
+  supplier,
+  billId = null,
+  purchaseReturnId = null,
+  debitNoteDate = new Date(),
+  items,
+  reason,
+  notes,
+  currency = null,
+  exchangeRate = 1,
+  createdById
+}) => {
+  const totals = calculateInvoiceItems(items);
+
+  return tx.debitNote.create({
+    data: {
+      id: uuidv4(),
+      debitNoteNumber: await allocateNumber(tx, companyId, 'DEBIT_NOTE', { date: debitNoteDate }),
+      supplierId: supplier.id,
+      companyId,
+      billId,
+      purchaseReturnId,
+      debitNoteDate: new Date(debitNoteDate),
+      subtotal: totals.subtotal,
+      discountAmount: totals.discountAmount,
+      taxAmount: totals.taxAmount,
+      totalAmount: totals.totalAmount,
+      balanceAmount: totals.totalAmount,
+      currency,
+      exchangeRate,
+      status: 'DRAFT',
+      reason,
+      notes,
+      createdById,
+      items: {
+        create: totals.items.map(item => ({
+          id: uuidv4(),
+          ...item
+        }))
+      }
+    },
+    include: {
+      supplier: true,
+      items: true
+    }
+  });
+};
+
+/**
+ * Issue a DRAFT debit note: post it to the GL and take it off the
+ * supplier's balance (both in base currency).
+ */
+const issueDebitNote = async (tx, debitNote) => {
+  // Claim the draft so it can't be issued twice
+  const claimed = await tx.debitNote.updateMany({
+    where: { id: debitNote.id, status: 'DRAFT' },
+    data: { status: 'OPEN' }
+  });
+
+  if (claimed.count === 0) {
+    throw new ConflictError(`Debit note ${debitNote.debitNoteNumber} has already been issued`);
+  }
+
+  await createDebitNoteAccountingEntries(tx, debitNote);
+
+  await tx.supplier.update({
+    where: { id: debitNote.supplierId },
+    data: {
+      balance: {
+        decrement: toBaseAmount(debitNote.totalAmount, debitNote.exchangeRate)
+      }
+    }
+  });
+
+  return tx.debitNote.findUnique({
+    where: { id: debitNote.id },
+    include: { supplier: true, items: true }
+  });
+};
+
+/**
+ * Apply open credit to open bills of the same supplier.
+ * allocations: [{ billId, amount }]
+ */
+const applyDebitNote = async (tx, debitNote, allocations, { allocationDate = new Date(), createdById }) => {
+  if (!['OPEN', 'PARTIALLY_APPLIED'].includes(debitNote.status)) {
+    throw new ConflictError('Only issued debit notes with open credit can be applied');
+  }
+
+  if (!Array.isArray(allocations) || allocations.length === 0) {
+    throw new ValidationError('At least one bill allocation is required');
+  }
+
+  const total = roundAmount(allocations.reduce((sum, allocation) => sum + (parseFloat(allocation.amount) || 0), 0));
+
+  if (allocations.some(allocation => !(parseFloat(allocation.amount) > 0))) {
+    throw new ValidationError('Allocation amounts must be positive');
+  }
+
+  // Take the credit first; a concurrent application sees the lower balance
+  const claimed = await tx.debitNote.updateMany({
+    where: { id: debitNote.id, balanceAmount: { gte: total - AMOUNT_TOLERANCE } },
+    data: {
+      appliedAmount: { increment: total },
+      balanceAmount: { decrement: total }
+    }
+  });
+
+  if (claimed.count === 0) {
+    throw new ValidationError(`Allocations (${total}) exceed the available credit`);
+  }
+
+  const company = await tx.company.findUnique({
+    where: { id: debitNote.companyId },
+    select: { baseCurrency: true }
+  });
+  const creditCurrency = debitNote.currency || company.baseCurrency;
+
+  for (const allocation of allocations) {
+    const amount = parseFloat(allocation.amount);
+
+    const bill = await tx.bill.findFirst({
+      where: {
+        id: allocation.billId,
+        companyId: debitNote.companyId,
+        supplierId: debitNote.supplierId
+      }
+    });
+
+    if (!bill) {
+      throw new NotFoundError(`Bill ${allocation.billId} not found for this supplier`);
+    }
+
+    if (!OPEN_BILL_STATUSES.includes(bill.status)) {
+      throw new ConflictError(`Bill ${bill.billNumber} is not open`);
+    }
+
+    if ((bill.currency || company.baseCurrency) !== creditCurrency) {
+      throw new ValidationError(`Bill ${bill.billNumber} is not in ${creditCurrency}`);
+    }
+
+    const newBalance = roundAmount(bill.balanceAmount - amount);
+    if (newBalance < -AMOUNT_TOLERANCE) {
+      throw new ValidationError(`Allocation exceeds the balance of bill ${bill.billNumber}`);
+    }
+
+    await tx.bill.update({
+      where: { id: bill.id },
+      data: {
+        balanceAmount: Math.max(0, newBalance),
+        status: newBalance <= AMOUNT_TOLERANCE ? 'PAID' : (bill.status === 'APPROVED' ? 'PARTIALLY_PAID' : bill.status)
+      }
+    });
+
+    await tx.debitNoteAllocation.create({
+      data: {
+        id: uuidv4(),
+        debitNoteId: debitNote.id,
+        billId: bill.id,
+        amount,
+        allocationDate: new Date(allocationDate),
+        createdById
+      }
+    });
+
+    // AP was credited at the bill rate and debited at the debit note rate
+    const gain = roundAmount(toBaseAmount(amount, bill.exchangeRate) - toBaseAmount(amount, debitNote.exchangeRate));
+    if (gain !== 0) {
+      await postDebitFxDifference(tx, debitNote, bill, gain, { allocationDate, createdById });
+    }
+  }
+
+  return refreshDebitNoteStatus(tx, debitNote.id);
+};
+
+/**
+ * Record the supplier paying open credit back to us
+ */
+const refundDebitNote = async (tx, debitNote, {
+  amount,
+  refundDate = new Date(),
+  paymentMethod,
+  referenceNumber,
+  notes,
+  exchangeRate,
+  createdById
+}) => {
+  if (!['OPEN', 'PARTIALLY_APPLIED'].includes(debitNote.status)) {
+    throw new ConflictError('Only issued debit notes with open credit can be refunded');
+  }
+
+  const refundAmount = parseFloat(amount);
+  if (!(refundAmount > 0)) {
+    throw new ValidationError('Valid refund amount is required');
+  }
+
+  const claimed = await tx.debitNote.updateMany({
+    where: { id: debitNote.id, balanceAmount: { gte: refundAmount - AMOUNT_TOLERANCE } },
+    data: {
+      refundedAmount: { increment: refundAmount },
+      balanceAmount: { decrement: refundAmount }
+    }
+  });
+
+  if (claimed.count === 0) {
+    throw new ValidationError('Refund amount exceeds the available credit');
+  }
+
+  const refundCurrency = await resolvePaymentCurrency(tx, debitNote.companyId, debitNote, {
+    exchangeRate,
+    date: refundDate
+  });
+
+  const refund = await tx.debitNoteRefund.create({
+    data: {
+      id: uuidv4(),
+      debitNoteId: debitNote.id,
+      refundDate: new Date(refundDate),
+      amount: refundAmount,
+      exchangeRate: refundCurrency.exchangeRate,
+      paymentMethod,
+      referenceNumber,
+      notes,
+      createdById
+    }
+  });
+
+  await createRefundAccountingEntries(tx, debitNote, refund, refundCurrency.currency);
+
+  await tx.supplier.update({
+    where: { id: debitNote.supplierId },
+    data: {
+      balance: {
+        increment: toBaseAmount(refundAmount, debitNote.exchangeRate)
+      }
+    }
+  });
+
+  return refreshDebitNoteStatus(tx, debitNote.id);
+};
+
+/**
+ * Apply a newly issued debit note to the bill it credits, up to the
+ * bill's open balance. Any remaining credit stays open.
+ */
+const applyToSourceBill = async (tx, debitNote, bill, createdById) => {
+  if (!bill || !OPEN_BILL_STATUSES.includes(bill.status)) {
+    return debitNote;
+  }
+
+  const amount = Math.min(bill.balanceAmount, debitNote.balanceAmount);
+  if (amount <= 0) return debitNote;
+
+  return applyDebitNote(tx, debitNote, [{ billId: bill.id, amount }], {
+    allocationDate: debitNote.debitNoteDate,
+    createdById
+  });
+};
+
+/**
+ * Apply vendor credits to one bill as part of settling it.
+ * debitNotes: [{ debitNoteId, amount }]
+ */
+const applyDebitNotesToBill = async (tx, bill, debitNotes, { allocationDate = new Date(), createdById }) => {
+  const applied = [];
+
+  for (const entry of debitNotes) {
+    const debitNote = await tx.debitNote.findFirst({
+      where: { id: entry.debitNoteId, companyId: bill.companyId }
+    });
+
+    if (!debitNote) {
+      throw new NotFoundError(`Debit note ${entry.debitNoteId} not found`);
+    }
+
+    applied.push(await applyDebitNote(tx, debitNote, [{ billId: bill.id, amount: entry.amount }], {
+      allocationDate,
+      createdById
+    }));
+  }
+
+  return applied;
+};
+
+// Helper function to set status from the remaining credit
+async function refreshDebitNoteStatus(tx, debitNoteId) {
+  const debitNote = await tx.debitNote.findUnique({
+    where: { id: debitNoteId }
+  });
+
+  const status = debitNote.balanceAmount <= AMOUNT_TOLERANCE ? 'CLOSED' : 'PARTIALLY_APPLIED';
+
+  return tx.debitNote.update({
+    where: { id: debitNoteId },
+    data: { status },
+    include: {
+      supplier: true,
+      items: true,
+      allocations: { include: { bill: { select: { id: true, billNumber: true } } } },
+      refunds: true
+    }
+  });
+}
+
+// Helper function to post the purchases and input tax reversal for a debit note
+async function createDebitNoteAccountingEntries(tx, debitNote) {
+  const {
+    ACCOUNTS_PAYABLE: payableAccount,
+    PURCHASES: purchasesAccount,
+    INPUT_TAX: inputTaxAccount
+  } = await resolveAccounts(tx, debitNote.companyId, ['ACCOUNTS_PAYABLE', 'PURCHASES', 'INPUT_TAX']);
+
+  // Tax takes the rounding difference so the converted entry balances
+  const payableAmount = toBaseAmount(debitNote.totalAmount, debitNote.exchangeRate);
+  const purchasesAmount = toBaseAmount(debitNote.subtotal - debitNote.discountAmount, debitNote.exchangeRate);
+
+  return postJournalEntry(tx, {
+    companyId: debitNote.companyId,
+    entryDate: debitNote.debitNoteDate,
+    description: `Debit Note ${debitNote.debitNoteNumber}`,
+    createdById: debitNote.createdById,
+    referenceType: 'debit_note',
+    referenceId: debitNote.id,
+    lines: [
+      {
+        account: payableAccount,
+        debitAmount: payableAmount,
+        description: `Debit note - ${debitNote.debitNoteNumber}`
+      },
+      {
+        account: purchasesAccount,
+        creditAmount: purchasesAmount,
+        description: `Purchases reversal - ${debitNote.debitNoteNumber}`
+      },
+      {
+        account: inputTaxAccount,
+        creditAmount: payableAmount - purchasesAmount,
+        description: `Input tax reversal - ${debitNote.debitNoteNumber}`
+      }
+    ]
+  });
+}
+
+// Helper function to clear the AP left by a rate difference between debit note and bill
+async function postDebitFxDifference(tx, debitNote, bill, gain, { allocationDate, createdById }) {
+  const { ACCOUNTS_PAYABLE: payableAccount } = await resolveAccounts(tx, debitNote.companyId, ['ACCOUNTS_PAYABLE']);
+  const description = `Realized FX - ${debitNote.debitNoteNumber} / ${bill.billNumber}`;
+
+  await postJournalEntry(tx, {
+    companyId: debitNote.companyId,
+    entryDate: allocationDate,
+    description,
+    createdById,
+    referenceType: 'debit_note',
+    referenceId: debitNote.id,
+    lines: [
+      {
+        account: payableAccount,
+        debitAmount: gain > 0 ? gain : 0,
+        creditAmount: gain < 0 ? -gain : 0,
+        description
+      },
+      ...await fxDifferenceLines(tx, debitNote.companyId, gain, description)
+    ]
+  });
+
+  await tx.supplier.update({
+    where: { id: debitNote.supplierId },
+    data: { balance: { decrement: gain } }
+  });
+}
+
+// Helper function to post a refund: AP back up at the debit note rate, cash in at today's rate
+async function createRefundAccountingEntries(tx, debitNote, refund, currency) {
+  const depositKey = refund.paymentMethod === 'CASH' ? 'CASH' : 'BANK';
+  const {
+    [depositKey]: cashAccount,
+    ACCOUNTS_PAYABLE: payableAccount
+  } = await resolveAccounts(tx, debitNote.companyId, [depositKey, 'ACCOUNTS_PAYABLE']);
+
+  const clearedAmount = toBaseAmount(refund.amount, debitNote.exchangeRate);
+  const receivedAmount = toBaseAmount(refund.amount, refund.exchangeRate);
+  const fxLines = await fxDifferenceLines(
+    tx,
+    debitNote.companyId,
+    receivedAmount - clearedAmount,
+    `Realized FX - ${debitNote.debitNoteNumber}`
+  );
+
+  return postJournalEntry(tx, {
+    companyId: debitNote.companyId,
+    entryDate: refund.refundDate,
+    description: `Refund of Debit Note ${debitNote.debitNoteNumber}`,
+    createdById: refund.createdById,
+    referenceType: 'debit_note_refund',
+    referenceId: refund.id,
+    lines: [
+      {
+        account: cashAccount,
+        debitAmount: receivedAmount,
+        foreignAmount: cashAccount.currency === currency ? refund.amount : null,
+        description: `Refund received - ${debitNote.debitNoteNumber}`
+      },
+      {
+        account: payableAccount,
+        creditAmount: clearedAmount,
+        description: `Credit refunded - ${debitNote.debitNoteNumber}`
+      },
+      ...fxLines
+    ]
+  });
+}
+
+module.exports = {
+  createDebitNoteRecord,
+  issueDebitNote,
+  applyDebitNote,
+  refundDebitNote,
+  applyToSourceBill,
+  applyDebitNotesToBill
+};
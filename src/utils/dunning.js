@@ -0,0 +1,413 @@
+const { v4: uuidv4 } = require('uuid');
+const { resolveAccounts } = require('./accountMapping');
+const { postJournalEntry } = require('./posting');
+const { createInvoiceRecord } = require('./invoicing');
+const { queueEmail } = require('./emailOutbox');
+const { AMOUNT_TOLERANCE, roundAmount, toBaseAmount, resolveDocumentCurrency } = require('./currency');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Dunning
+ *
+ * A scheduled run first moves SENT/PARTIALLY_PAID invoices past their due
+ * date to OVERDUE, then sends reminders by dunning level. An invoice gets
+ * the highest level it has reached and not yet been sent, so a run that
+ * was skipped for a while sends one reminder rather than several.
+ * Each reminder is recorded as a DunningNotice together with its late fee
+ * (if the level charges one) and queued email, in one transaction.
+ * A SEPARATE_INVOICE fee is due on the customer's usual terms and is not
+ * dunned itself.
+ */
+
+const LATE_FEE_TYPES = ['NONE', 'FIXED', 'PERCENT'];
+const LATE_FEE_MODES = ['INVOICE_LINE', 'SEPARATE_INVOICE'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a dunning level body. Returns an error message, or null if valid.
+ */
+const validateDunningLevel = (level) => {
+  if (!(parseInt(level.level) > 0)) {
+    return 'Level must be a positive number';
+  }
+
+  if (!level.name) {
+    return 'Name is required';
+  }
+
+  if (!(parseInt(level.daysOverdue) >= 0)) {
+    return 'Days overdue must be zero or more';
+  }
+
+  if (level.lateFeeType && !LATE_FEE_TYPES.includes(level.lateFeeType)) {
+    return `Late fee type must be one of: ${LATE_FEE_TYPES.join(', ')}`;
+  }
+
+  if (level.lateFeeMode && !LATE_FEE_MODES.includes(level.lateFeeMode)) {
+    return `Late fee mode must be one of: ${LATE_FEE_MODES.join(', ')}`;
+  }
+
+  if (level.lateFeeType && level.lateFeeType !== 'NONE' && !(parseFloat(level.lateFeeValue) > 0)) {
+    return 'Late fee value must be positive';
+  }
+
+  return null;
+};
+
+/**
+ * Whole days an invoice is past its due date on asOf
+ */
+const getDaysOverdue = (dueDate, asOf = new Date()) => {
+  return Math.floor((new Date(asOf) - new Date(dueDate)) / DAY_MS);
+};
+
+/**
+ * Late fee for a level on an open balance, in the invoice currency
+ */
+const calculateLateFee = (level, balanceAmount) => {
+  if (level.lateFeeType === 'FIXED') return roundAmount(level.lateFeeValue);
+  if (level.lateFeeType === 'PERCENT') return roundAmount(balanceAmount * level.lateFeeValue / 100);
+  return 0;
+};
+
+/**
+ * Move open invoices past their due date to OVERDUE.
+ * Returns the number of invoices updated.
+ */
+const markOverdueInvoices = async (db, { asOf = new Date(), companyId } = {}) => {
+  const startOfDay = new Date(asOf);
+  startOfDay.setUTCHours(0, 0, 0, 0);
+
+  const where = {
+    status: { in: ['SENT', 'PARTIALLY_PAID'] },
+    dueDate: { lt: startOfDay },
+    balanceAmount: { gt: AMOUNT_TOLERANCE }
+  };
+  if (companyId) where.companyId = companyId;
+
+  const { count } = await db.invoice.updateMany({
+    where,
+    data: { status: 'OVERDUE' }
+  });
+
+  return count;
+};
+
+/**
+ * The level an overdue invoice is due for, or null: the highest active
+ * level it has reached that is above the last one sent.
+ * levels must be sorted by level ascending.
+ */
+const findDueLevel = (levels, invoice, asOf) => {
+  const daysOverdue = getDaysOverdue(invoice.dueDate, asOf);
+
+  return levels
+    .filter(level => level.level > invoice.dunningLevel && daysOverdue >= level.daysOverdue)
+    .pop() || null;
+};
+
+/**
+ * Send one dunning level for an invoice: late fee, notice and email.
+ * Call inside a transaction. Returns the notice, or null if another run
+ * already sent this level.
+ */
+const sendDunningNotice = async (tx, invoice, level, { asOf = new Date() } = {}) => {
+  // Claim the level so concurrent runs can't send it twice
+  const claimed = await tx.invoice.updateMany({
+    where: { id: invoice.id, dunningLevel: invoice.dunningLevel, status: 'OVERDUE' },
+    data: { dunningLevel: level.level, lastDunnedAt: new Date(asOf) }
+  });
+
+  if (claimed.count === 0) {
+    return null;
+  }
+
+  const daysOverdue = getDaysOverdue(invoice.dueDate, asOf);
+  const lateFee = calculateLateFee(level, invoice.balanceAmount);
+
+  let lateFeeInvoice = null;
+  if (lateFee > 0 && level.lateFeeMode === 'SEPARATE_INVOICE') {
+    lateFeeInvoice = await chargeLateFeeInvoice(tx, invoice, level, lateFee, asOf);
+  } else if (lateFee > 0) {
+    await addLateFeeLine(tx, invoice, level, lateFee, asOf);
+  }
+
+  const noticeId = uuidv4();
+  let emailMessageId = null;
+
+  if (invoice.customer.email) {
+    const updatedInvoice = await tx.invoice.findUnique({ where: { id: invoice.id } });
+
+    const message = await queueEmail(tx, {
+      companyId: invoice.companyId,
+      template: 'dunning_reminder',
+      context: {
+        invoice: updatedInvoice,
+        customer: invoice.customer,
+        company: invoice.company,
+        level,
+        daysOverdue,
+        lateFee,
+        lateFeeInvoice
+      },
+      to: invoice.customer.email,
+      attachments: [
+        { type: 'invoice_pdf', invoiceId: invoice.id },
+        ...(lateFeeInvoice ? [{ type: 'invoice_pdf', invoiceId: lateFeeInvoice.id }] : [])
+      ],
+      referenceType: 'DUNNING_NOTICE',
+      referenceId: noticeId
+    });
+    emailMessageId = message.id;
+  }
+
+  return tx.dunningNotice.create({
+    data: {
+      id: noticeId,
+      companyId: invoice.companyId,
+      customerId: invoice.customerId,
+      invoiceId: invoice.id,
+      dunningLevelId: level.id,
+      level: level.level,
+      daysOverdue,
+      balanceAmount: invoice.balanceAmount,
+      lateFeeAmount: lateFee,
+      lateFeeInvoiceId: lateFeeInvoice ? lateFeeInvoice.id : null,
+      emailMessageId
+    }
+  });
+};
+
+/**
+ * Mark overdue invoices and send the reminders that are due, for all
+ * companies or one. Each reminder runs in its own transaction; failures
+ * are reported and retried on the next run.
+ */
+const processDunning = async (db, { asOf = new Date(), companyId, dryRun = false } = {}) => {
+  const summary = {
+    markedOverdue: dryRun ? 0 : await markOverdueInvoices(db, { asOf, companyId }),
+    sent: 0,
+    failed: 0,
+    notices: []
+  };
+
+  const levelWhere = { isActive: true };
+  if (companyId) levelWhere.companyId = companyId;
+
+  const levels = await db.dunningLevel.findMany({
+    where: levelWhere,
+    orderBy: [{ companyId: 'asc' }, { level: 'asc' }]
+  });
+
+  const levelsByCompany = new Map();
+  levels.forEach(level => {
+    if (!levelsByCompany.has(level.companyId)) levelsByCompany.set(level.companyId, []);
+    levelsByCompany.get(level.companyId).push(level);
+  });
+
+  for (const [levelCompanyId, companyLevels] of levelsByCompany) {
+    const startOfDay = new Date(asOf);
+    startOfDay.setUTCHours(0, 0, 0, 0);
+
+    const invoices = await db.invoice.findMany({
+      where: {
+        companyId: levelCompanyId,
+        status: dryRun ? { in: ['SENT', 'PARTIALLY_PAID', 'OVERDUE'] } : 'OVERDUE',
+        dueDate: { lt: startOfDay },
+        balanceAmount: { gt: AMOUNT_TOLERANCE },
+        // Late fee invoices aren't dunned, so fees don't pile up on fees
+        lateFeeNotices: { none: {} }
+      },
+      include: { customer: true, company: true },
+      orderBy: { dueDate: 'asc' }
+    });
+
+    for (const invoice of invoices) {
+      const level = findDueLevel(companyLevels, invoice, asOf);
+      if (!level) continue;
+
+      const entry = {
+        invoiceId: invoice.id,
+        invoiceNumber: invoice.invoiceNumber,
+        customerId: invoice.customerId,
+        customerName: invoice.customer.name,
+        level: level.level,
+        levelName: level.name,
+        daysOverdue: getDaysOverdue(invoice.dueDate, asOf),
+        lateFee: calculateLateFee(level, invoice.balanceAmount)
+      };
+
+      if (dryRun) {
+        summary.notices.push({ ...entry, status: 'PREVIEW' });
+        continue;
+      }
+
+      try {
+        const notice = await db.$transaction(async (tx) => {
+          return sendDunningNotice(tx, invoice, level, { asOf });
+        });
+
+        if (notice) {
+          summary.sent += 1;
+          summary.notices.push({ ...entry, status: notice.emailMessageId ? 'SENT' : 'NO_EMAIL', noticeId: notice.id });
+        }
+      } catch (error) {
+        summary.failed += 1;
+        summary.notices.push({ ...entry, status: 'FAILED', error: error.message });
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Run processDunning on an interval
+ */
+const startDunningScheduler = (db, intervalMs = 60 * 60 * 1000) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const summary = await processDunning(db);
+      if (summary.failed > 0) {
+        console.error(`Dunning: ${summary.failed} reminder(s) failed`);
+      }
+    } catch (error) {
+      console.error('Dunning scheduler error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+// Helper function to add a late fee line to the overdue invoice itself
+async function addLateFeeLine(tx, invoice, level, lateFee, asOf) {
+  await tx.invoiceItem.create({
+    data: {
+      id: uuidv4(),
+      invoiceId: invoice.id,
+      description: `Late fee - ${level.name}`,
+      quantity: 1,
+      unitPrice: lateFee,
+      taxRate: 0,
+      taxAmount: 0,
+      discountAmount: 0,
+      totalAmount: lateFee
+    }
+  });
+
+  await tx.invoice.update({
+    where: { id: invoice.id },
+    data: {
+      subtotal: { increment: lateFee },
+      totalAmount: { increment: lateFee },
+      balanceAmount: { increment: lateFee }
+    }
+  });
+
+  // AR is carried at the invoice rate
+  await postLateFee(tx, invoice, lateFee, invoice.exchangeRate, {
+    entryDate: asOf,
+    description: `Late fee - ${invoice.invoiceNumber} (${level.name})`,
+    createdById: level.createdById
+  });
+}
+
+// Helper function to charge a late fee on a new invoice, issued straight away
+async function chargeLateFeeInvoice(tx, invoice, level, lateFee, asOf) {
+  const documentCurrency = await resolveDocumentCurrency(tx, invoice.companyId, {
+    currency: invoice.currency,
+    date: asOf
+  });
+
+  const feeInvoice = await createInvoiceRecord(tx, {
+    companyId: invoice.companyId,
+    customer: invoice.customer,
+    invoiceDate: asOf,
+    items: [{
+      description: `Late fee on invoice ${invoice.invoiceNumber} - ${level.name}`,
+      quantity: 1,
+      unitPrice: lateFee,
+      taxRate: 0
+    }],
+    notes: `Late payment fee for invoice ${invoice.invoiceNumber}, ${getDaysOverdue(invoice.dueDate, asOf)} days overdue`,
+    ...documentCurrency,
+    createdById: level.createdById
+  });
+
+  // Fee income, not sales revenue, so the invoice isn't issued through issueInvoice
+  const issued = await tx.invoice.update({
+    where: { id: feeInvoice.id },
+    data: { status: 'SENT' }
+  });
+
+  await postLateFee(tx, issued, lateFee, issued.exchangeRate, {
+    entryDate: asOf,
+    description: `Invoice ${issued.invoiceNumber} - late fee on ${invoice.invoiceNumber}`,
+    createdById: level.createdById
+  });
+
+  return issued;
+}
+
+// Helper function to post a late fee to AR and late fee income and add it to the customer's balance
+async function postLateFee(tx, invoice, lateFee, exchangeRate, { entryDate, description, createdById }) {
+  if (!createdById) {
+    throw new ValidationError('Dunning level has no owner to book late fees');
+  }
+
+  const {
+    ACCOUNTS_RECEIVABLE: receivableAccount,
+    LATE_FEE_INCOME: feeIncomeAccount
+  } = await resolveAccounts(tx, invoice.companyId, ['ACCOUNTS_RECEIVABLE', 'LATE_FEE_INCOME']);
+
+  const baseAmount = toBaseAmount(lateFee, exchangeRate);
+
+  await postJournalEntry(tx, {
+    companyId: invoice.companyId,
+    entryDate,
+    description,
+    createdById,
+    referenceType: 'invoice',
+    referenceId: invoice.id,
+    lines: [
+      {
+        account: receivableAccount,
+        debitAmount: baseAmount,
+        foreignAmount: lateFee,
+        description: `AR - late fee ${invoice.invoiceNumber}`
+      },
+      {
+        account: feeIncomeAccount,
+        creditAmount: baseAmount,
+        description: `Late fee income - ${invoice.invoiceNumber}`
+      }
+    ]
+  });
+
+  await tx.customer.update({
+    where: { id: invoice.customerId },
+    data: { balance: { increment: baseAmount } }
+  });
+}
+
+module.exports = {
+  LATE_FEE_TYPES,
+  LATE_FEE_MODES,
+  validateDunningLevel,
+  getDaysOverdue,
+  calculateLateFee,
+  markOverdueInvoices,
+  findDueLevel,
+  sendDunningNotice,
+  processDunning,
+  startDunningScheduler
+};
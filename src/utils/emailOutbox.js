@@ -0,0 +1,272 @@
+const { v4: uuidv4 } = require('uuid');
+const { renderTemplate } = require('./emailTemplates');
+const { renderInvoicePDFBuffer, renderCreditNotePDFBuffer, renderStatementPDFBuffer } = require('./invoicePdf');
+const { buildCustomerStatement } = require('./customerStatements');
+const { sendMail } = require('./mailer');
+
+/**
+ * Persistent email outbox
+ *
+ * Messages are rendered and stored when queued, then delivered by
+ * deliverEmail(). Failed deliveries are retried with exponential backoff
+ * until maxAttempts is reached, after which the message is marked FAILED.
+ * Attachments are stored as descriptors and rendered at send time.
+ *
+ * Messages that carry a secret, like a password reset link, are sent with
+ * sendUnstoredEmail() instead so the secret never lands in the outbox.
+ */
+
+// Templates that must never be stored, listed or retried from the outbox
+const UNSTORED_TEMPLATES = ['password_reset'];
+
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+const getRetryDelay = (attempts) => {
+  return Math.min(MAX_RETRY_DELAY_MS, BASE_RETRY_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+};
+
+/**
+ * Render a template and store it in the outbox
+ */
+const queueEmail = async (db, {
+  companyId = null,
+  template,
+  context,
+  to,
+  cc,
+  attachments,
+  referenceType,
+  referenceId
+}) => {
+  if (!to) {
+    throw new Error('Recipient email address is required');
+  }
+
+  const { subject, html, text } = renderTemplate(template, context);
+
+  return db.emailMessage.create({
+    data: {
+      id: uuidv4(),
+      companyId,
+      template,
+      toAddress: to,
+      ccAddress: cc,
+      subject,
+      htmlBody: html,
+      textBody: text,
+      attachments: attachments && attachments.length > 0 ? attachments : undefined,
+      referenceType,
+      referenceId
+    }
+  });
+};
+
+/**
+ * Turn stored attachment descriptors into nodemailer attachments
+ */
+const resolveAttachments = async (db, message) => {
+  const resolved = [];
+
+  for (const attachment of message.attachments || []) {
+    if (attachment.type === 'invoice_pdf') {
+      const invoice = await db.invoice.findUnique({
+        where: { id: attachment.invoiceId },
+        include: { company: true, customer: true, items: true }
+      });
+
+      if (!invoice) {
+        throw new Error(`Invoice ${attachment.invoiceId} for attachment not found`);
+      }
+
+      resolved.push({
+        filename: `${invoice.invoiceNumber}.pdf`,
+        content: await renderInvoicePDFBuffer(invoice),
+        contentType: 'application/pdf'
+      });
+    } else if (attachment.type === 'credit_note_pdf') {
+      const creditNote = await db.creditNote.findUnique({
+        where: { id: attachment.creditNoteId },
+        include: { company: true, customer: true, items: true, invoice: { select: { invoiceNumber: true } } }
+      });
+
+      if (!creditNote) {
+        throw new Error(`Credit note ${attachment.creditNoteId} for attachment not found`);
+      }
+
+      resolved.push({
+        filename: `${creditNote.creditNoteNumber}.pdf`,
+        content: await renderCreditNotePDFBuffer(creditNote),
+        contentType: 'application/pdf'
+      });
+    } else if (attachment.type === 'customer_statement_pdf') {
+      const customer = await db.customer.findUnique({
+        where: { id: attachment.customerId }
+      });
+
+      if (!customer) {
+        throw new Error(`Customer ${attachment.customerId} for attachment not found`);
+      }
+
+      const statement = await buildCustomerStatement(db, customer, attachment);
+
+      resolved.push({
+        filename: `Statement-${customer.customerCode}-${attachment.to.split('T')[0]}.pdf`,
+        content: await renderStatementPDFBuffer(statement),
+        contentType: 'application/pdf'
+      });
+    } else {
+      throw new Error(`Unknown attachment type: ${attachment.type}`);
+    }
+  }
+
+  return resolved;
+};
+
+/**
+ * Deliver a single outbox message
+ * Returns the updated message, or null if another worker claimed it.
+ */
+const deliverEmail = async (db, message) => {
+  const claimed = await db.emailMessage.updateMany({
+    where: { id: message.id, status: 'PENDING' },
+    data: { status: 'SENDING', attempts: { increment: 1 } }
+  });
+
+  if (claimed.count === 0) {
+    return null;
+  }
+
+  const attempts = message.attempts + 1;
+
+  try {
+    const info = await sendMail({
+      to: message.toAddress,
+      cc: message.ccAddress || undefined,
+      subject: message.subject,
+      html: message.htmlBody,
+      text: message.textBody || undefined,
+      attachments: await resolveAttachments(db, message)
+    });
+
+    return await db.emailMessage.update({
+      where: { id: message.id },
+      data: {
+        status: 'SENT',
+        sentAt: new Date(),
+        providerMessageId: info.messageId,
+        lastError: null
+      }
+    });
+  } catch (error) {
+    console.error(`Email delivery failed (${message.id}, attempt ${attempts}):`, error.message);
+
+    const exhausted = attempts >= message.maxAttempts;
+
+    return db.emailMessage.update({
+      where: { id: message.id },
+      data: {
+        status: exhausted ? 'FAILED' : 'PENDING',
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + getRetryDelay(attempts))
+      }
+    });
+  }
+};
+
+/**
+ * Queue a message and attempt delivery in the background.
+ * Delivery errors are recorded on the message, never thrown to the caller.
+ */
+const sendTemplatedEmail = async (db, options) => {
+  const message = await queueEmail(db, options);
+
+  deliverEmail(db, message).catch(error => {
+    console.error(`Email delivery error (${message.id}):`, error.message);
+  });
+
+  return message;
+};
+
+/**
+ * Render a template and send it straight away without storing it.
+ * There is no retry; the caller sees delivery errors.
+ */
+const sendUnstoredEmail = async ({ template, context, to }) => {
+  if (!to) {
+    throw new Error('Recipient email address is required');
+  }
+
+  const { subject, html, text } = renderTemplate(template, context);
+
+  return sendMail({ to, subject, html, text });
+};
+
+/**
+ * Deliver all due messages
+ */
+const processOutbox = async (db, { limit = 20 } = {}) => {
+  // Recover messages left in SENDING by a crashed worker
+  await db.emailMessage.updateMany({
+    where: {
+      status: 'SENDING',
+      updatedAt: { lt: new Date(Date.now() - STALE_SENDING_MS) }
+    },
+    data: { status: 'PENDING' }
+  });
+
+  const due = await db.emailMessage.findMany({
+    where: {
+      status: 'PENDING',
+      nextAttemptAt: { lte: new Date() }
+    },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: limit
+  });
+
+  const results = { sent: 0, failed: 0, skipped: 0 };
+
+  for (const message of due) {
+    const delivered = await deliverEmail(db, message);
+
+    if (!delivered) results.skipped++;
+    else if (delivered.status === 'SENT') results.sent++;
+    else results.failed++;
+  }
+
+  return results;
+};
+
+/**
+ * Run processOutbox on an interval
+ */
+const startOutboxWorker = (db, intervalMs = 60 * 1000) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await processOutbox(db);
+    } catch (error) {
+      console.error('Email outbox worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  UNSTORED_TEMPLATES,
+  queueEmail,
+  deliverEmail,
+  sendTemplatedEmail,
+  sendUnstoredEmail,
+  processOutbox,
+  startOutboxWorker
+};
@@ -0,0 +1,189 @@
+const { formatAmount } = require('./invoicePdf');
+
+/**
+ * Email templates
+ * Each template receives a context object and returns { subject, html, text }.
+ */
+
+const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+const formatDate = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Wrap paragraphs in a minimal HTML layout
+ */
+const layout = (company, paragraphs) => {
+  const body = paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n');
+  const footer = company?.invoiceFooter ? `<p style="color:#666;font-size:12px">${escapeHtml(company.invoiceFooter)}</p>` : '';
+
+  return `<div style="font-family:Arial,sans-serif;font-size:14px;color:#222">\n${body}\n${footer}\n</div>`;
+};
+
+/**
+ * Fill {placeholders} in company-supplied text; unknown ones are left as is
+ */
+const fillPlaceholders = (text, values) => {
+  return String(text).replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+};
+
+const render = (subject, company, paragraphs) => ({
+  subject,
+  html: layout(company, paragraphs),
+  text: paragraphs.join('\n\n')
+});
+
+const templates = {
+  invoice_sent: ({ invoice, customer, company }) => render(
+    `Invoice ${invoice.invoiceNumber} from ${company.name}`,
+    company,
+    [
+      `Dear ${customer.name},`,
+      `Please find attached invoice ${invoice.invoiceNumber} dated ${formatDate(invoice.invoiceDate)} for ${formatAmount(invoice.totalAmount, company, invoice.currency)}.`,
+      `The balance of ${formatAmount(invoice.balanceAmount, company, invoice.currency)} is due on ${formatDate(invoice.dueDate)}.`,
+      `Thank you for your business.`,
+      company.name
+    ]
+  ),
+
+  payment_receipt: ({ payment, invoice, customer, company }) => render(
+    `Payment receipt ${payment.paymentNumber}`,
+    company,
+    [
+      `Dear ${customer.name},`,
+      `We have received your payment of ${formatAmount(payment.amount, company, payment.currency)} on ${formatDate(payment.paymentDate)}${invoice ? ` for invoice ${invoice.invoiceNumber}` : ''}.`,
+      invoice ? `Remaining balance on this invoice: ${formatAmount(invoice.balanceAmount, company, invoice.currency)}.` : null,
+      `Thank you.`,
+      company.name
+    ].filter(Boolean)
+  ),
+
+  credit_note_issued: ({ creditNote, customer, company }) => render(
+    `Credit note ${creditNote.creditNoteNumber} from ${company.name}`,
+    company,
+    [
+      `Dear ${customer.name},`,
+      `Please find attached credit note ${creditNote.creditNoteNumber} dated ${formatDate(creditNote.creditNoteDate)} for ${formatAmount(creditNote.totalAmount, company, creditNote.currency)}.`,
+      creditNote.appliedAmount > 0 ? `${formatAmount(creditNote.appliedAmount, company, creditNote.currency)} has been applied to your open invoices.` : null,
+      creditNote.balanceAmount > 0 ? `Credit available for future invoices: ${formatAmount(creditNote.balanceAmount, company, creditNote.currency)}.` : null,
+      company.name
+    ].filter(Boolean)
+  ),
+
+  customer_statement: ({ statement, customer, company }) => render(
+    `Statement of account from ${company.name}`,
+    company,
+    [
+      `Dear ${customer.name},`,
+      `Please find attached your statement of account for ${formatDate(statement.from)} to ${formatDate(statement.to)}.`,
+      `Balance due: ${formatAmount(statement.closingBalance, company, statement.currency)}.`,
+      statement.aging.overdue > 0 ? `Of this, ${formatAmount(statement.aging.overdue, company, statement.currency)} is overdue. Please arrange payment at your earliest convenience.` : null,
+      `If you have any questions about your account, please contact us.`,
+      company.name
+    ].filter(Boolean)
+  ),
+
+  password_reset: ({ user, resetUrl }) => render(
+    'Reset your password',
+    null,
+    [
+      `Hi ${user.name},`,
+      `We received a request to reset your password. Use the link below within the next hour:`,
+      resetUrl,
+      `If you did not request this, you can ignore this email.`
+    ]
+  ),
+
+  overdue_reminder: ({ invoice, customer, company, daysOverdue }) => render(
+    `Reminder: invoice ${invoice.invoiceNumber} is overdue`,
+    company,
+    [
+      `Dear ${customer.name},`,
+      `Invoice ${invoice.invoiceNumber} was due on ${formatDate(invoice.dueDate)} and is now ${daysOverdue} days overdue.`,
+      `Outstanding balance: ${formatAmount(invoice.balanceAmount, company, invoice.currency)}.`,
+      `Please arrange payment at your earliest convenience, or contact us if you have already paid.`,
+      company.name
+    ]
+  ),
+
+  dunning_reminder: ({ invoice, customer, company, level, daysOverdue, lateFee, lateFeeInvoice }) => {
+    const values = {
+      customerName: customer.name,
+      invoiceNumber: invoice.invoiceNumber,
+      dueDate: formatDate(invoice.dueDate),
+      daysOverdue,
+      balance: formatAmount(invoice.balanceAmount, company, invoice.currency),
+      lateFee: formatAmount(lateFee, company, invoice.currency),
+      companyName: company.name
+    };
+
+    const feeParagraph = lateFee > 0
+      ? (lateFeeInvoice
+        ? `A late payment fee of ${values.lateFee} has been charged on invoice ${lateFeeInvoice.invoiceNumber}, attached.`
+        : `A late payment fee of ${values.lateFee} has been added to this invoice.`)
+      : null;
+
+    if (level.message) {
+      return render(
+        fillPlaceholders(level.subject || `${level.name}: invoice {invoiceNumber} is overdue`, values),
+        company,
+        [
+          ...fillPlaceholders(level.message, values).split(/\n\s*\n/).map(p => p.trim()).filter(Boolean),
+          feeParagraph
+        ].filter(Boolean)
+      );
+    }
+
+    const defaults = {
+      1: {
+        subject: `Reminder: invoice ${invoice.invoiceNumber} is overdue`,
+        request: `This may have been overlooked. Please arrange payment at your earliest convenience, or contact us if you have already paid.`
+      },
+      2: {
+        subject: `Second notice: invoice ${invoice.invoiceNumber} is overdue`,
+        request: `We have not yet received payment despite our earlier reminder. Please settle the balance within 7 days, or contact us to discuss.`
+      },
+      3: {
+        subject: `Final notice: invoice ${invoice.invoiceNumber} is overdue`,
+        request: `This is our final reminder. If payment is not received within 7 days we may suspend your account and pass the debt on for collection.`
+      }
+    };
+    const text = defaults[Math.min(level.level, 3)];
+
+    return render(
+      level.subject ? fillPlaceholders(level.subject, values) : text.subject,
+      company,
+      [
+        `Dear ${customer.name},`,
+        `Invoice ${invoice.invoiceNumber} was due on ${values.dueDate} and is now ${daysOverdue} days overdue.`,
+        `Outstanding balance: ${values.balance}.`,
+        feeParagraph,
+        text.request,
+        company.name
+      ].filter(Boolean)
+    );
+  }
+};
+
+/**
+ * Render a template by name
+ */
+const renderTemplate = (name, context) => {
+  const template = templates[name];
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return template(context);
+};
+
+module.exports = {
+  templates,
+  renderTemplate
+};
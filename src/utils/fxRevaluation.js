@@ -0,0 +1,294 @@
+const { resolveAccounts } = require('./accountMapping');
+const { postJournalEntry } = require('./posting');
+const { roundAmount, toBaseAmount, getExchangeRate, fxDifferenceLines } = require('./currency');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Unrealized FX revaluation
+ *
+ * Open foreign currency invoices and bills are carried at their document
+ * rate, foreign currency accounts at the rates their postings were made at.
+ * A revaluation restates them at the closing rate as of a date and posts
+ * the difference in an entry that reverses on the first day of the next
+ * period, so settlements keep clearing at the document rate.
+ */
+
+const OPEN_INVOICE_STATUSES = ['SENT', 'PARTIALLY_PAID', 'OVERDUE'];
+const OPEN_BILL_STATUSES = ['APPROVED', 'PARTIALLY_PAID', 'OVERDUE'];
+
+/**
+ * First day after the accounting period containing asOf. Without
+ * periods, the first day of the next calendar month.
+ */
+const getReversalDate = async (db, companyId, asOf) => {
+  const when = new Date(asOf);
+
+  const period = await db.accountingPeriod.findFirst({
+    where: {
+      companyId,
+      startDate: { lte: when },
+      endDate: { gte: when }
+    }
+  });
+
+  if (period) {
+    const end = new Date(period.endDate);
+    return new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth(), end.getUTCDate() + 1));
+  }
+
+  return new Date(Date.UTC(when.getUTCFullYear(), when.getUTCMonth() + 1, 1));
+};
+
+/**
+ * Work out the unrealized difference for every open foreign currency
+ * invoice, bill and account as of asOf. rates overrides the rate table
+ * per currency ({ EUR: 1.09 }). gain > 0 is a gain, < 0 a loss.
+ */
+const calculateRevaluation = async (db, companyId, asOf, rates = {}) => {
+  const asOfDate = new Date(asOf);
+
+  const company = await db.company.findUnique({
+    where: { id: companyId },
+    select: { baseCurrency: true }
+  });
+  const foreign = { notIn: [company.baseCurrency], not: null };
+
+  // Settled after asOf: paid directly, by a payment allocation still
+  // applied, or by a credit or debit note
+  const laterPayments = { status: 'COMPLETED', paymentDate: { gt: asOfDate } };
+  const laterAllocations = { allocationDate: { gt: asOfDate }, unappliedAt: null };
+  const laterNoteAllocations = { allocationDate: { gt: asOfDate } };
+
+  // Allocations applied by asOf but taken off since count as settled then
+  const laterUnapplied = { allocationDate: { lte: asOfDate }, unappliedAt: { gt: asOfDate } };
+
+  // Documents settled after asOf were still open on that date
+  const openAsOf = (statuses, noteAllocations) => [
+    { status: { in: statuses } },
+    {
+      status: 'PAID',
+      OR: [
+        { payments: { some: laterPayments } },
+        { paymentAllocations: { some: laterAllocations } },
+        { [noteAllocations]: { some: laterNoteAllocations } }
+      ]
+    }
+  ];
+
+  const settlements = (noteAllocations) => ({
+    payments: { where: laterPayments, select: { amount: true } },
+    paymentAllocations: {
+      where: { OR: [laterAllocations, laterUnapplied] },
+      select: { amount: true, allocationDate: true }
+    },
+    [noteAllocations]: { where: laterNoteAllocations, select: { amount: true } }
+  });
+
+  // What was settled after asOf, less allocations since taken off
+  const settledAfter = (document, noteAllocations) => {
+    const sum = rows => rows.reduce((total, row) => total + row.amount, 0);
+    const unapplied = document.paymentAllocations.filter(allocation => new Date(allocation.allocationDate) <= asOfDate);
+    const applied = document.paymentAllocations.filter(allocation => new Date(allocation.allocationDate) > asOfDate);
+
+    return sum(document.payments) + sum(applied) + sum(document[noteAllocations]) - sum(unapplied);
+  };
+
+  const [invoices, bills, accounts] = await Promise.all([
+    db.invoice.findMany({
+      where: {
+        companyId,
+        currency: foreign,
+        OR: openAsOf(OPEN_INVOICE_STATUSES, 'creditNoteAllocations'),
+        invoiceDate: { lte: asOfDate }
+      },
+      include: {
+        customer: { select: { name: true } },
+        ...settlements('creditNoteAllocations')
+      }
+    }),
+    db.bill.findMany({
+      where: {
+        companyId,
+        currency: foreign,
+        OR: openAsOf(OPEN_BILL_STATUSES, 'debitNoteAllocations'),
+        billDate: { lte: asOfDate }
+      },
+      include: {
+        supplier: { select: { name: true } },
+        ...settlements('debitNoteAllocations')
+      }
+    }),
+    db.account.findMany({
+      where: {
+        companyId,
+        currency: foreign,
+        isActive: true,
+        accountType: { in: ['ASSET', 'LIABILITY'] }
+      }
+    })
+  ]);
+
+  // Closing rate per currency: explicit rate set first, then the rate table
+  const closingRates = {};
+  for (const [code, rate] of Object.entries(rates)) {
+    if (!(parseFloat(rate) > 0)) {
+      throw new ValidationError(`Rate for ${code} must be a positive number`);
+    }
+    closingRates[code.toUpperCase()] = parseFloat(rate);
+  }
+
+  const currencies = new Set([
+    ...invoices.map(invoice => invoice.currency),
+    ...bills.map(bill => bill.currency),
+    ...accounts.map(account => account.currency)
+  ]);
+  for (const code of currencies) {
+    if (closingRates[code] === undefined) {
+      closingRates[code] = await getExchangeRate(db, companyId, code, asOfDate);
+    }
+  }
+
+  const details = [];
+
+  // Balance as of the revaluation date adds back later settlements
+  for (const invoice of invoices) {
+    const foreignBalance = roundAmount(invoice.balanceAmount + settledAfter(invoice, 'creditNoteAllocations'));
+    if (foreignBalance <= 0) continue;
+
+    const bookAmount = toBaseAmount(foreignBalance, invoice.exchangeRate);
+    const revaluedAmount = roundAmount(foreignBalance * closingRates[invoice.currency]);
+
+    details.push({
+      type: 'INVOICE',
+      id: invoice.id,
+      number: invoice.invoiceNumber,
+      party: invoice.customer.name,
+      currency: invoice.currency,
+      foreignBalance,
+      bookRate: invoice.exchangeRate,
+      bookAmount,
+      closingRate: closingRates[invoice.currency],
+      revaluedAmount,
+      gain: roundAmount(revaluedAmount - bookAmount)
+    });
+  }
+
+  for (const bill of bills) {
+    const foreignBalance = roundAmount(bill.balanceAmount + settledAfter(bill, 'debitNoteAllocations'));
+    if (foreignBalance <= 0) continue;
+
+    const bookAmount = toBaseAmount(foreignBalance, bill.exchangeRate);
+    const revaluedAmount = roundAmount(foreignBalance * closingRates[bill.currency]);
+
+    details.push({
+      type: 'BILL',
+      id: bill.id,
+      number: bill.billNumber,
+      party: bill.supplier.name,
+      currency: bill.currency,
+      foreignBalance,
+      bookRate: bill.exchangeRate,
+      bookAmount,
+      closingRate: closingRates[bill.currency],
+      revaluedAmount,
+      // A liability that grows in base terms is a loss
+      gain: roundAmount(bookAmount - revaluedAmount)
+    });
+  }
+
+  for (const account of accounts) {
+    const lines = await db.journalLineItem.findMany({
+      where: {
+        accountId: account.id,
+        journalEntry: { status: 'POSTED', entryDate: { lte: asOfDate } }
+      },
+      select: { debitAmount: true, creditAmount: true, foreignAmount: true }
+    });
+
+    // Balances in the account's normal direction
+    const sign = account.accountType === 'ASSET' ? 1 : -1;
+    const bookAmount = roundAmount(sign * lines.reduce((sum, line) => sum + line.debitAmount - line.creditAmount, 0));
+    const foreignBalance = roundAmount(sign * lines.reduce((sum, line) => {
+      const amount = line.foreignAmount || 0;
+      return sum + (line.debitAmount > 0 ? amount : -amount);
+    }, 0));
+
+    if (foreignBalance === 0 && bookAmount === 0) continue;
+
+    const revaluedAmount = roundAmount(foreignBalance * closingRates[account.currency]);
+
+    details.push({
+      type: 'ACCOUNT',
+      id: account.id,
+      number: account.accountCode,
+      party: account.accountName,
+      currency: account.currency,
+      foreignBalance,
+      bookRate: foreignBalance !== 0 ? bookAmount / foreignBalance : null,
+      bookAmount,
+      closingRate: closingRates[account.currency],
+      revaluedAmount,
+      gain: roundAmount(sign * (revaluedAmount - bookAmount))
+    });
+  }
+
+  const totalGain = roundAmount(details.reduce((sum, detail) => sum + detail.gain, 0));
+
+  return { asOfDate, rates: closingRates, details, totalGain };
+};
+
+/**
+ * Post the adjusting entry for a calculated revaluation.
+ * Returns null when there is no difference to post.
+ */
+const postRevaluationEntry = async (tx, companyId, revaluation, { reversalDate, referenceId, createdById }) => {
+  const { ACCOUNTS_RECEIVABLE: receivableAccount, ACCOUNTS_PAYABLE: payableAccount } =
+    await resolveAccounts(tx, companyId, ['ACCOUNTS_RECEIVABLE', 'ACCOUNTS_PAYABLE']);
+
+  const sumGain = (type) => roundAmount(revaluation.details
+    .filter(detail => detail.type === type)
+    .reduce((sum, detail) => sum + detail.gain, 0));
+
+  const accountDetails = revaluation.details.filter(detail => detail.type === 'ACCOUNT');
+  const foreignAccounts = await tx.account.findMany({
+    where: { id: { in: accountDetails.map(detail => detail.id) }, companyId }
+  });
+  const accountMap = new Map(foreignAccounts.map(account => [account.id, account]));
+
+  // A gain is a debit whichever side the account is on: it raises
+  // receivables and foreign assets and lowers payables and foreign loans
+  const adjustment = (account, gain) => ({
+    account,
+    debitAmount: gain > 0 ? gain : 0,
+    creditAmount: gain < 0 ? -gain : 0,
+    description: `FX revaluation - ${account.accountCode}`
+  });
+
+  const lines = [
+    adjustment(receivableAccount, sumGain('INVOICE')),
+    adjustment(payableAccount, sumGain('BILL')),
+    ...accountDetails.map(detail => adjustment(accountMap.get(detail.id), detail.gain))
+  ].filter(line => line.debitAmount !== 0 || line.creditAmount !== 0);
+
+  if (lines.length === 0) return null;
+
+  const asOfLabel = revaluation.asOfDate.toISOString().split('T')[0];
+  const fxLines = await fxDifferenceLines(tx, companyId, revaluation.totalGain, `Unrealized FX - ${asOfLabel}`);
+
+  return postJournalEntry(tx, {
+    companyId,
+    entryDate: revaluation.asOfDate,
+    description: `Unrealized FX revaluation as of ${asOfLabel}`,
+    createdById,
+    referenceType: 'fx_revaluation',
+    referenceId,
+    autoReverseDate: reversalDate,
+    lines: [...lines, ...fxLines]
+  });
+};
+
+module.exports = {
+  getReversalDate,
+  calculateRevaluation,
+  postRevaluationEntry
+};
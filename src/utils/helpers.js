@@ -77,17 +77,6 @@ const generateCode = (prefix = '', length = 6) => {
   return `${prefix}${timestamp}${random}`.toUpperCase();
 };
 
-/**
- * Generate invoice/bill numbers
- */
-const generateInvoiceNumber = (prefix = 'INV') => {
-  const date = new Date();
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-  return `${prefix}-${year}${month}-${random}`;
-};
-
 /**
  * Calculate total from line items
  */
@@ -227,10 +216,10 @@ const cleanObject = (obj) => {
 };
 
 /**
- * Calculate aging periods
+ * Calculate aging periods, as of today or a given date
  */
-const calculateAging = (dueDate) => {
-  const now = new Date();
+const calculateAging = (dueDate, asOf = new Date()) => {
+  const now = new Date(asOf);
   const due = new Date(dueDate);
   const daysOverdue = Math.floor((now - due) / (1000 * 60 * 60 * 24));
 
@@ -247,7 +236,6 @@ module.exports = {
   paginate,
   paginatedResponse,
   generateCode,
-  generateInvoiceNumber,
   calculateLineItemsTotal,
   formatCurrency,
   getDateRange,
@@ -0,0 +1,491 @@
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+/**
+ * Invoice, credit note and customer statement PDF rendering
+ *
+ * Layout options are picked from Company.invoiceTemplate. Unknown values
+ * fall back to the classic layout.
+ */
+
+const TEMPLATES = {
+  classic: {
+    margin: 50,
+    fontSize: 10,
+    accentColor: '#000000',
+    headerBand: false,
+    titleAlign: 'right'
+  },
+  modern: {
+    margin: 50,
+    fontSize: 10,
+    accentColor: '#1f4e79',
+    headerBand: true,
+    titleAlign: 'right'
+  },
+  compact: {
+    margin: 30,
+    fontSize: 8,
+    accentColor: '#333333',
+    headerBand: false,
+    titleAlign: 'left'
+  }
+};
+
+const CURRENCY_SYMBOLS = {
+  USD: '$',
+  EUR: '€',
+  GBP: '£',
+  INR: 'Rs. ',
+  JPY: '¥',
+  AUD: 'A$',
+  CAD: 'C$',
+  AED: 'AED '
+};
+
+/**
+ * Resolve the template settings for a company
+ */
+const getTemplate = (company = {}) => {
+  return TEMPLATES[company.invoiceTemplate] || TEMPLATES.classic;
+};
+
+/**
+ * Format an amount with the company's currency symbol, or with the
+ * document's currency when it differs from the base currency
+ */
+const formatAmount = (amount, company = {}, currency = null) => {
+  const symbol = currency && currency !== company.baseCurrency
+    ? CURRENCY_SYMBOLS[currency] || `${currency} `
+    : company.currencySymbol ||
+      CURRENCY_SYMBOLS[company.baseCurrency] ||
+      `${company.baseCurrency || ''} `;
+
+  const formatted = Number(amount || 0).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+  });
+
+  return `${symbol}${formatted}`;
+};
+
+const formatDate = (date) => {
+  if (!date) return '';
+  return new Date(date).toISOString().split('T')[0];
+};
+
+/**
+ * Load the company logo. Local file paths and base64 data URIs are
+ * supported; remote URLs are skipped since rendering is synchronous.
+ */
+const loadLogo = (logo) => {
+  if (!logo) return null;
+
+  try {
+    if (logo.startsWith('data:image/')) {
+      return Buffer.from(logo.split(',')[1], 'base64');
+    }
+
+    if (!/^https?:\/\//.test(logo) && fs.existsSync(logo)) {
+      return fs.readFileSync(logo);
+    }
+  } catch (error) {
+    console.error('Failed to load company logo:', error.message);
+  }
+
+  return null;
+};
+
+const joinAddress = (party = {}) => {
+  return [
+    party.address,
+    [party.city, party.state, party.zipCode].filter(Boolean).join(', '),
+    party.country
+  ].filter(Boolean);
+};
+
+/**
+ * Draw company header, logo and document title.
+ * heading: { title, lines } from the document layout
+ */
+const drawHeader = (doc, invoice, template, heading) => {
+  const { company } = invoice;
+  const pageWidth = doc.page.width;
+  const left = template.margin;
+  const top = template.margin;
+
+  if (template.headerBand) {
+    doc.rect(0, 0, pageWidth, top + 70).fill(template.accentColor);
+    doc.fillColor('#ffffff');
+  } else {
+    doc.fillColor(template.accentColor);
+  }
+
+  let textLeft = left;
+  const logo = loadLogo(company.logo);
+  if (logo) {
+    try {
+      doc.image(logo, left, top, { fit: [60, 60] });
+      textLeft = left + 70;
+    } catch (error) {
+      console.error('Failed to render company logo:', error.message);
+    }
+  }
+
+  doc.font('Helvetica-Bold').fontSize(template.fontSize + 6)
+    .text(company.name, textLeft, top, { width: 250 });
+
+  doc.font('Helvetica').fontSize(template.fontSize);
+  joinAddress(company).forEach(line => doc.text(line, { width: 250 }));
+  if (company.email) doc.text(company.email, { width: 250 });
+  if (company.phone) doc.text(company.phone, { width: 250 });
+  if (company.taxId) doc.text(`Tax ID: ${company.taxId}`, { width: 250 });
+
+  const titleX = template.titleAlign === 'right' ? pageWidth - template.margin - 200 : textLeft + 260;
+  doc.font('Helvetica-Bold').fontSize(template.fontSize + 10)
+    .text(heading.title, titleX, top, { width: 200, align: 'right' });
+
+  doc.font('Helvetica').fontSize(template.fontSize);
+  heading.lines.forEach((line, i) => {
+    doc.text(line, titleX, doc.y + (i === 0 ? 4 : 0), { width: 200, align: 'right' });
+  });
+
+  doc.fillColor('#000000');
+  doc.y = Math.max(doc.y, top + 90);
+};
+
+/**
+ * Draw customer block
+ */
+const drawCustomer = (doc, invoice, template, label = 'Bill To') => {
+  const { customer } = invoice;
+  const left = template.margin;
+
+  doc.moveDown();
+  doc.font('Helvetica-Bold').fontSize(template.fontSize + 1)
+    .fillColor(template.accentColor)
+    .text(label, left, doc.y);
+
+  doc.font('Helvetica').fontSize(template.fontSize).fillColor('#000000');
+  doc.text(customer.name);
+  joinAddress(customer).forEach(line => doc.text(line));
+  if (customer.email) doc.text(customer.email);
+  if (customer.taxId) doc.text(`Tax ID: ${customer.taxId}`);
+  doc.moveDown();
+};
+
+/**
+ * Draw a table with a shaded header row. columns: [{ label, width
+ * (fraction of the page width), align }]; rows: [{ values, bold }].
+ * Rows continue on a new page when less than `reserve` points are left.
+ */
+const drawTable = (doc, template, columns, rows, { reserve = 120 } = {}) => {
+  const left = template.margin;
+  const right = doc.page.width - template.margin;
+  const rowHeight = template.fontSize + 8;
+  const tableWidth = right - left;
+  columns.forEach(col => { col.px = col.width * tableWidth; });
+
+  const drawRow = (values, y, bold = false) => {
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(template.fontSize);
+    values.forEach((value, i) => {
+      doc.text(value, x + 2, y + 4, {
+        width: columns[i].px - 4,
+        align: columns[i].align,
+        lineBreak: false,
+        ellipsis: true
+      });
+      x += columns[i].px;
+    });
+  };
+
+  let y = doc.y;
+  doc.rect(left, y, tableWidth, rowHeight).fill(template.headerBand ? template.accentColor : '#eeeeee');
+  doc.fillColor(template.headerBand ? '#ffffff' : '#000000');
+  drawRow(columns.map(col => col.label), y, true);
+  doc.fillColor('#000000');
+  y += rowHeight;
+
+  rows.forEach(({ values, bold }) => {
+    if (y + rowHeight > doc.page.height - template.margin - reserve) {
+      doc.addPage();
+      y = template.margin;
+    }
+
+    drawRow(values, y, bold);
+
+    y += rowHeight;
+    doc.moveTo(left, y).lineTo(right, y).strokeColor('#dddddd').stroke();
+  });
+
+  doc.y = y + 10;
+};
+
+/**
+ * Draw line items table
+ */
+const drawItems = (doc, invoice, template) => {
+  const { company } = invoice;
+
+  const columns = [
+    { label: 'Description', width: 0.34, align: 'left' },
+    { label: 'Qty', width: 0.08, align: 'right' },
+    { label: 'Unit Price', width: 0.14, align: 'right' },
+    { label: 'Discount', width: 0.12, align: 'right' },
+    { label: 'Tax', width: 0.16, align: 'right' },
+    { label: 'Amount', width: 0.16, align: 'right' }
+  ];
+
+  drawTable(doc, template, columns, invoice.items.map(item => ({
+    values: [
+      item.description,
+      String(item.quantity),
+      formatAmount(item.unitPrice, company, invoice.currency),
+      formatAmount(item.discountAmount, company, invoice.currency),
+      `${formatAmount(item.taxAmount, company, invoice.currency)} (${item.taxRate}%)`,
+      formatAmount(item.totalAmount, company, invoice.currency)
+    ]
+  })));
+};
+
+/**
+ * Draw totals rows: [label, amount, bold]
+ */
+const drawTotals = (doc, invoice, template, rows) => {
+  const { company } = invoice;
+  const labelX = doc.page.width - template.margin - 220;
+
+  rows.forEach(([label, value, bold]) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(template.fontSize + (bold ? 1 : 0));
+    doc.text(label, labelX, y, { width: 110 });
+    doc.text(formatAmount(value, company, invoice.currency), labelX + 110, y, { width: 110, align: 'right' });
+    doc.moveDown(0.3);
+  });
+};
+
+/**
+ * Draw notes, terms and footer
+ */
+const drawFooter = (doc, invoice, template, terms) => {
+  const { company } = invoice;
+  const left = template.margin;
+  const width = doc.page.width - template.margin * 2;
+
+  doc.moveDown();
+
+  if (invoice.notes) {
+    doc.font('Helvetica-Bold').fontSize(template.fontSize).text('Notes', left, doc.y, { width });
+    doc.font('Helvetica').text(invoice.notes, { width });
+    doc.moveDown(0.5);
+  }
+
+  if (terms) {
+    doc.font('Helvetica-Bold').fontSize(template.fontSize).text('Terms & Conditions', left, doc.y, { width });
+    doc.font('Helvetica').text(terms, { width });
+  }
+
+  if (company.invoiceFooter) {
+    const footerY = doc.page.height - template.margin - template.fontSize * 2;
+    doc.font('Helvetica').fontSize(template.fontSize - 1).fillColor('#666666')
+      .text(company.invoiceFooter, left, footerY, { width, align: 'center', lineBreak: false });
+    doc.fillColor('#000000');
+  }
+};
+
+/**
+ * Lay out a customer document (invoice, credit note) on a new PDF.
+ * Returns the (already ended) PDFKit document, which is a readable stream.
+ */
+const renderDocument = (document, { name, heading, totals, terms }) => {
+  const template = getTemplate(document.company);
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: template.margin,
+    info: {
+      Title: name,
+      Author: document.company.name
+    }
+  });
+
+  drawHeader(doc, document, template, heading);
+  drawCustomer(doc, document, template);
+  drawItems(doc, document, template);
+  drawTotals(doc, document, template, totals);
+  drawFooter(doc, document, template, terms);
+
+  doc.end();
+  return doc;
+};
+
+/**
+ * Collect a PDF stream into a Buffer
+ */
+const toBuffer = (doc) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+};
+
+/**
+ * Build a PDF document for an invoice.
+ * The invoice must include company, customer and items.
+ */
+const createInvoicePDF = (invoice) => {
+  return renderDocument(invoice, {
+    name: `Invoice ${invoice.invoiceNumber}`,
+    heading: {
+      title: 'INVOICE',
+      lines: [
+        `Invoice #: ${invoice.invoiceNumber}`,
+        `Date: ${formatDate(invoice.invoiceDate)}`,
+        `Due: ${formatDate(invoice.dueDate)}`,
+        `Status: ${invoice.status}`
+      ]
+    },
+    totals: [
+      ['Subtotal', invoice.subtotal],
+      ['Discount', -invoice.discountAmount],
+      ['Tax', invoice.taxAmount],
+      ['Total', invoice.totalAmount, true],
+      ['Paid', invoice.paidAmount],
+      ['Balance Due', invoice.balanceAmount, true]
+    ],
+    terms: invoice.termsConditions || invoice.company.invoiceTerms
+  });
+};
+
+/**
+ * Render an invoice PDF into a Buffer
+ */
+const renderInvoicePDFBuffer = (invoice) => toBuffer(createInvoicePDF(invoice));
+
+/**
+ * Build a PDF document for a credit note.
+ * The credit note must include company, customer, items and invoice.
+ */
+const createCreditNotePDF = (creditNote) => {
+  return renderDocument(creditNote, {
+    name: `Credit Note ${creditNote.creditNoteNumber}`,
+    heading: {
+      title: 'CREDIT NOTE',
+      lines: [
+        `Credit Note #: ${creditNote.creditNoteNumber}`,
+        `Date: ${formatDate(creditNote.creditNoteDate)}`,
+        creditNote.invoice ? `Invoice #: ${creditNote.invoice.invoiceNumber}` : null,
+        `Status: ${creditNote.status}`
+      ].filter(Boolean)
+    },
+    totals: [
+      ['Subtotal', creditNote.subtotal],
+      ['Discount', -creditNote.discountAmount],
+      ['Tax', creditNote.taxAmount],
+      ['Total Credit', creditNote.totalAmount, true],
+      ['Applied', creditNote.appliedAmount],
+      ['Refunded', creditNote.refundedAmount],
+      ['Available Credit', creditNote.balanceAmount, true]
+    ],
+    terms: creditNote.reason ? `Reason: ${creditNote.reason}` : null
+  });
+};
+
+/**
+ * Render a credit note PDF into a Buffer
+ */
+const renderCreditNotePDFBuffer = (creditNote) => toBuffer(createCreditNotePDF(creditNote));
+
+/**
+ * Build a PDF statement of account from buildCustomerStatement()
+ */
+const createStatementPDF = (statement) => {
+  const { company, currency } = statement;
+  const template = getTemplate(company);
+  const amount = (value) => formatAmount(value, company, currency);
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: template.margin,
+    info: {
+      Title: `Statement ${statement.customer.name}`,
+      Author: company.name
+    }
+  });
+
+  drawHeader(doc, statement, template, {
+    title: 'STATEMENT',
+    lines: [
+      `Period: ${formatDate(statement.from)} to ${formatDate(statement.to)}`,
+      `Currency: ${currency}`,
+      statement.customer.customerCode ? `Account: ${statement.customer.customerCode}` : null
+    ].filter(Boolean)
+  });
+  drawCustomer(doc, statement, template, 'Statement For');
+
+  drawTable(doc, template, [
+    { label: 'Date', width: 0.12, align: 'left' },
+    { label: 'Reference', width: 0.16, align: 'left' },
+    { label: 'Description', width: 0.30, align: 'left' },
+    { label: 'Debit', width: 0.14, align: 'right' },
+    { label: 'Credit', width: 0.14, align: 'right' },
+    { label: 'Balance', width: 0.14, align: 'right' }
+  ], [
+    { values: [formatDate(statement.from), '', 'Balance brought forward', '', '', amount(statement.openingBalance)], bold: true },
+    ...statement.lines.map(line => ({
+      values: [
+        formatDate(line.date),
+        line.reference,
+        line.description,
+        line.debit ? amount(line.debit) : '',
+        line.credit ? amount(line.credit) : '',
+        amount(line.balance)
+      ]
+    })),
+    { values: [formatDate(statement.to), '', 'Closing balance', amount(statement.totals.debits), amount(statement.totals.credits), amount(statement.closingBalance)], bold: true }
+  ], { reserve: 80 });
+
+  const { aging } = statement;
+  drawTable(doc, template, [
+    { label: 'Current', width: 1 / 7, align: 'right' },
+    { label: '1-30 days', width: 1 / 7, align: 'right' },
+    { label: '31-60 days', width: 1 / 7, align: 'right' },
+    { label: '61-90 days', width: 1 / 7, align: 'right' },
+    { label: 'Over 90', width: 1 / 7, align: 'right' },
+    { label: 'Unapplied', width: 1 / 7, align: 'right' },
+    { label: 'Amount Due', width: 1 / 7, align: 'right' }
+  ], [{
+    values: [
+      amount(aging.current),
+      amount(aging['1-30']),
+      amount(aging['31-60']),
+      amount(aging['61-90']),
+      amount(aging.over90),
+      amount(-aging.unappliedCredit),
+      amount(aging.total)
+    ],
+    bold: true
+  }], { reserve: 40 });
+
+  drawFooter(doc, { company }, template, null);
+
+  doc.end();
+  return doc;
+};
+
+/**
+ * Render a statement PDF into a Buffer
+ */
+const renderStatementPDFBuffer = (statement) => toBuffer(createStatementPDF(statement));
+
+module.exports = {
+  TEMPLATES,
+  formatAmount,
+  createInvoicePDF,
+  renderInvoicePDFBuffer,
+  createCreditNotePDF,
+  renderCreditNotePDFBuffer,
+  createStatementPDF,
+  renderStatementPDFBuffer
+};
@@ -0,0 +1,222 @@
+const { v4: uuidv4 } = require('uuid');
+const { allocateNumber } = require('./numbering');
+const { sendTemplatedEmail } = require('./emailOutbox');
+const { resolveAccounts } = require('./accountMapping');
+const { postJournalEntry } = require('./posting');
+const { toBaseAmount } = require('./currency');
+
+/**
+ * Invoice lifecycle shared by the invoice endpoints and the recurring
+ * invoice runner: line totals, creation, issuing (GL + customer balance)
+ * and emailing.
+ */
+
+/**
+ * Calculate line and document totals. Tax is charged on the line amount
+ * after discount.
+ */
+const calculateInvoiceItems = (items) => {
+  let subtotal = 0;
+  let taxAmount = 0;
+  let discountAmount = 0;
+
+  const processedItems = items.map(item => {
+    const itemSubtotal = item.quantity * item.unitPrice;
+    const itemDiscountAmount = item.discountAmount || 0;
+    const itemTaxRate = item.taxRate || 0;
+
+    const taxableAmount = itemSubtotal - itemDiscountAmount;
+    const itemTaxAmount = (taxableAmount * itemTaxRate) / 100;
+
+    subtotal += itemSubtotal;
+    discountAmount += itemDiscountAmount;
+    taxAmount += itemTaxAmount;
+
+    return {
+      productId: item.productId,
+      description: item.description,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      taxRate: itemTaxRate,
+      taxAmount: itemTaxAmount,
+      discountAmount: itemDiscountAmount,
+      totalAmount: taxableAmount + itemTaxAmount
+    };
+  });
+
+  return {
+    items: processedItems,
+    subtotal,
+    discountAmount,
+    taxAmount,
+    totalAmount: subtotal - discountAmount + taxAmount
+  };
+};
+
+/**
+ * Create a DRAFT invoice and reserve stock for its product lines.
+ * The due date defaults to the customer's credit period (30 days).
+ * currency/exchangeRate come from resolveDocumentCurrency; creditHold
+ * comes from checkCreditLimit.
+ */
+const createInvoiceRecord = async (tx, {
+  companyId,
+  customer,
+  invoiceDate = new Date(),
+  dueDate,
+  items,
+  notes,
+  termsConditions,
+  currency = null,
+  exchangeRate = 1,
+  creditHold = false,
+  createdById
+}) => {
+  const paymentDays = customer.creditPeriodDays || 30;
+  const calculatedDueDate = dueDate || new Date(
+    new Date(invoiceDate).getTime() + paymentDays * 24 * 60 * 60 * 1000
+  );
+
+  const totals = calculateInvoiceItems(items);
+
+  const invoice = await tx.invoice.create({
+    data: {
+      id: uuidv4(),
+      invoiceNumber: await allocateNumber(tx, companyId, 'INVOICE', { date: invoiceDate }),
+      customerId: customer.id,
+      companyId,
+      invoiceDate: new Date(invoiceDate),
+      dueDate: new Date(calculatedDueDate),
+      subtotal: totals.subtotal,
+      discountAmount: totals.discountAmount,
+      taxAmount: totals.taxAmount,
+      totalAmount: totals.totalAmount,
+      paidAmount: 0,
+      balanceAmount: totals.totalAmount,
+      currency,
+      exchangeRate,
+      status: 'DRAFT',
+      creditHold,
+      notes,
+      termsConditions,
+      createdById,
+      items: {
+        create: totals.items.map(item => ({
+          id: uuidv4(),
+          ...item
+        }))
+      }
+    },
+    include: {
+      customer: true,
+      items: true
+    }
+  });
+
+  for (const item of totals.items) {
+    if (item.productId) {
+      await tx.product.update({
+        where: { id: item.productId },
+        data: {
+          currentStock: {
+            decrement: item.quantity
+          }
+        }
+      });
+    }
+  }
+
+  return invoice;
+};
+
+/**
+ * Mark a DRAFT invoice as SENT: post it to the GL and add it to the
+ * customer's balance (both in base currency). Returns the invoice with
+ * company and customer.
+ */
+const issueInvoice = async (tx, invoice) => {
+  const updatedInvoice = await tx.invoice.update({
+    where: { id: invoice.id },
+    data: {
+      status: 'SENT'
+    },
+    include: { company: true, customer: true }
+  });
+
+  await createInvoiceAccountingEntries(tx, updatedInvoice, updatedInvoice.companyId);
+
+  await tx.customer.update({
+    where: { id: updatedInvoice.customerId },
+    data: {
+      balance: {
+        increment: toBaseAmount(updatedInvoice.totalAmount, updatedInvoice.exchangeRate)
+      }
+    }
+  });
+
+  return updatedInvoice;
+};
+
+/**
+ * Queue the invoice_sent email with the PDF attached.
+ * Returns null when the customer has no email address.
+ */
+const emailInvoice = async (db, invoice) => {
+  if (!invoice.customer.email) return null;
+
+  return sendTemplatedEmail(db, {
+    companyId: invoice.companyId,
+    template: 'invoice_sent',
+    context: { invoice, customer: invoice.customer, company: invoice.company },
+    to: invoice.customer.email,
+    attachments: [{ type: 'invoice_pdf', invoiceId: invoice.id }],
+    referenceType: 'INVOICE',
+    referenceId: invoice.id
+  });
+};
+
+// Helper function to create accounting entries for invoice
+async function createInvoiceAccountingEntries(tx, invoice, companyId) {
+  const {
+    ACCOUNTS_RECEIVABLE: receivableAccount,
+    SALES_REVENUE: revenueAccount,
+    OUTPUT_TAX: taxPayableAccount
+  } = await resolveAccounts(tx, companyId, ['ACCOUNTS_RECEIVABLE', 'SALES_REVENUE', 'OUTPUT_TAX']);
+
+  // Tax takes the rounding difference so the converted entry balances
+  const receivableAmount = toBaseAmount(invoice.totalAmount, invoice.exchangeRate);
+  const revenueAmount = toBaseAmount(invoice.subtotal - invoice.discountAmount, invoice.exchangeRate); // Revenue = subtotal minus discounts
+
+  return postJournalEntry(tx, {
+    companyId,
+    entryDate: invoice.invoiceDate,
+    description: `Invoice ${invoice.invoiceNumber}`,
+    createdById: invoice.createdById,
+    referenceType: 'invoice',
+    referenceId: invoice.id,
+    lines: [
+      {
+        account: receivableAccount,
+        debitAmount: receivableAmount,
+        description: `AR - ${invoice.invoiceNumber}`
+      },
+      {
+        account: revenueAccount,
+        creditAmount: revenueAmount,
+        description: `Revenue - ${invoice.invoiceNumber}`
+      },
+      {
+        account: taxPayableAccount,
+        creditAmount: receivableAmount - revenueAmount,
+        description: `Tax Payable - ${invoice.invoiceNumber}`
+      }
+    ]
+  });
+}
+
+module.exports = {
+  calculateInvoiceItems,
+  createInvoiceRecord,
+  issueInvoice,
+  emailInvoice
+};
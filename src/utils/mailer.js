@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Pluggable mail transports
+ *
+ * MAIL_TRANSPORT selects the transport:
+ *   smtp - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ *   file - writes .eml files to MAIL_FILE_DIR (default /tmp/mail)
+ *   json - logs who the message is for, not its body (local testing)
+ * Defaults to smtp in production and json everywhere else.
+ */
+
+const transportFactories = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  }),
+
+  json: () => {
+    const transport = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      sendMail: async (message) => {
+        const info = await transport.sendMail(message);
+        // Bodies can carry reset links and other secrets, so only the envelope is logged
+        console.log(`📧 [json transport] ${info.messageId} to ${info.envelope.to.join(', ')}: ${message.subject}`);
+        return info;
+      }
+    };
+  },
+
+  file: () => {
+    const dir = process.env.MAIL_FILE_DIR || '/tmp/mail';
+    const transport = nodemailer.createTransport({
+      streamTransport: true,
+      buffer: true,
+      newline: 'unix'
+    });
+
+    return {
+      sendMail: async (message) => {
+        const info = await transport.sendMail(message);
+        fs.mkdirSync(dir, { recursive: true });
+        const filePath = path.join(dir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`);
+        fs.writeFileSync(filePath, info.message);
+        return { ...info, filePath };
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+/**
+ * Register a custom transport factory (e.g. an API-based provider)
+ */
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+  activeTransport = null;
+};
+
+const getTransportName = () => {
+  return process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'smtp' : 'json');
+};
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = getTransportName();
+    const factory = transportFactories[name];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    activeTransport = factory();
+  }
+
+  return activeTransport;
+};
+
+/**
+ * Send a message through the active transport
+ */
+const sendMail = async (message) => {
+  return getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'ZirakBook <no-reply@zirakbook.com>',
+    ...message
+  });
+};
+
+module.exports = {
+  registerTransport,
+  getTransportName,
+  sendMail
+};
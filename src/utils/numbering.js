@@ -0,0 +1,251 @@
+const { v4: uuidv4 } = require('uuid');
+const { getFiscalYearRange } = require('./periods');
+const { ValidationError } = require('../middleware/errorHandler');
+
+/**
+ * Document numbering series
+ *
+ * Every numbered document type has a series per company: a pattern and
+ * how often its sequence restarts. Companies that haven't configured a
+ * type use its default, which matches the PREFIX-YYYYMM-0001 numbers
+ * issued before series existed.
+ *
+ * Pattern tokens:
+ *   {seq} / {seq:N}  the sequence, zero-padded to N digits (required)
+ *   {FY}             fiscal year, e.g. 2026, or 2026-27 when it doesn't start in January
+ *   {YYYY} {YY} {MM} document date
+ *
+ * Numbers are allocated by incrementing a counter row for the company,
+ * type and reset period, so concurrent requests queue on the row lock
+ * rather than reading the same "last number". Allocate inside the
+ * document's transaction and a rollback gives the number back.
+ */
+
+const DOCUMENT_TYPES = {
+  INVOICE: { label: 'Invoice', model: 'invoice', field: 'invoiceNumber', prefix: 'INV' },
+  BILL: { label: 'Bill', model: 'bill', field: 'billNumber', prefix: 'BILL' },
+  RECEIPT: { label: 'Customer receipt', model: 'payment', field: 'paymentNumber', prefix: 'REC' },
+  PAYMENT: { label: 'Supplier payment', model: 'payment', field: 'paymentNumber', prefix: 'PAY' },
+  EXPENSE: { label: 'Expense', model: 'expense', field: 'expenseNumber', prefix: 'EXP' },
+  JOURNAL_ENTRY: { label: 'Journal entry', model: 'journalEntry', field: 'journalNumber', prefix: 'JE' },
+  SALES_QUOTATION: { label: 'Sales quotation', model: 'salesQuotation', field: 'quotationNumber', prefix: 'SQ' },
+  SALES_ORDER: { label: 'Sales order', model: 'salesOrder', field: 'orderNumber', prefix: 'SO' },
+  DELIVERY_CHALLAN: { label: 'Delivery challan', model: 'deliveryChallan', field: 'challanNumber', prefix: 'DC' },
+  SALES_RETURN: { label: 'Sales return', model: 'salesReturn', field: 'returnNumber', prefix: 'SR' },
+  CREDIT_NOTE: { label: 'Credit note', model: 'creditNote', field: 'creditNoteNumber', prefix: 'CN' },
+  PURCHASE_QUOTATION: { label: 'Purchase quotation', model: 'purchaseQuotation', field: 'quotationNumber', prefix: 'PQ' },
+  PURCHASE_ORDER: { label: 'Purchase order', model: 'purchaseOrder', field: 'orderNumber', prefix: 'PO' },
+  GOODS_RECEIPT: { label: 'Goods receipt', model: 'goodsReceipt', field: 'receiptNumber', prefix: 'GR' },
+  PURCHASE_RETURN: { label: 'Purchase return', model: 'purchaseReturn', field: 'returnNumber', prefix: 'PR' },
+  DEBIT_NOTE: { label: 'Debit note', model: 'debitNote', field: 'debitNoteNumber', prefix: 'DN' },
+  PAYMENT_RUN: { label: 'Payment run', model: 'paymentRun', field: 'runNumber', prefix: 'RUN' }
+};
+
+const RESET_PERIODS = ['NEVER', 'FISCAL_YEAR', 'MONTHLY'];
+
+const DEFAULT_RESET_PERIOD = 'MONTHLY';
+
+const TOKEN_PATTERN = /\{(seq(?::(\d+))?|FY|YYYY|YY|MM)\}/g;
+
+const MAX_SEQUENCE_PADDING = 12;
+
+/**
+ * Default series for a document type
+ */
+const defaultSeries = (documentType) => ({
+  documentType,
+  pattern: `${DOCUMENT_TYPES[documentType].prefix}-{YYYY}{MM}-{seq:4}`,
+  resetPeriod: DEFAULT_RESET_PERIOD,
+  isDefault: true
+});
+
+/**
+ * Check a series definition. Returns an error message, or null if valid.
+ */
+const validateSeries = ({ documentType, pattern, resetPeriod }) => {
+  if (!DOCUMENT_TYPES[documentType]) {
+    return `Unknown document type: ${documentType}. Must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`;
+  }
+
+  if (!pattern || typeof pattern !== 'string') {
+    return 'Pattern is required';
+  }
+
+  const tokens = [...pattern.matchAll(TOKEN_PATTERN)];
+  const sequenceTokens = tokens.filter(token => token[1].startsWith('seq'));
+
+  if (sequenceTokens.length !== 1) {
+    return 'Pattern must contain {seq} or {seq:N} exactly once';
+  }
+
+  if (parseInt(sequenceTokens[0][2] || '1') > MAX_SEQUENCE_PADDING) {
+    return `Sequence padding can be at most ${MAX_SEQUENCE_PADDING} digits`;
+  }
+
+  const unknown = pattern.replace(TOKEN_PATTERN, '').match(/\{[^}]*\}/);
+  if (unknown) {
+    return `Unknown pattern token ${unknown[0]}. Use {seq}, {seq:N}, {FY}, {YYYY}, {YY} or {MM}`;
+  }
+
+  if (resetPeriod && !RESET_PERIODS.includes(resetPeriod)) {
+    return `Reset period must be one of: ${RESET_PERIODS.join(', ')}`;
+  }
+
+  // Without a date token, numbers from different periods would repeat
+  const resetsWithoutDate = resetPeriod === 'MONTHLY'
+    ? !(/\{MM\}/.test(pattern) && /\{(YYYY|YY|FY)\}/.test(pattern))
+    : resetPeriod === 'FISCAL_YEAR' && !/\{FY\}/.test(pattern);
+
+  if (resetsWithoutDate) {
+    return resetPeriod === 'MONTHLY'
+      ? 'A series that resets monthly needs {MM} and a year token in its pattern'
+      : 'A series that resets each fiscal year needs {FY} in its pattern';
+  }
+
+  return null;
+};
+
+/**
+ * The company's series for a document type, or the default
+ */
+const getSeries = async (db, companyId, documentType) => {
+  const series = await db.numberSeries.findUnique({
+    where: { companyId_documentType: { companyId, documentType } }
+  });
+
+  return series ? { ...series, isDefault: false } : defaultSeries(documentType);
+};
+
+/**
+ * Counter key for the period a date falls in
+ */
+const getPeriodKey = (resetPeriod, date, fiscalYearStart = 1) => {
+  const when = new Date(date);
+
+  if (resetPeriod === 'MONTHLY') {
+    return `${when.getUTCFullYear()}-${String(when.getUTCMonth() + 1).padStart(2, '0')}`;
+  }
+
+  if (resetPeriod === 'FISCAL_YEAR') {
+    return `FY${getFiscalYearRange(when, fiscalYearStart).startDate.getUTCFullYear()}`;
+  }
+
+  return 'ALL';
+};
+
+/**
+ * Render a number from a pattern
+ */
+const formatNumber = (pattern, sequence, date, fiscalYearStart = 1) => {
+  const when = new Date(date);
+  const year = when.getUTCFullYear();
+  const fiscalStartYear = getFiscalYearRange(when, fiscalYearStart).startDate.getUTCFullYear();
+
+  return pattern.replace(TOKEN_PATTERN, (match, token, padding) => {
+    if (token.startsWith('seq')) return String(sequence).padStart(parseInt(padding || '1'), '0');
+    if (token === 'FY') {
+      return fiscalYearStart === 1
+        ? String(fiscalStartYear)
+        : `${fiscalStartYear}-${String(fiscalStartYear + 1).slice(-2)}`;
+    }
+    if (token === 'YYYY') return String(year);
+    if (token === 'YY') return String(year).slice(-2);
+    return String(when.getUTCMonth() + 1).padStart(2, '0');
+  });
+};
+
+/**
+ * Allocate the next number for a document type. date (the document date,
+ * default today) picks the reset period and fills the date tokens.
+ * Numbers already taken (e.g. issued before the series existed) are
+ * skipped.
+ */
+const allocateNumber = async (db, companyId, documentType, { date = new Date() } = {}) => {
+  const definition = DOCUMENT_TYPES[documentType];
+  if (!definition) {
+    throw new ValidationError(`Unknown document type: ${documentType}`);
+  }
+
+  const [series, company] = await Promise.all([
+    getSeries(db, companyId, documentType),
+    db.company.findUnique({ where: { id: companyId }, select: { fiscalYearStart: true } })
+  ]);
+
+  const fiscalYearStart = company?.fiscalYearStart || 1;
+  const periodKey = getPeriodKey(series.resetPeriod, date, fiscalYearStart);
+  const key = { companyId, documentType, periodKey };
+
+  // Create the counter if this is the period's first number; a concurrent
+  // request creating it at the same time is ignored
+  await db.numberSequence.createMany({
+    data: [{ id: uuidv4(), ...key, lastValue: 0 }],
+    skipDuplicates: true
+  });
+
+  for (;;) {
+    const counter = await db.numberSequence.update({
+      where: { companyId_documentType_periodKey: key },
+      data: { lastValue: { increment: 1 } }
+    });
+
+    const number = formatNumber(series.pattern, counter.lastValue, date, fiscalYearStart);
+
+    const taken = await db[definition.model].findFirst({
+      where: { companyId, [definition.field]: number },
+      select: { id: true }
+    });
+
+    if (!taken) return number;
+  }
+};
+
+/**
+ * Preview the next number without allocating it
+ */
+const previewNumber = async (db, companyId, documentType, { date = new Date() } = {}) => {
+  const [series, company] = await Promise.all([
+    getSeries(db, companyId, documentType),
+    db.company.findUnique({ where: { id: companyId }, select: { fiscalYearStart: true } })
+  ]);
+
+  const fiscalYearStart = company?.fiscalYearStart || 1;
+  const periodKey = getPeriodKey(series.resetPeriod, date, fiscalYearStart);
+
+  const counter = await db.numberSequence.findUnique({
+    where: { companyId_documentType_periodKey: { companyId, documentType, periodKey } }
+  });
+
+  return formatNumber(series.pattern, (counter ? counter.lastValue : 0) + 1, date, fiscalYearStart);
+};
+
+/**
+ * Set the next sequence number for the period containing date, e.g. to
+ * carry on from numbers issued in another system
+ */
+const setNextSequence = async (db, companyId, documentType, nextNumber, { date = new Date() } = {}) => {
+  const [series, company] = await Promise.all([
+    getSeries(db, companyId, documentType),
+    db.company.findUnique({ where: { id: companyId }, select: { fiscalYearStart: true } })
+  ]);
+
+  const periodKey = getPeriodKey(series.resetPeriod, date, company?.fiscalYearStart || 1);
+
+  return db.numberSequence.upsert({
+    where: { companyId_documentType_periodKey: { companyId, documentType, periodKey } },
+    create: { id: uuidv4(), companyId, documentType, periodKey, lastValue: nextNumber - 1 },
+    update: { lastValue: nextNumber - 1 }
+  });
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  RESET_PERIODS,
+  defaultSeries,
+  validateSeries,
+  getSeries,
+  getPeriodKey,
+  formatNumber,
+  allocateNumber,
+  previewNumber,
+  setNextSequence
+};
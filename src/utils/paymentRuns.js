@@ -0,0 +1,442 @@
+const { v4: uuidv4 } = require('uuid');
+const { createOnAccountPayment, applyPayment } = require('./payments');
+const { createDebitNoteRecord, issueDebitNote, applyToSourceBill } = require('./debitNotes');
+const { AMOUNT_TOLERANCE, roundAmount, resolveDocumentCurrency } = require('./currency');
+const { ValidationError, ConflictError } = require('../middleware/errorHandler');
+
+/**
+ * Vendor payment runs
+ *
+ * A run collects open bills to pay from one bank account on one date.
+ * Bills are selected and reviewed while the run is DRAFT; approving it
+ * creates one outgoing payment per supplier, applied to that supplier's
+ * bills, all in a single transaction. An early-payment discount is
+ * settled with a debit note against the bill rather than left open.
+ * Approved runs export to a pain.001 credit transfer file or a plain CSV.
+ */
+
+const OPEN_BILL_STATUSES = ['APPROVED', 'PARTIALLY_PAID', 'OVERDUE'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RUN_INCLUDE = {
+  bankAccount: {
+    select: { id: true, name: true, bankName: true, accountNumber: true, iban: true, bic: true }
+  },
+  items: {
+    include: {
+      bill: {
+        select: { id: true, billNumber: true, billDate: true, dueDate: true, status: true, totalAmount: true, balanceAmount: true }
+      },
+      supplier: {
+        select: { id: true, name: true, bankName: true, bankAccount: true, iban: true, bic: true }
+      },
+      payment: { select: { id: true, paymentNumber: true, status: true } }
+    },
+    orderBy: { createdAt: 'asc' }
+  },
+  createdBy: { select: { id: true, name: true, email: true } },
+  approvedBy: { select: { id: true, name: true, email: true } }
+};
+
+/**
+ * Early-payment discount on a bill's open balance when paid on
+ * paymentDate, from the supplier's terms ("2% if paid within 10 days").
+ * Returns 0 once the discount window has passed.
+ */
+const earlyPaymentDiscount = (bill, supplier, paymentDate) => {
+  const percent = supplier.earlyPaymentDiscountPercent;
+  const days = supplier.earlyPaymentDiscountDays;
+
+  if (!(percent > 0) || days === null || days === undefined) return 0;
+
+  const deadline = new Date(bill.billDate).getTime() + days * DAY_MS;
+  if (new Date(paymentDate).getTime() > deadline) return 0;
+
+  return roundAmount(bill.balanceAmount * percent / 100);
+};
+
+/**
+ * Find open bills for a run and work out what to pay on each.
+ * Only bills in the run currency that aren't already in another draft
+ * run are considered. Filters: dueBefore, supplierIds, minAmount/maxAmount
+ * (on the open balance) or an explicit list of billIds. With
+ * applyDiscounts, bills not yet due are included too when paying now
+ * still earns a discount.
+ */
+const selectBills = async (db, run, {
+  billIds,
+  dueBefore,
+  supplierIds,
+  minAmount,
+  maxAmount,
+  applyDiscounts = false
+}) => {
+  const company = await db.company.findUnique({
+    where: { id: run.companyId },
+    select: { baseCurrency: true }
+  });
+
+  const where = {
+    companyId: run.companyId,
+    status: { in: OPEN_BILL_STATUSES },
+    balanceAmount: { gt: AMOUNT_TOLERANCE },
+    // Bills without a currency are in the base currency
+    OR: run.currency === company.baseCurrency
+      ? [{ currency: run.currency }, { currency: null }]
+      : [{ currency: run.currency }],
+    paymentRunItems: { none: { paymentRun: { status: 'DRAFT' } } }
+  };
+
+  if (Array.isArray(billIds) && billIds.length > 0) {
+    where.id = { in: billIds };
+  }
+
+  if (Array.isArray(supplierIds) && supplierIds.length > 0) {
+    where.supplierId = { in: supplierIds };
+  }
+
+  const min = parseFloat(minAmount);
+  const max = parseFloat(maxAmount);
+  if (!isNaN(min)) where.balanceAmount.gte = min;
+  if (!isNaN(max)) where.balanceAmount.lte = max;
+
+  const bills = await db.bill.findMany({
+    where,
+    include: { supplier: true },
+    orderBy: [{ dueDate: 'asc' }, { billDate: 'asc' }]
+  });
+
+  const cutoff = dueBefore ? new Date(dueBefore) : null;
+
+  return bills
+    .map(bill => {
+      const discountAmount = applyDiscounts ? earlyPaymentDiscount(bill, bill.supplier, run.paymentDate) : 0;
+      return {
+        bill,
+        supplier: bill.supplier,
+        discountAmount,
+        payAmount: roundAmount(bill.balanceAmount - discountAmount)
+      };
+    })
+    .filter(({ bill, discountAmount }) => !cutoff || new Date(bill.dueDate) <= cutoff || discountAmount > 0);
+};
+
+/**
+ * Add selected bills to a DRAFT run and refresh its totals.
+ */
+const addItemsToRun = async (tx, run, selected) => {
+  if (selected.length > 0) {
+    await tx.paymentRunItem.createMany({
+      data: selected.map(({ bill, supplier, payAmount, discountAmount }) => ({
+        id: uuidv4(),
+        paymentRunId: run.id,
+        billId: bill.id,
+        supplierId: supplier.id,
+        payAmount,
+        discountAmount
+      })),
+      skipDuplicates: true
+    });
+  }
+
+  return refreshRunTotals(tx, run.id);
+};
+
+/**
+ * Recompute a run's totals from its items.
+ */
+const refreshRunTotals = async (tx, runId) => {
+  const totals = await tx.paymentRunItem.aggregate({
+    where: { paymentRunId: runId },
+    _sum: { payAmount: true, discountAmount: true }
+  });
+
+  return tx.paymentRun.update({
+    where: { id: runId },
+    data: {
+      totalAmount: roundAmount(totals._sum.payAmount || 0),
+      discountAmount: roundAmount(totals._sum.discountAmount || 0)
+    },
+    include: RUN_INCLUDE
+  });
+};
+
+/**
+ * Approve a DRAFT run: for each supplier, one outgoing payment from the
+ * run's bank account applied to its bills, plus a debit note per
+ * discounted bill. Call inside a transaction; any failure rolls back the
+ * whole run.
+ */
+const executePaymentRun = async (tx, run, { approvedById }) => {
+  // Claim the draft so it can't be approved twice
+  const claimed = await tx.paymentRun.updateMany({
+    where: { id: run.id, status: 'DRAFT' },
+    data: { status: 'APPROVED', approvedById, approvedAt: new Date() }
+  });
+
+  if (claimed.count === 0) {
+    throw new ConflictError(`Payment run ${run.runNumber} is not a draft`);
+  }
+
+  const items = await tx.paymentRunItem.findMany({
+    where: { paymentRunId: run.id },
+    include: { bill: true, supplier: true },
+    orderBy: { createdAt: 'asc' }
+  });
+
+  if (items.length === 0) {
+    throw new ValidationError('Payment run has no bills');
+  }
+
+  const bySupplier = new Map();
+  for (const item of items) {
+    const { bill, supplier } = item;
+
+    if (!OPEN_BILL_STATUSES.includes(bill.status)) {
+      throw new ConflictError(`Bill ${bill.billNumber} is no longer open`);
+    }
+
+    if (item.payAmount + item.discountAmount > bill.balanceAmount + AMOUNT_TOLERANCE) {
+      throw new ConflictError(`Bill ${bill.billNumber} has a balance of ${bill.balanceAmount}; review the run`);
+    }
+
+    if (!supplier.iban && !supplier.bankAccount) {
+      throw new ValidationError(`Supplier ${supplier.name} has no bank account details`);
+    }
+
+    if (!bySupplier.has(supplier.id)) {
+      bySupplier.set(supplier.id, { supplier, items: [] });
+    }
+    bySupplier.get(supplier.id).items.push(item);
+  }
+
+  const paymentCurrency = await resolveDocumentCurrency(tx, run.companyId, {
+    currency: run.currency,
+    date: run.paymentDate
+  });
+
+  for (const { supplier, items: supplierItems } of bySupplier.values()) {
+    const paid = supplierItems.filter(item => item.payAmount > AMOUNT_TOLERANCE);
+    let payment = null;
+
+    if (paid.length > 0) {
+      payment = await createOnAccountPayment(tx, {
+        companyId: run.companyId,
+        type: 'OUTGOING',
+        party: supplier,
+        amount: roundAmount(paid.reduce((sum, item) => sum + item.payAmount, 0)),
+        paymentDate: run.paymentDate,
+        paymentMethod: 'BANK_TRANSFER',
+        bankAccountId: run.bankAccountId,
+        referenceNumber: run.runNumber,
+        notes: `Payment run ${run.runNumber}`,
+        ...paymentCurrency,
+        createdById: approvedById
+      });
+
+      await applyPayment(tx, payment, paid.map(item => ({ billId: item.billId, amount: item.payAmount })), {
+        allocationDate: run.paymentDate,
+        createdById: approvedById
+      });
+    }
+
+    for (const item of supplierItems) {
+      let debitNoteId = null;
+
+      if (item.discountAmount > AMOUNT_TOLERANCE) {
+        const debitNote = await createDebitNoteRecord(tx, {
+          companyId: run.companyId,
+          supplier,
+          billId: item.billId,
+          debitNoteDate: run.paymentDate,
+          items: [{
+            description: `Early payment discount - ${item.bill.billNumber}`,
+            quantity: 1,
+            unitPrice: item.discountAmount,
+            taxRate: 0
+          }],
+          reason: 'Early payment discount',
+          notes: `Payment run ${run.runNumber}`,
+          currency: item.bill.currency,
+          exchangeRate: item.bill.exchangeRate,
+          createdById: approvedById
+        });
+
+        const issued = await issueDebitNote(tx, debitNote);
+        const bill = await tx.bill.findUnique({ where: { id: item.billId } });
+        await applyToSourceBill(tx, issued, bill, approvedById);
+        debitNoteId = debitNote.id;
+      }
+
+      await tx.paymentRunItem.update({
+        where: { id: item.id },
+        data: { paymentId: item.payAmount > AMOUNT_TOLERANCE ? payment.id : null, debitNoteId }
+      });
+    }
+  }
+
+  return tx.paymentRun.findUnique({
+    where: { id: run.id },
+    include: RUN_INCLUDE
+  });
+};
+
+/**
+ * One transfer per payment of an approved run, with the bill numbers it
+ * settles as remittance information.
+ */
+const runTransfers = (run) => {
+  const transfers = new Map();
+
+  for (const item of run.items) {
+    if (!item.payment) continue;
+
+    if (!transfers.has(item.payment.id)) {
+      transfers.set(item.payment.id, {
+        paymentNumber: item.payment.paymentNumber,
+        supplier: item.supplier,
+        amount: 0,
+        billNumbers: []
+      });
+    }
+
+    const transfer = transfers.get(item.payment.id);
+    transfer.amount = roundAmount(transfer.amount + item.payAmount);
+    transfer.billNumbers.push(item.bill.billNumber);
+  }
+
+  return [...transfers.values()];
+};
+
+/**
+ * Build an ISO 20022 pain.001.001.03 customer credit transfer initiation
+ * for an approved run. EUR runs are flagged as SEPA transfers.
+ */
+const buildPain001 = (run, company) => {
+  const debtorAccount = run.bankAccount;
+  if (!debtorAccount.iban && !debtorAccount.accountNumber) {
+    throw new ValidationError(`Bank account ${debtorAccount.name} has no IBAN or account number`);
+  }
+
+  const transfers = runTransfers(run);
+  const controlSum = roundAmount(transfers.reduce((sum, transfer) => sum + transfer.amount, 0)).toFixed(2);
+  const sepa = run.currency === 'EUR';
+  const executionDate = new Date(run.paymentDate).toISOString().split('T')[0];
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">',
+    '  <CstmrCdtTrfInitn>',
+    '    <GrpHdr>',
+    `      <MsgId>${xmlText(run.runNumber, 35)}</MsgId>`,
+    `      <CreDtTm>${new Date().toISOString().split('.')[0]}</CreDtTm>`,
+    `      <NbOfTxs>${transfers.length}</NbOfTxs>`,
+    `      <CtrlSum>${controlSum}</CtrlSum>`,
+    `      <InitgPty><Nm>${xmlText(company.name, 70)}</Nm></InitgPty>`,
+    '    </GrpHdr>',
+    '    <PmtInf>',
+    `      <PmtInfId>${xmlText(run.runNumber, 35)}</PmtInfId>`,
+    '      <PmtMtd>TRF</PmtMtd>',
+    '      <BtchBookg>true</BtchBookg>',
+    `      <NbOfTxs>${transfers.length}</NbOfTxs>`,
+    `      <CtrlSum>${controlSum}</CtrlSum>`,
+    ...(sepa ? ['      <PmtTpInf><SvcLvl><Cd>SEPA</Cd></SvcLvl></PmtTpInf>'] : []),
+    `      <ReqdExctnDt>${executionDate}</ReqdExctnDt>`,
+    `      <Dbtr><Nm>${xmlText(company.name, 70)}</Nm></Dbtr>`,
+    `      <DbtrAcct><Id>${accountId(debtorAccount.iban, debtorAccount.accountNumber)}</Id><Ccy>${run.currency}</Ccy></DbtrAcct>`,
+    `      <DbtrAgt><FinInstnId>${agentId(debtorAccount.bic)}</FinInstnId></DbtrAgt>`,
+    `      <ChrgBr>${sepa ? 'SLEV' : 'SHAR'}</ChrgBr>`
+  ];
+
+  for (const transfer of transfers) {
+    const { supplier } = transfer;
+    lines.push(
+      '      <CdtTrfTxInf>',
+      `        <PmtId><EndToEndId>${xmlText(transfer.paymentNumber, 35)}</EndToEndId></PmtId>`,
+      `        <Amt><InstdAmt Ccy="${run.currency}">${transfer.amount.toFixed(2)}</InstdAmt></Amt>`,
+      ...(supplier.bic ? [`        <CdtrAgt><FinInstnId>${agentId(supplier.bic)}</FinInstnId></CdtrAgt>`] : []),
+      `        <Cdtr><Nm>${xmlText(supplier.name, 70)}</Nm></Cdtr>`,
+      `        <CdtrAcct><Id>${accountId(supplier.iban, supplier.bankAccount)}</Id></CdtrAcct>`,
+      `        <RmtInf><Ustrd>${xmlText(transfer.billNumbers.join(', '), 140)}</Ustrd></RmtInf>`,
+      '      </CdtTrfTxInf>'
+    );
+  }
+
+  lines.push('    </PmtInf>', '  </CstmrCdtTrfInitn>', '</Document>', '');
+  return lines.join('\n');
+};
+
+/**
+ * Build a simple CSV of an approved run's transfers for banks that take
+ * bulk payment uploads without ISO 20022.
+ */
+const buildBankCsv = (run) => {
+  const rows = [[
+    'Payment Date', 'Payment Number', 'Supplier', 'IBAN', 'Account Number', 'BIC',
+    'Bank Name', 'Amount', 'Currency', 'Reference'
+  ]];
+  const paymentDate = new Date(run.paymentDate).toISOString().split('T')[0];
+
+  for (const transfer of runTransfers(run)) {
+    const { supplier } = transfer;
+    rows.push([
+      paymentDate,
+      transfer.paymentNumber,
+      supplier.name,
+      supplier.iban || '',
+      supplier.bankAccount || '',
+      supplier.bic || '',
+      supplier.bankName || '',
+      transfer.amount.toFixed(2),
+      run.currency,
+      transfer.billNumbers.join(' ')
+    ]);
+  }
+
+  return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+};
+
+// Helper function to escape and truncate XML text content
+function xmlText(value, maxLength) {
+  return String(value || '')
+    .slice(0, maxLength)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Helper function to build an account <Id> from an IBAN or a plain account number
+function accountId(iban, accountNumber) {
+  if (iban) {
+    return `<IBAN>${xmlText(iban.replace(/\s+/g, '').toUpperCase(), 34)}</IBAN>`;
+  }
+  return `<Othr><Id>${xmlText(accountNumber, 34)}</Id></Othr>`;
+}
+
+// Helper function to build a <FinInstnId> body; SEPA allows omitting the BIC
+function agentId(bic) {
+  if (bic) {
+    return `<BIC>${xmlText(bic.replace(/\s+/g, '').toUpperCase(), 11)}</BIC>`;
+  }
+  return '<Othr><Id>NOTPROVIDED</Id></Othr>';
+}
+
+// Helper function to quote a CSV field when needed
+function csvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  RUN_INCLUDE,
+  earlyPaymentDiscount,
+  selectBills,
+  addItemsToRun,
+  refreshRunTotals,
+  executePaymentRun,
+  buildPain001,
+  buildBankCsv
+};
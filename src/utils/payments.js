@@ -0,0 +1,564 @@
+const { v4: uuidv4 } = require('uuid');
+const { allocateNumber } = require('./numbering');
+const { resolveAccounts } = require('./accountMapping');
+const { postJournalEntry, reverseJournalEntry } = require('./posting');
+const { AMOUNT_TOLERANCE, roundAmount, toBaseAmount, fxDifferenceLines } = require('./currency');
+const { ValidationError, ConflictError, NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Payments on account
+ *
+ * A customer receipt or supplier prepayment that isn't (fully) tied to a
+ * document is held on account: it is posted against AR/AP straight away,
+ * so the party's balance already reflects it, and unappliedAmount tracks
+ * what is left to apply. Applying or unapplying only moves the amount
+ * between the payment and the invoice/bill; the GL is only touched for
+ * the FX difference when the two were booked at different rates.
+ *
+ * Voiding works for any payment, on account or paid against a document.
+ */
+
+const OPEN_INVOICE_STATUSES = ['SENT', 'PARTIALLY_PAID', 'OVERDUE'];
+const OPEN_BILL_STATUSES = ['APPROVED', 'PARTIALLY_PAID', 'OVERDUE'];
+
+const PAYMENT_INCLUDE = {
+  customer: { select: { id: true, name: true } },
+  supplier: { select: { id: true, name: true } },
+  allocations: {
+    include: {
+      invoice: { select: { id: true, invoiceNumber: true } },
+      bill: { select: { id: true, billNumber: true } }
+    },
+    orderBy: { allocationDate: 'asc' }
+  }
+};
+
+/**
+ * Record a customer receipt (INCOMING) or supplier payment (OUTGOING)
+ * held on account. party is the customer or supplier; currency and
+ * exchangeRate come from resolveDocumentCurrency. With bankAccountId the
+ * cash side posts to that bank account's GL account.
+ */
+const createOnAccountPayment = async (tx, {
+  companyId,
+  type,
+  party,
+  amount,
+  paymentDate = new Date(),
+  paymentMethod,
+  bankAccountId = null,
+  referenceNumber,
+  notes,
+  currency = null,
+  exchangeRate = 1,
+  createdById
+}) => {
+  const paymentAmount = parseFloat(amount);
+  if (!(paymentAmount > 0)) {
+    throw new ValidationError('Valid payment amount is required');
+  }
+
+  const incoming = type === 'INCOMING';
+
+  const payment = await tx.payment.create({
+    data: {
+      id: uuidv4(),
+      paymentNumber: await allocateNumber(tx, companyId, incoming ? 'RECEIPT' : 'PAYMENT', { date: paymentDate }),
+      type,
+      amount: paymentAmount,
+      unappliedAmount: paymentAmount,
+      currency,
+      exchangeRate,
+      paymentDate: new Date(paymentDate),
+      paymentMethod,
+      bankAccountId,
+      referenceNumber,
+      notes,
+      customerId: incoming ? party.id : null,
+      supplierId: incoming ? null : party.id,
+      companyId,
+      createdById
+    }
+  });
+
+  await createOnAccountAccountingEntries(tx, payment, party);
+
+  const partyUpdate = {
+    where: { id: party.id },
+    data: { balance: { decrement: toBaseAmount(paymentAmount, exchangeRate) } }
+  };
+
+  if (incoming) {
+    await tx.customer.update(partyUpdate);
+  } else {
+    await tx.supplier.update(partyUpdate);
+  }
+
+  return payment;
+};
+
+/**
+ * Apply unapplied payment to open invoices (receipts) or bills
+ * (payments) of the same party.
+ * allocations: [{ invoiceId | billId, amount }]
+ */
+const applyPayment = async (tx, payment, allocations, { allocationDate = new Date(), createdById }) => {
+  if (payment.status === 'VOIDED') {
+    throw new ConflictError('Voided payments cannot be applied');
+  }
+
+  if (!Array.isArray(allocations) || allocations.length === 0) {
+    throw new ValidationError('At least one allocation is required');
+  }
+
+  if (allocations.some(allocation => !(parseFloat(allocation.amount) > 0))) {
+    throw new ValidationError('Allocation amounts must be positive');
+  }
+
+  const total = roundAmount(allocations.reduce((sum, allocation) => sum + parseFloat(allocation.amount), 0));
+
+  // Take the amount first; a concurrent application sees the lower balance
+  const claimed = await tx.payment.updateMany({
+    where: { id: payment.id, status: 'COMPLETED', unappliedAmount: { gte: total - AMOUNT_TOLERANCE } },
+    data: { unappliedAmount: { decrement: total } }
+  });
+
+  if (claimed.count === 0) {
+    throw new ValidationError(`Allocations (${total}) exceed the unapplied amount of payment ${payment.paymentNumber}`);
+  }
+
+  const company = await tx.company.findUnique({
+    where: { id: payment.companyId },
+    select: { baseCurrency: true }
+  });
+  const paymentCurrency = payment.currency || company.baseCurrency;
+
+  for (const allocation of allocations) {
+    const amount = parseFloat(allocation.amount);
+    const document = await findOpenDocument(tx, payment, allocation);
+
+    if ((document.currency || company.baseCurrency) !== paymentCurrency) {
+      throw new ValidationError(`${document.number} is not in ${paymentCurrency}`);
+    }
+
+    const newBalance = roundAmount(document.record.balanceAmount - amount);
+    if (newBalance < -AMOUNT_TOLERANCE) {
+      throw new ValidationError(`Allocation exceeds the balance of ${document.number}`);
+    }
+
+    await document.model.update({
+      where: { id: document.record.id },
+      data: {
+        paidAmount: { increment: amount },
+        balanceAmount: Math.max(0, newBalance),
+        status: newBalance <= AMOUNT_TOLERANCE ? 'PAID' : 'PARTIALLY_PAID'
+      }
+    });
+
+    const created = await tx.paymentAllocation.create({
+      data: {
+        id: uuidv4(),
+        paymentId: payment.id,
+        invoiceId: payment.type === 'INCOMING' ? document.record.id : null,
+        billId: payment.type === 'OUTGOING' ? document.record.id : null,
+        amount,
+        allocationDate: new Date(allocationDate),
+        createdById
+      }
+    });
+
+    const gain = allocationFxGain(payment, document.record, amount);
+    if (gain !== 0) {
+      await postAllocationFxDifference(tx, payment, created, document.number, gain, { allocationDate, createdById });
+    }
+  }
+
+  return tx.payment.findUnique({
+    where: { id: payment.id },
+    include: PAYMENT_INCLUDE
+  });
+};
+
+/**
+ * Take an allocation off its invoice/bill and put the amount back on
+ * account. Any FX difference posted for it is reversed.
+ */
+const unapplyPayment = async (tx, payment, allocationId, { unappliedDate = new Date(), createdById }) => {
+  const allocation = await tx.paymentAllocation.findFirst({
+    where: { id: allocationId, paymentId: payment.id },
+    include: { invoice: true, bill: true }
+  });
+
+  if (!allocation) {
+    throw new NotFoundError('Allocation not found for this payment');
+  }
+
+  // Claim the allocation so it can't be unapplied twice
+  const claimed = await tx.paymentAllocation.updateMany({
+    where: { id: allocation.id, unappliedAt: null },
+    data: { unappliedAt: new Date(unappliedDate), unappliedById: createdById }
+  });
+
+  if (claimed.count === 0) {
+    throw new ConflictError('Allocation has already been unapplied');
+  }
+
+  const document = allocation.invoice || allocation.bill;
+
+  if (document) {
+    await reopenDocument(tx, allocation.invoice ? 'invoice' : 'bill', document, allocation.amount);
+  }
+
+  await tx.payment.update({
+    where: { id: payment.id },
+    data: { unappliedAmount: { increment: allocation.amount } }
+  });
+
+  const fxEntries = await tx.journalEntry.findMany({
+    where: {
+      referenceType: 'payment_allocation',
+      referenceId: allocation.id,
+      status: 'POSTED',
+      reversedAt: null,
+      reversalOfId: null
+    }
+  });
+
+  for (const entry of fxEntries) {
+    await reverseJournalEntry(tx, entry, {
+      entryDate: unappliedDate,
+      description: `Unapplied ${payment.paymentNumber}: ${entry.description}`,
+      createdById
+    });
+  }
+
+  if (document && fxEntries.length > 0) {
+    const gain = allocationFxGain(payment, document, allocation.amount);
+    await adjustPartyBalance(tx, payment, -gain);
+  }
+
+  return tx.payment.findUnique({
+    where: { id: payment.id },
+    include: PAYMENT_INCLUDE
+  });
+};
+
+/**
+ * Void a payment: take it off the documents it settled, reverse its
+ * journal entries and restore the party's balance. The payment is kept
+ * with who voided it, when and why.
+ */
+const voidPayment = async (tx, payment, { reason, voidDate = new Date(), voidedById }) => {
+  const reconciled = await tx.bankMatch.count({
+    where: {
+      unmatchedAt: null,
+      journalLineItem: {
+        journalEntry: { referenceType: 'payment', referenceId: payment.id }
+      }
+    }
+  });
+
+  if (reconciled > 0) {
+    throw new ConflictError(`Payment ${payment.paymentNumber} is matched to a bank statement line. Unmatch it before voiding.`);
+  }
+
+  // Claim the payment so it can't be voided twice
+  const claimed = await tx.payment.updateMany({
+    where: { id: payment.id, status: 'COMPLETED' },
+    data: {
+      status: 'VOIDED',
+      voidedAt: new Date(voidDate),
+      voidedById,
+      voidReason: reason
+    }
+  });
+
+  if (claimed.count === 0) {
+    throw new ConflictError(`Payment ${payment.paymentNumber} has already been voided`);
+  }
+
+  const incoming = payment.type === 'INCOMING';
+  let partyId = incoming ? payment.customerId : payment.supplierId;
+  let settledRate = payment.exchangeRate;
+
+  if (payment.invoiceId || payment.billId) {
+    // Paid straight against one document, which carried the party balance at its own rate
+    const model = payment.invoiceId ? 'invoice' : 'bill';
+    const document = await tx[model].findUnique({
+      where: { id: payment.invoiceId || payment.billId }
+    });
+
+    await reopenDocument(tx, model, document, payment.amount);
+
+    partyId = partyId || (payment.invoiceId ? document.customerId : document.supplierId);
+    settledRate = document.exchangeRate;
+  } else {
+    const allocations = await tx.paymentAllocation.findMany({
+      where: { paymentId: payment.id, unappliedAt: null }
+    });
+
+    for (const allocation of allocations) {
+      await unapplyPayment(tx, payment, allocation.id, { unappliedDate: voidDate, createdById: voidedById });
+    }
+
+    await tx.payment.update({
+      where: { id: payment.id },
+      data: { unappliedAmount: 0 }
+    });
+  }
+
+  const entries = await tx.journalEntry.findMany({
+    where: {
+      referenceType: 'payment',
+      referenceId: payment.id,
+      status: 'POSTED',
+      reversedAt: null,
+      reversalOfId: null
+    }
+  });
+
+  for (const entry of entries) {
+    await reverseJournalEntry(tx, entry, {
+      entryDate: voidDate,
+      description: `Void of ${payment.paymentNumber}: ${entry.description}`,
+      createdById: voidedById
+    });
+  }
+
+  const partyUpdate = {
+    where: { id: partyId },
+    data: { balance: { increment: toBaseAmount(payment.amount, settledRate) } }
+  };
+
+  if (incoming) {
+    await tx.customer.update(partyUpdate);
+  } else {
+    await tx.supplier.update(partyUpdate);
+  }
+
+  return tx.payment.findUnique({
+    where: { id: payment.id },
+    include: PAYMENT_INCLUDE
+  });
+};
+
+/**
+ * Apply unapplied payment to the party's open documents, oldest first.
+ * Whatever is left stays on account.
+ */
+const applyToOldestDocuments = async (tx, payment, { allocationDate = new Date(), createdById }) => {
+  const incoming = payment.type === 'INCOMING';
+
+  const company = await tx.company.findUnique({
+    where: { id: payment.companyId },
+    select: { baseCurrency: true }
+  });
+  const paymentCurrency = payment.currency || company.baseCurrency;
+
+  const openDocuments = incoming
+    ? await tx.invoice.findMany({
+      where: {
+        companyId: payment.companyId,
+        customerId: payment.customerId,
+        status: { in: OPEN_INVOICE_STATUSES },
+        balanceAmount: { gt: 0 }
+      },
+      orderBy: { invoiceDate: 'asc' }
+    })
+    : await tx.bill.findMany({
+      where: {
+        companyId: payment.companyId,
+        supplierId: payment.supplierId,
+        status: { in: OPEN_BILL_STATUSES },
+        balanceAmount: { gt: 0 }
+      },
+      orderBy: { billDate: 'asc' }
+    });
+
+  // Only documents in the payment's currency can be settled by it
+  const documents = openDocuments.filter(doc => (doc.currency || company.baseCurrency) === paymentCurrency);
+
+  const allocations = [];
+  const summary = [];
+  let remaining = payment.unappliedAmount;
+
+  for (const document of documents) {
+    if (remaining <= AMOUNT_TOLERANCE) break;
+
+    const amount = roundAmount(Math.min(remaining, document.balanceAmount));
+    const newBalance = roundAmount(document.balanceAmount - amount);
+
+    allocations.push(incoming
+      ? { invoiceId: document.id, amount }
+      : { billId: document.id, amount });
+    summary.push({
+      ...allocations[allocations.length - 1],
+      [incoming ? 'invoiceNumber' : 'billNumber']: incoming ? document.invoiceNumber : document.billNumber,
+      previousBalance: document.balanceAmount,
+      newBalance,
+      status: newBalance <= AMOUNT_TOLERANCE ? 'PAID' : 'PARTIALLY_PAID'
+    });
+    remaining = roundAmount(remaining - amount);
+  }
+
+  if (allocations.length === 0) {
+    return { payment, allocations: [] };
+  }
+
+  const applied = await applyPayment(tx, payment, allocations, { allocationDate, createdById });
+
+  return { payment: applied, allocations: summary };
+};
+
+// Helper function to put an amount back on an invoice or bill and reopen it
+async function reopenDocument(tx, model, document, amount) {
+  const newBalance = roundAmount(document.balanceAmount + amount);
+  const reopenedStatus = model === 'invoice' ? 'SENT' : 'APPROVED';
+
+  return tx[model].update({
+    where: { id: document.id },
+    data: {
+      paidAmount: { decrement: amount },
+      balanceAmount: newBalance,
+      status: newBalance >= document.totalAmount - AMOUNT_TOLERANCE ? reopenedStatus : 'PARTIALLY_PAID'
+    }
+  });
+}
+
+// Helper function to load the open invoice or bill an allocation points at
+async function findOpenDocument(tx, payment, allocation) {
+  if (payment.type === 'INCOMING') {
+    if (!allocation.invoiceId) {
+      throw new ValidationError('Receipts can only be applied to invoices');
+    }
+
+    const invoice = await tx.invoice.findFirst({
+      where: { id: allocation.invoiceId, companyId: payment.companyId, customerId: payment.customerId }
+    });
+
+    if (!invoice) {
+      throw new NotFoundError(`Invoice ${allocation.invoiceId} not found for this customer`);
+    }
+
+    if (!OPEN_INVOICE_STATUSES.includes(invoice.status)) {
+      throw new ConflictError(`Invoice ${invoice.invoiceNumber} is not open`);
+    }
+
+    return { model: tx.invoice, record: invoice, number: `Invoice ${invoice.invoiceNumber}`, currency: invoice.currency };
+  }
+
+  if (!allocation.billId) {
+    throw new ValidationError('Supplier payments can only be applied to bills');
+  }
+
+  const bill = await tx.bill.findFirst({
+    where: { id: allocation.billId, companyId: payment.companyId, supplierId: payment.supplierId }
+  });
+
+  if (!bill) {
+    throw new NotFoundError(`Bill ${allocation.billId} not found for this supplier`);
+  }
+
+  if (!OPEN_BILL_STATUSES.includes(bill.status)) {
+    throw new ConflictError(`Bill ${bill.billNumber} is not open`);
+  }
+
+  return { model: tx.bill, record: bill, number: `Bill ${bill.billNumber}`, currency: bill.currency };
+}
+
+// Helper function to work out the realized FX on an allocation (> 0 is a gain)
+function allocationFxGain(payment, document, amount) {
+  const paymentBase = toBaseAmount(amount, payment.exchangeRate);
+  const documentBase = toBaseAmount(amount, document.exchangeRate);
+
+  // More received, or less paid, in base than the document was booked at
+  return roundAmount(payment.type === 'INCOMING' ? paymentBase - documentBase : documentBase - paymentBase);
+}
+
+// Helper function to move the party's balance by an FX difference
+async function adjustPartyBalance(tx, payment, gain) {
+  if (payment.type === 'INCOMING') {
+    await tx.customer.update({
+      where: { id: payment.customerId },
+      data: { balance: { increment: gain } }
+    });
+  } else {
+    await tx.supplier.update({
+      where: { id: payment.supplierId },
+      data: { balance: { decrement: gain } }
+    });
+  }
+}
+
+// Helper function to post the cash side of an on-account payment
+async function createOnAccountAccountingEntries(tx, payment, party) {
+  const incoming = payment.type === 'INCOMING';
+  const cashKey = payment.paymentMethod === 'CASH' ? 'CASH' : 'BANK';
+  const controlKey = incoming ? 'ACCOUNTS_RECEIVABLE' : 'ACCOUNTS_PAYABLE';
+  const accounts = await resolveAccounts(tx, payment.companyId, payment.bankAccountId ? [controlKey] : [cashKey, controlKey]);
+  const controlAccount = accounts[controlKey];
+  const cashAccount = payment.bankAccountId
+    ? (await tx.bankAccount.findUnique({ where: { id: payment.bankAccountId }, include: { account: true } })).account
+    : accounts[cashKey];
+
+  const baseAmount = toBaseAmount(payment.amount, payment.exchangeRate);
+  const cashLine = {
+    account: cashAccount,
+    foreignAmount: cashAccount.currency === payment.currency ? payment.amount : null,
+    description: `${incoming ? 'Receipt' : 'Payment'} on account - ${party.name}`
+  };
+  const controlLine = {
+    account: controlAccount,
+    description: `${incoming ? 'Customer' : 'Supplier'} on account - ${payment.paymentNumber}`
+  };
+
+  return postJournalEntry(tx, {
+    companyId: payment.companyId,
+    entryDate: payment.paymentDate,
+    description: `${incoming ? 'Receipt from' : 'Payment to'} ${party.name} on account`,
+    createdById: payment.createdById,
+    referenceType: 'payment',
+    referenceId: payment.id,
+    lines: incoming
+      ? [{ ...cashLine, debitAmount: baseAmount }, { ...controlLine, creditAmount: baseAmount }]
+      : [{ ...controlLine, debitAmount: baseAmount }, { ...cashLine, creditAmount: baseAmount }]
+  });
+}
+
+// Helper function to clear the AR/AP left by a rate difference between payment and document
+async function postAllocationFxDifference(tx, payment, allocation, documentNumber, gain, { allocationDate, createdById }) {
+  const controlKey = payment.type === 'INCOMING' ? 'ACCOUNTS_RECEIVABLE' : 'ACCOUNTS_PAYABLE';
+  const { [controlKey]: controlAccount } = await resolveAccounts(tx, payment.companyId, [controlKey]);
+  const description = `Realized FX - ${payment.paymentNumber} / ${documentNumber}`;
+
+  // A gain is a debit to AR or AP alike: it clears the document's remaining balance
+  await postJournalEntry(tx, {
+    companyId: payment.companyId,
+    entryDate: allocationDate,
+    description,
+    createdById,
+    referenceType: 'payment_allocation',
+    referenceId: allocation.id,
+    lines: [
+      {
+        account: controlAccount,
+        debitAmount: gain > 0 ? gain : 0,
+        creditAmount: gain < 0 ? -gain : 0,
+        description
+      },
+      ...await fxDifferenceLines(tx, payment.companyId, gain, description)
+    ]
+  });
+
+  await adjustPartyBalance(tx, payment, gain);
+}
+
+module.exports = {
+  OPEN_INVOICE_STATUSES,
+  OPEN_BILL_STATUSES,
+  createOnAccountPayment,
+  applyPayment,
+  unapplyPayment,
+  voidPayment,
+  applyToOldestDocuments
+};
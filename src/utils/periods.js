@@ -0,0 +1,105 @@
+const { v4: uuidv4 } = require('uuid');
+const { ConflictError } = require('../middleware/errorHandler');
+const { getFiscalYear } = require('./helpers');
+
+/**
+ * Accounting period locking
+ *
+ * Dates not covered by an AccountingPeriod row are treated as open.
+ * SOFT_CLOSED periods accept postings from company admins only,
+ * HARD_CLOSED periods reject everything.
+ */
+
+const SOFT_CLOSE_OVERRIDE_ROLES = ['SUPERADMIN', 'COMPANY_ADMIN'];
+
+/**
+ * Throw a ConflictError if the date falls in a closed period
+ */
+const assertPeriodOpen = async (db, companyId, date, { allowSoftClosed = false } = {}) => {
+  const when = new Date(date);
+
+  const period = await db.accountingPeriod.findFirst({
+    where: {
+      companyId,
+      startDate: { lte: when },
+      endDate: { gte: when }
+    }
+  });
+
+  if (!period || period.status === 'OPEN') return;
+
+  if (period.status === 'SOFT_CLOSED' && allowSoftClosed) return;
+
+  throw new ConflictError(
+    `Accounting period ${period.name} is ${period.status === 'HARD_CLOSED' ? 'closed' : 'soft-closed'}; ` +
+    `cannot post transactions dated ${when.toISOString().split('T')[0]}`
+  );
+};
+
+/**
+ * Check one or more document dates on behalf of a user.
+ * Null/undefined dates are ignored.
+ */
+const assertPeriodsOpenForUser = async (db, user, ...dates) => {
+  const allowSoftClosed = SOFT_CLOSE_OVERRIDE_ROLES.includes(user.role);
+
+  for (const date of dates) {
+    if (date) {
+      await assertPeriodOpen(db, user.companyId, date, { allowSoftClosed });
+    }
+  }
+};
+
+/**
+ * Fiscal year bounds (UTC, end inclusive) for the year containing date
+ */
+const getFiscalYearRange = (date, fiscalYearStart = 1) => {
+  const fiscalYear = getFiscalYear(date, fiscalYearStart);
+  const startYear = fiscalYear.start.getFullYear();
+
+  return {
+    name: fiscalYear.year,
+    startDate: new Date(Date.UTC(startYear, fiscalYearStart - 1, 1)),
+    endDate: new Date(Date.UTC(startYear + 1, fiscalYearStart - 1, 0, 23, 59, 59, 999))
+  };
+};
+
+/**
+ * Create monthly periods for a fiscal year. Existing periods are kept.
+ */
+const generateFiscalYearPeriods = async (db, companyId, fiscalYearRange) => {
+  const periods = [];
+  const start = fiscalYearRange.startDate;
+
+  for (let i = 0; i < 12; i++) {
+    const year = start.getUTCFullYear();
+    const month = start.getUTCMonth() + i;
+    const startDate = new Date(Date.UTC(year, month, 1));
+
+    periods.push({
+      id: uuidv4(),
+      companyId,
+      name: `${startDate.getUTCFullYear()}-${String(startDate.getUTCMonth() + 1).padStart(2, '0')}`,
+      startDate,
+      endDate: new Date(Date.UTC(year, month + 1, 0, 23, 59, 59, 999))
+    });
+  }
+
+  await db.accountingPeriod.createMany({ data: periods, skipDuplicates: true });
+
+  return db.accountingPeriod.findMany({
+    where: {
+      companyId,
+      startDate: { gte: fiscalYearRange.startDate, lte: fiscalYearRange.endDate }
+    },
+    orderBy: { startDate: 'asc' }
+  });
+};
+
+module.exports = {
+  SOFT_CLOSE_OVERRIDE_ROLES,
+  assertPeriodOpen,
+  assertPeriodsOpenForUser,
+  getFiscalYearRange,
+  generateFiscalYearPeriods
+};
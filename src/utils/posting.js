@@ -0,0 +1,354 @@
+const { v4: uuidv4 } = require('uuid');
+const { allocateNumber } = require('./numbering');
+const { assertPeriodOpen } = require('./periods');
+const { ValidationError, ConflictError } = require('../middleware/errorHandler');
+
+/**
+ * General ledger posting
+ *
+ * Every automatic journal entry goes through postJournalEntry so that
+ * balancing, account balance updates, ledger entries and the link back to
+ * the source document are handled in one place.
+ */
+
+// Accounts whose balance grows with debits; all others grow with credits
+const DEBIT_NORMAL_TYPES = ['ASSET', 'EXPENSE'];
+
+// Allowed difference between debits and credits (float noise, not cents)
+const BALANCE_TOLERANCE = 0.005;
+
+/**
+ * Signed change to Account.balance for a debit/credit pair
+ */
+const balanceChange = (account, debitAmount, creditAmount) => {
+  return DEBIT_NORMAL_TYPES.includes(account.accountType)
+    ? debitAmount - creditAmount
+    : creditAmount - debitAmount;
+};
+
+/**
+ * Create a POSTED journal entry and update account balances
+ *
+ * lines: [{ account, debitAmount, creditAmount, description, foreignAmount }]
+ * foreignAmount is only kept for accounts held in a foreign currency.
+ * Zero lines are dropped. Throws if debits and credits don't balance.
+ */
+const postJournalEntry = async (tx, {
+  companyId,
+  entryDate,
+  description,
+  createdById,
+  referenceType,
+  referenceId,
+  reversalOfId,
+  autoReverseDate,
+  lines
+}) => {
+  const lineItems = lines
+    .map(line => ({
+      account: line.account,
+      debitAmount: line.debitAmount || 0,
+      creditAmount: line.creditAmount || 0,
+      foreignAmount: line.account.currency ? line.foreignAmount ?? null : null,
+      description: line.description
+    }))
+    .filter(line => line.debitAmount !== 0 || line.creditAmount !== 0);
+
+  const totalDebit = lineItems.reduce((sum, line) => sum + line.debitAmount, 0);
+  const totalCredit = lineItems.reduce((sum, line) => sum + line.creditAmount, 0);
+
+  if (lineItems.length < 2 || Math.abs(totalDebit - totalCredit) > BALANCE_TOLERANCE) {
+    throw new Error(`Journal entry for ${description} is not balanced (debit ${totalDebit}, credit ${totalCredit})`);
+  }
+
+  // Callers check soft-closed periods against the user's role
+  await assertPeriodOpen(tx, companyId, entryDate, { allowSoftClosed: true });
+
+  const journalEntry = await tx.journalEntry.create({
+    data: {
+      id: uuidv4(),
+      journalNumber: await allocateNumber(tx, companyId, 'JOURNAL_ENTRY', { date: entryDate }),
+      entryDate: new Date(entryDate),
+      description,
+      totalDebit,
+      totalCredit,
+      status: 'POSTED',
+      referenceType,
+      referenceId,
+      reversalOfId,
+      autoReverseDate: autoReverseDate ? new Date(autoReverseDate) : null,
+      companyId,
+      createdById,
+      lineItems: {
+        create: lineItems.map(line => ({
+          id: uuidv4(),
+          accountId: line.account.id,
+          debitAmount: line.debitAmount,
+          creditAmount: line.creditAmount,
+          foreignAmount: line.foreignAmount,
+          description: line.description
+        }))
+      }
+    },
+    include: { lineItems: true }
+  });
+
+  await applyJournalLines(tx, journalEntry, lineItems);
+
+  return journalEntry;
+};
+
+/**
+ * Apply posted lines to the ledger: update Account.balance and write one
+ * LedgerEntry per line with the running balance as of the entry date.
+ * Entries dated after a back-dated posting have their balances shifted.
+ *
+ * lines: [{ account, debitAmount, creditAmount, description }]
+ */
+const applyJournalLines = async (tx, journalEntry, lines) => {
+  const transactionDate = new Date(journalEntry.entryDate);
+
+  for (const line of lines) {
+    const change = balanceChange(line.account, line.debitAmount, line.creditAmount);
+
+    await tx.account.update({
+      where: { id: line.account.id },
+      data: { balance: { increment: change } }
+    });
+
+    const previous = await tx.ledgerEntry.findFirst({
+      where: { accountId: line.account.id, transactionDate: { lte: transactionDate } },
+      orderBy: [{ transactionDate: 'desc' }, { sequence: 'desc' }],
+      select: { balance: true }
+    });
+
+    await tx.ledgerEntry.updateMany({
+      where: { accountId: line.account.id, transactionDate: { gt: transactionDate } },
+      data: { balance: { increment: change } }
+    });
+
+    await tx.ledgerEntry.create({
+      data: {
+        id: uuidv4(),
+        companyId: journalEntry.companyId,
+        accountId: line.account.id,
+        transactionDate,
+        debitAmount: line.debitAmount,
+        creditAmount: line.creditAmount,
+        balance: (previous ? previous.balance : 0) + change,
+        description: line.description || journalEntry.description,
+        referenceType: journalEntry.referenceType || 'journal',
+        referenceId: journalEntry.referenceId || journalEntry.id,
+        journalEntryId: journalEntry.id
+      }
+    });
+  }
+};
+
+/**
+ * Apply an existing journal entry (e.g. a manual entry being posted)
+ */
+const applyJournalEntry = async (tx, journalEntry) => {
+  await assertPeriodOpen(tx, journalEntry.companyId, journalEntry.entryDate, { allowSoftClosed: true });
+
+  const lineItems = await tx.journalLineItem.findMany({
+    where: { journalEntryId: journalEntry.id },
+    include: { account: true }
+  });
+
+  await applyJournalLines(tx, journalEntry, lineItems);
+};
+
+/**
+ * Post the mirror image of a POSTED journal entry on entryDate and mark
+ * the original as reversed. The reversal keeps the original's source
+ * document reference so both show up against the document.
+ */
+const reverseJournalEntry = async (tx, original, { entryDate, description, createdById }) => {
+  if (original.status !== 'POSTED') {
+    throw new ConflictError('Only posted journal entries can be reversed');
+  }
+
+  const reversalDate = new Date(entryDate);
+  if (reversalDate < new Date(original.entryDate)) {
+    throw new ValidationError('Reversal date cannot be before the original entry date');
+  }
+
+  // Claim the original so concurrent reversals can't both succeed
+  const claimed = await tx.journalEntry.updateMany({
+    where: { id: original.id, status: 'POSTED', reversedAt: null },
+    data: { reversedAt: new Date() }
+  });
+
+  if (claimed.count === 0) {
+    throw new ConflictError(`Journal entry ${original.journalNumber} has already been reversed`);
+  }
+
+  const lineItems = await tx.journalLineItem.findMany({
+    where: { journalEntryId: original.id },
+    include: { account: true }
+  });
+
+  return postJournalEntry(tx, {
+    companyId: original.companyId,
+    entryDate: reversalDate,
+    description: description || `Reversal of ${original.journalNumber}: ${original.description}`,
+    createdById,
+    referenceType: original.referenceType,
+    referenceId: original.referenceId,
+    reversalOfId: original.id,
+    lines: lineItems.map(line => ({
+      account: line.account,
+      debitAmount: line.creditAmount,
+      creditAmount: line.debitAmount,
+      foreignAmount: line.foreignAmount,
+      description: line.description
+    }))
+  });
+};
+
+/**
+ * Reverse posted entries whose autoReverseDate has arrived.
+ * Each entry is reversed in its own transaction; failures (e.g. a closed
+ * period) are reported and retried on the next run.
+ */
+const processAutoReversals = async (db, asOf = new Date()) => {
+  const due = await db.journalEntry.findMany({
+    where: {
+      status: 'POSTED',
+      reversedAt: null,
+      autoReverseDate: { lte: asOf }
+    },
+    orderBy: { autoReverseDate: 'asc' }
+  });
+
+  const results = { reversed: 0, failed: [] };
+
+  for (const entry of due) {
+    try {
+      await db.$transaction(async (tx) => {
+        await reverseJournalEntry(tx, entry, {
+          entryDate: entry.autoReverseDate,
+          description: `Auto-reversal of ${entry.journalNumber}: ${entry.description}`,
+          createdById: entry.createdById
+        });
+      });
+      results.reversed += 1;
+    } catch (error) {
+      results.failed.push({ id: entry.id, journalNumber: entry.journalNumber, error: error.message });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Run processAutoReversals on an interval
+ */
+const startAutoReversalWorker = (db, intervalMs = 60 * 60 * 1000) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const results = await processAutoReversals(db);
+      results.failed.forEach(failure => {
+        console.error(`Auto-reversal of ${failure.journalNumber} failed:`, failure.error);
+      });
+    } catch (error) {
+      console.error('Auto-reversal worker error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Rebuild a company's ledger entries and account balances from its
+ * posted journal entries. Returns the accounts whose balance changed.
+ */
+const rebuildCompanyLedger = async (tx, companyId) => {
+  const [accounts, journalEntries] = await Promise.all([
+    tx.account.findMany({ where: { companyId } }),
+    tx.journalEntry.findMany({
+      where: { companyId, status: 'POSTED' },
+      orderBy: [{ entryDate: 'asc' }, { createdAt: 'asc' }],
+      include: { lineItems: true }
+    })
+  ]);
+
+  const accountMap = new Map(accounts.map(account => [account.id, account]));
+  const balances = new Map(accounts.map(account => [account.id, 0]));
+  const ledgerEntries = [];
+
+  for (const entry of journalEntries) {
+    for (const line of entry.lineItems) {
+      const account = accountMap.get(line.accountId);
+      const balance = balances.get(account.id) + balanceChange(account, line.debitAmount, line.creditAmount);
+      balances.set(account.id, balance);
+
+      ledgerEntries.push({
+        id: uuidv4(),
+        companyId,
+        accountId: account.id,
+        transactionDate: entry.entryDate,
+        debitAmount: line.debitAmount,
+        creditAmount: line.creditAmount,
+        balance,
+        description: line.description || entry.description,
+        referenceType: entry.referenceType || 'journal',
+        referenceId: entry.referenceId || entry.id,
+        journalEntryId: entry.id
+      });
+    }
+  }
+
+  await tx.ledgerEntry.deleteMany({ where: { companyId } });
+
+  // Insert in chunks, in date order, so sequence follows posting order
+  for (let i = 0; i < ledgerEntries.length; i += 500) {
+    await tx.ledgerEntry.createMany({ data: ledgerEntries.slice(i, i + 500) });
+  }
+
+  const changedAccounts = [];
+  for (const account of accounts) {
+    const balance = balances.get(account.id);
+
+    if (Math.abs(balance - account.balance) > BALANCE_TOLERANCE) {
+      await tx.account.update({
+        where: { id: account.id },
+        data: { balance }
+      });
+
+      changedAccounts.push({
+        id: account.id,
+        accountCode: account.accountCode,
+        accountName: account.accountName,
+        previousBalance: account.balance,
+        balance
+      });
+    }
+  }
+
+  return {
+    journalEntries: journalEntries.length,
+    ledgerEntries: ledgerEntries.length,
+    changedAccounts
+  };
+};
+
+module.exports = {
+  DEBIT_NORMAL_TYPES,
+  balanceChange,
+  postJournalEntry,
+  applyJournalEntry,
+  reverseJournalEntry,
+  processAutoReversals,
+  startAutoReversalWorker,
+  rebuildCompanyLedger
+};
@@ -0,0 +1,507 @@
+const { roundAmount } = require('./currency');
+const { calculateInvoiceItems } = require('./invoicing');
+const { allocateNumber } = require('./numbering');
+const { recordTransition } = require('./statusTransitions');
+const { ValidationError, ConflictError, NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Purchase order receiving, billing and three-way matching
+ *
+ * Each order line tracks how much has been received on goods receipts and
+ * how much billed. A receipt can cover any subset of the open lines and
+ * quantities, priced from the order. Bills are raised from one or more
+ * receipts, or from an order for what it has received, and each bill line
+ * keeps a link to the order line (and receipt line) it came from. The
+ * order's status follows from the totals, as for sales orders:
+ * partially_received, partially_billed, received, billed, completed.
+ *
+ * Bill lines from an order are matched against it: the billed price
+ * against the order price, and the quantity billed on the line so far
+ * against what was received and what was ordered. A difference beyond the
+ * company's tolerances (percentages; zero means exact) puts the bill on
+ * match exception, which holds it from approval until it is rematched
+ * clean (e.g. once the goods arrive) or someone overrides it.
+ */
+
+// Quantities closer than this are treated as equal
+const QUANTITY_TOLERANCE = 0.0001;
+
+const MANUAL_ORDER_STATUSES = ['pending', 'processing', 'cancelled'];
+
+const CLOSED_ORDER_STATUSES = ['completed', 'cancelled'];
+
+const MATCH_STATUSES = ['NOT_REQUIRED', 'MATCHED', 'EXCEPTION', 'OVERRIDDEN'];
+
+const DISCREPANCY_TYPES = {
+  PRICE_VARIANCE: 'Billed price differs from the purchase order',
+  NOT_RECEIVED: 'Billed quantity is more than was received',
+  OVER_ORDERED: 'Billed quantity is more than was ordered'
+};
+
+const RECEIVED = 'receivedQuantity';
+const BILLED = 'billedQuantity';
+
+const roundQuantity = (quantity) => Math.round(quantity * 10000) / 10000;
+
+/**
+ * Quantity of a line not yet received (field = 'receivedQuantity') or
+ * billed (field = 'billedQuantity')
+ */
+const openQuantity = (item, field) => Math.max(0, roundQuantity(item.quantity - (item[field] || 0)));
+
+/**
+ * Work out a purchase order's status from its lines
+ */
+const derivePurchaseOrderStatus = (order) => {
+  if (order.status === 'cancelled' || order.items.length === 0) {
+    return order.status;
+  }
+
+  const isFull = (field) => order.items.every(item => openQuantity(item, field) <= QUANTITY_TOLERANCE);
+  const isStarted = (field) => order.items.some(item => (item[field] || 0) > QUANTITY_TOLERANCE);
+
+  const fullyReceived = isFull(RECEIVED);
+  const fullyBilled = isFull(BILLED);
+
+  if (fullyReceived && fullyBilled) return 'completed';
+  if (fullyBilled) return 'billed';
+  if (fullyReceived) return 'received';
+  if (isStarted(BILLED)) return 'partially_billed';
+  if (isStarted(RECEIVED)) return 'partially_received';
+
+  return ['pending', 'processing'].includes(order.status) ? order.status : 'pending';
+};
+
+/**
+ * Whether anything on the order has been received or billed
+ */
+const hasPurchaseOrderActivity = (order) => order.items.some(item =>
+  (item[RECEIVED] || 0) > QUANTITY_TOLERANCE || (item[BILLED] || 0) > QUANTITY_TOLERANCE
+);
+
+/**
+ * Re-derive and save an order's status after its quantities changed.
+ * userId is who changed the receipt or bill, for the transition log.
+ */
+const refreshPurchaseOrderStatus = async (db, orderId, { userId } = {}) => {
+  const order = await db.purchaseOrder.findUnique({
+    where: { id: orderId },
+    include: { items: true }
+  });
+
+  const status = derivePurchaseOrderStatus(order);
+
+  if (status !== order.status) {
+    await db.purchaseOrder.update({ where: { id: orderId }, data: { status } });
+    await recordTransition(db, {
+      companyId: order.companyId,
+      documentType: 'PURCHASE_ORDER',
+      documentId: orderId,
+      fromStatus: order.status,
+      toStatus: status,
+      userId
+    });
+  }
+
+  return { ...order, status };
+};
+
+/**
+ * Pick the order lines and quantities a goods receipt covers. requested
+ * is [{ purchaseOrderItemId, quantity }]; without it every line's open
+ * quantity is taken. Returns [{ item, quantity }].
+ */
+const selectReceiptLines = (order, requested) => {
+  if (!requested || requested.length === 0) {
+    const lines = order.items
+      .map(item => ({ item, quantity: openQuantity(item, RECEIVED) }))
+      .filter(line => line.quantity > QUANTITY_TOLERANCE);
+
+    if (lines.length === 0) {
+      throw new ConflictError(`Nothing left to receive on purchase order ${order.orderNumber}`);
+    }
+
+    return lines;
+  }
+
+  const seen = new Set();
+
+  return requested.map(line => {
+    const item = order.items.find(orderItem => orderItem.id === line.purchaseOrderItemId);
+
+    if (!item) {
+      throw new ValidationError(`Item ${line.purchaseOrderItemId} is not on purchase order ${order.orderNumber}`);
+    }
+
+    if (seen.has(item.id)) {
+      throw new ValidationError(`Item ${item.description} is listed more than once`);
+    }
+    seen.add(item.id);
+
+    const quantity = roundQuantity(parseFloat(line.quantity));
+    if (!(quantity > 0)) {
+      throw new ValidationError(`Quantity for ${item.description} must be greater than zero`);
+    }
+
+    const open = openQuantity(item, RECEIVED);
+    if (quantity > open + QUANTITY_TOLERANCE) {
+      throw new ValidationError(`Only ${open} of ${item.description} left to receive`, {
+        purchaseOrderItemId: item.id,
+        requested: quantity,
+        open
+      });
+    }
+
+    return { item, quantity };
+  });
+};
+
+/**
+ * Add received quantities to the order lines. A line is only updated
+ * while the quantity is still open, so two receipts racing for the same
+ * quantity can't both take it.
+ */
+const addReceivedQuantities = async (db, lines) => {
+  for (const { item, quantity } of lines) {
+    const { count } = await db.purchaseOrderItem.updateMany({
+      where: { id: item.id, receivedQuantity: { lte: item.quantity - quantity + QUANTITY_TOLERANCE } },
+      data: { receivedQuantity: { increment: quantity } }
+    });
+
+    if (count === 0) {
+      throw new ConflictError(`${item.description} is no longer open for that quantity; reload the order and try again`);
+    }
+  }
+};
+
+/**
+ * Take a deleted or changed receipt's quantities back off its order lines
+ */
+const releaseReceivedQuantities = async (db, receiptItems) => {
+  for (const receiptItem of receiptItems) {
+    if (!receiptItem.purchaseOrderItemId) continue;
+
+    await db.purchaseOrderItem.update({
+      where: { id: receiptItem.purchaseOrderItemId },
+      data: { receivedQuantity: { decrement: receiptItem.quantity } }
+    });
+  }
+};
+
+/**
+ * Receipt lines for the selected order lines, priced from the order with
+ * discounts prorated by quantity, and the receipt totals
+ */
+const buildReceiptItems = (lines) => {
+  const totals = calculateInvoiceItems(lines.map(({ item, quantity }) => ({
+    productId: item.productId,
+    description: item.description,
+    quantity,
+    unitPrice: item.unitPrice,
+    taxRate: item.taxRate,
+    discountAmount: prorateDiscount(item, quantity)
+  })));
+
+  return {
+    ...totals,
+    items: totals.items.map((receiptItem, index) => ({
+      ...receiptItem,
+      purchaseOrderItemId: lines[index].item.id
+    }))
+  };
+};
+
+/**
+ * Add a bill's quantities to the order and receipt lines it was raised from
+ */
+const addBilledQuantities = async (db, billItems) => {
+  for (const billItem of billItems) {
+    if (billItem.purchaseOrderItemId) {
+      await db.purchaseOrderItem.update({
+        where: { id: billItem.purchaseOrderItemId },
+        data: { billedQuantity: { increment: billItem.quantity } }
+      });
+    }
+
+    if (billItem.goodsReceiptItemId) {
+      await db.goodsReceiptItem.update({
+        where: { id: billItem.goodsReceiptItemId },
+        data: { billedQuantity: { increment: billItem.quantity } }
+      });
+    }
+  }
+};
+
+/**
+ * Take a deleted bill's quantities back off its order and receipt lines
+ */
+const releaseBilledQuantities = async (db, billItems) => {
+  for (const billItem of billItems) {
+    if (billItem.purchaseOrderItemId) {
+      await db.purchaseOrderItem.update({
+        where: { id: billItem.purchaseOrderItemId },
+        data: { billedQuantity: { decrement: billItem.quantity } }
+      });
+    }
+
+    if (billItem.goodsReceiptItemId) {
+      await db.goodsReceiptItem.update({
+        where: { id: billItem.goodsReceiptItemId },
+        data: { billedQuantity: { decrement: billItem.quantity } }
+      });
+    }
+  }
+};
+
+/**
+ * Check match tolerances. Returns an error message, or null if valid.
+ */
+const validateMatchTolerances = ({ matchPriceTolerance, matchQuantityTolerance }) => {
+  for (const [label, value] of [['Price', matchPriceTolerance], ['Quantity', matchQuantityTolerance]]) {
+    if (value !== undefined && !(parseFloat(value) >= 0 && parseFloat(value) <= 100)) {
+      return `${label} match tolerance must be a percentage between 0 and 100`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Find a bill's discrepancies against its purchase order lines. bill has
+ * items with purchaseOrderItem (and its order) loaded; tolerances are
+ * the company's percentages. Returns null when no line is from an order.
+ */
+const findDiscrepancies = (bill, { matchPriceTolerance = 0, matchQuantityTolerance = 0 }) => {
+  const linked = bill.items.filter(item => item.purchaseOrderItem);
+  if (linked.length === 0) return null;
+
+  const discrepancies = [];
+  const checkedLines = new Set();
+
+  for (const billItem of linked) {
+    const orderItem = billItem.purchaseOrderItem;
+    const reference = {
+      billItemId: billItem.id,
+      purchaseOrderItemId: orderItem.id,
+      orderNumber: orderItem.order ? orderItem.order.orderNumber : undefined,
+      description: billItem.description
+    };
+
+    const priceVariance = variancePercent(billItem.unitPrice, orderItem.unitPrice);
+    if (Math.abs(priceVariance) > matchPriceTolerance + 1e-9) {
+      discrepancies.push({
+        ...reference,
+        type: 'PRICE_VARIANCE',
+        expected: orderItem.unitPrice,
+        actual: billItem.unitPrice,
+        variancePercent: roundAmount(priceVariance),
+        message: `${billItem.description}: billed at ${billItem.unitPrice}, ordered at ${orderItem.unitPrice}`
+      });
+    }
+
+    // Quantities are checked once per order line, across every bill on it
+    if (checkedLines.has(orderItem.id)) continue;
+    checkedLines.add(orderItem.id);
+
+    const allowance = 1 + matchQuantityTolerance / 100;
+    const billed = roundQuantity(orderItem.billedQuantity);
+
+    if (billed > orderItem.receivedQuantity * allowance + QUANTITY_TOLERANCE) {
+      discrepancies.push({
+        ...reference,
+        type: 'NOT_RECEIVED',
+        expected: orderItem.receivedQuantity,
+        actual: billed,
+        variancePercent: roundAmount(variancePercent(billed, orderItem.receivedQuantity)),
+        message: `${billItem.description}: ${billed} billed but ${orderItem.receivedQuantity} received`
+      });
+    }
+
+    if (billed > orderItem.quantity * allowance + QUANTITY_TOLERANCE) {
+      discrepancies.push({
+        ...reference,
+        type: 'OVER_ORDERED',
+        expected: orderItem.quantity,
+        actual: billed,
+        variancePercent: roundAmount(variancePercent(billed, orderItem.quantity)),
+        message: `${billItem.description}: ${billed} billed but ${orderItem.quantity} ordered`
+      });
+    }
+  }
+
+  return discrepancies;
+};
+
+/**
+ * Run the three-way match on a draft bill and save the result. Bills
+ * already overridden or past draft keep their status.
+ */
+const matchBill = async (db, billId) => {
+  const bill = await db.bill.findUnique({
+    where: { id: billId },
+    include: {
+      company: { select: { matchPriceTolerance: true, matchQuantityTolerance: true } },
+      items: {
+        include: {
+          purchaseOrderItem: {
+            include: { order: { select: { orderNumber: true } } }
+          }
+        }
+      }
+    }
+  });
+
+  if (!bill) {
+    throw new NotFoundError('Bill not found');
+  }
+
+  if (bill.status !== 'DRAFT' || bill.matchStatus === 'OVERRIDDEN') {
+    return bill;
+  }
+
+  const discrepancies = findDiscrepancies(bill, bill.company);
+
+  let matchStatus = 'NOT_REQUIRED';
+  if (discrepancies) matchStatus = discrepancies.length > 0 ? 'EXCEPTION' : 'MATCHED';
+
+  return db.bill.update({
+    where: { id: bill.id },
+    data: {
+      matchStatus,
+      matchDiscrepancies: discrepancies || [],
+      matchCheckedAt: new Date()
+    }
+  });
+};
+
+/**
+ * Rematch the draft bills on purchase orders whose quantities changed,
+ * e.g. when goods arrive for a bill held as not received
+ */
+const rematchOrderBills = async (db, purchaseOrderIds) => {
+  const bills = await db.bill.findMany({
+    where: {
+      status: 'DRAFT',
+      matchStatus: { in: ['MATCHED', 'EXCEPTION'] },
+      items: { some: { purchaseOrderItem: { orderId: { in: purchaseOrderIds } } } }
+    },
+    select: { id: true }
+  });
+
+  for (const bill of bills) {
+    await matchBill(db, bill.id);
+  }
+};
+
+/**
+ * Create a draft bill from order or receipt lines, add its quantities to
+ * those lines and match it. lines are
+ * [{ purchaseOrderItemId, goodsReceiptItemId, productId, description,
+ * quantity, unitPrice, taxRate, discountAmount }]. userId is who raised
+ * it, for the order status log.
+ */
+const createBillFromLines = async (tx, { companyId, supplierId, billDate, dueDate, currency, exchangeRate, notes, lines, userId }) => {
+  const totals = calculateInvoiceItems(lines);
+
+  const bill = await tx.bill.create({
+    data: {
+      billNumber: await allocateNumber(tx, companyId, 'BILL', { date: billDate }),
+      supplierId,
+      companyId,
+      billDate: new Date(billDate),
+      dueDate,
+      subtotal: totals.subtotal,
+      taxAmount: totals.taxAmount,
+      discountAmount: totals.discountAmount,
+      totalAmount: totals.totalAmount,
+      paidAmount: 0,
+      balanceAmount: totals.totalAmount,
+      currency,
+      exchangeRate,
+      status: 'DRAFT',
+      notes,
+      items: {
+        create: totals.items.map((item, index) => ({
+          ...item,
+          purchaseOrderItemId: lines[index].purchaseOrderItemId || null,
+          goodsReceiptItemId: lines[index].goodsReceiptItemId || null
+        }))
+      }
+    },
+    include: { items: true }
+  });
+
+  await addBilledQuantities(tx, bill.items);
+
+  const orderIds = await ordersForBillItems(tx, bill.items);
+  for (const orderId of orderIds) {
+    await refreshPurchaseOrderStatus(tx, orderId, { userId });
+  }
+
+  await matchBill(tx, bill.id);
+
+  // Other draft bills on the same lines now count this one's quantities
+  await rematchOrderBills(tx, orderIds);
+
+  return tx.bill.findUnique({
+    where: { id: bill.id },
+    include: {
+      supplier: true,
+      items: {
+        include: { product: true }
+      }
+    }
+  });
+};
+
+/**
+ * Purchase order ids behind a set of bill or receipt items
+ */
+const ordersForBillItems = async (db, items) => {
+  const orderItemIds = [...new Set(items.map(item => item.purchaseOrderItemId).filter(Boolean))];
+  if (orderItemIds.length === 0) return [];
+
+  const orderItems = await db.purchaseOrderItem.findMany({
+    where: { id: { in: orderItemIds } },
+    select: { orderId: true }
+  });
+
+  return [...new Set(orderItems.map(item => item.orderId))];
+};
+
+// Discount for part of a line's quantity
+function prorateDiscount(item, quantity) {
+  if (Math.abs(quantity - item.quantity) <= QUANTITY_TOLERANCE) return item.discountAmount || 0;
+  return roundAmount((item.discountAmount || 0) * quantity / item.quantity);
+}
+
+// Percentage actual is over (or under) expected
+function variancePercent(actual, expected) {
+  if (expected === 0) return actual === 0 ? 0 : 100;
+  return ((actual - expected) / expected) * 100;
+}
+
+module.exports = {
+  QUANTITY_TOLERANCE,
+  MANUAL_ORDER_STATUSES,
+  CLOSED_ORDER_STATUSES,
+  MATCH_STATUSES,
+  DISCREPANCY_TYPES,
+  openQuantity,
+  derivePurchaseOrderStatus,
+  hasPurchaseOrderActivity,
+  refreshPurchaseOrderStatus,
+  selectReceiptLines,
+  addReceivedQuantities,
+  releaseReceivedQuantities,
+  buildReceiptItems,
+  addBilledQuantities,
+  releaseBilledQuantities,
+  validateMatchTolerances,
+  findDiscrepancies,
+  matchBill,
+  rematchOrderBills,
+  createBillFromLines,
+  ordersForBillItems,
+  prorateDiscount
+};
@@ -0,0 +1,224 @@
+const { recordTransition, recordTransitions } = require('./statusTransitions');
+const { ConflictError } = require('../middleware/errorHandler');
+
+/**
+ * Quotation revisions and expiry
+ *
+ * A quotation keeps its number through revisions. Revising one stores the
+ * current version (header and lines) as a revision record, applies the
+ * changes, bumps the revision number and puts the quotation back to draft
+ * so it can be sent again. Drafts are edited in place.
+ *
+ * Quotations still open (draft or sent) past their validUntil date are
+ * moved to expired by a scheduled run. An expired quotation can be
+ * revised with a new validity date.
+ */
+
+// Statuses a scheduled run expires once validUntil has passed
+const EXPIRABLE_STATUSES = ['draft', 'sent'];
+
+// Statuses that are revised rather than edited in place
+const REVISABLE_STATUSES = ['sent', 'accepted', 'rejected', 'expired'];
+
+const QUOTATION_MODELS = {
+  sales: {
+    documentType: 'SALES_QUOTATION',
+    quotation: 'salesQuotation',
+    item: 'salesQuotationItem',
+    revision: 'salesQuotationRevision'
+  },
+  purchase: {
+    documentType: 'PURCHASE_QUOTATION',
+    quotation: 'purchaseQuotation',
+    item: 'purchaseQuotationItem',
+    revision: 'purchaseQuotationRevision'
+  }
+};
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Whether a quotation's validity has run out by asOf. A quotation is valid
+ * through the whole of its validUntil date.
+ */
+const isPastValidity = (quotation, asOf = new Date()) =>
+  Boolean(quotation.validUntil) && new Date(quotation.validUntil) < startOfDay(asOf);
+
+/**
+ * A quotation as stored in its revision history
+ */
+const snapshotQuotation = (quotation) => ({
+  quotationDate: quotation.quotationDate,
+  validUntil: quotation.validUntil,
+  status: quotation.status,
+  subtotal: quotation.subtotal,
+  taxAmount: quotation.taxAmount,
+  discountAmount: quotation.discountAmount,
+  totalAmount: quotation.totalAmount,
+  currency: quotation.currency,
+  exchangeRate: quotation.exchangeRate,
+  terms: quotation.terms,
+  notes: quotation.notes,
+  items: quotation.items.map(item => ({
+    productId: item.productId,
+    description: item.description,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    taxRate: item.taxRate,
+    taxAmount: item.taxAmount,
+    discountAmount: item.discountAmount,
+    totalAmount: item.totalAmount
+  }))
+});
+
+/**
+ * Store the current version of a quotation (loaded with its items) and
+ * save the next one. type is 'sales' or 'purchase'; changes are header
+ * fields; totals ({ processedItems, subtotal, taxAmount, discountAmount,
+ * totalAmount }) replaces the lines when given. Run inside a transaction.
+ */
+const saveQuotationRevision = async (tx, type, quotation, { changes = {}, totals = null, reason, userId } = {}) => {
+  const models = QUOTATION_MODELS[type];
+
+  // Only the request that read the current revision gets to supersede it
+  const { count } = await tx[models.quotation].updateMany({
+    where: { id: quotation.id, revision: quotation.revision },
+    data: { revision: { increment: 1 } }
+  });
+
+  if (count === 0) {
+    throw new ConflictError('Quotation was revised by someone else; reload it and try again');
+  }
+
+  await tx[models.revision].create({
+    data: {
+      quotationId: quotation.id,
+      revision: quotation.revision,
+      snapshot: snapshotQuotation(quotation),
+      reason: reason || null,
+      revisedById: userId || null
+    }
+  });
+
+  if (totals) {
+    await tx[models.item].deleteMany({ where: { quotationId: quotation.id } });
+  }
+
+  if (quotation.status !== 'draft') {
+    await recordTransition(tx, {
+      companyId: quotation.companyId,
+      documentType: models.documentType,
+      documentId: quotation.id,
+      fromStatus: quotation.status,
+      toStatus: 'draft',
+      reason: reason || `Revised to revision ${quotation.revision + 1}`,
+      userId
+    });
+  }
+
+  return tx[models.quotation].update({
+    where: { id: quotation.id },
+    data: {
+      ...changes,
+      status: 'draft',
+      ...(totals && {
+        subtotal: totals.subtotal,
+        taxAmount: totals.taxAmount,
+        discountAmount: totals.discountAmount,
+        totalAmount: totals.totalAmount,
+        items: {
+          create: totals.processedItems.map(item => ({
+            productId: item.productId,
+            description: item.description,
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            taxRate: item.taxRate || 0,
+            taxAmount: item.taxAmount,
+            discountAmount: item.discountAmount || 0,
+            totalAmount: item.totalAmount
+          }))
+        }
+      })
+    }
+  });
+};
+
+/**
+ * Move open sales and purchase quotations past their validity to expired,
+ * logging each change. Returns how many of each were expired.
+ */
+const expireQuotations = async (db, { asOf = new Date(), companyId } = {}) => {
+  const where = {
+    ...(companyId && { companyId }),
+    status: { in: EXPIRABLE_STATUSES },
+    validUntil: { lt: startOfDay(asOf) }
+  };
+
+  const expire = async (models) => {
+    const quotations = await db[models.quotation].findMany({
+      where,
+      select: { id: true, companyId: true, status: true }
+    });
+
+    if (quotations.length === 0) return 0;
+
+    // Quotations changed since they were read are left alone
+    const expired = [];
+    for (const quotation of quotations) {
+      const { count } = await db[models.quotation].updateMany({
+        where: { ...where, id: quotation.id, status: quotation.status },
+        data: { status: 'expired' }
+      });
+      if (count > 0) expired.push(quotation);
+    }
+
+    await recordTransitions(db, models.documentType, expired, {
+      toStatus: 'expired',
+      reason: 'Past valid until date'
+    });
+
+    return expired.length;
+  };
+
+  return {
+    salesQuotations: await expire(QUOTATION_MODELS.sales),
+    purchaseQuotations: await expire(QUOTATION_MODELS.purchase)
+  };
+};
+
+/**
+ * Expire quotations every intervalMs (default hourly). Returns the timer.
+ */
+const startQuotationExpiryScheduler = (db, intervalMs = 60 * 60 * 1000) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await expireQuotations(db);
+    } catch (error) {
+      console.error('Quotation expiry scheduler error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  EXPIRABLE_STATUSES,
+  REVISABLE_STATUSES,
+  isPastValidity,
+  snapshotQuotation,
+  saveQuotationRevision,
+  expireQuotations,
+  startQuotationExpiryScheduler
+};
@@ -0,0 +1,352 @@
+const { v4: uuidv4 } = require('uuid');
+const { allocateNumber } = require('./numbering');
+const { postJournalEntry } = require('./posting');
+const { assertPeriodOpen } = require('./periods');
+const { createInvoiceRecord, issueInvoice, emailInvoice } = require('./invoicing');
+const { resolveDocumentCurrency } = require('./currency');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+
+/**
+ * Recurring journal entries and invoices
+ *
+ * A template stores the document body and a schedule. Each occurrence is
+ * generated in its own transaction that also advances nextRunDate, so a
+ * run that is interrupted or started twice never creates duplicates.
+ * Failed occurrences are recorded and retried on the next run.
+ */
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'QUARTERLY', 'YEARLY'];
+const DOCUMENT_TYPES = ['JOURNAL_ENTRY', 'INVOICE'];
+
+const MONTHS_PER_PERIOD = { MONTHLY: 1, QUARTERLY: 3, YEARLY: 12 };
+
+/**
+ * Date of the nth occurrence (0 = startDate). Monthly schedules keep the
+ * start day and clamp to the month end (Jan 31 -> Feb 28 -> Mar 31).
+ */
+const getOccurrenceDate = (startDate, frequency, n) => {
+  const start = new Date(startDate);
+
+  if (frequency === 'DAILY' || frequency === 'WEEKLY') {
+    const days = frequency === 'DAILY' ? n : n * 7;
+    return new Date(start.getTime() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const monthIndex = start.getUTCMonth() + n * MONTHS_PER_PERIOD[frequency];
+  const year = start.getUTCFullYear();
+  const lastDay = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+
+  return new Date(Date.UTC(
+    year,
+    monthIndex,
+    Math.min(start.getUTCDate(), lastDay),
+    start.getUTCHours(),
+    start.getUTCMinutes(),
+    start.getUTCSeconds()
+  ));
+};
+
+/**
+ * Next run date after `runCount` occurrences, or null when past endDate
+ */
+const getNextRunDate = ({ startDate, frequency, endDate }, runCount) => {
+  const next = getOccurrenceDate(startDate, frequency, runCount);
+  return endDate && next > new Date(endDate) ? null : next;
+};
+
+/**
+ * Check a template body for its document type.
+ * Returns an error message, or null if valid.
+ */
+const validateTemplateBody = (documentType, body) => {
+  if (!body || typeof body !== 'object') {
+    return 'Template body is required';
+  }
+
+  if (documentType === 'JOURNAL_ENTRY') {
+    const lineItems = body.lineItems || [];
+
+    if (!body.description) {
+      return 'Journal template requires a description';
+    }
+
+    if (lineItems.length < 2) {
+      return 'Journal template requires at least 2 line items';
+    }
+
+    const totalDebits = lineItems.reduce((sum, item) => sum + (item.debit || 0), 0);
+    const totalCredits = lineItems.reduce((sum, item) => sum + (item.credit || 0), 0);
+
+    if (Math.abs(totalDebits - totalCredits) > 0.01) {
+      return `Debits (${totalDebits}) must equal credits (${totalCredits})`;
+    }
+
+    return null;
+  }
+
+  if (documentType === 'INVOICE') {
+    if (!body.customerId || !Array.isArray(body.items) || body.items.length === 0) {
+      return 'Invoice template requires a customer and items';
+    }
+
+    return null;
+  }
+
+  return `Invalid document type. Must be one of: ${DOCUMENT_TYPES.join(', ')}`;
+};
+
+/**
+ * Create the document for one occurrence
+ */
+const generateDocument = async (tx, template, scheduledDate) => {
+  if (template.documentType === 'JOURNAL_ENTRY') {
+    return generateJournalEntry(tx, template, scheduledDate);
+  }
+
+  return generateInvoice(tx, template, scheduledDate);
+};
+
+async function generateJournalEntry(tx, template, entryDate) {
+  const { description, lineItems } = template.template;
+
+  const accountIds = [...new Set(lineItems.map(item => item.accountId))];
+  const accounts = await tx.account.findMany({
+    where: { id: { in: accountIds }, companyId: template.companyId }
+  });
+
+  if (accounts.length !== accountIds.length) {
+    throw new ValidationError('Template references accounts that no longer exist');
+  }
+
+  const accountMap = new Map(accounts.map(account => [account.id, account]));
+
+  if (template.autoPost) {
+    const journalEntry = await postJournalEntry(tx, {
+      companyId: template.companyId,
+      entryDate,
+      description,
+      createdById: template.createdById,
+      lines: lineItems.map(item => ({
+        account: accountMap.get(item.accountId),
+        debitAmount: item.debit || 0,
+        creditAmount: item.credit || 0,
+        description: item.description
+      }))
+    });
+
+    return { documentId: journalEntry.id, documentNumber: journalEntry.journalNumber };
+  }
+
+  await assertPeriodOpen(tx, template.companyId, entryDate);
+
+  const journalEntry = await tx.journalEntry.create({
+    data: {
+      id: uuidv4(),
+      journalNumber: await allocateNumber(tx, template.companyId, 'JOURNAL_ENTRY', { date: entryDate }),
+      entryDate,
+      description,
+      totalDebit: lineItems.reduce((sum, item) => sum + (item.debit || 0), 0),
+      totalCredit: lineItems.reduce((sum, item) => sum + (item.credit || 0), 0),
+      status: 'DRAFT',
+      companyId: template.companyId,
+      createdById: template.createdById,
+      lineItems: {
+        create: lineItems.map(item => ({
+          id: uuidv4(),
+          accountId: item.accountId,
+          debitAmount: item.debit || 0,
+          creditAmount: item.credit || 0,
+          description: item.description
+        }))
+      }
+    }
+  });
+
+  return { documentId: journalEntry.id, documentNumber: journalEntry.journalNumber };
+}
+
+async function generateInvoice(tx, template, invoiceDate) {
+  const { customerId, items, notes, termsConditions, dueDays, currency } = template.template;
+
+  const customer = await tx.customer.findFirst({
+    where: { id: customerId, companyId: template.companyId }
+  });
+
+  if (!customer) {
+    throw new NotFoundError('Customer on the template no longer exists');
+  }
+
+  await assertPeriodOpen(tx, template.companyId, invoiceDate);
+
+  // Each occurrence uses the rate on its own invoice date
+  const documentCurrency = await resolveDocumentCurrency(tx, template.companyId, {
+    currency,
+    date: invoiceDate,
+    defaultCurrency: customer.currency
+  });
+
+  let invoice = await createInvoiceRecord(tx, {
+    companyId: template.companyId,
+    customer,
+    invoiceDate,
+    dueDate: dueDays !== undefined
+      ? new Date(invoiceDate.getTime() + dueDays * 24 * 60 * 60 * 1000)
+      : undefined,
+    items,
+    notes,
+    termsConditions,
+    ...documentCurrency,
+    createdById: template.createdById
+  });
+
+  if (template.autoSend) {
+    invoice = await issueInvoice(tx, invoice);
+  }
+
+  return { documentId: invoice.id, documentNumber: invoice.invoiceNumber, invoice };
+}
+
+/**
+ * Generate every occurrence of a template that is due on or before asOf.
+ * Stops at the first failure so occurrences are always produced in order.
+ */
+const runTemplate = async (db, template, asOf = new Date()) => {
+  const results = [];
+  let { nextRunDate, runCount } = template;
+
+  while (nextRunDate && nextRunDate <= asOf) {
+    const scheduledDate = nextRunDate;
+    const followingRunDate = getNextRunDate(template, runCount + 1);
+
+    try {
+      const generated = await db.$transaction(async (tx) => {
+        // Claim the occurrence; a concurrent runner will see a different nextRunDate
+        const claimed = await tx.recurringTemplate.updateMany({
+          where: { id: template.id, isActive: true, nextRunDate: scheduledDate },
+          data: {
+            nextRunDate: followingRunDate,
+            lastRunDate: scheduledDate,
+            runCount: { increment: 1 }
+          }
+        });
+
+        if (claimed.count === 0) return null;
+
+        const document = await generateDocument(tx, template, scheduledDate);
+
+        const runData = {
+          status: 'SUCCESS',
+          documentType: template.documentType,
+          documentId: document.documentId,
+          documentNumber: document.documentNumber,
+          error: null
+        };
+
+        const run = await tx.recurringRun.upsert({
+          where: { templateId_scheduledDate: { templateId: template.id, scheduledDate } },
+          create: { id: uuidv4(), templateId: template.id, scheduledDate, ...runData },
+          update: runData
+        });
+
+        return { run, invoice: document.invoice };
+      });
+
+      if (!generated) break;
+
+      // Email only once the invoice is committed
+      if (generated.invoice && template.autoSend) {
+        await emailInvoice(db, generated.invoice);
+      }
+
+      results.push(generated.run);
+    } catch (error) {
+      const run = await db.recurringRun.upsert({
+        where: { templateId_scheduledDate: { templateId: template.id, scheduledDate } },
+        create: {
+          id: uuidv4(),
+          templateId: template.id,
+          scheduledDate,
+          status: 'FAILED',
+          documentType: template.documentType,
+          error: error.message
+        },
+        update: { status: 'FAILED', error: error.message }
+      });
+
+      results.push(run);
+      break;
+    }
+
+    nextRunDate = followingRunDate;
+    runCount += 1;
+  }
+
+  return results;
+};
+
+/**
+ * Run all due templates, optionally for a single company
+ */
+const processRecurringTemplates = async (db, { asOf = new Date(), companyId } = {}) => {
+  const where = {
+    isActive: true,
+    nextRunDate: { lte: asOf }
+  };
+  if (companyId) where.companyId = companyId;
+
+  const templates = await db.recurringTemplate.findMany({
+    where,
+    orderBy: { nextRunDate: 'asc' }
+  });
+
+  const summary = { templates: templates.length, generated: 0, failed: 0, runs: [] };
+
+  for (const template of templates) {
+    const runs = await runTemplate(db, template, asOf);
+
+    runs.forEach(run => {
+      if (run.status === 'SUCCESS') summary.generated += 1;
+      else summary.failed += 1;
+      summary.runs.push({ templateId: template.id, templateName: template.name, ...run });
+    });
+  }
+
+  return summary;
+};
+
+/**
+ * Run processRecurringTemplates on an interval
+ */
+const startRecurringScheduler = (db, intervalMs = 60 * 60 * 1000) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const summary = await processRecurringTemplates(db);
+      if (summary.failed > 0) {
+        console.error(`Recurring templates: ${summary.failed} occurrence(s) failed`);
+      }
+    } catch (error) {
+      console.error('Recurring scheduler error:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  FREQUENCIES,
+  DOCUMENT_TYPES,
+  getOccurrenceDate,
+  getNextRunDate,
+  validateTemplateBody,
+  runTemplate,
+  processRecurringTemplates,
+  startRecurringScheduler
+};
@@ -0,0 +1,244 @@
+const { roundAmount } = require('./currency');
+const { calculateInvoiceItems } = require('./invoicing');
+const { recordTransition } = require('./statusTransitions');
+const { ValidationError, ConflictError } = require('../middleware/errorHandler');
+
+/**
+ * Sales order fulfillment
+ *
+ * Each order line tracks how much of it is on delivery challans and how
+ * much has been invoiced. A challan or invoice can cover any subset of the
+ * open lines and quantities, and the order's status follows from the
+ * totals:
+ *
+ *   pending, processing  nothing delivered or invoiced yet
+ *   partially_delivered  some quantity delivered
+ *   partially_invoiced   some quantity invoiced
+ *   delivered            every line delivered in full, not all invoiced
+ *   invoiced             every line invoiced in full, not all delivered
+ *   completed            every line delivered and invoiced in full
+ *
+ * Cancelled orders stay cancelled, and whatever was still open on them
+ * drops out of the backlog.
+ */
+
+// Quantities closer than this are treated as equal
+const QUANTITY_TOLERANCE = 0.0001;
+
+// Statuses that can be set by hand; the rest follow from fulfillment
+const MANUAL_ORDER_STATUSES = ['pending', 'processing', 'cancelled'];
+
+const CLOSED_ORDER_STATUSES = ['completed', 'cancelled'];
+
+const DELIVERED = 'deliveredQuantity';
+const INVOICED = 'invoicedQuantity';
+
+const roundQuantity = (quantity) => Math.round(quantity * 10000) / 10000;
+
+/**
+ * Quantity of a line not yet delivered (field = 'deliveredQuantity') or
+ * invoiced (field = 'invoicedQuantity')
+ */
+const openQuantity = (item, field) => Math.max(0, roundQuantity(item.quantity - (item[field] || 0)));
+
+/**
+ * Work out an order's status from its lines
+ */
+const deriveOrderStatus = (order) => {
+  if (order.status === 'cancelled' || order.items.length === 0) {
+    return order.status;
+  }
+
+  const isFull = (field) => order.items.every(item => openQuantity(item, field) <= QUANTITY_TOLERANCE);
+  const isStarted = (field) => order.items.some(item => (item[field] || 0) > QUANTITY_TOLERANCE);
+
+  const fullyDelivered = isFull(DELIVERED);
+  const fullyInvoiced = isFull(INVOICED);
+
+  if (fullyDelivered && fullyInvoiced) return 'completed';
+  if (fullyInvoiced) return 'invoiced';
+  if (fullyDelivered) return 'delivered';
+  if (isStarted(INVOICED)) return 'partially_invoiced';
+  if (isStarted(DELIVERED)) return 'partially_delivered';
+
+  return ['pending', 'processing'].includes(order.status) ? order.status : 'pending';
+};
+
+/**
+ * Pick the order lines and quantities a challan (field = 'deliveredQuantity')
+ * or invoice (field = 'invoicedQuantity') covers. requested is
+ * [{ salesOrderItemId, quantity }]; without it every line's open quantity
+ * is taken. Returns [{ item, quantity }].
+ */
+const selectOrderLines = (order, requested, field) => {
+  const action = field === DELIVERED ? 'deliver' : 'invoice';
+
+  if (!requested || requested.length === 0) {
+    const lines = order.items
+      .map(item => ({ item, quantity: openQuantity(item, field) }))
+      .filter(line => line.quantity > QUANTITY_TOLERANCE);
+
+    if (lines.length === 0) {
+      throw new ConflictError(`Nothing left to ${action} on sales order ${order.orderNumber}`);
+    }
+
+    return lines;
+  }
+
+  const seen = new Set();
+
+  return requested.map(line => {
+    const item = order.items.find(orderItem => orderItem.id === line.salesOrderItemId);
+
+    if (!item) {
+      throw new ValidationError(`Item ${line.salesOrderItemId} is not on sales order ${order.orderNumber}`);
+    }
+
+    if (seen.has(item.id)) {
+      throw new ValidationError(`Item ${item.description} is listed more than once`);
+    }
+    seen.add(item.id);
+
+    const quantity = roundQuantity(parseFloat(line.quantity));
+    if (!(quantity > 0)) {
+      throw new ValidationError(`Quantity for ${item.description} must be greater than zero`);
+    }
+
+    const open = openQuantity(item, field);
+    if (quantity > open + QUANTITY_TOLERANCE) {
+      throw new ValidationError(`Only ${open} of ${item.description} left to ${action}`, {
+        salesOrderItemId: item.id,
+        requested: quantity,
+        open
+      });
+    }
+
+    return { item, quantity };
+  });
+};
+
+/**
+ * Add quantities to the lines' delivered or invoiced totals. A line is
+ * only updated while the quantity is still open, so two documents racing
+ * for the same quantity can't both take it.
+ */
+const addOrderQuantities = async (db, lines, field) => {
+  for (const { item, quantity } of lines) {
+    const { count } = await db.salesOrderItem.updateMany({
+      where: { id: item.id, [field]: { lte: item.quantity - quantity + QUANTITY_TOLERANCE } },
+      data: { [field]: { increment: quantity } }
+    });
+
+    if (count === 0) {
+      throw new ConflictError(`${item.description} is no longer open for that quantity; reload the order and try again`);
+    }
+  }
+};
+
+/**
+ * Take a deleted or changed challan's or invoice's quantities back off the
+ * order lines they came from
+ */
+const releaseOrderQuantities = async (db, documentItems, field) => {
+  for (const documentItem of documentItems) {
+    if (!documentItem.salesOrderItemId) continue;
+
+    await db.salesOrderItem.update({
+      where: { id: documentItem.salesOrderItemId },
+      data: { [field]: { decrement: documentItem.quantity } }
+    });
+  }
+};
+
+/**
+ * Re-derive and save an order's status after its quantities changed.
+ * userId is who changed the challan or invoice, for the transition log.
+ */
+const refreshOrderStatus = async (db, orderId, { userId } = {}) => {
+  const order = await db.salesOrder.findUnique({
+    where: { id: orderId },
+    include: { items: true }
+  });
+
+  const status = deriveOrderStatus(order);
+
+  if (status !== order.status) {
+    await db.salesOrder.update({ where: { id: orderId }, data: { status } });
+    await recordTransition(db, {
+      companyId: order.companyId,
+      documentType: 'SALES_ORDER',
+      documentId: orderId,
+      fromStatus: order.status,
+      toStatus: status,
+      userId
+    });
+  }
+
+  return { ...order, status };
+};
+
+/**
+ * Value of a line's quantity not yet invoiced, in the order's currency
+ */
+const uninvoicedLineValue = (item) => {
+  if (!(item.quantity > 0)) return 0;
+  return roundAmount(item.totalAmount * openQuantity(item, INVOICED) / item.quantity);
+};
+
+/**
+ * Value of an order not yet invoiced, in the order's currency
+ */
+const uninvoicedOrderValue = (order) => roundAmount(
+  order.items.reduce((total, item) => total + uninvoicedLineValue(item), 0)
+);
+
+/**
+ * Build invoice lines and totals for the selected order lines. Discounts
+ * are prorated by quantity; the rest is priced as on the order.
+ */
+const buildInvoiceFromLines = (lines) => {
+  const totals = calculateInvoiceItems(lines.map(({ item, quantity }) => ({
+    productId: item.productId,
+    description: item.description,
+    quantity,
+    unitPrice: item.unitPrice,
+    taxRate: item.taxRate,
+    discountAmount: Math.abs(quantity - item.quantity) <= QUANTITY_TOLERANCE
+      ? item.discountAmount
+      : roundAmount((item.discountAmount || 0) * quantity / item.quantity)
+  })));
+
+  return {
+    ...totals,
+    items: totals.items.map((invoiceItem, index) => ({
+      ...invoiceItem,
+      salesOrderItemId: lines[index].item.id
+    }))
+  };
+};
+
+/**
+ * An order's lines with what is left to deliver and invoice on each
+ */
+const describeOrderLines = (order) => order.items.map(item => ({
+  ...item,
+  openToDeliver: openQuantity(item, DELIVERED),
+  openToInvoice: openQuantity(item, INVOICED),
+  uninvoicedValue: uninvoicedLineValue(item)
+}));
+
+module.exports = {
+  QUANTITY_TOLERANCE,
+  MANUAL_ORDER_STATUSES,
+  CLOSED_ORDER_STATUSES,
+  openQuantity,
+  deriveOrderStatus,
+  selectOrderLines,
+  addOrderQuantities,
+  releaseOrderQuantities,
+  refreshOrderStatus,
+  uninvoicedLineValue,
+  uninvoicedOrderValue,
+  buildInvoiceFromLines,
+  describeOrderLines
+};
@@ -0,0 +1,266 @@
+const { recordTransition } = require('./statusTransitions');
+const { isPastValidity } = require('./quotations');
+const salesOrders = require('./salesOrders');
+const purchaseOrders = require('./purchaseOrders');
+const { ValidationError, ConflictError } = require('../middleware/errorHandler');
+
+/**
+ * Document lifecycles
+ *
+ * Each document type with a status has a state machine:
+ *
+ *   transitions  status -> statuses it can be changed to by hand
+ *   derived      statuses that follow from other documents (an order's
+ *                deliveries, invoices, receipts and bills) and can't be
+ *                chosen by hand
+ *   guards       status -> check run before entering it; returns why the
+ *                document can't go there, or null
+ *   onEnter      status -> side effects run after entering it, in the
+ *                same transaction
+ *
+ * transitionDocument enforces these and logs the change. Changes that
+ * follow from other documents, revisions and scheduled expiry are logged
+ * where they happen (see statusTransitions.js).
+ */
+
+const QUOTATION_TRANSITIONS = {
+  draft: ['sent', 'expired'],
+  sent: ['accepted', 'rejected', 'expired'],
+  accepted: ['rejected'],
+  rejected: [],
+  expired: []
+};
+
+const quotationGuards = (orderModel, orderLabel) => ({
+  accepted: async (db, quotation) => (isPastValidity(quotation)
+    ? 'Quotation is past its validity date; revise it with a new valid until date first'
+    : null),
+
+  rejected: async (db, quotation) => {
+    const orders = await db[orderModel].count({ where: { quotationId: quotation.id } });
+    return orders > 0 ? `Cannot reject a quotation that has been converted to a ${orderLabel}` : null;
+  }
+});
+
+const ORDER_STATUSES = {
+  SALES_ORDER: ['pending', 'processing', 'partially_delivered', 'partially_invoiced', 'delivered', 'invoiced', 'completed', 'cancelled'],
+  PURCHASE_ORDER: ['pending', 'processing', 'partially_received', 'partially_billed', 'received', 'billed', 'completed', 'cancelled']
+};
+
+// Open orders can be cancelled; pending and processing can be swapped
+// until something is delivered, invoiced, received or billed
+const orderTransitions = (statuses, closedStatuses) => Object.fromEntries(statuses.map(status => {
+  if (closedStatuses.includes(status)) return [status, []];
+  if (status === 'pending') return [status, ['processing', 'cancelled']];
+  if (status === 'processing') return [status, ['pending', 'cancelled']];
+  return [status, ['cancelled']];
+}));
+
+const STATE_MACHINES = {
+  SALES_QUOTATION: {
+    label: 'Quotation',
+    model: 'salesQuotation',
+    numberField: 'quotationNumber',
+    transitions: QUOTATION_TRANSITIONS,
+    derived: [],
+    guards: quotationGuards('salesOrder', 'sales order'),
+    onEnter: {}
+  },
+
+  SALES_ORDER: {
+    label: 'Sales order',
+    model: 'salesOrder',
+    numberField: 'orderNumber',
+    transitions: orderTransitions(ORDER_STATUSES.SALES_ORDER, salesOrders.CLOSED_ORDER_STATUSES),
+    derived: ORDER_STATUSES.SALES_ORDER.filter(status => !salesOrders.MANUAL_ORDER_STATUSES.includes(status)),
+    derivedFrom: 'its deliveries and invoices',
+    guards: {
+      cancelled: async (db, order) => {
+        const invoices = await db.invoice.count({
+          where: { salesOrderId: order.id, status: { not: 'CANCELLED' } }
+        });
+        return invoices > 0 ? 'Cannot cancel a sales order that has invoices; delete or cancel them first' : null;
+      }
+    },
+    onEnter: {}
+  },
+
+  DELIVERY_CHALLAN: {
+    label: 'Delivery challan',
+    model: 'deliveryChallan',
+    numberField: 'challanNumber',
+    transitions: {
+      pending: ['in_transit', 'delivered'],
+      in_transit: ['delivered'],
+      delivered: []
+    },
+    derived: [],
+    guards: {},
+    onEnter: {}
+  },
+
+  PURCHASE_QUOTATION: {
+    label: 'Purchase quotation',
+    model: 'purchaseQuotation',
+    numberField: 'quotationNumber',
+    transitions: QUOTATION_TRANSITIONS,
+    derived: [],
+    guards: quotationGuards('purchaseOrder', 'purchase order'),
+    onEnter: {}
+  },
+
+  PURCHASE_ORDER: {
+    label: 'Purchase order',
+    model: 'purchaseOrder',
+    numberField: 'orderNumber',
+    transitions: orderTransitions(ORDER_STATUSES.PURCHASE_ORDER, purchaseOrders.CLOSED_ORDER_STATUSES),
+    derived: ORDER_STATUSES.PURCHASE_ORDER.filter(status => !purchaseOrders.MANUAL_ORDER_STATUSES.includes(status)),
+    derivedFrom: 'its receipts and bills',
+    guards: {
+      cancelled: async (db, order) => {
+        const billedLines = await db.purchaseOrderItem.count({
+          where: { purchaseOrderId: order.id, billedQuantity: { gt: purchaseOrders.QUANTITY_TOLERANCE } }
+        });
+        return billedLines > 0 ? 'Cannot cancel a purchase order that has been billed; delete its bills first' : null;
+      }
+    },
+    onEnter: {}
+  },
+
+  GOODS_RECEIPT: {
+    label: 'Goods receipt',
+    model: 'goodsReceipt',
+    numberField: 'receiptNumber',
+    transitions: {
+      received: ['inspected', 'accepted', 'rejected'],
+      inspected: ['accepted', 'rejected'],
+      accepted: [],
+      rejected: []
+    },
+    derived: [],
+    guards: {
+      rejected: async (db, receipt) => {
+        const billedLines = await db.goodsReceiptItem.count({
+          where: { receiptId: receipt.id, billedQuantity: { gt: 0 } }
+        });
+        return billedLines > 0 ? 'Cannot reject a goods receipt that has been billed' : null;
+      }
+    },
+    onEnter: {
+      // Rejected goods go back: out of stock, and open again on the order
+      rejected: async (db, receipt, { userId }) => {
+        const items = await db.goodsReceiptItem.findMany({ where: { receiptId: receipt.id } });
+
+        await purchaseOrders.releaseReceivedQuantities(db, items);
+
+        for (const item of items) {
+          if (item.productId) {
+            await db.product.update({
+              where: { id: item.productId },
+              data: { currentStock: { decrement: item.quantity } }
+            });
+          }
+        }
+
+        if (receipt.purchaseOrderId) {
+          await purchaseOrders.refreshPurchaseOrderStatus(db, receipt.purchaseOrderId, { userId });
+          await purchaseOrders.rematchOrderBills(db, [receipt.purchaseOrderId]);
+        }
+      }
+    }
+  }
+};
+
+/**
+ * States and transitions of a document type, for clients
+ */
+const describeStateMachine = (documentType) => {
+  const machine = STATE_MACHINES[documentType];
+
+  return {
+    documentType,
+    label: machine.label,
+    states: Object.keys(machine.transitions),
+    transitions: machine.transitions,
+    derived: machine.derived
+  };
+};
+
+/**
+ * Statuses a document can be changed to by hand from its current one
+ */
+const allowedTransitions = (documentType, status) => {
+  const { transitions } = STATE_MACHINES[documentType];
+  return Object.keys(transitions).includes(status) ? transitions[status] : [];
+};
+
+/**
+ * Change a document's status by hand. Throws ValidationError for an
+ * unknown status and ConflictError for a transition the lifecycle or a
+ * guard doesn't allow. document is the record as loaded (with its current
+ * status). Run inside a transaction so the change, its log entry and its
+ * side effects stand or fall together.
+ */
+const transitionDocument = async (db, documentType, document, toStatus, { userId, reason } = {}) => {
+  const machine = STATE_MACHINES[documentType];
+  const fromStatus = document.status;
+  const name = `${machine.label} ${document[machine.numberField]}`;
+
+  const states = Object.keys(machine.transitions);
+  if (!states.includes(toStatus)) {
+    throw new ValidationError(`Invalid status. Must be one of: ${states.join(', ')}`);
+  }
+
+  if (toStatus === fromStatus) {
+    throw new ConflictError(`${name} is already ${toStatus}`);
+  }
+
+  if (machine.derived.includes(toStatus)) {
+    throw new ConflictError(`${name} can't be set to ${toStatus} by hand; that status follows from ${machine.derivedFrom}`);
+  }
+
+  const allowed = allowedTransitions(documentType, fromStatus);
+  if (!allowed.includes(toStatus)) {
+    throw new ConflictError(allowed.length > 0
+      ? `Cannot change ${name} from ${fromStatus} to ${toStatus}; it can only go to ${allowed.join(', ')}`
+      : `Cannot change ${name} from ${fromStatus}; no further status changes are allowed`);
+  }
+
+  const guard = machine.guards[toStatus];
+  const blocked = guard && await guard(db, document);
+  if (blocked) {
+    throw new ConflictError(blocked);
+  }
+
+  // Only moves the document if nobody changed its status since it was read
+  const { count } = await db[machine.model].updateMany({
+    where: { id: document.id, status: fromStatus },
+    data: { status: toStatus }
+  });
+
+  if (count === 0) {
+    throw new ConflictError(`${name} changed status while this request was running; reload it and try again`);
+  }
+
+  await recordTransition(db, {
+    companyId: document.companyId,
+    documentType,
+    documentId: document.id,
+    fromStatus,
+    toStatus,
+    reason,
+    userId
+  });
+
+  const hook = machine.onEnter[toStatus];
+  if (hook) {
+    await hook(db, document, { userId });
+  }
+};
+
+module.exports = {
+  STATE_MACHINES,
+  describeStateMachine,
+  allowedTransitions,
+  transitionDocument
+};
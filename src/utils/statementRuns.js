@@ -0,0 +1,98 @@
+const { queueEmail } = require('./emailOutbox');
+const { parseStatementPeriod, buildCustomerStatement } = require('./customerStatements');
+
+/**
+ * Bulk customer statements
+ *
+ * Builds a statement for every active customer with a non-zero balance
+ * and queues it to the customer's email address; the outbox worker
+ * renders the PDF when it delivers the message. Customers without an
+ * email address are reported as skipped. With dryRun nothing is queued.
+ */
+
+// Balances smaller than this are rounding residue, not worth a statement
+const BALANCE_TOLERANCE = 0.005;
+
+/**
+ * Generate statements for all customers with a balance, optionally for a
+ * single company
+ */
+const processCustomerStatements = async (db, { companyId, from, to, dryRun = false } = {}) => {
+  const period = parseStatementPeriod({ from, to });
+
+  const where = {
+    isActive: true,
+    OR: [{ balance: { gt: BALANCE_TOLERANCE } }, { balance: { lt: -BALANCE_TOLERANCE } }]
+  };
+  if (companyId) where.companyId = companyId;
+
+  const customers = await db.customer.findMany({
+    where,
+    orderBy: [{ companyId: 'asc' }, { name: 'asc' }]
+  });
+
+  const summary = {
+    from: period.from,
+    to: period.to,
+    customers: customers.length,
+    queued: 0,
+    skipped: 0,
+    failed: 0,
+    statements: []
+  };
+
+  for (const customer of customers) {
+    const entry = { customerId: customer.id, customerName: customer.name, email: customer.email };
+
+    try {
+      const statement = await buildCustomerStatement(db, customer, period);
+
+      Object.assign(entry, {
+        currency: statement.currency,
+        openingBalance: statement.openingBalance,
+        closingBalance: statement.closingBalance,
+        overdue: statement.aging.overdue
+      });
+
+      if (!customer.email) {
+        entry.status = 'SKIPPED';
+        entry.reason = 'No email address';
+        summary.skipped += 1;
+      } else if (dryRun) {
+        entry.status = 'PREVIEW';
+      } else {
+        const message = await queueEmail(db, {
+          companyId: customer.companyId,
+          template: 'customer_statement',
+          context: { statement, customer: statement.customer, company: statement.company },
+          to: customer.email,
+          attachments: [{
+            type: 'customer_statement_pdf',
+            customerId: customer.id,
+            from: period.from.toISOString(),
+            to: period.to.toISOString(),
+            currency: statement.currency
+          }],
+          referenceType: 'CUSTOMER_STATEMENT',
+          referenceId: customer.id
+        });
+
+        entry.status = 'QUEUED';
+        entry.emailMessageId = message.id;
+        summary.queued += 1;
+      }
+    } catch (error) {
+      entry.status = 'FAILED';
+      entry.error = error.message;
+      summary.failed += 1;
+    }
+
+    summary.statements.push(entry);
+  }
+
+  return summary;
+};
+
+module.exports = {
+  processCustomerStatements
+};
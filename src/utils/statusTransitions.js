@@ -0,0 +1,61 @@
+/**
+ * Status transition log
+ *
+ * Every status change of a quotation, order, delivery challan or goods
+ * receipt is recorded with who made it and when: changes made by hand
+ * through the document's state machine (see stateMachines.js), and those
+ * that follow from other documents, like an order becoming
+ * partially_delivered when a challan is created. Changes made by a
+ * scheduled job have no user.
+ */
+
+/**
+ * Record one status change
+ */
+const recordTransition = (db, { companyId, documentType, documentId, fromStatus, toStatus, reason, userId }) =>
+  db.statusTransition.create({
+    data: {
+      companyId,
+      documentType,
+      documentId,
+      fromStatus,
+      toStatus,
+      reason: reason || null,
+      userId: userId || null
+    }
+  });
+
+/**
+ * Record several documents of one type moving to the same status
+ * (documents are { id, companyId, status } as they were before)
+ */
+const recordTransitions = (db, documentType, documents, { toStatus, reason, userId }) =>
+  db.statusTransition.createMany({
+    data: documents.map(document => ({
+      companyId: document.companyId,
+      documentType,
+      documentId: document.id,
+      fromStatus: document.status,
+      toStatus,
+      reason: reason || null,
+      userId: userId || null
+    }))
+  });
+
+/**
+ * A document's status changes, oldest first
+ */
+const getTransitions = (db, companyId, documentType, documentId) =>
+  db.statusTransition.findMany({
+    where: { companyId, documentType, documentId },
+    include: {
+      user: { select: { id: true, name: true } }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+
+module.exports = {
+  recordTransition,
+  recordTransitions,
+  getTransitions
+};
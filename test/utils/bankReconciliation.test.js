@@ -0,0 +1,161 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  bookAmount,
+  proposeMatches,
+  rankCandidates,
+  findMatchingRule
+} = require('../../src/utils/bankReconciliation');
+
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+const statementLine = (id, amount, date, overrides = {}) => ({
+  id,
+  amount,
+  transactionDate: day(date),
+  matchedAmount: 0,
+  status: 'UNMATCHED',
+  reference: null,
+  description: null,
+  counterparty: null,
+  ...overrides
+});
+
+const bookLine = (id, amount, date, overrides = {}) => ({
+  id,
+  amount,
+  entryDate: day(date),
+  matchedAmount: 0,
+  remaining: amount,
+  journalNumber: `JE-${id}`,
+  description: null,
+  source: null,
+  ...overrides
+});
+
+describe('bookAmount', () => {
+  it('signs base currency lines as debit less credit', () => {
+    assert.equal(bookAmount({ debitAmount: 100, creditAmount: 0 }, { currency: null }), 100);
+    assert.equal(bookAmount({ debitAmount: 0, creditAmount: 40.5 }, { currency: null }), -40.5);
+  });
+
+  it('uses the foreign amount on foreign currency accounts', () => {
+    const account = { currency: 'EUR' };
+
+    assert.equal(bookAmount({ debitAmount: 110, creditAmount: 0, foreignAmount: 100 }, account), 100);
+    assert.equal(bookAmount({ debitAmount: 0, creditAmount: 110, foreignAmount: 100 }, account), -100);
+    assert.equal(bookAmount({ debitAmount: 5, creditAmount: 0, foreignAmount: null }, account), null);
+  });
+});
+
+describe('proposeMatches', () => {
+  it('prefers a shared reference over a closer date', () => {
+    const statement = [statementLine('s1', -250, '2026-09-10', { reference: 'PAY-0042' })];
+    const book = [
+      bookLine('b1', -250, '2026-09-10'),
+      bookLine('b2', -250, '2026-09-08', { source: { references: ['PAY-0042'] } })
+    ];
+
+    const [proposal] = proposeMatches(statement, book);
+
+    assert.equal(proposal.bookLine.id, 'b2');
+    assert.equal(proposal.reason, 'reference');
+  });
+
+  it('pairs on amount and date only when neither side has another candidate', () => {
+    const statement = [
+      statementLine('s1', 100, '2026-09-01'),
+      statementLine('s2', 100, '2026-09-02'),
+      statementLine('s3', 75, '2026-09-05')
+    ];
+    const book = [
+      bookLine('b1', 100, '2026-09-01'),
+      bookLine('b2', 75, '2026-09-06')
+    ];
+
+    const proposals = proposeMatches(statement, book);
+
+    assert.deepEqual(proposals.map(p => [p.statementLine.id, p.bookLine.id, p.reason]), [['s3', 'b2', 'amount and date']]);
+  });
+
+  it('leaves out lines outside the date window, of another amount or already matched', () => {
+    const statement = [
+      statementLine('s1', 100, '2026-09-01'),
+      statementLine('s2', 60, '2026-09-01'),
+      statementLine('s3', 30, '2026-09-01', { matchedAmount: 30, status: 'MATCHED' })
+    ];
+    const book = [
+      bookLine('b1', 100, '2026-09-10'),
+      bookLine('b2', 60.01, '2026-09-01'),
+      bookLine('b3', 30, '2026-09-01')
+    ];
+
+    assert.deepEqual(proposeMatches(statement, book), []);
+    assert.equal(proposeMatches(statement, book, { dateWindow: 10 }).length, 1);
+  });
+});
+
+describe('rankCandidates', () => {
+  it('ranks exact amounts first, then shared references, then the closest date', () => {
+    const line = statementLine('s1', -100, '2026-09-10', { reference: 'INV-7' });
+    const book = [
+      bookLine('near', -60, '2026-09-10'),
+      bookLine('ref', -60, '2026-09-15', { source: { references: ['INV-7'] } }),
+      bookLine('exact', -100, '2026-09-20'),
+      bookLine('money-in', 100, '2026-09-10'),
+      bookLine('too-old', -100, '2026-06-01')
+    ];
+
+    const ranked = rankCandidates(line, book);
+
+    assert.deepEqual(ranked.map(candidate => candidate.id), ['exact', 'ref', 'near']);
+    assert.equal(ranked[0].exactAmount, true);
+    assert.equal(ranked[1].sharesReference, true);
+    assert.equal(ranked[2].daysApart, 0);
+  });
+
+  it('compares against what is left to match on both sides', () => {
+    const line = statementLine('s1', 100, '2026-09-10', { matchedAmount: 40 });
+    const [candidate] = rankCandidates(line, [bookLine('b1', 90, '2026-09-10', { remaining: 60 })]);
+
+    assert.equal(candidate.exactAmount, true);
+  });
+});
+
+describe('findMatchingRule', () => {
+  const rule = (overrides) => ({
+    isActive: true,
+    bankAccountId: null,
+    descriptionContains: null,
+    referenceContains: null,
+    counterpartyContains: null,
+    direction: null,
+    amountMin: null,
+    amountMax: null,
+    ...overrides
+  });
+
+  it('returns the first rule whose conditions all hold', () => {
+    const rules = [
+      rule({ id: 'inactive', isActive: false, descriptionContains: 'fee' }),
+      rule({ id: 'money-in', descriptionContains: 'fee', direction: 'IN' }),
+      rule({ id: 'bank-fee', descriptionContains: 'FEE', direction: 'OUT', amountMax: 50 }),
+      rule({ id: 'any-fee', descriptionContains: 'fee' })
+    ];
+
+    const line = statementLine('s1', -12.5, '2026-09-01', { description: 'Monthly account fee' });
+
+    assert.equal(findMatchingRule(rules, line).id, 'bank-fee');
+    assert.equal(findMatchingRule(rules, { ...line, amount: -80 }).id, 'any-fee');
+  });
+
+  it('checks the bank account, reference, counterparty and minimum amount', () => {
+    const rules = [rule({ id: 'r1', bankAccountId: 'bank-1', referenceContains: 'rent', counterpartyContains: 'acme', amountMin: 1000 })];
+    const line = statementLine('s1', -1200, '2026-09-01', { bankAccountId: 'bank-1', reference: 'RENT-09', counterparty: 'ACME Properties' });
+
+    assert.equal(findMatchingRule(rules, line).id, 'r1');
+    assert.equal(findMatchingRule(rules, { ...line, bankAccountId: 'bank-2' }), null);
+    assert.equal(findMatchingRule(rules, { ...line, amount: -900 }), null);
+    assert.equal(findMatchingRule(rules, { ...line, counterparty: null }), null);
+  });
+});
@@ -0,0 +1,243 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  detectStatementFormat,
+  parseStatementDate,
+  parseStatementAmount,
+  parseStatement,
+  fingerprintLines
+} = require('../../src/utils/bankStatements');
+
+const OFX = `OFXHEADER:100
+DATA:OFXSGML
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>EUR
+<BANKACCTFROM><BANKID>1234<ACCTID>NL91ABNA0417164300</BANKACCTFROM>
+<BANKTRANLIST>
+<DTSTART>20260901
+<DTEND>20260930
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20260905120000
+<TRNAMT>-1,250.00
+<FITID>TX-1
+<NAME>Smith &amp; Sons
+<MEMO>Rent &lt;September&gt;
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20260910
+<DTUSER>20260909
+<TRNAMT>500.10
+<FITID>TX-2
+<CHECKNUM>1001
+</STMTTRN>
+</BANKTRANLIST>
+<LEDGERBAL><BALAMT>4250.10<DTASOF>20260930</LEDGERBAL>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+const CAMT = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+<BkToCstmrStmt>
+<Stmt>
+<Id>STMT-9</Id>
+<ElctrncSeqNb>9</ElctrncSeqNb>
+<FrToDt><FrDtTm>2026-09-01T00:00:00</FrDtTm><ToDtTm>2026-09-30T23:59:59</ToDtTm></FrToDt>
+<Acct><Id><IBAN>DE89370400440532013000</IBAN></Id><Ccy>EUR</Ccy></Acct>
+<Bal><Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp><Amt Ccy="EUR">1000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd></Bal>
+<Bal><Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp><Amt Ccy="EUR">880.00</Amt><CdtDbtInd>CRDT</CdtDbtInd></Bal>
+<Ntry>
+<Amt Ccy="EUR">120.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>BOOK</Sts>
+<BookgDt><Dt>2026-09-03</Dt></BookgDt><ValDt><Dt>2026-09-04</Dt></ValDt>
+<AcctSvcrRef>BANK-1</AcctSvcrRef>
+<NtryDtls><TxDtls>
+<Refs><EndToEndId>E2E-1</EndToEndId></Refs>
+<RltdPties><Cdtr><Nm>Power &amp; Light</Nm></Cdtr><CdtrAcct><Id><IBAN>FR1420041010050500013M02606</IBAN></Id></CdtrAcct></RltdPties>
+<RmtInf><Ustrd>Invoice 42</Ustrd></RmtInf>
+</TxDtls></NtryDtls>
+</Ntry>
+<Ntry>
+<Amt Ccy="EUR">75.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts>PDNG</Sts>
+<BookgDt><Dt>2026-09-30</Dt></BookgDt>
+</Ntry>
+</Stmt>
+</BkToCstmrStmt>
+</Document>`;
+
+const MT940 = `{1:F01BANKDEFFXXXX0000000000}{2:O9400000000000BANKDEFFXXXX00000000000000000000N}{4:
+:20:STMT-2026-09
+:25:DE89370400440532013000
+:28C:00009/001
+:60F:C260901EUR1000,00
+:61:2609030903D120,00NTRFINV42//BANK-1
+Electricity
+:86:166?00SEPA?20Invoice 42?32Power and Light
+:61:2609100910C500,10NTRFNONREF
+:62F:C260930EUR1380,10
+-}`;
+
+describe('detectStatementFormat', () => {
+  it('recognises OFX, CAMT.053 and MT940 and falls back to CSV', () => {
+    assert.equal(detectStatementFormat(OFX), 'OFX');
+    assert.equal(detectStatementFormat(CAMT), 'CAMT053');
+    assert.equal(detectStatementFormat(MT940), 'MT940');
+    assert.equal(detectStatementFormat('date,amount\n2026-09-01,10'), 'CSV');
+  });
+});
+
+describe('parseStatementDate', () => {
+  it('reads each supported format as a UTC date', () => {
+    assert.equal(parseStatementDate('2026-09-05').toISOString(), '2026-09-05T00:00:00.000Z');
+    assert.equal(parseStatementDate('05/09/2026', 'DD/MM/YYYY').toISOString(), '2026-09-05T00:00:00.000Z');
+    assert.equal(parseStatementDate('09/05/2026', 'MM/DD/YYYY').toISOString(), '2026-09-05T00:00:00.000Z');
+    assert.equal(parseStatementDate('05.09.2026', 'DD.MM.YYYY').toISOString(), '2026-09-05T00:00:00.000Z');
+    assert.equal(parseStatementDate('20260905120000', 'YYYYMMDD').toISOString(), '2026-09-05T00:00:00.000Z');
+  });
+
+  it('rejects blanks and impossible dates', () => {
+    assert.equal(parseStatementDate(''), null);
+    assert.equal(parseStatementDate('2026-02-30'), null);
+    assert.equal(parseStatementDate('31/04/2026', 'DD/MM/YYYY'), null);
+    assert.equal(parseStatementDate('September'), null);
+  });
+});
+
+describe('parseStatementAmount', () => {
+  it('reads signs the way banks write them', () => {
+    assert.equal(parseStatementAmount('1,234.56'), 1234.56);
+    assert.equal(parseStatementAmount('-12.00'), -12);
+    assert.equal(parseStatementAmount('(12.00)'), -12);
+    assert.equal(parseStatementAmount('12.00-'), -12);
+    assert.equal(parseStatementAmount('EUR 7.5'), 7.5);
+  });
+
+  it('reads a comma decimal separator', () => {
+    assert.equal(parseStatementAmount('1.234,56', ','), 1234.56);
+    assert.equal(parseStatementAmount('120,00', ','), 120);
+  });
+
+  it('returns null for blanks and unreadable values', () => {
+    assert.equal(parseStatementAmount(null), null);
+    assert.equal(parseStatementAmount('  '), null);
+    assert.equal(parseStatementAmount('n/a'), null);
+  });
+});
+
+describe('parseStatement', () => {
+  it('parses CSV with an amount column and reports unreadable rows', async () => {
+    const csv = 'Date,Amount,Description,Transaction ID\n2026-09-01,-10.50,Coffee,T1\nbad,5,Broken,T2\n2026-09-02,20,Refund,T3\n';
+    const statement = await parseStatement(csv, 'CSV');
+
+    assert.equal(statement.lines.length, 2);
+    assert.deepEqual(statement.lines.map(line => line.amount), [-10.5, 20]);
+    assert.equal(statement.lines[0].bankReference, 'T1');
+    assert.equal(statement.errors.length, 1);
+    assert.equal(statement.errors[0].row, 2);
+  });
+
+  it('parses CSV debit/credit columns with a custom mapping and regional formats', async () => {
+    const csv = 'Booked;Out;In;Text\n05.09.2026;1.250,00;;Rent\n06.09.2026;;99,90;Refund\n';
+    const statement = await parseStatement(csv, 'CSV', {
+      delimiter: ';',
+      dateFormat: 'DD.MM.YYYY',
+      decimalSeparator: ',',
+      mapping: { date: 'booked', debit: 'out', credit: 'in', description: 'text' }
+    });
+
+    assert.deepEqual(statement.lines.map(line => line.amount), [-1250, 99.9]);
+    assert.equal(statement.lines[0].transactionDate.toISOString(), '2026-09-05T00:00:00.000Z');
+  });
+
+  it('rejects CSV without a date or amount column', async () => {
+    await assert.rejects(parseStatement('When,Amount\n2026-09-01,1\n', 'CSV'), { statusCode: 400 });
+    await assert.rejects(parseStatement('Date,Value\n2026-09-01,1\n', 'CSV'), { statusCode: 400 });
+  });
+
+  it('parses OFX and decodes entities', async () => {
+    const statement = await parseStatement(OFX);
+
+    assert.equal(statement.accountNumber, 'NL91ABNA0417164300');
+    assert.equal(statement.currency, 'EUR');
+    assert.equal(statement.closingBalance, 4250.1);
+    assert.equal(statement.periodStart.toISOString(), '2026-09-01T00:00:00.000Z');
+    assert.equal(statement.lines.length, 2);
+
+    const [rent, deposit] = statement.lines;
+    assert.equal(rent.amount, -1250);
+    assert.equal(rent.counterparty, 'Smith & Sons');
+    assert.equal(rent.description, 'Smith & Sons - Rent <September>');
+    assert.equal(rent.bankReference, 'TX-1');
+    assert.equal(deposit.amount, 500.1);
+    assert.equal(deposit.reference, '1001');
+    assert.equal(deposit.valueDate.toISOString(), '2026-09-09T00:00:00.000Z');
+  });
+
+  it('parses CAMT.053 booked entries and skips pending ones', async () => {
+    const statement = await parseStatement(CAMT);
+
+    assert.equal(statement.accountNumber, 'DE89370400440532013000');
+    assert.equal(statement.statementNumber, '9');
+    assert.equal(statement.openingBalance, 1000);
+    assert.equal(statement.closingBalance, 880);
+    assert.equal(statement.lines.length, 1);
+
+    const [line] = statement.lines;
+    assert.equal(line.amount, -120);
+    assert.equal(line.counterparty, 'Power & Light');
+    assert.equal(line.counterpartyAccount, 'FR1420041010050500013M02606');
+    assert.equal(line.reference, 'E2E-1');
+    assert.equal(line.bankReference, 'BANK-1');
+    assert.equal(line.description, 'Invoice 42');
+  });
+
+  it('parses MT940 lines, balances and :86: details', async () => {
+    const statement = await parseStatement(MT940);
+
+    assert.equal(statement.accountNumber, 'DE89370400440532013000');
+    assert.equal(statement.statementNumber, '00009/001');
+    assert.equal(statement.currency, 'EUR');
+    assert.equal(statement.openingBalance, 1000);
+    assert.equal(statement.closingBalance, 1380.1);
+    assert.equal(statement.lines.length, 2);
+
+    const [debit, credit] = statement.lines;
+    assert.equal(debit.amount, -120);
+    assert.equal(debit.reference, 'INV42');
+    assert.equal(debit.bankReference, 'BANK-1');
+    assert.match(debit.description, /^Electricity - .*Invoice 42/);
+    assert.equal(credit.amount, 500.1);
+    assert.equal(credit.reference, null);
+  });
+
+  it('rejects an unknown format', async () => {
+    await assert.rejects(parseStatement('x', 'QIF'), { statusCode: 400 });
+  });
+});
+
+describe('fingerprintLines', () => {
+  const line = (overrides) => ({
+    transactionDate: new Date('2026-09-01T00:00:00Z'),
+    amount: 10,
+    reference: null,
+    description: 'Coffee',
+    bankReference: null,
+    ...overrides
+  });
+
+  it('keeps identical lines in one file apart but matches them on re-import', () => {
+    const first = fingerprintLines([line(), line()]);
+    const again = fingerprintLines([line(), line()]);
+
+    assert.notEqual(first[0].fingerprint, first[1].fingerprint);
+    assert.deepEqual(again.map(l => l.fingerprint), first.map(l => l.fingerprint));
+  });
+
+  it('keys lines with a bank reference on that reference alone', () => {
+    const [a] = fingerprintLines([line({ bankReference: 'TX-1', description: 'One' })]);
+    const [b] = fingerprintLines([line({ bankReference: 'TX-1', description: 'Other' })]);
+
+    assert.equal(a.fingerprint, b.fingerprint);
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getCustomerExposure, checkCreditLimit } = require('../../src/utils/creditLimit');
+
+// Just enough of the client to serve fixed rows and record the filters used
+const fakeDb = ({ invoices = [], orders = [], payments = [], creditNotes = [], creditLimitAction = 'BLOCK' } = {}) => {
+  const queries = {};
+  const model = (name, rows) => ({
+    findMany: async (args) => {
+      queries[name] = args.where;
+      return rows;
+    }
+  });
+
+  return {
+    queries,
+    invoice: model('invoice', invoices),
+    salesOrder: model('salesOrder', orders),
+    payment: model('payment', payments),
+    creditNote: model('creditNote', creditNotes),
+    company: { findUnique: async () => ({ creditLimitAction }) }
+  };
+};
+
+const customer = { id: 'cust-1', companyId: 'co-1', name: 'Acme', creditLimit: 1000 };
+
+const exposureRows = {
+  invoices: [
+    { balanceAmount: 300, exchangeRate: 1 },
+    { balanceAmount: 100, exchangeRate: 1.1 }
+  ],
+  orders: [{
+    exchangeRate: 1,
+    items: [
+      { quantity: 10, invoicedQuantity: 4, totalAmount: 500 },
+      { quantity: 2, invoicedQuantity: 2, totalAmount: 80 }
+    ]
+  }],
+  payments: [{ unappliedAmount: 50, exchangeRate: 1 }],
+  creditNotes: [{ balanceAmount: 20, exchangeRate: 2 }]
+};
+
+describe('getCustomerExposure', () => {
+  it('adds open invoices and uninvoiced orders in base currency, less unapplied credit', async () => {
+    const exposure = await getCustomerExposure(fakeDb(exposureRows), customer);
+
+    assert.deepEqual(exposure, {
+      creditLimit: 1000,
+      openInvoices: 410,
+      uninvoicedOrders: 300,
+      unappliedCredit: 90,
+      exposure: 620,
+      available: 380,
+      exceeded: false
+    });
+  });
+
+  it('treats a zero limit as no limit', async () => {
+    const exposure = await getCustomerExposure(fakeDb(exposureRows), { ...customer, creditLimit: 0 });
+
+    assert.equal(exposure.creditLimit, null);
+    assert.equal(exposure.available, null);
+    assert.equal(exposure.exceeded, false);
+  });
+
+  it('leaves out held documents and the ones being edited', async () => {
+    const db = fakeDb();
+    await getCustomerExposure(db, customer, { excludeSalesOrderId: 'so-1', excludeInvoiceId: 'inv-1' });
+
+    assert.equal(db.queries.invoice.creditHold, false);
+    assert.deepEqual(db.queries.invoice.id, { not: 'inv-1' });
+    assert.equal(db.queries.salesOrder.creditHold, false);
+    assert.deepEqual(db.queries.salesOrder.id, { not: 'so-1' });
+  });
+});
+
+describe('checkCreditLimit', () => {
+  it('lets a document through when it fits, to the cent', async () => {
+    const result = await checkCreditLimit(fakeDb(exposureRows), customer, 380);
+
+    assert.equal(result.action, null);
+    assert.equal(result.documentAmount, 380);
+    assert.equal(result.projectedExposure, 1000);
+  });
+
+  it('holds an over-limit document when the company holds', async () => {
+    const result = await checkCreditLimit(fakeDb({ ...exposureRows, creditLimitAction: 'HOLD' }), customer, 380.01);
+
+    assert.equal(result.action, 'HOLD');
+    assert.equal(result.projectedExposure, 1000.01);
+  });
+
+  it('blocks an over-limit document when the company blocks', async () => {
+    await assert.rejects(
+      checkCreditLimit(fakeDb(exposureRows), customer, 500),
+      (error) => {
+        assert.equal(error.statusCode, 400);
+        assert.match(error.message, /exposure would be 1120\.00 against a limit of 1000\.00/);
+        return true;
+      }
+    );
+  });
+
+  it('never limits a customer without a limit', async () => {
+    const result = await checkCreditLimit(fakeDb(exposureRows), { ...customer, creditLimit: null }, 1e9);
+    assert.equal(result.action, null);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  defaultSeries,
+  validateSeries,
+  getPeriodKey,
+  formatNumber,
+  allocateNumber
+} = require('../../src/utils/numbering');
+
+describe('defaultSeries', () => {
+  it('keeps the PREFIX-YYYYMM-0001 numbers, restarting monthly', () => {
+    const series = defaultSeries('INVOICE');
+
+    assert.equal(series.pattern, 'INV-{YYYY}{MM}-{seq:4}');
+    assert.equal(series.resetPeriod, 'MONTHLY');
+    assert.equal(validateSeries(series), null);
+  });
+});
+
+describe('validateSeries', () => {
+  const valid = { documentType: 'BILL', pattern: 'B/{FY}/{seq:5}', resetPeriod: 'FISCAL_YEAR' };
+
+  it('accepts a well-formed series', () => {
+    assert.equal(validateSeries(valid), null);
+    assert.equal(validateSeries({ documentType: 'BILL', pattern: 'B{seq}', resetPeriod: 'NEVER' }), null);
+  });
+
+  it('rejects unknown types and tokens', () => {
+    assert.match(validateSeries({ ...valid, documentType: 'MEMO' }), /Unknown document type: MEMO/);
+    assert.match(validateSeries({ ...valid, pattern: 'B/{FY}/{DD}/{seq}' }), /Unknown pattern token \{DD\}/);
+    assert.match(validateSeries({ ...valid, resetPeriod: 'WEEKLY' }), /Reset period must be one of/);
+  });
+
+  it('needs exactly one sequence token of sensible width', () => {
+    assert.match(validateSeries({ ...valid, pattern: 'B/{FY}' }), /exactly once/);
+    assert.match(validateSeries({ ...valid, pattern: '{seq}-{FY}-{seq}' }), /exactly once/);
+    assert.match(validateSeries({ ...valid, pattern: 'B/{FY}/{seq:13}' }), /at most 12 digits/);
+  });
+
+  it('needs the date tokens a reset period would otherwise repeat without', () => {
+    assert.match(validateSeries({ ...valid, pattern: 'B/{YYYY}/{seq}' }), /needs \{FY\}/);
+    assert.match(validateSeries({ ...valid, pattern: 'B/{MM}/{seq}', resetPeriod: 'MONTHLY' }), /needs \{MM\} and a year token/);
+    assert.equal(validateSeries({ ...valid, pattern: 'B/{YY}{MM}/{seq}', resetPeriod: 'MONTHLY' }), null);
+  });
+});
+
+describe('getPeriodKey', () => {
+  it('keys counters by month, fiscal year or not at all', () => {
+    assert.equal(getPeriodKey('MONTHLY', '2026-03-15T12:00:00Z'), '2026-03');
+    assert.equal(getPeriodKey('FISCAL_YEAR', '2026-03-15T12:00:00Z'), 'FY2026');
+    assert.equal(getPeriodKey('FISCAL_YEAR', '2026-03-15T12:00:00Z', 4), 'FY2025');
+    assert.equal(getPeriodKey('FISCAL_YEAR', '2026-04-15T12:00:00Z', 4), 'FY2026');
+    assert.equal(getPeriodKey('NEVER', '2026-03-15T12:00:00Z'), 'ALL');
+  });
+});
+
+describe('formatNumber', () => {
+  it('fills the sequence and date tokens', () => {
+    assert.equal(formatNumber('INV-{YYYY}{MM}-{seq:4}', 7, '2026-03-15T12:00:00Z'), 'INV-202603-0007');
+    assert.equal(formatNumber('{YY}/{seq}', 12345, '2026-03-15T12:00:00Z'), '26/12345');
+  });
+
+  it('writes the fiscal year as a single year or a span', () => {
+    assert.equal(formatNumber('{FY}-{seq:3}', 1, '2026-03-15T12:00:00Z'), '2026-001');
+    assert.equal(formatNumber('{FY}-{seq:3}', 1, '2026-03-15T12:00:00Z', 4), '2025-26-001');
+    assert.equal(formatNumber('{FY}-{seq:3}', 1, '2026-04-15T12:00:00Z', 4), '2026-27-001');
+  });
+});
+
+describe('allocateNumber', () => {
+  // Counters and issued numbers kept in memory, enough for allocateNumber
+  const fakeDb = ({ series = null, fiscalYearStart = 1, taken = [] } = {}) => {
+    const counters = new Map();
+    const keyOf = ({ companyId, documentType, periodKey }) => `${companyId}|${documentType}|${periodKey}`;
+
+    return {
+      counters,
+      numberSeries: { findUnique: async () => series },
+      company: { findUnique: async () => ({ fiscalYearStart }) },
+      numberSequence: {
+        createMany: async ({ data: [row] }) => {
+          if (!counters.has(keyOf(row))) counters.set(keyOf(row), row.lastValue);
+        },
+        update: async ({ where: { companyId_documentType_periodKey: key } }) => {
+          counters.set(keyOf(key), counters.get(keyOf(key)) + 1);
+          return { lastValue: counters.get(keyOf(key)) };
+        }
+      },
+      invoice: {
+        findFirst: async ({ where }) => (taken.includes(where.invoiceNumber) ? { id: 'x' } : null)
+      }
+    };
+  };
+
+  it('counts up within a period and starts again in the next', async () => {
+    const db = fakeDb();
+    const allocate = (date) => allocateNumber(db, 'co-1', 'INVOICE', { date });
+
+    assert.equal(await allocate('2026-03-10T12:00:00Z'), 'INV-202603-0001');
+    assert.equal(await allocate('2026-03-20T12:00:00Z'), 'INV-202603-0002');
+    assert.equal(await allocate('2026-04-02T12:00:00Z'), 'INV-202604-0001');
+    assert.deepEqual([...db.counters.keys()], ['co-1|INVOICE|2026-03', 'co-1|INVOICE|2026-04']);
+  });
+
+  it('skips numbers that are already taken', async () => {
+    const db = fakeDb({ taken: ['INV-202603-0001', 'INV-202603-0002'] });
+
+    assert.equal(await allocateNumber(db, 'co-1', 'INVOICE', { date: '2026-03-10T12:00:00Z' }), 'INV-202603-0003');
+  });
+
+  it('uses the company series and fiscal year', async () => {
+    const db = fakeDb({ series: { pattern: 'S/{FY}/{seq:3}', resetPeriod: 'FISCAL_YEAR' }, fiscalYearStart: 4 });
+
+    assert.equal(await allocateNumber(db, 'co-1', 'INVOICE', { date: '2026-03-10T12:00:00Z' }), 'S/2025-26/001');
+    assert.deepEqual([...db.counters.keys()], ['co-1|INVOICE|FY2025']);
+  });
+
+  it('rejects an unknown document type', async () => {
+    await assert.rejects(allocateNumber(fakeDb(), 'co-1', 'MEMO'), { statusCode: 400 });
+  });
+});
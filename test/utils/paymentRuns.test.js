@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { earlyPaymentDiscount, buildPain001, buildBankCsv } = require('../../src/utils/paymentRuns');
+
+const supplier = (overrides) => ({
+  id: 'sup-1',
+  name: 'Acme GmbH',
+  bankName: 'Acme Bank',
+  bankAccount: null,
+  iban: 'DE89 3704 0044 0532 0130 00',
+  bic: 'cobadeffxxx',
+  ...overrides
+});
+
+const run = (overrides = {}) => ({
+  runNumber: 'PR-2026-0007',
+  currency: 'EUR',
+  paymentDate: new Date('2026-10-20T00:00:00Z'),
+  bankAccount: { name: 'Main', iban: 'NL91ABNA0417164300', accountNumber: null, bic: 'ABNANL2A' },
+  items: [
+    { payAmount: 100.1, bill: { billNumber: 'BILL-1' }, supplier: supplier(), payment: { id: 'p1', paymentNumber: 'PAY-1' } },
+    { payAmount: 49.9, bill: { billNumber: 'BILL-2' }, supplier: supplier(), payment: { id: 'p1', paymentNumber: 'PAY-1' } },
+    {
+      payAmount: 20,
+      bill: { billNumber: 'BILL-3' },
+      supplier: supplier({ id: 'sup-2', name: 'Smith & "Sons", Ltd', iban: null, bic: null, bankAccount: '12345678' }),
+      payment: { id: 'p2', paymentNumber: 'PAY-2' }
+    },
+    { payAmount: 5, bill: { billNumber: 'BILL-4' }, supplier: supplier(), payment: null }
+  ],
+  ...overrides
+});
+
+const company = { name: 'Zirak <Books> & Co' };
+
+// Every element's text, for asserting on the pieces that matter
+const elements = (xml, tag) => Array.from(xml.matchAll(new RegExp(`<${tag}(?:\\s[^>]*)?>([^<]*)</${tag}>`, 'g')), match => match[1]);
+
+describe('earlyPaymentDiscount', () => {
+  const terms = { earlyPaymentDiscountPercent: 2, earlyPaymentDiscountDays: 10 };
+  const bill = { billDate: '2026-10-01T00:00:00Z', balanceAmount: 1234.5 };
+
+  it('applies the percentage within the discount window', () => {
+    assert.equal(earlyPaymentDiscount(bill, terms, '2026-10-11T00:00:00Z'), 24.69);
+  });
+
+  it('gives nothing after the window or without terms', () => {
+    assert.equal(earlyPaymentDiscount(bill, terms, '2026-10-11T00:00:01Z'), 0);
+    assert.equal(earlyPaymentDiscount(bill, { earlyPaymentDiscountPercent: 2, earlyPaymentDiscountDays: null }, '2026-10-02'), 0);
+    assert.equal(earlyPaymentDiscount(bill, { earlyPaymentDiscountPercent: 0, earlyPaymentDiscountDays: 10 }, '2026-10-02'), 0);
+  });
+});
+
+describe('buildPain001', () => {
+  it('writes one transfer per payment with the control sum and SEPA service level', () => {
+    const xml = buildPain001(run(), company);
+
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03"/);
+    assert.deepEqual(elements(xml, 'NbOfTxs'), ['2', '2']);
+    assert.deepEqual(elements(xml, 'CtrlSum'), ['170.00', '170.00']);
+    assert.deepEqual(elements(xml, 'InstdAmt'), ['150.00', '20.00']);
+    assert.deepEqual(elements(xml, 'EndToEndId'), ['PAY-1', 'PAY-2']);
+    assert.deepEqual(elements(xml, 'Ustrd'), ['BILL-1, BILL-2', 'BILL-3']);
+    assert.deepEqual(elements(xml, 'ReqdExctnDt'), ['2026-10-20']);
+    assert.deepEqual(elements(xml, 'Cd'), ['SEPA']);
+    assert.deepEqual(elements(xml, 'ChrgBr'), ['SLEV']);
+  });
+
+  it('normalises IBANs and BICs and falls back to account numbers', () => {
+    const xml = buildPain001(run(), company);
+
+    assert.deepEqual(elements(xml, 'IBAN'), ['NL91ABNA0417164300', 'DE89370400440532013000']);
+    assert.deepEqual(elements(xml, 'BIC'), ['ABNANL2A', 'COBADEFFXXX']);
+    assert.match(xml, /<CdtrAcct><Id><Othr><Id>12345678<\/Id><\/Othr><\/Id><\/CdtrAcct>/);
+  });
+
+  it('escapes names and leaves out the creditor agent without a BIC', () => {
+    const xml = buildPain001(run(), company);
+
+    assert.deepEqual(elements(xml, 'Nm'), [
+      'Zirak &lt;Books&gt; &amp; Co',
+      'Zirak &lt;Books&gt; &amp; Co',
+      'Acme GmbH',
+      'Smith &amp; &quot;Sons&quot;, Ltd'
+    ]);
+    assert.equal(elements(xml, 'BIC').length, 2);
+  });
+
+  it('uses shared charges and no service level outside EUR', () => {
+    const xml = buildPain001(run({ currency: 'USD' }), company);
+
+    assert.deepEqual(elements(xml, 'ChrgBr'), ['SHAR']);
+    assert.doesNotMatch(xml, /<SvcLvl>/);
+    assert.match(xml, /<InstdAmt Ccy="USD">150.00<\/InstdAmt>/);
+  });
+
+  it('needs an IBAN or account number to pay from', () => {
+    const bankAccount = { name: 'Petty cash', iban: null, accountNumber: null, bic: null };
+    assert.throws(() => buildPain001(run({ bankAccount }), company), { statusCode: 400 });
+  });
+});
+
+describe('buildBankCsv', () => {
+  it('writes a header and one quoted row per transfer', () => {
+    const rows = buildBankCsv(run()).split('\r\n');
+
+    assert.equal(rows[0], 'Payment Date,Payment Number,Supplier,IBAN,Account Number,BIC,Bank Name,Amount,Currency,Reference');
+    assert.equal(rows[1], '2026-10-20,PAY-1,Acme GmbH,DE89 3704 0044 0532 0130 00,,cobadeffxxx,Acme Bank,150.00,EUR,BILL-1 BILL-2');
+    assert.equal(rows[2], '2026-10-20,PAY-2,"Smith & ""Sons"", Ltd",,12345678,,Acme Bank,20.00,EUR,BILL-3');
+    assert.equal(rows[3], '');
+    assert.equal(rows.length, 4);
+  });
+});
@@ -0,0 +1,149 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  STATE_MACHINES,
+  describeStateMachine,
+  allowedTransitions,
+  transitionDocument
+} = require('../../src/utils/stateMachines');
+
+// Records every call; counts and updateMany results can be set per model
+const fakeDb = ({ counts = {}, updated = 1, items = [] } = {}) => {
+  const calls = [];
+  const model = (name) => ({
+    count: async (args) => {
+      calls.push([name, 'count', args]);
+      return counts[name] || 0;
+    },
+    updateMany: async (args) => {
+      calls.push([name, 'updateMany', args]);
+      return { count: updated };
+    },
+    findMany: async (args) => {
+      calls.push([name, 'findMany', args]);
+      return items;
+    },
+    create: async (args) => {
+      calls.push([name, 'create', args]);
+      return args.data;
+    },
+    update: async (args) => {
+      calls.push([name, 'update', args]);
+      return args.data;
+    }
+  });
+
+  return new Proxy({ calls }, {
+    get: (target, name) => (name in target ? target[name] : (target[name] = model(name)))
+  });
+};
+
+const quotation = (overrides) => ({
+  id: 'q-1',
+  companyId: 'co-1',
+  quotationNumber: 'SQ-1',
+  status: 'sent',
+  validUntil: null,
+  ...overrides
+});
+
+describe('describeStateMachine', () => {
+  it('lists the states, manual transitions and derived statuses', () => {
+    const order = describeStateMachine('SALES_ORDER');
+
+    assert.equal(order.label, 'Sales order');
+    assert.deepEqual(order.states, [
+      'pending', 'processing', 'partially_delivered', 'partially_invoiced', 'delivered', 'invoiced', 'completed', 'cancelled'
+    ]);
+    assert.deepEqual(order.derived, ['partially_delivered', 'partially_invoiced', 'delivered', 'invoiced', 'completed']);
+  });
+
+  it('only lists derived statuses that are states', () => {
+    for (const type of Object.keys(STATE_MACHINES)) {
+      const machine = describeStateMachine(type);
+      machine.derived.forEach(status => assert.ok(machine.states.includes(status), `${type} ${status}`));
+      Object.values(machine.transitions).flat().forEach(status => assert.ok(machine.states.includes(status), `${type} ${status}`));
+    }
+  });
+});
+
+describe('allowedTransitions', () => {
+  it('follows each lifecycle', () => {
+    assert.deepEqual(allowedTransitions('SALES_QUOTATION', 'sent'), ['accepted', 'rejected', 'expired']);
+    assert.deepEqual(allowedTransitions('SALES_ORDER', 'pending'), ['processing', 'cancelled']);
+    assert.deepEqual(allowedTransitions('PURCHASE_ORDER', 'partially_received'), ['cancelled']);
+    assert.deepEqual(allowedTransitions('PURCHASE_ORDER', 'completed'), []);
+    assert.deepEqual(allowedTransitions('DELIVERY_CHALLAN', 'pending'), ['in_transit', 'delivered']);
+    assert.deepEqual(allowedTransitions('GOODS_RECEIPT', 'accepted'), []);
+  });
+
+  it('knows nothing of unknown or inherited statuses', () => {
+    assert.deepEqual(allowedTransitions('SALES_ORDER', 'archived'), []);
+    assert.deepEqual(allowedTransitions('SALES_ORDER', 'constructor'), []);
+  });
+});
+
+describe('transitionDocument', () => {
+  it('moves the document only from the status it was read in and logs the change', async () => {
+    const db = fakeDb();
+    await transitionDocument(db, 'SALES_QUOTATION', quotation(), 'accepted', { userId: 'u-1', reason: 'Signed' });
+
+    const [[, , update], [, , log]] = db.calls.filter(([, op]) => op === 'updateMany' || op === 'create');
+    assert.deepEqual(update, { where: { id: 'q-1', status: 'sent' }, data: { status: 'accepted' } });
+    assert.deepEqual(log.data, {
+      companyId: 'co-1',
+      documentType: 'SALES_QUOTATION',
+      documentId: 'q-1',
+      fromStatus: 'sent',
+      toStatus: 'accepted',
+      reason: 'Signed',
+      userId: 'u-1'
+    });
+  });
+
+  it('rejects unknown statuses with a validation error', async () => {
+    await assert.rejects(transitionDocument(fakeDb(), 'SALES_QUOTATION', quotation(), 'won'), { statusCode: 400 });
+  });
+
+  it('rejects transitions the lifecycle does not allow with a conflict', async () => {
+    const cases = [
+      ['SALES_QUOTATION', quotation(), 'sent', /already sent/],
+      ['SALES_QUOTATION', quotation({ status: 'rejected' }), 'accepted', /no further status changes/],
+      ['SALES_QUOTATION', quotation({ status: 'draft' }), 'accepted', /can only go to sent, expired/],
+      ['SALES_ORDER', { id: 'so-1', orderNumber: 'SO-1', status: 'pending' }, 'delivered', /follows from its deliveries and invoices/]
+    ];
+
+    for (const [type, document, toStatus, message] of cases) {
+      await assert.rejects(transitionDocument(fakeDb(), type, document, toStatus), { statusCode: 409, message });
+    }
+  });
+
+  it('runs guards before changing anything', async () => {
+    const expired = quotation({ validUntil: '2020-01-01' });
+    await assert.rejects(transitionDocument(fakeDb(), 'SALES_QUOTATION', expired, 'accepted'), { statusCode: 409, message: /past its validity date/ });
+
+    const converted = fakeDb({ counts: { salesOrder: 1 } });
+    await assert.rejects(transitionDocument(converted, 'SALES_QUOTATION', quotation({ status: 'accepted' }), 'rejected'), {
+      statusCode: 409,
+      message: /converted to a sales order/
+    });
+    assert.equal(converted.calls.some(([, op]) => op === 'updateMany'), false);
+  });
+
+  it('reports a status changed by someone else since the document was read', async () => {
+    await assert.rejects(transitionDocument(fakeDb({ updated: 0 }), 'SALES_QUOTATION', quotation(), 'accepted'), {
+      statusCode: 409,
+      message: /changed status while this request was running/
+    });
+  });
+
+  it('runs the entry hook in the same transaction', async () => {
+    const db = fakeDb({ items: [{ productId: 'p-1', quantity: 4, purchaseOrderItemId: null }] });
+    const receipt = { id: 'gr-1', companyId: 'co-1', receiptNumber: 'GR-1', status: 'received', purchaseOrderId: null };
+
+    await transitionDocument(db, 'GOODS_RECEIPT', receipt, 'rejected');
+
+    const stock = db.calls.find(([name, op]) => name === 'product' && op === 'update');
+    assert.deepEqual(stock[2], { where: { id: 'p-1' }, data: { currentStock: { decrement: 4 } } });
+  });
+});